@@ -1,74 +1,44 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import LZString from 'lz-string';
-// Chart imports removed as they are no longer used
-import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, Title, BarElement } from 'chart.js';
-
-ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, Title, BarElement);
-
-// Property tax calculation
-const calculatePropertyTax = (propertyValue, mode, customAmount) => {
-    if (propertyValue <= 0) return 0;
-
-    if (mode === 'oslo') {
-        const taxableBase = Math.max(0, (propertyValue * 0.7) - 4700000);
-        return taxableBase * 0.00235;
-    } else {
-        return customAmount;
-    }
-};
-
-// URL parameter handling with compression
-const encodeParams = (params) => {
-    // Remove empty/null values to save space
-    const cleanParams = {};
-    Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-            cleanParams[key] = value;
-        }
-    });
-    
-    // Convert to JSON and compress
-    const jsonString = JSON.stringify(cleanParams);
-    const compressed = LZString.compressToEncodedURIComponent(jsonString);
-    return compressed;
-};
-
-const decodeParams = () => {
-    const hash = window.location.hash.substring(1);
-    
-    if (!hash) return {};
-    
-    // Check if it's the new compressed format (starts with a letter or number)
-    // Old format would start with parameter names like "cm=" or "lt="
-    if (hash.includes('=')) {
-        // Old format - backwards compatibility
-        const params = new URLSearchParams(hash);
-        const result = {};
-        params.forEach((value, key) => {
-            result[key] = value;
-        });
-        return result;
-    } else {
-        // New compressed format
-        try {
-            const decompressed = LZString.decompressFromEncodedURIComponent(hash);
-            if (decompressed) {
-                return JSON.parse(decompressed);
-            }
-        } catch (e) {
-            console.error('Failed to decompress URL parameters:', e);
-        }
-        return {};
-    }
-};
+import { activeInterestOnly, budgetDesiredPayment, buildSplitLoan, combineAmortization, compareFixedRate, compareLoanTypes, calculateAdvancedMetrics, calculateContributionLedger, calculateEquityCurve, calculateHouseholdBudget, calculateHouseholdTax, calculateMortgage, calculateMonthlyCosts, monthlyFixedCosts, calculateRateStress, calculateSale, calculateSaleCurve, calculateSettlement, annualMaintenance, deflateSale, deflateSchedule, deflateSettlement, deflateYears, hasPrepayments, householdAdults, isFlatRatePath, monthlyInterestDeductions, participantTotals, PROPERTY_TYPES, rateForMonth, splitPrepayments, TAX_RULES } from './lib';
+import { formatCurrency } from './format';
+import InputSlider from './components/InputSlider';
+import LendingLimitsPanel from './components/LendingLimitsPanel';
+import RateStressPanel from './components/RateStressPanel';
+import BudgetPanel from './components/BudgetPanel';
+import TaxPanel from './components/TaxPanel';
+import ParticipantEditor from './components/ParticipantEditor';
+import BorrowerCard from './components/BorrowerCard';
+import CoOwnershipPanel from './components/CoOwnershipPanel';
+import ClosingCostsPanel from './components/ClosingCostsPanel';
+import SharedDebtPanel from './components/SharedDebtPanel';
+import SalePanel from './components/SalePanel';
+import MunicipalityPicker from './components/MunicipalityPicker';
+import RatePathEditor from './components/RatePathEditor';
+import PrepaymentEditor from './components/PrepaymentEditor';
+import InterestOnlyEditor from './components/InterestOnlyEditor';
+import TrancheEditor from './components/TrancheEditor';
+import TranchePanel from './components/TranchePanel';
+import RunningCostsEditor from './components/RunningCostsEditor';
+import FixedRatePanel from './components/FixedRatePanel';
+import ChartPanel from './components/ChartPanel';
+import SimulationPanel from './components/SimulationPanel';
+import SensitivityPanel from './components/SensitivityPanel';
+import ScenarioManager from './components/ScenarioManager';
+import ScheduleExport from './components/ScheduleExport';
+import ReportButton from './components/ReportButton';
+import { decodeParams, encodeParams, readInputs, writeParams } from './params';
+import { createSimulationWorker } from './simulationWorker';
+
+// Kjøpsåret; fellesgjeldens avdragsfrie periode oppgis som et årstall
+const CURRENT_YEAR = new Date().getFullYear();
 
 // Main App Component
 const App = () => {
     // Load initial state from URL if available
-    const urlParams = useMemo(() => decodeParams(), []);
+    const initialInputs = useMemo(() => readInputs(decodeParams()), []);
     
     // State for calculation mode
-    const [calculationMode, setCalculationMode] = useState(urlParams.cm || 'byPrice'); // 'byPayment' or 'byPrice'
+    const [calculationMode, setCalculationMode] = useState(initialInputs.calculationMode); // 'byPayment', 'byPrice' or 'byIncome'
     
     // State for collapsible sections
     const [expandedSections, setExpandedSections] = useState({
@@ -87,31 +57,81 @@ const App = () => {
     };
 
     // Inputs (with URL params as defaults)
-    const [loanType] = useState(urlParams.lt || 'annuity'); // Alltid annuitetslån for beregninger
-    const [interestRate, setInterestRate] = useState(parseFloat(urlParams.ir) || 5.2);
-    const [loanTerm, setLoanTerm] = useState(parseInt(urlParams.term) || 25);
-    const [downPayment1, setDownPayment1] = useState(parseInt(urlParams.dp1) || 1000000);
-    const [downPayment2, setDownPayment2] = useState(parseInt(urlParams.dp2) || 0);
-    const [ownershipSplit, setOwnershipSplit] = useState(parseInt(urlParams.os) || 100);
-    const [municipalDues, setMunicipalDues] = useState(parseInt(urlParams.md) || 15000);
-    const [homeInsurance, setHomeInsurance] = useState(parseInt(urlParams.hi) || 0);
-    const [hoa, setHoa] = useState(parseInt(urlParams.hoa) || 0);
-    const [maintenance, setMaintenance] = useState(parseInt(urlParams.maint) || 24000);
-    const [annualAppreciation, setAnnualAppreciation] = useState(parseFloat(urlParams.aa) || 3.0);
-    const [requiredReturn, setRequiredReturn] = useState(parseFloat(urlParams.rr) || 5.0);
+    const [loanType, setLoanType] = useState(initialInputs.loanType); // Styrer beregning av boligpris, nedbetaling og investeringsanalyse
+    const [interestRate, setInterestRate] = useState(initialInputs.interestRate);
+    // Renteutvikling over lånets løpetid (se lib/ratePath.js)
+    const [ratePath, setRatePath] = useState(initialInputs.ratePath);
+    const [loanTerm, setLoanTerm] = useState(initialInputs.loanTerm);
+    // Ekstra innbetalinger (månedlig og engangsbeløp)
+    const [prepayments, setPrepayments] = useState(initialInputs.prepayments);
+    // Avdragsfrie perioder
+    const [interestOnly, setInterestOnly] = useState(initialInputs.interestOnly);
+    // Lånedeler utenom hovedlånet, med egen rente, løpetid, type og fastrenteperiode
+    const [tranches, setTranches] = useState(initialInputs.tranches);
+    // Tilbudt fastrente og fastrenteperiode, sammenlignet med flytende rente
+    const [fixedRateOffer, setFixedRateOffer] = useState(initialInputs.fixedRateOffer);
+    const [fixedRateYears, setFixedRateYears] = useState(initialInputs.fixedRateYears);
+    // Kjøpere og medlåntakere: egenkapital, eierandel, gjeldsandel, inntekt og øvrig gjeld per deltaker
+    const [participants, setParticipants] = useState(initialInputs.participants);
+    const [debtSplitMode, setDebtSplitMode] = useState(initialInputs.debtSplitMode); // 'ownership' or 'agreed'
+    // Kjøpsomkostninger: boligtype, etableringsgebyr og fellesgjeld (borettslag)
+    const [propertyType, setPropertyType] = useState(initialInputs.propertyType); // 'freehold' or 'cooperative'
+    const [establishmentFee, setEstablishmentFee] = useState(initialInputs.establishmentFee);
+    const [sharedDebt, setSharedDebt] = useState(initialInputs.sharedDebt);
+    // Fellesgjeldens rente, avdragsfri periode og løpetid, og innfrielse med IN-ordning
+    const [sharedDebtRate, setSharedDebtRate] = useState(initialInputs.sharedDebtRate);
+    const [sharedDebtInterestOnlyUntil, setSharedDebtInterestOnlyUntil] = useState(initialInputs.sharedDebtInterestOnlyUntil);
+    const [sharedDebtTerm, setSharedDebtTerm] = useState(initialInputs.sharedDebtTerm);
+    const [individualRepayment, setIndividualRepayment] = useState(initialInputs.individualRepayment);
+    // Oppgjør mellom eierne etter N år
+    const [settlementYear, setSettlementYear] = useState(initialInputs.settlementYear);
+    const [settlementIncludesCosts, setSettlementIncludesCosts] = useState(initialInputs.settlementIncludesCosts);
+    // Salg etter N år, med meglerhonorar og markedsføring
+    const [saleEnabled, setSaleEnabled] = useState(initialInputs.saleEnabled);
+    const [saleYear, setSaleYear] = useState(initialInputs.saleYear);
+    const [brokerFeeRate, setBrokerFeeRate] = useState(initialInputs.brokerFeeRate);
+    const [marketingCost, setMarketingCost] = useState(initialInputs.marketingCost);
+    const [municipalDues, setMunicipalDues] = useState(initialInputs.municipalDues);
+    const [homeInsurance, setHomeInsurance] = useState(initialInputs.homeInsurance);
+    const [hoa, setHoa] = useState(initialInputs.hoa);
+    const [maintenance, setMaintenance] = useState(initialInputs.maintenance);
+    const [annualAppreciation, setAnnualAppreciation] = useState(initialInputs.annualAppreciation);
+    // Inflasjon: driftskostnadene vokser med den, og beløp langt frem i tid kan vises i dagens kroner
+    const [inflation, setInflation] = useState(initialInputs.inflation);
+    const [realValues, setRealValues] = useState(initialInputs.realValues);
+    // Egen årlig vekst per driftskostnad, og vedlikehold som andel av boligverdien med større oppussinger
+    const [costEscalation, setCostEscalation] = useState(initialInputs.costEscalation);
+    const [maintenancePlan, setMaintenancePlan] = useState(initialInputs.maintenancePlan);
+    // Monte Carlo-simulering av renter og boligpriser
+    const [simulationEnabled, setSimulationEnabled] = useState(initialInputs.simulationEnabled);
+    const [simulationSettings, setSimulationSettings] = useState(initialInputs.simulationSettings);
+    const [requiredReturn, setRequiredReturn] = useState(initialInputs.requiredReturn);
     // Skattefradrag for renter (rentefradrag)
-    const [taxRate, setTaxRate] = useState(parseFloat(urlParams.tr) || 22.0);
-    const [rentalIncome, setRentalIncome] = useState(parseInt(urlParams.ri) || 0);
+    const [taxRate, setTaxRate] = useState(initialInputs.taxRate);
+    const [rentalIncome, setRentalIncome] = useState(initialInputs.rentalIncome);
+    // Skattemodell: skatteår, fordeling av rentefradrag, utleie og sekundærbolig
+    const [taxYear, setTaxYear] = useState(initialInputs.taxYear);
+    const [deductionSplitMode, setDeductionSplitMode] = useState(initialInputs.deductionSplitMode); // 'debt' or 'agreed'
+    const [deductionSplit, setDeductionSplit] = useState(initialInputs.deductionSplit);
+    const [rentedShare, setRentedShare] = useState(initialInputs.rentedShare);
+    const [secondaryHome, setSecondaryHome] = useState(initialInputs.secondaryHome);
     // Alternative rent cost removed - now calculating break-even automatically
-    const alternativeRentCost = 0; // Not used anymore, kept for backwards compatibility in calculations
 
     // Property tax settings
-    const [propertyTaxMode, setPropertyTaxMode] = useState(urlParams.ptm || 'oslo'); // 'oslo' or 'custom'
-    const [customPropertyTaxAmount, setCustomPropertyTaxAmount] = useState(parseInt(urlParams.cpt) || 5000);
+    const [propertyTaxMode, setPropertyTaxMode] = useState(initialInputs.propertyTaxMode); // Kommunenummer or 'custom'
+    const [customPropertyTaxAmount, setCustomPropertyTaxAmount] = useState(initialInputs.customPropertyTaxAmount);
 
     // Mode-specific inputs
-    const [desiredMonthlyPayment, setDesiredMonthlyPayment] = useState(parseInt(urlParams.dmp) || 20000);
-    const [propertyValue, setPropertyValue] = useState(parseInt(urlParams.pv) || 5000000);
+    const [desiredMonthlyPayment, setDesiredMonthlyPayment] = useState(initialInputs.desiredMonthlyPayment);
+    const [propertyValue, setPropertyValue] = useState(initialInputs.propertyValue);
+
+    // Utlånsforskriften
+    const [secondaryHomeOslo, setSecondaryHomeOslo] = useState(initialInputs.secondaryHomeOslo);
+    // Rentestress for budsjettet: fra hvilken måned, og budsjettgrense per måned
+    const [stressMonth, setStressMonth] = useState(initialInputs.stressMonth);
+    const [stressBudget, setStressBudget] = useState(initialInputs.stressBudget);
+    // Husholdningsbudsjett etter SIFO: barn, biler, annen gjeld og om ønsket betaling skal hentes fra budsjettet
+    const [householdBudget, setHouseholdBudget] = useState(initialInputs.householdBudget);
 
     // Calculated Outputs
     const [loanAmount, setLoanAmount] = useState(0);
@@ -122,23 +142,16 @@ const App = () => {
     const [totalMonthlyCost, setTotalMonthlyCost] = useState(0);
     const [netMonthlyCost, setNetMonthlyCost] = useState(0);
     const [totalInterest, setTotalInterest] = useState(0);
-    const [loanDetails1, setLoanDetails1] = useState({ 
-        amount: 0, 
-        payment: 0, 
-        amortization: [],
-        annuityPayment: 0,
-        serialFirstPayment: 0,
-        serialLastPayment: 0
-    });
-    const [loanDetails2, setLoanDetails2] = useState({ 
-        amount: 0, 
-        payment: 0, 
-        amortization: [],
-        annuityPayment: 0,
-        serialFirstPayment: 0,
-        serialLastPayment: 0
-    });
+    const [loans, setLoans] = useState([]); // Lånedetaljer per deltaker
     const [propertyTax, setPropertyTax] = useState(0);
+    const [lendingLimits, setLendingLimits] = useState(null);
+    const [prepaymentEffect, setPrepaymentEffect] = useState(null);
+    const [interestOnlyEffect, setInterestOnlyEffect] = useState(null);
+    const [loanTranches, setLoanTranches] = useState([]);
+    const [closingCosts, setClosingCosts] = useState(null);
+    const [sharedDebtDetails, setSharedDebtDetails] = useState(null);
+    const [simulation, setSimulation] = useState(null);
+    const [simulationRunning, setSimulationRunning] = useState(false);
     const [showAllAmortizationAnnuity, setShowAllAmortizationAnnuity] = useState(false);
     const [showAllAmortizationSerial, setShowAllAmortizationSerial] = useState(false);
     const [expandAnnuity, setExpandAnnuity] = useState(false);
@@ -146,39 +159,86 @@ const App = () => {
     const [showAnnuityPersons, setShowAnnuityPersons] = useState(false);
     const [showSerialPersons, setShowSerialPersons] = useState(false);
     
+    // Alle input samlet, slik de deles i URL og lagres i scenarier
+    const currentInputs = useMemo(() => ({
+        calculationMode, loanType, interestRate, ratePath, loanTerm, prepayments, interestOnly, tranches, fixedRateOffer, fixedRateYears, participants, debtSplitMode,
+        propertyType, establishmentFee, sharedDebt, sharedDebtRate, sharedDebtInterestOnlyUntil, sharedDebtTerm, individualRepayment,
+        settlementYear, settlementIncludesCosts, saleEnabled, saleYear, brokerFeeRate, marketingCost,
+        municipalDues, homeInsurance, hoa, maintenance, costEscalation, maintenancePlan, annualAppreciation, inflation, realValues, simulationEnabled, simulationSettings,
+        requiredReturn, rentalIncome, propertyTaxMode, customPropertyTaxAmount,
+        desiredMonthlyPayment, propertyValue, taxRate, secondaryHomeOslo, stressMonth, stressBudget, householdBudget,
+        taxYear, deductionSplitMode, deductionSplit, rentedShare, secondaryHome
+    }), [
+        calculationMode, loanType, interestRate, ratePath, loanTerm, prepayments, interestOnly, tranches, fixedRateOffer, fixedRateYears, participants, debtSplitMode,
+        propertyType, establishmentFee, sharedDebt, sharedDebtRate, sharedDebtInterestOnlyUntil, sharedDebtTerm, individualRepayment,
+        settlementYear, settlementIncludesCosts, saleEnabled, saleYear, brokerFeeRate, marketingCost,
+        municipalDues, homeInsurance, hoa, maintenance, costEscalation, maintenancePlan, annualAppreciation, inflation, realValues, simulationEnabled, simulationSettings,
+        requiredReturn, rentalIncome, propertyTaxMode, customPropertyTaxAmount,
+        desiredMonthlyPayment, propertyValue, taxRate, secondaryHomeOslo, stressMonth, stressBudget, householdBudget,
+        taxYear, deductionSplitMode, deductionSplit, rentedShare, secondaryHome
+    ]);
+
+    // Laster et lagret scenario inn i kalkulatoren
+    const loadInputs = (inputs) => {
+        setCalculationMode(inputs.calculationMode);
+        setLoanType(inputs.loanType);
+        setInterestRate(inputs.interestRate);
+        setRatePath(inputs.ratePath);
+        setLoanTerm(inputs.loanTerm);
+        setPrepayments(inputs.prepayments);
+        setInterestOnly(inputs.interestOnly);
+        setTranches(inputs.tranches);
+        setFixedRateOffer(inputs.fixedRateOffer);
+        setFixedRateYears(inputs.fixedRateYears);
+        setParticipants(inputs.participants);
+        setDebtSplitMode(inputs.debtSplitMode);
+        setPropertyType(inputs.propertyType);
+        setEstablishmentFee(inputs.establishmentFee);
+        setSharedDebt(inputs.sharedDebt);
+        setSharedDebtRate(inputs.sharedDebtRate);
+        setSharedDebtInterestOnlyUntil(inputs.sharedDebtInterestOnlyUntil);
+        setSharedDebtTerm(inputs.sharedDebtTerm);
+        setIndividualRepayment(inputs.individualRepayment);
+        setSettlementYear(inputs.settlementYear);
+        setSettlementIncludesCosts(inputs.settlementIncludesCosts);
+        setSaleEnabled(inputs.saleEnabled);
+        setSaleYear(inputs.saleYear);
+        setBrokerFeeRate(inputs.brokerFeeRate);
+        setMarketingCost(inputs.marketingCost);
+        setMunicipalDues(inputs.municipalDues);
+        setHomeInsurance(inputs.homeInsurance);
+        setHoa(inputs.hoa);
+        setMaintenance(inputs.maintenance);
+        setCostEscalation(inputs.costEscalation);
+        setMaintenancePlan(inputs.maintenancePlan);
+        setAnnualAppreciation(inputs.annualAppreciation);
+        setInflation(inputs.inflation);
+        setRealValues(inputs.realValues);
+        setSimulationEnabled(inputs.simulationEnabled);
+        setSimulationSettings(inputs.simulationSettings);
+        setRequiredReturn(inputs.requiredReturn);
+        setRentalIncome(inputs.rentalIncome);
+        setPropertyTaxMode(inputs.propertyTaxMode);
+        setCustomPropertyTaxAmount(inputs.customPropertyTaxAmount);
+        setDesiredMonthlyPayment(inputs.desiredMonthlyPayment);
+        setPropertyValue(inputs.propertyValue);
+        setTaxRate(inputs.taxRate);
+        setSecondaryHomeOslo(inputs.secondaryHomeOslo);
+        setStressMonth(inputs.stressMonth);
+        setStressBudget(inputs.stressBudget);
+        setHouseholdBudget(inputs.householdBudget);
+        setTaxYear(inputs.taxYear);
+        setDeductionSplitMode(inputs.deductionSplitMode);
+        setDeductionSplit(inputs.deductionSplit);
+        setRentedShare(inputs.rentedShare);
+        setSecondaryHome(inputs.secondaryHome);
+    };
+
     // Update URL with current state
     const updateURL = useCallback(() => {
-        const params = {
-            cm: calculationMode,
-            lt: loanType,
-            ir: interestRate,
-            term: loanTerm,
-            dp1: downPayment1,
-            dp2: downPayment2,
-            os: ownershipSplit,
-            md: municipalDues,
-            hi: homeInsurance,
-            hoa: hoa,
-            maint: maintenance,
-            aa: annualAppreciation,
-            rr: requiredReturn,
-            ri: rentalIncome,
-            arc: alternativeRentCost,
-            ptm: propertyTaxMode,
-            cpt: customPropertyTaxAmount,
-            dmp: desiredMonthlyPayment,
-            pv: propertyValue,
-            tr: taxRate
-        };
-        
-        const hash = encodeParams(params);
+        const hash = encodeParams(writeParams(currentInputs));
         window.location.hash = hash;
-    }, [
-        calculationMode, loanType, interestRate, loanTerm, downPayment1, downPayment2,
-        ownershipSplit, municipalDues, homeInsurance, hoa, maintenance, annualAppreciation,
-        requiredReturn, rentalIncome, alternativeRentCost, propertyTaxMode, customPropertyTaxAmount,
-        desiredMonthlyPayment, propertyValue, taxRate
-    ]);
+    }, [currentInputs]);
     
     // Debounced URL update
     useEffect(() => {
@@ -189,197 +249,54 @@ const App = () => {
         return () => clearTimeout(timer);
     }, [updateURL]);
 
+    const mortgageInputs = useMemo(() => ({
+        calculationMode, propertyValue, participants, debtSplitMode,
+        interestRate, ratePath, loanTerm, loanType, municipalDues, homeInsurance, hoa, rentalIncome,
+        propertyTaxMode, customPropertyTaxAmount, secondaryHomeOslo, propertyType, establishmentFee, sharedDebt,
+        sharedDebtRate, sharedDebtInterestOnlyUntil, sharedDebtTerm, individualRepayment,
+        prepayments: hasPrepayments(prepayments) ? prepayments : undefined,
+        interestOnly: activeInterestOnly(interestOnly),
+        tranches
+    }), [calculationMode, propertyValue, interestRate, ratePath, loanTerm, prepayments, interestOnly, tranches, participants, debtSplitMode, municipalDues, homeInsurance, hoa, rentalIncome, loanType, propertyTaxMode, customPropertyTaxAmount, secondaryHomeOslo, propertyType, establishmentFee, sharedDebt, sharedDebtRate, sharedDebtInterestOnlyUntil, sharedDebtTerm, individualRepayment]);
+
+    // Ønsket månedlig betaling fra husholdningsbudsjettet. Prisen styrer eiendomsskatt og
+    // vedlikehold, så betalingen løses direkte fra inputene i stedet for via prisen som er funnet
+    const budgetPayment = useMemo(() => (calculationMode === 'byPayment' && householdBudget.enabled
+        ? budgetDesiredPayment({ ...mortgageInputs, ...householdBudget, maintenance, maintenancePlan })
+        : 0), [calculationMode, mortgageInputs, householdBudget, maintenance, maintenancePlan]);
+    const deriveDesiredPayment = calculationMode === 'byPayment' && householdBudget.enabled && householdBudget.deriveDesiredPayment;
+    const desiredPayment = deriveDesiredPayment ? budgetPayment : desiredMonthlyPayment;
+
     // Effect to recalculate on input changes
     useEffect(() => {
-        // FIX 3: Replaced the simple estimation with an iterative calculation for better accuracy
-        const calculateAffordability = (totalDownPayment) => {
-            if (desiredMonthlyPayment <= 0 || interestRate <= 0 || loanTerm <= 0 || !isFinite(desiredMonthlyPayment) || !isFinite(interestRate) || !isFinite(loanTerm)) {
-                return { maxLoan: 0, maxPropertyPrice: totalDownPayment };
-            }
-
-            const monthlyInterestRate = interestRate / 100 / 12;
-            const numberOfPayments = loanTerm * 12;
-
-            let estimatedPropertyValue = desiredMonthlyPayment * 200; // Start with a rough guess
-            let maxLoan = 0;
-
-            // Iterate a few times to find a stable property value
-            for (let i = 0; i < 10; i++) {
-                const estimatedPropertyTax = calculatePropertyTax(estimatedPropertyValue, propertyTaxMode, customPropertyTaxAmount);
-                const otherCosts = (municipalDues / 12) + (homeInsurance / 12) + (estimatedPropertyTax / 12) + hoa;
-                const pAndI = desiredMonthlyPayment + Number(rentalIncome) - otherCosts;
-
-                if (pAndI <= 0) {
-                    maxLoan = 0;
-                    break;
-                }
-
-                if (loanType === 'annuity') {
-                    maxLoan = pAndI * ((Math.pow(1 + monthlyInterestRate, numberOfPayments) - 1) / (monthlyInterestRate * Math.pow(1 + monthlyInterestRate, numberOfPayments)));
-                } else { // Serial loan
-                    maxLoan = pAndI / ((1 / numberOfPayments) + monthlyInterestRate);
-                }
-
-                const newEstimatedPropertyValue = maxLoan + totalDownPayment;
-                // If the value has stabilized, break the loop
-                if (Math.abs(newEstimatedPropertyValue - estimatedPropertyValue) < 1000) {
-                    estimatedPropertyValue = newEstimatedPropertyValue;
-                    break;
-                }
-                estimatedPropertyValue = newEstimatedPropertyValue;
-            }
-
-            maxLoan = maxLoan > 0 ? maxLoan : 0;
-            return { maxLoan, maxPropertyPrice: maxLoan + totalDownPayment };
-        };
-
-        const calculateLoanDetails = (amount) => {
-            if (amount <= 0) return { firstMonthPayment: 0, totalInterestPaid: 0, amortization: [] };
-
-            const monthlyInterestRate = interestRate / 100 / 12;
-            const numberOfPayments = loanTerm * 12;
-
-            let balance = amount;
-            const amortization = [];
-            let totalInterestPaid = 0;
-            let firstMonthPayment = 0;
-
-            if (loanType === 'annuity') {
-                const M = amount * (monthlyInterestRate * Math.pow(1 + monthlyInterestRate, numberOfPayments)) / (Math.pow(1 + monthlyInterestRate, numberOfPayments) - 1);
-                firstMonthPayment = M;
-                for (let i = 1; i <= numberOfPayments; i++) {
-                    if (balance <= 0) break;
-                    const interestPayment = balance * monthlyInterestRate;
-                    const principalPayment = M - interestPayment;
-                    balance -= principalPayment;
-                    totalInterestPaid += interestPayment;
-                    amortization.push({ month: i, principal: principalPayment, interest: interestPayment, balance: balance < 0 ? 0 : balance, totalPayment: M });
-                }
-            } else { // Serial Loan
-                const principalPerMonth = amount / numberOfPayments;
-                for (let i = 1; i <= numberOfPayments; i++) {
-                    if (balance <= 0) break;
-                    const interestPayment = balance * monthlyInterestRate;
-                    const totalPaymentThisMonth = principalPerMonth + interestPayment;
-                    if (i === 1) firstMonthPayment = totalPaymentThisMonth;
-                    balance -= principalPerMonth;
-                    totalInterestPaid += interestPayment;
-                    amortization.push({ month: i, principal: principalPerMonth, interest: interestPayment, balance: balance < 0 ? 0 : balance, totalPayment: totalPaymentThisMonth });
-                }
-            }
-            return { firstMonthPayment, totalInterestPaid, amortization };
-        };
-
-        const totalDownPayment = downPayment1 + downPayment2;
-        let currentPropertyValue = 0;
-
-        if (calculationMode === 'byPayment') {
-            const { maxPropertyPrice } = calculateAffordability(totalDownPayment);
-            currentPropertyValue = maxPropertyPrice;
-        } else { // 'byPrice'
-            currentPropertyValue = propertyValue;
-        }
-
-        setFinalPropertyValue(currentPropertyValue);
-
-        const ownershipValue1 = currentPropertyValue * (ownershipSplit / 100);
-        const ownershipValue2 = currentPropertyValue * ((100 - ownershipSplit) / 100);
-
-        const finalLoan1 = Math.max(0, ownershipValue1 - downPayment1);
-        const finalLoan2 = Math.max(0, ownershipValue2 - downPayment2);
-
-        const totalLoanAmount = finalLoan1 + finalLoan2;
-        setLoanAmount(totalLoanAmount);
-
-        if (totalLoanAmount <= 0) {
-            setCalculatedMonthlyPayment(0);
-            setLoanDetails1({ amount: 0, payment: 0, amortization: [], annuityPayment: 0, serialFirstPayment: 0, serialLastPayment: 0 });
-            setLoanDetails2({ amount: 0, payment: 0, amortization: [], annuityPayment: 0, serialFirstPayment: 0, serialLastPayment: 0 });
-            setTotalInterest(0);
-            setAmortizationData([]);
-        } else {
-            const details1 = calculateLoanDetails(finalLoan1);
-            const details2 = calculateLoanDetails(finalLoan2);
-
-            // Calculate payments for both loan types for each person
-            const monthlyRate = interestRate / 100 / 12;
-            const numPayments = loanTerm * 12;
-            
-            // Person 1 calculations
-            let annuityPayment1 = 0;
-            let serialFirstPayment1 = 0;
-            let serialLastPayment1 = 0;
-            
-            if (finalLoan1 > 0) {
-                // Annuity
-                annuityPayment1 = finalLoan1 * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-                // Serial
-                const serialPrincipal1 = finalLoan1 / numPayments;
-                serialFirstPayment1 = serialPrincipal1 + (finalLoan1 * monthlyRate);
-                serialLastPayment1 = serialPrincipal1 + (serialPrincipal1 * monthlyRate);
-            }
-            
-            // Person 2 calculations
-            let annuityPayment2 = 0;
-            let serialFirstPayment2 = 0;
-            let serialLastPayment2 = 0;
-            
-            if (finalLoan2 > 0) {
-                // Annuity
-                annuityPayment2 = finalLoan2 * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-                // Serial
-                const serialPrincipal2 = finalLoan2 / numPayments;
-                serialFirstPayment2 = serialPrincipal2 + (finalLoan2 * monthlyRate);
-                serialLastPayment2 = serialPrincipal2 + (serialPrincipal2 * monthlyRate);
-            }
-            
-            setLoanDetails1({ 
-                amount: finalLoan1, 
-                payment: details1.firstMonthPayment, 
-                amortization: details1.amortization,
-                annuityPayment: annuityPayment1,
-                serialFirstPayment: serialFirstPayment1,
-                serialLastPayment: serialLastPayment1
-            });
-            setLoanDetails2({ 
-                amount: finalLoan2, 
-                payment: details2.firstMonthPayment, 
-                amortization: details2.amortization,
-                annuityPayment: annuityPayment2,
-                serialFirstPayment: serialFirstPayment2,
-                serialLastPayment: serialLastPayment2
-            });
-            setTotalInterest(details1.totalInterestPaid + details2.totalInterestPaid);
-            setCalculatedMonthlyPayment(details1.firstMonthPayment + details2.firstMonthPayment);
-
-            // FIX 1: Create a combined amortization schedule that correctly reflects two separate loans
-            const correctCombinedAmortization = [];
-            const numberOfPayments = loanTerm * 12;
-            for (let i = 0; i < numberOfPayments; i++) {
-                const monthData1 = details1.amortization[i] || { balance: 0, principal: 0, interest: 0, totalPayment: 0 };
-                const monthData2 = details2.amortization[i] || { balance: 0, principal: 0, interest: 0, totalPayment: 0 };
-
-                correctCombinedAmortization.push({
-                    month: i + 1,
-                    balance: monthData1.balance + monthData2.balance,
-                    principal: monthData1.principal + monthData2.principal,
-                    interest: monthData1.interest + monthData2.interest,
-                    totalPayment: monthData1.totalPayment + monthData2.totalPayment,
-                });
-            }
-            setAmortizationData(correctCombinedAmortization);
-        }
-
-        const calculatedPropertyTax = calculatePropertyTax(currentPropertyValue, propertyTaxMode, customPropertyTaxAmount);
-        setPropertyTax(calculatedPropertyTax);
-
-    }, [calculationMode, desiredMonthlyPayment, propertyValue, interestRate, loanTerm, downPayment1, downPayment2, municipalDues, homeInsurance, hoa, maintenance, annualAppreciation, requiredReturn, rentalIncome, loanType, ownershipSplit, propertyTaxMode, customPropertyTaxAmount]);
+        const result = calculateMortgage({ ...mortgageInputs, desiredMonthlyPayment: desiredPayment });
+
+        setFinalPropertyValue(result.propertyValue);
+        setLoanAmount(result.loanAmount);
+        setLoans(result.loans);
+        setTotalInterest(result.totalInterest);
+        setCalculatedMonthlyPayment(result.monthlyPayment);
+        setAmortizationData(result.amortization);
+        setPropertyTax(result.propertyTax);
+        setLendingLimits(result.lendingLimits);
+        setPrepaymentEffect(result.prepaymentEffect);
+        setInterestOnlyEffect(result.interestOnlyEffect);
+        setLoanTranches(result.tranches);
+        setClosingCosts(result.closingCosts);
+        setSharedDebtDetails(result.sharedDebt);
+
+    }, [mortgageInputs, desiredPayment]);
+
+    // Fellesgjelden betales gjennom felleskostnadene
+    const sharedDebtSchedule = useMemo(() => (sharedDebtDetails ? sharedDebtDetails.schedule : []), [sharedDebtDetails]);
+    const sharedDebtPayment = sharedDebtDetails ? sharedDebtDetails.monthlyPayment : 0;
+    // Vedlikehold første år; som andel av boligverdien følger det kjøpesummen
+    const maintenanceCost = annualMaintenance({ maintenance, maintenancePlan, propertyValue: finalPropertyValue });
 
     useEffect(() => {
-        const monthlyFixedCosts = (municipalDues / 12) + (homeInsurance / 12) + (propertyTax / 12) + (maintenance / 12) + hoa;
-        const totalCost = calculatedMonthlyPayment + monthlyFixedCosts;
-        setTotalMonthlyCost(totalCost);
-        setNetMonthlyCost(totalCost - rentalIncome);
+        const costs = calculateMonthlyCosts({ monthlyPayment: calculatedMonthlyPayment, municipalDues, homeInsurance, propertyTax, maintenance: maintenanceCost, hoa: hoa + sharedDebtPayment, rentalIncome });
+        setTotalMonthlyCost(costs.totalMonthlyCost);
+        setNetMonthlyCost(costs.netMonthlyCost);
 
         if (loanAmount > 0 && amortizationData.length > 0) {
             const payoff = new Date();
@@ -389,318 +306,269 @@ const App = () => {
             setPayoffDate('N/A');
         }
 
-    }, [calculatedMonthlyPayment, municipalDues, homeInsurance, hoa, maintenance, rentalIncome, loanAmount, amortizationData, propertyTax]);
+    }, [calculatedMonthlyPayment, municipalDues, homeInsurance, hoa, sharedDebtPayment, maintenanceCost, rentalIncome, loanAmount, amortizationData, propertyTax]);
 
-    const totalDownPayment = downPayment1 + downPayment2;
-    const downPaymentPercentage1 = totalDownPayment > 0 ? (downPayment1 / totalDownPayment) * 100 : 0;
-    const downPaymentPercentage2 = totalDownPayment > 0 ? (downPayment2 / totalDownPayment) * 100 : 0;
+    const totalDownPayment = participantTotals(participants).downPayment;
 
-    const yearsToPayoff = amortizationData.length > 0 ? amortizationData.length / 12 : loanTerm;
-    const futurePropertyValue = finalPropertyValue * Math.pow(1 + (annualAppreciation / 100), yearsToPayoff);
+    const flatRate = isFlatRatePath(ratePath);
+    const activePrepayments = useMemo(() => (hasPrepayments(prepayments) ? prepayments : undefined), [prepayments]);
+    const interestOnlyPeriods = useMemo(() => activeInterestOnly(interestOnly), [interestOnly]);
+    const otherTranches = useMemo(() => loanTranches.filter(tranche => !tranche.main), [loanTranches]);
 
     // Loan Type Comparison Calculation (moved here to avoid use-before-define)
-    const loanTypeComparison = useMemo(() => {
-        if (loanAmount <= 0) return null;
-        
-        const monthlyInterestRate = interestRate / 100 / 12;
-        const numberOfPayments = loanTerm * 12;
-        
-        // Calculate for Annuity loan
-        const annuityPayment = loanAmount * (monthlyInterestRate * Math.pow(1 + monthlyInterestRate, numberOfPayments)) / (Math.pow(1 + monthlyInterestRate, numberOfPayments) - 1);
-        let annuityTotalInterest = 0;
-        let annuityBalance = loanAmount;
-        const annuityMonthlyPayments = [];
-        
-        for (let i = 1; i <= numberOfPayments; i++) {
-            const interestPayment = annuityBalance * monthlyInterestRate;
-            const principalPayment = annuityPayment - interestPayment;
-            annuityBalance -= principalPayment;
-            annuityTotalInterest += interestPayment;
-            if (i === 1 || i === Math.floor(numberOfPayments/2) || i === numberOfPayments) {
-                annuityMonthlyPayments.push({ month: i, payment: annuityPayment, principal: principalPayment, interest: interestPayment });
-            }
-        }
-        
-        // Calculate for Serial loan
-        const serialPrincipalPayment = loanAmount / numberOfPayments;
-        let serialTotalInterest = 0;
-        let serialBalance = loanAmount;
-        const serialMonthlyPayments = [];
-        
-        for (let i = 1; i <= numberOfPayments; i++) {
-            const interestPayment = serialBalance * monthlyInterestRate;
-            const totalPayment = serialPrincipalPayment + interestPayment;
-            serialBalance -= serialPrincipalPayment;
-            serialTotalInterest += interestPayment;
-            if (i === 1 || i === Math.floor(numberOfPayments/2) || i === numberOfPayments) {
-                serialMonthlyPayments.push({ month: i, payment: totalPayment, principal: serialPrincipalPayment, interest: interestPayment });
-            }
-        }
-        
-        return {
-            annuity: {
-                totalInterest: annuityTotalInterest,
-                totalCost: loanAmount + annuityTotalInterest,
-                firstPayment: annuityPayment,
-                lastPayment: annuityPayment,
-                monthlyPayments: annuityMonthlyPayments
-            },
-            serial: {
-                totalInterest: serialTotalInterest,
-                totalCost: loanAmount + serialTotalInterest,
-                firstPayment: serialPrincipalPayment + (loanAmount * monthlyInterestRate),
-                lastPayment: serialPrincipalPayment + (serialPrincipalPayment * monthlyInterestRate),
-                monthlyPayments: serialMonthlyPayments
-            }
-        };
-    }, [loanAmount, interestRate, loanTerm]);
-
-    // FIX 2: Complete rewrite of NPV and related financial metrics for correctness
-    const calculateAdvancedMetrics = useMemo(() => {
-        if (yearsToPayoff <= 0 || !amortizationData || amortizationData.length === 0) {
-            return { netPresentValue: 0, returnOnEquity: 0, totalPropertyReturn: 0, totalAlternativeReturn: 0, investmentAdvantage: 0, presentValueOfPropertyInvestment: 0, presentValueOfFutureSale: 0, presentValueOfRentalIncome: 0, presentValueOfCosts: 0, remainingDebt: 0, netWorthWithProperty: 0, realPropertyGain: 0, pureAlternativeReturn: 0, pureInvestmentAdvantage: 0, totalPaidIn: 0, classicRentVsBuyAdvantage: 0, totalRentVsBuyWealth: 0 };
-        }
-
-        const annualCosts = municipalDues + homeInsurance + propertyTax + maintenance + (hoa * 12);
-        const annualRentalIncome = rentalIncome * 12;
-
-        let presentValueOfAllCashFlows = 0;
-        for (let year = 1; year <= yearsToPayoff; year++) {
-            const startMonth = (year - 1) * 12;
-            const endMonth = year * 12;
-            const annualLoanPayment = amortizationData.slice(startMonth, endMonth).reduce((sum, month) => sum + month.totalPayment, 0);
-
-            const netCashFlowForYear = annualRentalIncome - annualCosts - annualLoanPayment;
-
-            presentValueOfAllCashFlows += netCashFlowForYear / Math.pow(1 + (requiredReturn / 100), year);
-        }
-
-        const presentValueOfFutureSale = futurePropertyValue / Math.pow(1 + (requiredReturn / 100), yearsToPayoff);
-        const netPresentValue = presentValueOfAllCashFlows + presentValueOfFutureSale - totalDownPayment;
-
-        const totalOtherCostsPaid = (annualCosts - annualRentalIncome) * yearsToPayoff;
-        const netProfit = futurePropertyValue - totalDownPayment - totalInterest - totalOtherCostsPaid;
-        const returnOnEquity = totalDownPayment > 0
-            ? (Math.pow((totalDownPayment + netProfit) / totalDownPayment, 1 / yearsToPayoff) - 1) * 100
-            : 0;
-
-        // Beregn restgjeld etter X år
-        const remainingDebt = amortizationData.length > 0 && amortizationData[amortizationData.length - 1] 
-            ? amortizationData[amortizationData.length - 1].balance 
-            : 0;
-        
-        // Netto formue fra boligkjøp = Boligverdi - Restgjeld
-        const netWorthWithProperty = futurePropertyValue - remainingDebt;
-        
-        // Hva har du faktisk betalt inn over årene?
-        const totalPaidIn = totalDownPayment + totalInterest + (loanAmount - remainingDebt) + 
-                           ((municipalDues + homeInsurance + propertyTax + maintenance + (hoa * 12)) * yearsToPayoff) -
-                           (rentalIncome * 12 * yearsToPayoff);
-        
-        // Din reelle gevinst fra boligkjøp
-        const realPropertyGain = netWorthWithProperty - totalPaidIn;
-        
-        // Beregn separate verdier for annuitetslån og serielån
-        let totalPaidInAnnuity = totalPaidIn;
-        let totalPaidInSerial = totalPaidIn;
-        let realPropertyGainAnnuity = realPropertyGain;
-        let realPropertyGainSerial = realPropertyGain;
-        
-        if (loanTypeComparison) {
-            // For annuitetslån
-            totalPaidInAnnuity = totalDownPayment + loanTypeComparison.annuity.totalInterest + (loanAmount - remainingDebt) + 
-                               ((municipalDues + homeInsurance + propertyTax + maintenance + (hoa * 12)) * yearsToPayoff) -
-                               (rentalIncome * 12 * yearsToPayoff);
-            realPropertyGainAnnuity = netWorthWithProperty - totalPaidInAnnuity;
-            
-            // For serielån
-            totalPaidInSerial = totalDownPayment + loanTypeComparison.serial.totalInterest + (loanAmount - remainingDebt) + 
-                              ((municipalDues + homeInsurance + propertyTax + maintenance + (hoa * 12)) * yearsToPayoff) -
-                              (rentalIncome * 12 * yearsToPayoff);
-            realPropertyGainSerial = netWorthWithProperty - totalPaidInSerial;
-        }
-        
-        // Ren investeringssammenligning - kun egenkapital
-        const pureAlternativeReturn = totalDownPayment * Math.pow(1 + (requiredReturn / 100), yearsToPayoff);
-        const pureInvestmentAdvantage = realPropertyGain - (pureAlternativeReturn - totalDownPayment);
-        
-        // Alternativ: Hvis du hadde spart samme månedlige beløp
-        // Start med egenkapital, legg til månedlig sparing med rente
-        const monthlyTotalCost = calculatedMonthlyPayment + (municipalDues/12) + (homeInsurance/12) + 
-                                (propertyTax/12) + (maintenance/12) + hoa - rentalIncome;
-        
-        // Beregn fremtidig verdi av månedlig sparing (annuitet)
-        const r = requiredReturn / 100 / 12; // månedlig rente
-        const n = yearsToPayoff * 12; // antall måneder
-        const futureValueOfMonthlySavings = r > 0 ? monthlyTotalCost * ((Math.pow(1 + r, n) - 1) / r) : monthlyTotalCost * n;
-        
-        // Total alternativ formue = egenkapital med rente + månedlig sparing med rente
-        const totalAlternativeWealth = totalDownPayment * Math.pow(1 + (requiredReturn / 100), yearsToPayoff) + futureValueOfMonthlySavings;
-        
-        // Sammenlign formue
-        const totalPropertyReturn = netWorthWithProperty;
-        const totalAlternativeReturn = totalAlternativeWealth;
-        const investmentAdvantage = totalPropertyReturn - totalAlternativeReturn;
-
-        // Separate present value components for detailed breakdown
-        let presentValueOfCosts = 0;
-        let presentValueOfRentalIncome = 0;
-        
-        for (let year = 1; year <= yearsToPayoff; year++) {
-            const startMonth = (year - 1) * 12;
-            const endMonth = year * 12;
-            const annualLoanPayment = amortizationData.slice(startMonth, endMonth).reduce((sum, month) => sum + month.totalPayment, 0);
-            const totalAnnualCosts = annualCosts + annualLoanPayment;
-            
-            presentValueOfCosts += totalAnnualCosts / Math.pow(1 + (requiredReturn / 100), year);
-            presentValueOfRentalIncome += annualRentalIncome / Math.pow(1 + (requiredReturn / 100), year);
-        }
+    // Beløp langt frem i tid i dagens kroner: deflateres med inflasjonen, ellers nominelt
+    const realInflation = realValues ? inflation : 0;
+    const loanTypeComparison = useMemo(
+        () => compareLoanTypes({ loanAmount, interestRate, loanTerm, ratePath, prepayments: activePrepayments, interestOnly: interestOnlyPeriods, tranches: otherTranches, inflation: realInflation }),
+        [loanAmount, interestRate, loanTerm, ratePath, activePrepayments, interestOnlyPeriods, otherTranches, realInflation]
+    );
 
-        // Present value comparisons - what both investments are worth in today's money
-        const presentValueOfPropertyInvestment = presentValueOfAllCashFlows + presentValueOfFutureSale;
+    // Fastrente mot flytende rente for hovedlånet, med lånedeler, ekstra innbetaling og avdragsfrihet som i planen
+    const fixedRateComparison = useMemo(
+        () => compareFixedRate({
+            loanAmount, loanTerm, loanType, fixedRate: fixedRateOffer, fixedYears: fixedRateYears, interestRate, ratePath,
+            tranches: otherTranches, prepayments: activePrepayments, interestOnly: interestOnlyPeriods, inflation: realInflation
+        }),
+        [loanAmount, loanTerm, loanType, fixedRateOffer, fixedRateYears, interestRate, ratePath, otherTranches, activePrepayments, interestOnlyPeriods, realInflation]
+    );
 
-        // Klassisk leie vs kjøpe sammenligning
-        // Hvis du leier til alternativeRentCost per måned og investerer differansen
-        const monthlySavingsIfRenting = totalMonthlyCost - alternativeRentCost; // Hva du sparer per måned ved å leie
-        
-        // Beregn formue hvis du leier og investerer differansen
-        let totalRentVsBuyWealth = totalDownPayment * Math.pow(1 + (requiredReturn / 100), yearsToPayoff); // Egenkapital investert
-        
-        // Hvis du sparer penger ved å leie (dvs. leie er billigere enn å eie)
-        if (monthlySavingsIfRenting > 0) {
-            const r = requiredReturn / 100 / 12;
-            const n = yearsToPayoff * 12;
-            const futureValueOfSavings = r > 0 ? monthlySavingsIfRenting * ((Math.pow(1 + r, n) - 1) / r) : monthlySavingsIfRenting * n;
-            totalRentVsBuyWealth += futureValueOfSavings;
-        }
-        
-        const classicRentVsBuyAdvantage = netWorthWithProperty - totalRentVsBuyWealth;
-
-        return { 
-            netPresentValue, 
-            returnOnEquity, 
-            totalPropertyReturn, 
-            totalAlternativeReturn, 
-            investmentAdvantage,
-            presentValueOfPropertyInvestment,
-            presentValueOfFutureSale,
-            presentValueOfRentalIncome,
-            presentValueOfCosts,
-            remainingDebt,
-            netWorthWithProperty,
-            realPropertyGain,
-            pureAlternativeReturn,
-            pureInvestmentAdvantage,
-            totalPaidIn,
-            classicRentVsBuyAdvantage,
-            totalRentVsBuyWealth,
-            totalPaidInAnnuity,
-            totalPaidInSerial,
-            realPropertyGainAnnuity,
-            realPropertyGainSerial
-        };
-    }, [yearsToPayoff, amortizationData, municipalDues, homeInsurance, propertyTax, maintenance, hoa, rentalIncome, requiredReturn, futurePropertyValue, totalDownPayment, totalInterest, loanAmount, calculatedMonthlyPayment, totalMonthlyCost, alternativeRentCost, loanTypeComparison]);
+    // Salgskostnader; gevinsten skattlegges bare for sekundærbolig
+    const saleCostInputs = useMemo(
+        () => ({ brokerFeeRate, marketingCost, gainTaxRate: secondaryHome ? taxRate : 0, acquisitionCosts: closingCosts ? closingCosts.acquisitionCosts : 0 }),
+        [brokerFeeRate, marketingCost, secondaryHome, taxRate, closingCosts]
+    );
+    const saleHorizon = Math.min(saleYear, loanTerm);
+
+    const advancedMetrics = useMemo(() => calculateAdvancedMetrics({
+        amortization: amortizationData,
+        propertyValue: finalPropertyValue,
+        annualAppreciation,
+        requiredReturn,
+        totalDownPayment,
+        loanAmount,
+        totalInterest,
+        municipalDues,
+        homeInsurance,
+        propertyTax,
+        maintenance,
+        hoa,
+        rentalIncome,
+        loanTypeComparison,
+        sale: saleEnabled ? { year: saleHorizon, ...saleCostInputs } : null,
+        sharedDebtSchedule,
+        inflation,
+        real: realValues,
+        escalation: costEscalation,
+        maintenancePlan
+    }), [amortizationData, finalPropertyValue, annualAppreciation, requiredReturn, totalDownPayment, loanAmount, totalInterest, municipalDues, homeInsurance, propertyTax, maintenance, hoa, rentalIncome, loanTypeComparison, saleEnabled, saleHorizon, saleCostInputs, sharedDebtSchedule, inflation, realValues, costEscalation, maintenancePlan]);
 
     const { 
         totalPropertyReturn, 
         totalAlternativeReturn, 
         investmentAdvantage,
         presentValueOfFutureSale,
-        presentValueOfRentalIncome,
-        remainingDebt,
         realPropertyGain,
         pureAlternativeReturn,
         pureInvestmentAdvantage,
-        totalPaidIn,
-        classicRentVsBuyAdvantage,
-        totalRentVsBuyWealth,
-        totalPaidInAnnuity,
-        totalPaidInSerial,
         realPropertyGainAnnuity,
-        realPropertyGainSerial
-    } = calculateAdvancedMetrics;
-
-    // Generer nedbetalingsplaner for begge lånetyper per person
-    const buildAmortization = useCallback((amount, kind) => {
-        if (!amount || amount <= 0 || !isFinite(amount)) return [];
-        const monthlyRate = interestRate / 100 / 12;
-        const n = loanTerm * 12;
-        let balance = amount;
-        const rows = [];
-        if (kind === 'annuity') {
-            const M = amount * (monthlyRate * Math.pow(1 + monthlyRate, n)) / (Math.pow(1 + monthlyRate, n) - 1);
-            for (let i = 1; i <= n; i++) {
-                if (balance <= 0) break;
-                const interest = balance * monthlyRate;
-                const principal = M - interest;
-                balance -= principal;
-                rows.push({ month: i, principal, interest, totalPayment: M, balance: balance < 0 ? 0 : balance });
-            }
-        } else { // serial
-            const principalPerMonth = amount / n;
-            for (let i = 1; i <= n; i++) {
-                if (balance <= 0) break;
-                const interest = balance * monthlyRate;
-                const totalPayment = principalPerMonth + interest;
-                balance -= principalPerMonth;
-                rows.push({ month: i, principal: principalPerMonth, interest, totalPayment, balance: balance < 0 ? 0 : balance });
-            }
-        }
-        return rows;
-    }, [interestRate, loanTerm]);
-
-    const amortAnnuityPerson1 = useMemo(() => buildAmortization(loanDetails1.amount, 'annuity'), [buildAmortization, loanDetails1.amount]);
-    const amortAnnuityPerson2 = useMemo(() => buildAmortization(loanDetails2.amount, 'annuity'), [buildAmortization, loanDetails2.amount]);
-    const amortSerialPerson1 = useMemo(() => buildAmortization(loanDetails1.amount, 'serial'), [buildAmortization, loanDetails1.amount]);
-    const amortSerialPerson2 = useMemo(() => buildAmortization(loanDetails2.amount, 'serial'), [buildAmortization, loanDetails2.amount]);
-
-    const combineAmort = useCallback((rows1, rows2) => {
-        const n = Math.max(rows1.length, rows2.length);
-        const result = [];
-        for (let i = 0; i < n; i++) {
-            const r1 = rows1[i] || { month: i + 1, principal: 0, interest: 0, totalPayment: 0, balance: 0 };
-            const r2 = rows2[i] || { month: i + 1, principal: 0, interest: 0, totalPayment: 0, balance: 0 };
-            result.push({
-                month: i + 1,
-                principal: (r1.principal || 0) + (r2.principal || 0),
-                interest: (r1.interest || 0) + (r2.interest || 0),
-                totalPayment: (r1.totalPayment || 0) + (r2.totalPayment || 0),
-                balance: (r1.balance || 0) + (r2.balance || 0),
-            });
+        realPropertyGainSerial,
+        breakEvenRent
+    } = advancedMetrics;
+    // Analysens tidshorisont: til lånet er nedbetalt, eller til salget
+    const yearsHeld = advancedMetrics.yearsHeld || loanTerm;
+
+    // Samme analyse på simulerte rente- og prisbaner
+    const simulationInputs = useMemo(() => ({
+        loanAmount, loanTerm, loanType, interestRate, ratePath,
+        tranches: otherTranches, prepayments: activePrepayments, interestOnly: interestOnlyPeriods,
+        propertyValue: finalPropertyValue, annualAppreciation, requiredReturn, totalDownPayment,
+        municipalDues, homeInsurance, propertyTax, maintenance, hoa, rentalIncome,
+        sale: saleEnabled ? { year: saleHorizon, ...saleCostInputs } : null,
+        sharedDebtSchedule,
+        inflation,
+        real: realValues,
+        escalation: costEscalation,
+        maintenancePlan,
+        settings: simulationSettings
+    }), [loanAmount, loanTerm, loanType, interestRate, ratePath, otherTranches, activePrepayments, interestOnlyPeriods, finalPropertyValue, annualAppreciation, requiredReturn, totalDownPayment, municipalDues, homeInsurance, propertyTax, maintenance, hoa, rentalIncome, saleEnabled, saleHorizon, saleCostInputs, sharedDebtSchedule, inflation, realValues, costEscalation, maintenancePlan, simulationSettings]);
+
+    // Simuleringen går i en egen tråd; en ny kjøring avbryter den forrige
+    useEffect(() => {
+        if (!simulationEnabled || simulationInputs.loanAmount <= 0) {
+            setSimulation(null);
+            setSimulationRunning(false);
+            return undefined;
         }
-        return result;
-    }, []);
+        const worker = createSimulationWorker();
+        setSimulationRunning(true);
+        worker.onmessage = (event) => {
+            setSimulation(event.data);
+            setSimulationRunning(false);
+            worker.terminate();
+        };
+        worker.postMessage(simulationInputs);
+        return () => worker.terminate();
+    }, [simulationEnabled, simulationInputs]);
+
+    // Generer nedbetalingsplaner for begge lånetyper per deltaker
+    const participantSchedules = useMemo(() => loans.map(loan => {
+        const share = loanAmount > 0 ? loan.amount / loanAmount : 0;
+        const { annuity, serial } = buildSplitLoan({
+            amount: loan.amount, share, tranches: otherTranches, interestRate, loanTerm, ratePath,
+            prepayments: splitPrepayments(activePrepayments, share), interestOnly: interestOnlyPeriods
+        });
+        return { annuity, serial };
+    }), [loans, loanAmount, otherTranches, interestRate, loanTerm, ratePath, activePrepayments, interestOnlyPeriods]);
+    const participantName = (index) => (participants[index] ? participants[index].name : `Låntaker ${index + 1}`);
 
-    const amortAnnuityTotal = useMemo(() => combineAmort(amortAnnuityPerson1, amortAnnuityPerson2), [combineAmort, amortAnnuityPerson1, amortAnnuityPerson2]);
-    const amortSerialTotal = useMemo(() => combineAmort(amortSerialPerson1, amortSerialPerson2), [combineAmort, amortSerialPerson1, amortSerialPerson2]);
+    // Forutsetninger i toppen av eksporterte nedbetalingsplaner
+    const exportAssumptions = { inputs: currentInputs, propertyValue: finalPropertyValue, loanAmount, loanAmounts: loans.map(loan => loan.amount) };
 
-    // Chart Data
-    const amortizationChartData = {
-        labels: amortizationData.map(d => `Måned ${d.month}`),
-        datasets: [{ label: 'Gjenværende Lånebalanse', data: amortizationData.map(d => d.balance), borderColor: 'rgb(75, 192, 192)', backgroundColor: 'rgba(75, 192, 192, 0.2)', fill: true, tension: 0.1, }],
+    // Nedbetalingsplanene som vises og eksporteres, i kronene som er valgt
+    const displaySchedules = useMemo(
+        () => participantSchedules.map(schedule => ({ annuity: deflateSchedule(schedule.annuity, realInflation), serial: deflateSchedule(schedule.serial, realInflation) })),
+        [participantSchedules, realInflation]
+    );
+    const displayAmortization = useMemo(() => deflateSchedule(amortizationData, realInflation), [amortizationData, realInflation]);
+    const amortAnnuityTotal = useMemo(() => combineAmortization(displaySchedules.map(schedule => schedule.annuity)), [displaySchedules]);
+    const amortSerialTotal = useMemo(() => combineAmortization(displaySchedules.map(schedule => schedule.serial)), [displaySchedules]);
+
+    // Driftskostnader per år (uten lån)
+    const annualRunningCosts = municipalDues + homeInsurance + propertyTax + maintenanceCost + hoa * 12;
+
+    // Skatt per låntaker første år, med rentefradrag-satsen fra skjemaet
+    const householdTax = useMemo(() => calculateHouseholdTax({
+        borrowers: participantSchedules.map((schedule, i) => ({
+            ownershipShare: participants[i] ? participants[i].ownershipShare / 100 : 0,
+            costShare: participants[i] ? (participants[i].costShare ?? participants[i].ownershipShare) / 100 : 0,
+            downPayment: participants[i] ? participants[i].downPayment : 0,
+            loanAmount: loans[i].amount,
+            schedule: loanType === 'serial' ? schedule.serial : schedule.annuity
+        })),
+        // Formuesverdien for borettslag regnes av totalprisen, fellesgjelden inkludert
+        propertyValue: finalPropertyValue + (closingCosts ? closingCosts.sharedDebt : 0),
+        annualCosts: annualRunningCosts,
+        annualRent: rentalIncome * 12,
+        rentedShare,
+        secondaryHome,
+        deductionSplit: deductionSplitMode === 'agreed' ? participants.map((_, i) => deductionSplit[i] ?? 100 / participants.length) : null,
+        sharedDebtSchedule,
+        rules: { ...TAX_RULES[taxYear], capitalIncomeRate: taxRate / 100 }
+    }), [participants, loans, loanType, participantSchedules, finalPropertyValue, closingCosts, annualRunningCosts, rentalIncome, rentedShare, secondaryHome, deductionSplitMode, deductionSplit, sharedDebtSchedule, taxYear, taxRate]);
+
+    // Planene per låntaker, med rentefradraget fordelt som i skattemodellen
+    const schedulesWithDeductions = (type, total) => {
+        const schedules = displaySchedules.map(schedule => schedule[type]);
+        const deductions = monthlyInterestDeductions({
+            schedules,
+            deductionShares: householdTax.persons.map(person => person.deductionShare),
+            rules: { ...TAX_RULES[taxYear], capitalIncomeRate: taxRate / 100 }
+        });
+        return [
+            { title: 'Totalt', rows: total, deductions: deductions.total },
+            ...schedules.map((rows, i) => ({ title: participantName(i), rows, deductions: deductions.persons[i] }))
+        ];
+    };
+    const annuitySchedules = schedulesWithDeductions('annuity', amortAnnuityTotal);
+    const serialSchedules = schedulesWithDeductions('serial', amortSerialTotal);
+
+    // Renteøkning fra valgt måned, for husstanden og per låntaker
+    const rateStress = useMemo(() => calculateRateStress({
+        schedules: participantSchedules.map(schedule => (loanType === 'serial' ? schedule.serial : schedule.annuity)),
+        loanType,
+        month: stressMonth,
+        taxRate,
+        budget: stressBudget,
+        municipalDues,
+        homeInsurance,
+        propertyTax,
+        maintenance,
+        hoa,
+        rentalIncome,
+        sharedDebtSchedule,
+        inflation,
+        real: realValues,
+        escalation: costEscalation,
+        maintenancePlan,
+        propertyValue: finalPropertyValue,
+        annualAppreciation
+    }), [participantSchedules, loanType, stressMonth, taxRate, stressBudget, municipalDues, homeInsurance, propertyTax, maintenance, hoa, rentalIncome, sharedDebtSchedule, inflation, realValues, costEscalation, maintenancePlan, finalPropertyValue, annualAppreciation]);
+
+    // Husholdningsbudsjett: overskudd etter levekostnader (SIFO), annen gjeld og boutgifter
+    const budget = useMemo(() => calculateHouseholdBudget({
+        netIncomes: participants.map(participant => participant.netIncome || 0),
+        adults: householdAdults(participants),
+        children: householdBudget.children,
+        cars: householdBudget.cars,
+        otherDebtPayment: householdBudget.otherDebtPayment,
+        otherExpenses: householdBudget.otherExpenses,
+        netMonthlyCost,
+        runningCosts: monthlyFixedCosts({ municipalDues, homeInsurance, propertyTax, maintenance: maintenanceCost, hoa: hoa + sharedDebtPayment }) - rentalIncome
+    }), [participants, householdBudget, netMonthlyCost, municipalDues, homeInsurance, propertyTax, maintenanceCost, hoa, sharedDebtPayment, rentalIncome]);
+
+    // Innskudd per deltaker år for år, og oppgjøret etter valgt antall år
+    const coOwnershipInputs = useMemo(() => ({
+        participants: participants.slice(0, participantSchedules.length),
+        schedules: participantSchedules.map(schedule => (loanType === 'serial' ? schedule.serial : schedule.annuity)),
+        propertyValue: finalPropertyValue,
+        annualAppreciation,
+        annualCosts: annualRunningCosts
+    }), [participants, participantSchedules, loanType, finalPropertyValue, annualAppreciation, annualRunningCosts]);
+    const settlementLedger = useMemo(
+        () => calculateContributionLedger({ ...coOwnershipInputs, years: Math.min(settlementYear, loanTerm) }).map(entry => deflateSettlement(entry, realInflation)),
+        [coOwnershipInputs, settlementYear, loanTerm, realInflation]
+    );
+    const settlement = useMemo(
+        () => deflateSettlement(calculateSettlement({ ...coOwnershipInputs, year: Math.min(settlementYear, loanTerm), includeRunningCosts: settlementIncludesCosts }), realInflation),
+        [coOwnershipInputs, settlementYear, loanTerm, settlementIncludesCosts, realInflation]
+    );
+
+    // Netto etter salg i valgt år, og for salg i hvert år av løpetiden
+    const saleInputs = useMemo(() => ({
+        participants: coOwnershipInputs.participants,
+        schedules: coOwnershipInputs.schedules,
+        propertyValue: finalPropertyValue,
+        annualAppreciation,
+        sharedDebtSchedule,
+        ...saleCostInputs
+    }), [coOwnershipInputs, finalPropertyValue, annualAppreciation, sharedDebtSchedule, saleCostInputs]);
+    const sale = useMemo(() => deflateSale(calculateSale({ ...saleInputs, year: saleHorizon }), realInflation), [saleInputs, saleHorizon, realInflation]);
+    const saleCurve = useMemo(
+        () => calculateSaleCurve({ ...saleInputs, years: loanTerm }).map(point => deflateSale(point, realInflation)),
+        [saleInputs, loanTerm, realInflation]
+    );
+
+    const chooseMunicipality = (number, dues) => {
+        setPropertyTaxMode(number);
+        if (dues !== null) setMunicipalDues(dues);
+    };
+
+    // Å dra i ønsket betaling tar over fra budsjettet
+    const changeDesiredPayment = (value) => {
+        setDesiredMonthlyPayment(value);
+        if (deriveDesiredPayment) setHouseholdBudget({ ...householdBudget, deriveDesiredPayment: false });
     };
-    // Calculate percentages for payment breakdown
+
+    const changeTaxYear = (year) => {
+        setTaxYear(year);
+        setTaxRate(TAX_RULES[year].capitalIncomeRate * 100);
+    };
+
+    // Chart Data
     const paymentBreakdownData = [
         { label: 'Avdrag & Renter', value: calculatedMonthlyPayment },
         { label: 'Kommunale Avgifter', value: municipalDues / 12 },
         { label: 'Eiendomsskatt', value: propertyTax / 12 },
         { label: 'Boligforsikring', value: homeInsurance / 12 },
-        { label: 'Vedlikehold', value: maintenance / 12 },
-        { label: 'Felleskostnader', value: hoa }
-    ].filter(item => item.value > 0);
-    
-    const totalPaymentBreakdown = paymentBreakdownData.reduce((sum, item) => sum + item.value, 0);
-    
-    const paymentBreakdownChartData = {
-        labels: paymentBreakdownData.map(item => 
-            `${item.label} (${((item.value / totalPaymentBreakdown) * 100).toFixed(1)} %)`
-        ),
-        datasets: [{ 
-            data: paymentBreakdownData.map(item => item.value), 
-            backgroundColor: ['#4CAF50', '#FFC107', '#FF5722', '#9C27B0', '#FF9800', '#2196F3'], 
-            hoverBackgroundColor: ['#66BB6A', '#FFCA28', '#FF7043', '#BA68C8', '#FFB74D', '#42A5F5'],
-        }],
-    };
+        { label: 'Vedlikehold', value: maintenanceCost / 12 },
+        { label: 'Felleskostnader', value: hoa },
+        { label: 'Fellesgjeld', value: sharedDebtPayment }
+    ];
+
+    const equityCurve = useMemo(
+        () => deflateYears(calculateEquityCurve({ amortization: amortizationData, propertyValue: finalPropertyValue, annualAppreciation }), realInflation, ['propertyValue', 'debt', 'equity']),
+        [amortizationData, finalPropertyValue, annualAppreciation, realInflation]
+    );
     
     // Calculate principal vs interest for first payment
     const firstPaymentPrincipal = amortizationData.length > 0 ? amortizationData[0].principal : 0;
@@ -722,65 +590,168 @@ const App = () => {
     const annuityNetLoanCostMonthly = loanTypeComparison ? (loanTypeComparison.annuity.firstPayment - annuityTaxDeductionMonthly) : 0;
     const serialNetLoanCostMonthly = loanTypeComparison ? (loanTypeComparison.serial.firstPayment - serialTaxDeductionMonthly) : 0;
 
-    // Første måned per person for begge lånetyper (til Individuell fordeling)
-    const p1AnnFirst = amortAnnuityPerson1 && amortAnnuityPerson1.length > 0 ? amortAnnuityPerson1[0] : null;
-    const p2AnnFirst = amortAnnuityPerson2 && amortAnnuityPerson2.length > 0 ? amortAnnuityPerson2[0] : null;
-    const p1SerFirst = amortSerialPerson1 && amortSerialPerson1.length > 0 ? amortSerialPerson1[0] : null;
-    const p2SerFirst = amortSerialPerson2 && amortSerialPerson2.length > 0 ? amortSerialPerson2[0] : null;
-
     return (
         <div className="bg-gray-100 min-h-screen p-4 sm:p-6 lg:p-8 font-sans">
             <div className="max-w-7xl mx-auto">
                 <header className="mb-8 text-center">
                     <h1 className="text-4xl font-bold text-gray-800">Avansert Lånekalkulator</h1>
                     <p className="text-lg text-gray-600 mt-2">Se hva dere har råd til og hvordan kostnadene fordeles.</p>
+                    <div className="mt-4 inline-flex rounded-md shadow-sm" role="group" aria-label="Kroneverdi">
+                        <button onClick={() => setRealValues(false)} className={`px-4 py-2 text-sm rounded-l-md ${!realValues ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Nominelle kroner</button>
+                        <button onClick={() => setRealValues(true)} className={`px-4 py-2 text-sm rounded-r-md ${realValues ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Dagens kroner</button>
+                    </div>
+                    {realValues && (
+                        <p className="text-xs text-gray-500 mt-2">
+                            Nedbetalingsplaner, grafer, salg, oppgjør mellom eierne, rentestress, fastrente og investeringsanalysen vises i dagens kroner, deflatert med {inflation.toFixed(1)} % inflasjon per år.
+                            Første måneds kostnader, skatt og budsjett gjelder i dag og er like i begge visninger.
+                        </p>
+                    )}
+                    <div className="mt-4">
+                        <ReportButton
+                            reportData={{ inputs: currentInputs, propertyValue: finalPropertyValue, loanAmount, loans, tranches: loanTranches, closingCosts, loanTypeComparison, metrics: advancedMetrics, totalMonthlyCost, netMonthlyCost, amortization: displayAmortization }}
+                            annuitySchedule={amortAnnuityTotal}
+                            serialSchedule={amortSerialTotal}
+                            equityCurve={equityCurve}
+                            shareLink={`${window.location.origin}${window.location.pathname}#${encodeParams(writeParams(currentInputs))}`}
+                        />
+                    </div>
                 </header>
 
                 <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                     <div className="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg">
                         <h2 className="text-2xl font-semibold text-gray-700 mb-4 border-b pb-3">Kalkuleringsmåte</h2>
                         <div className="flex flex-col sm:flex-row rounded-md shadow-sm mb-6 gap-2 sm:gap-0">
-                            <button onClick={() => setCalculationMode('byPayment')} className={`flex-1 p-3 sm:p-2 text-sm sm:rounded-l-md rounded-md ${calculationMode === 'byPayment' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Finn boligpris fra månedsbeløp</button>
-                            <button onClick={() => setCalculationMode('byPrice')} className={`flex-1 p-3 sm:p-2 text-sm sm:rounded-r-md rounded-md ${calculationMode === 'byPrice' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Finn månedsbeløp fra boligpris</button>
+                            <button onClick={() => setCalculationMode('byPayment')} className={`flex-1 p-3 sm:p-2 text-sm sm:rounded-none sm:rounded-l-md rounded-md ${calculationMode === 'byPayment' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Finn boligpris fra månedsbeløp</button>
+                            <button onClick={() => setCalculationMode('byPrice')} className={`flex-1 p-3 sm:p-2 text-sm sm:rounded-none rounded-md ${calculationMode === 'byPrice' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Finn månedsbeløp fra boligpris</button>
+                            <button onClick={() => setCalculationMode('byIncome')} className={`flex-1 p-3 sm:p-2 text-sm sm:rounded-none sm:rounded-r-md rounded-md ${calculationMode === 'byIncome' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Maks lån fra inntekt</button>
                         </div>
 
-                        {calculationMode === 'byPayment' ? (
+                        {calculationMode === 'byPrice' ? (
                             <div>
-                                <InputSlider label="Ønsket Månedlig Betaling (Totalt)" value={desiredMonthlyPayment} onChange={e => setDesiredMonthlyPayment(Number(e.target.value))} min={1000} max={100000} step={1000} format="currency" />
+                                <InputSlider label="Ønsket Boligpris" value={propertyValue} onChange={e => setPropertyValue(Number(e.target.value))} min={500000} max={30000000} step={50000} format="currency" />
                             </div>
                         ) : (
                             <div>
-                                <InputSlider label="Ønsket Boligpris" value={propertyValue} onChange={e => setPropertyValue(Number(e.target.value))} min={500000} max={30000000} step={50000} format="currency" />
+                                <InputSlider label={calculationMode === 'byIncome' ? 'Maks månedlig betaling (brukes i stresstest)' : 'Ønsket Månedlig Betaling (Totalt)'} value={desiredPayment} onChange={e => changeDesiredPayment(Number(e.target.value))} min={1000} max={100000} step={1000} format="currency" />
+                                {deriveDesiredPayment && <p className="text-xs text-gray-500 -mt-2 mb-2">Hentes fra overskuddet i husholdningsbudsjettet.</p>}
                             </div>
                         )}
 
                         <h3 className="text-xl font-semibold text-gray-700 mt-6 mb-4 border-b pb-2">Fordeling</h3>
-                        <InputSlider label="Din Egenkapital" value={downPayment1} onChange={e => setDownPayment1(Number(e.target.value))} min={0} max={17500000} step={10000} format="currency" />
-                        <InputSlider label="Medlåntakers Egenkapital" value={downPayment2} onChange={e => setDownPayment2(Number(e.target.value))} min={0} max={17500000} step={10000} format="currency" />
-                        <InputSlider label="Ønsket Eierandel (Din andel %)" value={ownershipSplit} onChange={e => setOwnershipSplit(Number(e.target.value))} min={0} max={100} step={1} format="percent" />
+                        <ParticipantEditor participants={participants} onChange={setParticipants} debtSplitMode={debtSplitMode} onDebtSplitModeChange={setDebtSplitMode} />
+                        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                            <input type="checkbox" checked={secondaryHomeOslo} onChange={e => setSecondaryHomeOslo(e.target.checked)} className="h-4 w-4" />
+                            Sekundærbolig i Oslo (krav om 40 % egenkapital)
+                        </label>
+
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Kjøpsomkostninger</h3>
+                        <div className="mb-4">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Boligtype</label>
+                            <div className="flex rounded-md shadow-sm">
+                                {Object.entries(PROPERTY_TYPES).map(([type, label], i) => (
+                                    <button key={type} onClick={() => setPropertyType(type)} className={`flex-1 p-2 text-sm ${i === 0 ? 'rounded-l-md' : 'rounded-r-md'} ${propertyType === type ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>{label}</button>
+                                ))}
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1">
+                                {propertyType === 'cooperative' ? 'Ingen dokumentavgift, men andel av fellesgjelden følger med' : '2,5 % dokumentavgift av kjøpesummen'}
+                            </p>
+                        </div>
+                        <InputSlider label="Etableringsgebyr (kr)" value={establishmentFee} onChange={e => setEstablishmentFee(Number(e.target.value))} min={0} max={20000} step={500} format="currency" />
+                        {propertyType === 'cooperative' && (
+                            <>
+                                <InputSlider label="Andel fellesgjeld (kr)" value={sharedDebt} onChange={e => setSharedDebt(Number(e.target.value))} min={0} max={10000000} step={10000} format="currency" />
+                                {sharedDebt > 0 && (
+                                    <>
+                                        <InputSlider label="Rente fellesgjeld ( %)" value={sharedDebtRate} onChange={e => setSharedDebtRate(Number(e.target.value))} min={0} max={15} step={0.05} format="percent" />
+                                        <InputSlider label="Avdragsfri til (år)" value={sharedDebtInterestOnlyUntil} onChange={e => setSharedDebtInterestOnlyUntil(Number(e.target.value))} min={CURRENT_YEAR} max={CURRENT_YEAR + 30} step={1} format="years" />
+                                        <InputSlider label="Gjenstående løpetid fellesgjeld (år)" value={sharedDebtTerm} onChange={e => setSharedDebtTerm(Number(e.target.value))} min={1} max={50} step={1} format="years" />
+                                        <InputSlider label="IN-ordning: innfri fellesgjeld (kr)" value={individualRepayment} onChange={e => setIndividualRepayment(Number(e.target.value))} min={0} max={sharedDebt} step={10000} format="currency" />
+                                    </>
+                                )}
+                            </>
+                        )}
 
                         <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Lånebetingelser</h3>
-                        <InputSlider label="Rente ( %)" value={interestRate} onChange={e => setInterestRate(Number(e.target.value))} min={0.1} max={20} step={0.01} format="percent" />
+                        <div className="mb-4">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Lånetype</label>
+                            <div className="flex rounded-md shadow-sm">
+                                <button onClick={() => setLoanType('annuity')} className={`flex-1 p-2 text-sm rounded-l-md ${loanType === 'annuity' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Annuitetslån</button>
+                                <button onClick={() => setLoanType('serial')} className={`flex-1 p-2 text-sm rounded-r-md ${loanType === 'serial' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Serielån</button>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1">Brukes for boligpris fra månedsbeløp, nedbetalingsdato og investeringsanalysen</p>
+                        </div>
+                        {ratePath.type === 'policy' ? (
+                            <div className="bg-gray-100 p-3 rounded-lg mb-4">
+                                <p className="text-sm text-gray-600">Lånerente første måned</p>
+                                <p className="font-bold text-lg text-gray-800">{rateForMonth(ratePath, interestRate, 1).toFixed(2)} %</p>
+                            </div>
+                        ) : (
+                            <InputSlider label={flatRate ? 'Rente ( %)' : 'Startrente ( %)'} value={interestRate} onChange={e => setInterestRate(Number(e.target.value))} min={0.1} max={20} step={0.01} format="percent" />
+                        )}
+                        <RatePathEditor ratePath={ratePath} onChange={setRatePath} interestRate={interestRate} />
                         <InputSlider label="Løpetid (År)" value={loanTerm} onChange={e => setLoanTerm(Number(e.target.value))} min={1} max={40} step={1} format="years" />
-                        <InputSlider label="Rentefradrag-sats ( %) (Norge 2025: 22 %)" value={taxRate} onChange={e => setTaxRate(Number(e.target.value))} min={0} max={50} step={0.1} format="percent" />
+
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Lånedeler</h3>
+                        <TrancheEditor tranches={tranches} onChange={setTranches} interestRate={interestRate} loanTerm={loanTerm} />
+
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Ekstra innbetaling</h3>
+                        <PrepaymentEditor prepayments={prepayments} onChange={setPrepayments} />
+
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Avdragsfrihet</h3>
+                        <InterestOnlyEditor periods={interestOnly} onChange={setInterestOnly} loanTerm={loanTerm} />
 
                         <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Faste Kostnader & Inntekt</h3>
                         <InputSlider label="Kommunale Avgifter (kr/år)" value={municipalDues} onChange={e => setMunicipalDues(Number(e.target.value))} min={0} max={100000} step={1000} format="currency" />
-                        <InputSlider label="Vedlikehold (kr/år)" value={maintenance} onChange={e => setMaintenance(Number(e.target.value))} min={0} max={100000} step={1000} format="currency" />
+                        {maintenancePlan.mode !== 'percent' && (
+                            <InputSlider label="Vedlikehold (kr/år)" value={maintenance} onChange={e => setMaintenance(Number(e.target.value))} min={0} max={100000} step={1000} format="currency" />
+                        )}
                         <InputSlider label="Boligforsikring (kr/år)" value={homeInsurance} onChange={e => setHomeInsurance(Number(e.target.value))} min={0} max={50000} step={500} format="currency" />
                         <InputSlider label="Felleskostnader (kr/mnd)" value={hoa} onChange={e => setHoa(Number(e.target.value))} min={0} max={20000} step={250} format="currency" />
                         <InputSlider label="Forventet prisendring ( % per år)" value={annualAppreciation} onChange={e => setAnnualAppreciation(Number(e.target.value))} min={-10} max={15} step={0.1} format="percent" />
+                        <InputSlider label="Inflasjon ( % per år)" value={inflation} onChange={e => setInflation(Number(e.target.value))} min={0} max={10} step={0.1} format="percent" />
                         <InputSlider label="Avkastningskrav ( % per år)" value={requiredReturn} onChange={e => setRequiredReturn(Number(e.target.value))} min={1} max={15} step={0.1} format="percent" />
                         <InputSlider label="Utleieinntekt (kr/mnd)" value={rentalIncome} onChange={e => setRentalIncome(Number(e.target.value))} min={0} max={30000} step={500} format="currency" />
 
-                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Eiendomsskatt</h3>
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Kostnadsvekst & Vedlikehold</h3>
+                        <RunningCostsEditor
+                            escalation={costEscalation}
+                            onEscalationChange={setCostEscalation}
+                            maintenancePlan={maintenancePlan}
+                            onMaintenancePlanChange={setMaintenancePlan}
+                            inflation={inflation}
+                            maintenanceCost={maintenanceCost}
+                        />
+
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Skatt</h3>
                         <div className="mb-4">
-                            <label className="block text-sm font-medium text-gray-700 mb-2">Kommune</label>
-                            <div className="flex rounded-md shadow-sm mb-4">
-                                <button onClick={() => setPropertyTaxMode('oslo')} className={`flex-1 p-2 text-sm rounded-l-md ${propertyTaxMode === 'oslo' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Oslo (2,35‰)</button>
-                                <button onClick={() => setPropertyTaxMode('custom')} className={`flex-1 p-2 text-sm rounded-r-md ${propertyTaxMode === 'custom' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Annen kommune</button>
+                            <label htmlFor="taxYear" className="block text-sm font-medium text-gray-700 mb-2">Skatteår</label>
+                            <select id="taxYear" value={taxYear} onChange={e => changeTaxYear(Number(e.target.value))} className="w-full p-2 border rounded-md text-sm">
+                                {Object.keys(TAX_RULES).map(year => <option key={year} value={year}>{year}</option>)}
+                            </select>
+                        </div>
+                        <InputSlider label={`Rentefradrag-sats ( %) (Norge ${taxYear}: ${TAX_RULES[taxYear].capitalIncomeRate * 100} %)`} value={taxRate} onChange={e => setTaxRate(Number(e.target.value))} min={0} max={50} step={0.1} format="percent" />
+                        <div className="mb-4">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Fordeling av rentefradrag</label>
+                            <div className="flex rounded-md shadow-sm">
+                                <button onClick={() => setDeductionSplitMode('debt')} className={`flex-1 p-2 text-sm rounded-l-md ${deductionSplitMode === 'debt' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Etter gjeldsandel</button>
+                                <button onClick={() => setDeductionSplitMode('agreed')} className={`flex-1 p-2 text-sm rounded-r-md ${deductionSplitMode === 'agreed' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Avtalt fordeling</button>
                             </div>
                         </div>
+                        {deductionSplitMode === 'agreed' && (
+                            participants.map((participant, i) => (
+                                <InputSlider key={i} label={`Andel av rentefradraget – ${participant.name} ( %)`} value={deductionSplit[i] ?? Math.round(100 / participants.length)} onChange={e => setDeductionSplit(participants.map((_, j) => (j === i ? Number(e.target.value) : (deductionSplit[j] ?? Math.round(100 / participants.length)))))} min={0} max={100} step={1} format="percent" />
+                            ))
+                        )}
+                        {rentalIncome > 0 && (
+                            <InputSlider label="Andel av boligen som leies ut ( %)" value={rentedShare} onChange={e => setRentedShare(Number(e.target.value))} min={0} max={100} step={1} format="percent" />
+                        )}
+                        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                            <input type="checkbox" checked={secondaryHome} onChange={e => setSecondaryHome(e.target.checked)} className="h-4 w-4" />
+                            Sekundærbolig (formuesverdi 100 %, utleie skattepliktig)
+                        </label>
+
+                        <h3 className="text-xl font-semibold text-gray-700 mt-8 mb-4 border-b pb-2">Eiendomsskatt</h3>
+                        <MunicipalityPicker value={propertyTaxMode} onChange={chooseMunicipality} />
                         {propertyTaxMode === 'custom' && (
                             <InputSlider label="Årlig eiendomsskatt (kr)" value={customPropertyTaxAmount} onChange={e => setCustomPropertyTaxAmount(Number(e.target.value))} min={0} max={100000} step={1000} format="currency" />
                         )}
@@ -801,7 +772,7 @@ const App = () => {
                                         <span className="text-3xl">🏠</span>
                                         <div>
                                             <p className="text-sm font-medium text-gray-600">
-                                                Total Boligpris {calculationMode === 'byPayment' ? '(Beregnet)' : ''}
+                                                Total Boligpris {calculationMode !== 'byPrice' ? '(Beregnet)' : ''}
                                             </p>
                                             <p className="text-3xl font-bold text-indigo-700">
                                                 {formatCurrency(finalPropertyValue)}
@@ -812,7 +783,15 @@ const App = () => {
                                         <div className="text-right">
                                             <p className="text-xs text-gray-500">Basert på</p>
                                             <p className="text-sm font-semibold text-gray-700">
-                                                {formatCurrency(desiredMonthlyPayment)}/mnd
+                                                {formatCurrency(desiredPayment)}/mnd
+                                            </p>
+                                        </div>
+                                    )}
+                                    {calculationMode === 'byIncome' && lendingLimits && (
+                                        <div className="text-right">
+                                            <p className="text-xs text-gray-500">Begrenset av</p>
+                                            <p className="text-sm font-semibold text-gray-700">
+                                                {lendingLimits.rules.find(rule => rule.id === lendingLimits.bindingRule).label}
                                             </p>
                                         </div>
                                     )}
@@ -820,104 +799,85 @@ const App = () => {
                             </div>
                             
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                <div className="bg-gray-50 p-4 rounded-lg">
-                                    <h3 className="font-bold text-lg text-gray-800 mb-3">Låntaker 1 (Deg)</h3>
-                                    <div className="space-y-2 mb-4">
-                                        <p className="text-sm text-gray-600">Egenkapital: <span className="font-semibold">{formatCurrency(downPayment1)} ({downPaymentPercentage1.toFixed(0)} %)</span></p>
-                                        <p className="text-sm text-gray-600">Eierandel: <span className="font-semibold">{ownershipSplit} %</span></p>
-                                        <p className="text-sm text-gray-700 font-semibold">Lånebeløp: {formatCurrency(loanDetails1.amount)}</p>
-                                    </div>
-                                    
-                                    <div className="border-t pt-3">
-                                        <p className="text-sm font-medium text-gray-700 mb-2">Månedlige betalinger:</p>
-                                        <div className="space-y-2">
-                                            <div className="bg-blue-50 p-2 rounded border-l-4 border-blue-400">
-                                                <div className="flex justify-between items-center">
-                                                    <span className="text-sm text-gray-700">Annuitetslån {loanType === 'annuity' ? '(✓)' : ''}</span>
-                                                    <span className="font-semibold text-blue-700">{formatCurrency(Math.round(loanDetails1.annuityPayment))}</span>
-                                                </div>
-                                                <p className="text-xs text-gray-500 mt-1">Fast betaling</p>
-                                                {p1AnnFirst && (
-                                                    <div className="mt-1 grid grid-cols-2 gap-2 text-xs text-gray-600">
-                                                        <div>Avdrag: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p1AnnFirst.principal))}</span></div>
-                                                        <div>Renter: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p1AnnFirst.interest))}</span></div>
-                                                        <div>Rentefradrag: <span className="font-medium text-green-700">-{formatCurrency(Math.round(p1AnnFirst.interest * (taxRate/100)))}</span></div>
-                                                        <div>Netto lån: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p1AnnFirst.totalPayment - (p1AnnFirst.interest * (taxRate/100))))}</span></div>
-                                                    </div>
-                                                )}
-                                            </div>
-                                            <div className="bg-green-50 p-2 rounded border-l-4 border-green-400">
-                                                <div className="flex justify-between items-center">
-                                                    <span className="text-sm text-gray-700">Serielån {loanType === 'serial' ? '(✓)' : ''}</span>
-                                                    <span className="font-semibold text-green-700">{formatCurrency(Math.round(loanDetails1.serialFirstPayment))}</span>
-                                                </div>
-                                                <p className="text-xs text-gray-500 mt-1">Første: {formatCurrency(Math.round(loanDetails1.serialFirstPayment))} → Siste: {formatCurrency(Math.round(loanDetails1.serialLastPayment))}</p>
-                                                {p1SerFirst && (
-                                                    <div className="mt-1 grid grid-cols-2 gap-2 text-xs text-gray-600">
-                                                        <div>Avdrag: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p1SerFirst.principal))}</span></div>
-                                                        <div>Renter: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p1SerFirst.interest))}</span></div>
-                                                        <div>Rentefradrag: <span className="font-medium text-green-700">-{formatCurrency(Math.round(p1SerFirst.interest * (taxRate/100)))}</span></div>
-                                                        <div>Netto lån: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p1SerFirst.totalPayment - (p1SerFirst.interest * (taxRate/100))))}</span></div>
-                                                    </div>
-                                                )}
-                                            </div>
-                                        </div>
-                                    </div>
-                                </div>
-                                
-                                <div className="bg-gray-50 p-4 rounded-lg">
-                                    <h3 className="font-bold text-lg text-gray-800 mb-3">Låntaker 2</h3>
-                                    <div className="space-y-2 mb-4">
-                                        <p className="text-sm text-gray-600">Egenkapital: <span className="font-semibold">{formatCurrency(downPayment2)} ({downPaymentPercentage2.toFixed(0)} %)</span></p>
-                                        <p className="text-sm text-gray-600">Eierandel: <span className="font-semibold">{100 - ownershipSplit} %</span></p>
-                                        <p className="text-sm text-gray-700 font-semibold">Lånebeløp: {formatCurrency(loanDetails2.amount)}</p>
-                                    </div>
-                                    
-                                    {loanDetails2.amount > 0 ? (
-                                        <div className="border-t pt-3">
-                                            <p className="text-sm font-medium text-gray-700 mb-2">Månedlige betalinger:</p>
-                                            <div className="space-y-2">
-                                                <div className="bg-blue-50 p-2 rounded border-l-4 border-blue-400">
-                                                <div className="flex justify-between items-center">
-                                                    <span className="text-sm text-gray-700">Annuitetslån {loanType === 'annuity' ? '(✓)' : ''}</span>
-                                                    <span className="font-semibold text-blue-700">{formatCurrency(Math.round(loanDetails2.annuityPayment))}</span>
-                                                </div>
-                                                <p className="text-xs text-gray-500 mt-1">Fast betaling</p>
-                                                {p2AnnFirst && (
-                                                    <div className="mt-1 grid grid-cols-2 gap-2 text-xs text-gray-600">
-                                                        <div>Avdrag: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p2AnnFirst.principal))}</span></div>
-                                                        <div>Renter: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p2AnnFirst.interest))}</span></div>
-                                                        <div>Rentefradrag: <span className="font-medium text-green-700">-{formatCurrency(Math.round(p2AnnFirst.interest * (taxRate/100)))}</span></div>
-                                                        <div>Netto lån: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p2AnnFirst.totalPayment - (p2AnnFirst.interest * (taxRate/100))))}</span></div>
-                                                    </div>
-                                                )}
-                                                </div>
-                                                <div className="bg-green-50 p-2 rounded border-l-4 border-green-400">
-                                                    <div className="flex justify-between items-center">
-                                                        <span className="text-sm text-gray-700">Serielån {loanType === 'serial' ? '(✓)' : ''}</span>
-                                                        <span className="font-semibold text-green-700">{formatCurrency(Math.round(loanDetails2.serialFirstPayment))}</span>
-                                                    </div>
-                                                    <p className="text-xs text-gray-500 mt-1">Første: {formatCurrency(Math.round(loanDetails2.serialFirstPayment))} → Siste: {formatCurrency(Math.round(loanDetails2.serialLastPayment))}</p>
-                                                    {p2SerFirst && (
-                                                        <div className="mt-1 grid grid-cols-2 gap-2 text-xs text-gray-600">
-                                                            <div>Avdrag: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p2SerFirst.principal))}</span></div>
-                                                            <div>Renter: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p2SerFirst.interest))}</span></div>
-                                                            <div>Rentefradrag: <span className="font-medium text-green-700">-{formatCurrency(Math.round(p2SerFirst.interest * (taxRate/100)))}</span></div>
-                                                            <div>Netto lån: <span className="font-medium text-gray-800">{formatCurrency(Math.round(p2SerFirst.totalPayment - (p2SerFirst.interest * (taxRate/100))))}</span></div>
-                                                        </div>
-                                                    )}
-                                                </div>
-                                            </div>
-                                        </div>
-                                    ) : (
-                                        <div className="border-t pt-3 text-center text-gray-500 text-sm">
-                                            <p>Ingen lånebehov</p>
-                                        </div>
-                                    )}
-                                </div>
+                                {loans.map((loan, i) => participants[i] && (
+                                    <BorrowerCard
+                                        key={i}
+                                        participant={participants[i]}
+                                        equityShare={totalDownPayment > 0 ? (participants[i].downPayment / totalDownPayment) * 100 : 0}
+                                        loan={loan}
+                                        annuityFirst={participantSchedules[i].annuity[0] || null}
+                                        serialFirst={participantSchedules[i].serial[0] || null}
+                                        loanType={loanType}
+                                        flatRate={flatRate}
+                                        taxRate={taxRate}
+                                        stress={rateStress ? rateStress.rows.map(row => ({ shift: row.shift, ...row.borrowers[i] })) : null}
+                                        stressMonth={stressMonth}
+                                    />
+                                ))}
                             </div>
                         </div>
 
+                        <TranchePanel tranches={loanTranches} />
+                        <FixedRatePanel
+                            comparison={fixedRateComparison}
+                            fixedRate={fixedRateOffer}
+                            onFixedRateChange={setFixedRateOffer}
+                            fixedYears={Math.min(fixedRateYears, loanTerm)}
+                            onFixedYearsChange={setFixedRateYears}
+                            maxYears={Math.min(10, loanTerm)}
+                        />
+                        <ClosingCostsPanel
+                            closingCosts={closingCosts}
+                            propertyValue={finalPropertyValue}
+                            loanAmount={loanAmount}
+                            totalDownPayment={totalDownPayment}
+                            requiredEquityShare={lendingLimits ? lendingLimits.requiredEquityShare : 0}
+                        />
+                        <SharedDebtPanel sharedDebt={sharedDebtDetails} hoa={hoa} startYear={CURRENT_YEAR} />
+                        <LendingLimitsPanel limits={lendingLimits} loanAmount={loanAmount} />
+                        <RateStressPanel
+                            stress={rateStress}
+                            month={stressMonth}
+                            onMonthChange={setStressMonth}
+                            budget={stressBudget}
+                            onBudgetChange={setStressBudget}
+                            maxMonth={loanTerm * 12}
+                        />
+                        <BudgetPanel
+                            budget={budget}
+                            settings={householdBudget}
+                            onSettingsChange={setHouseholdBudget}
+                            participants={participants}
+                            onParticipantsChange={setParticipants}
+                            calculationMode={calculationMode}
+                            budgetPayment={budgetPayment}
+                        />
+                        <TaxPanel tax={householdTax} taxYear={taxYear} names={participants.map(participant => participant.name)} />
+                        <CoOwnershipPanel
+                            names={coOwnershipInputs.participants.map(participant => participant.name)}
+                            ledger={settlementLedger}
+                            settlement={settlement}
+                            settlementYear={settlementYear}
+                            onSettlementYearChange={setSettlementYear}
+                            includeCosts={settlementIncludesCosts}
+                            onIncludeCostsChange={setSettlementIncludesCosts}
+                            maxYear={loanTerm}
+                        />
+                        <SalePanel
+                            sale={sale}
+                            names={saleInputs.participants.map(participant => participant.name)}
+                            saleYear={saleHorizon}
+                            onSaleYearChange={setSaleYear}
+                            saleEnabled={saleEnabled}
+                            onSaleEnabledChange={setSaleEnabled}
+                            brokerFeeRate={brokerFeeRate}
+                            onBrokerFeeRateChange={setBrokerFeeRate}
+                            marketingCost={marketingCost}
+                            onMarketingCostChange={setMarketingCost}
+                            taxable={secondaryHome}
+                            maxYear={loanTerm}
+                        />
+
                         {/* Nedbetalingsplan – Annuitet (kollapsbar) */}
                         <div className="bg-white rounded-xl shadow-lg overflow-hidden">
                             <div className="bg-gradient-to-r from-sky-600 to-cyan-600 text-white p-6 flex items-center justify-between cursor-pointer" onClick={() => setExpandAnnuity(v => !v)}>
@@ -937,7 +897,8 @@ const App = () => {
                                     {/* Total tabell */}
                                     <div>
                                         <div className="flex items-center justify-between mb-2">
-                                            <h3 className="text-lg font-semibold text-gray-800">Totalt (Person 1 + Person 2)</h3>
+                                            <h3 className="text-lg font-semibold text-gray-800">Totalt (alle låntakere)</h3>
+                                            <ScheduleExport fileName="nedbetalingsplan-annuitetslan" schedules={annuitySchedules} taxRate={taxRate} assumptions={{ ...exportAssumptions, loanType: 'annuity' }} />
                                         </div>
                                         {amortAnnuityTotal.length > 0 ? (
                                             <>
@@ -946,7 +907,9 @@ const App = () => {
                                                         <thead className="bg-gray-100">
                                                             <tr>
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Måned</th>
+                                                                {!flatRate && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rente</th>}
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Avdrag</th>
+                                                                {activePrepayments && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Herav ekstra</th>}
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Renter</th>
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rentefradrag</th>
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Brutto lån</th>
@@ -955,13 +918,15 @@ const App = () => {
                                                             </tr>
                                                         </thead>
                                                         <tbody className="divide-y divide-gray-100 bg-white">
-                                                            {(showAllAmortizationAnnuity ? amortAnnuityTotal : amortAnnuityTotal.slice(0, 12)).map((row) => {
-                                                                const taxDeduction = row.interest * (taxRate / 100);
+                                                            {(showAllAmortizationAnnuity ? amortAnnuityTotal : amortAnnuityTotal.slice(0, 12)).map((row, i) => {
+                                                                const taxDeduction = annuitySchedules[0].deductions[i];
                                                                 const netLoan = row.totalPayment - taxDeduction;
                                                                 return (
                                                                     <tr key={row.month} className="hover:bg-gray-50">
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{row.month}</td>
+                                                                        {!flatRate && <td className="px-3 py-2 text-sm text-gray-700">{row.rate.toFixed(2)} %</td>}
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.principal))}</td>
+                                                                        {activePrepayments && <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.extraPayment + row.lumpSum))}</td>}
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.interest))}</td>
                                                                         <td className="px-3 py-2 text-sm text-green-700">-{formatCurrency(Math.round(taxDeduction))}</td>
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.totalPayment))}</td>
@@ -994,16 +959,18 @@ const App = () => {
                                         </button>
                                         {showAnnuityPersons && (
                                             <div className="mt-4 space-y-8">
-                                                {[{ title: 'Person 1', rows: amortAnnuityPerson1 }, { title: 'Person 2', rows: amortAnnuityPerson2 }].map(({ title, rows }) => (
-                                                    <div key={title}>
+                                                {annuitySchedules.slice(1).map(({ title, rows, deductions }, index) => (
+                                                    <div key={index}>
                                                         <h3 className="text-lg font-semibold text-gray-800 mb-2">{title}</h3>
                                                         {rows && rows.length > 0 ? (
                                                             <div className="overflow-auto rounded-lg border">
-                                                                <table className="min-w-full divide-y divide-gray-200">
+                                                                <table className="min-w-full divide-y divide-gray-200" aria-label={`Nedbetalingsplan ${title}`}>
                                                                     <thead className="bg-gray-100">
                                                                         <tr>
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Måned</th>
+                                                                            {!flatRate && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rente</th>}
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Avdrag</th>
+                                                                            {activePrepayments && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Herav ekstra</th>}
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Renter</th>
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rentefradrag</th>
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Brutto lån</th>
@@ -1012,13 +979,15 @@ const App = () => {
                                                                         </tr>
                                                                     </thead>
                                                                     <tbody className="divide-y divide-gray-100 bg-white">
-                                                                        {(showAllAmortizationAnnuity ? rows : rows.slice(0, 12)).map((row) => {
-                                                                            const taxDeduction = row.interest * (taxRate / 100);
+                                                                        {(showAllAmortizationAnnuity ? rows : rows.slice(0, 12)).map((row, i) => {
+                                                                            const taxDeduction = deductions[i];
                                                                             const netLoan = row.totalPayment - taxDeduction;
                                                                             return (
                                                                                 <tr key={row.month} className="hover:bg-gray-50">
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{row.month}</td>
+                                                                                    {!flatRate && <td className="px-3 py-2 text-sm text-gray-700">{row.rate.toFixed(2)} %</td>}
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.principal))}</td>
+                                                                                    {activePrepayments && <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.extraPayment + row.lumpSum))}</td>}
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.interest))}</td>
                                                                                     <td className="px-3 py-2 text-sm text-green-700">-{formatCurrency(Math.round(taxDeduction))}</td>
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.totalPayment))}</td>
@@ -1062,7 +1031,8 @@ const App = () => {
                                     {/* Total tabell */}
                                     <div>
                                         <div className="flex items-center justify-between mb-2">
-                                            <h3 className="text-lg font-semibold text-gray-800">Totalt (Person 1 + Person 2)</h3>
+                                            <h3 className="text-lg font-semibold text-gray-800">Totalt (alle låntakere)</h3>
+                                            <ScheduleExport fileName="nedbetalingsplan-serielan" schedules={serialSchedules} taxRate={taxRate} assumptions={{ ...exportAssumptions, loanType: 'serial' }} />
                                         </div>
                                         {amortSerialTotal.length > 0 ? (
                                             <>
@@ -1071,7 +1041,9 @@ const App = () => {
                                                         <thead className="bg-gray-100">
                                                             <tr>
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Måned</th>
+                                                                {!flatRate && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rente</th>}
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Avdrag</th>
+                                                                {activePrepayments && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Herav ekstra</th>}
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Renter</th>
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rentefradrag</th>
                                                                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Brutto lån</th>
@@ -1080,13 +1052,15 @@ const App = () => {
                                                             </tr>
                                                         </thead>
                                                         <tbody className="divide-y divide-gray-100 bg-white">
-                                                            {(showAllAmortizationSerial ? amortSerialTotal : amortSerialTotal.slice(0, 12)).map((row) => {
-                                                                const taxDeduction = row.interest * (taxRate / 100);
+                                                            {(showAllAmortizationSerial ? amortSerialTotal : amortSerialTotal.slice(0, 12)).map((row, i) => {
+                                                                const taxDeduction = serialSchedules[0].deductions[i];
                                                                 const netLoan = row.totalPayment - taxDeduction;
                                                                 return (
                                                                     <tr key={row.month} className="hover:bg-gray-50">
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{row.month}</td>
+                                                                        {!flatRate && <td className="px-3 py-2 text-sm text-gray-700">{row.rate.toFixed(2)} %</td>}
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.principal))}</td>
+                                                                        {activePrepayments && <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.extraPayment + row.lumpSum))}</td>}
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.interest))}</td>
                                                                         <td className="px-3 py-2 text-sm text-green-700">-{formatCurrency(Math.round(taxDeduction))}</td>
                                                                         <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.totalPayment))}</td>
@@ -1119,16 +1093,18 @@ const App = () => {
                                         </button>
                                         {showSerialPersons && (
                                             <div className="mt-4 space-y-8">
-                                                {[{ title: 'Person 1', rows: amortSerialPerson1 }, { title: 'Person 2', rows: amortSerialPerson2 }].map(({ title, rows }) => (
-                                                    <div key={title}>
+                                                {serialSchedules.slice(1).map(({ title, rows, deductions }, index) => (
+                                                    <div key={index}>
                                                         <h3 className="text-lg font-semibold text-gray-800 mb-2">{title}</h3>
                                                         {rows && rows.length > 0 ? (
                                                             <div className="overflow-auto rounded-lg border">
-                                                                <table className="min-w-full divide-y divide-gray-200">
+                                                                <table className="min-w-full divide-y divide-gray-200" aria-label={`Nedbetalingsplan ${title}`}>
                                                                     <thead className="bg-gray-100">
                                                                         <tr>
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Måned</th>
+                                                                            {!flatRate && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rente</th>}
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Avdrag</th>
+                                                                            {activePrepayments && <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Herav ekstra</th>}
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Renter</th>
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Rentefradrag</th>
                                                                             <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Brutto lån</th>
@@ -1137,13 +1113,15 @@ const App = () => {
                                                                         </tr>
                                                                     </thead>
                                                                     <tbody className="divide-y divide-gray-100 bg-white">
-                                                                        {(showAllAmortizationSerial ? rows : rows.slice(0, 12)).map((row) => {
-                                                                            const taxDeduction = row.interest * (taxRate / 100);
+                                                                        {(showAllAmortizationSerial ? rows : rows.slice(0, 12)).map((row, i) => {
+                                                                            const taxDeduction = deductions[i];
                                                                             const netLoan = row.totalPayment - taxDeduction;
                                                                             return (
                                                                                 <tr key={row.month} className="hover:bg-gray-50">
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{row.month}</td>
+                                                                                    {!flatRate && <td className="px-3 py-2 text-sm text-gray-700">{row.rate.toFixed(2)} %</td>}
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.principal))}</td>
+                                                                                    {activePrepayments && <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.extraPayment + row.lumpSum))}</td>}
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.interest))}</td>
                                                                                     <td className="px-3 py-2 text-sm text-green-700">-{formatCurrency(Math.round(taxDeduction))}</td>
                                                                                     <td className="px-3 py-2 text-sm text-gray-700">{formatCurrency(Math.round(row.totalPayment))}</td>
@@ -1199,7 +1177,7 @@ const App = () => {
                                                     <div className="mb-3 pb-3 border-b border-gray-200">
                                                         <p className="text-xs text-gray-500 mb-1">Annuitetslån</p>
                                                         <p className="text-2xl font-bold text-blue-600">
-                                                            {formatCurrency(Math.round(loanTypeComparison.annuity.firstPayment + (municipalDues / 12) + (propertyTax / 12) + (maintenance / 12) + (homeInsurance / 12) + hoa - rentalIncome))}
+                                                            {formatCurrency(Math.round(loanTypeComparison.annuity.firstPayment + (municipalDues / 12) + (propertyTax / 12) + (maintenanceCost / 12) + (homeInsurance / 12) + hoa + sharedDebtPayment - rentalIncome))}
                                                         </p>
                                                     <p className="text-xs text-gray-500 mt-1">
                                                         Brutto lån: {formatCurrency(Math.round(loanTypeComparison.annuity.firstPayment))}
@@ -1220,7 +1198,7 @@ const App = () => {
                                                     <div>
                                                         <p className="text-xs text-gray-500 mb-1">Serielån</p>
                                                         <p className="text-2xl font-bold text-green-600">
-                                                            {formatCurrency(Math.round(loanTypeComparison.serial.firstPayment + (municipalDues / 12) + (propertyTax / 12) + (maintenance / 12) + (homeInsurance / 12) + hoa - rentalIncome))}
+                                                            {formatCurrency(Math.round(loanTypeComparison.serial.firstPayment + (municipalDues / 12) + (propertyTax / 12) + (maintenanceCost / 12) + (homeInsurance / 12) + hoa + sharedDebtPayment - rentalIncome))}
                                                         </p>
                                                         <p className="text-xs text-gray-500 mt-1">
                                                             Brutto lån (første): {formatCurrency(Math.round(loanTypeComparison.serial.firstPayment))} → Siste: {formatCurrency(Math.round(loanTypeComparison.serial.lastPayment))}
@@ -1248,6 +1226,14 @@ const App = () => {
                                             {!loanTypeComparison && (
                                                 <p className="text-2xl font-bold text-blue-600">{formatCurrency(netMonthlyCost)}</p>
                                             )}
+                                            {interestOnlyEffect && interestOnlyEffect.windows.map(window => (
+                                                <p key={window.month} className="text-xs font-medium text-amber-700 mt-2 pt-2 border-t border-gray-200">
+                                                    Avdragsfritt måned {window.month}–{window.month + window.months - 1}: {formatCurrency(Math.round(window.paymentDuring))} på lånet,
+                                                    {window.balloon
+                                                        ? <> deretter hele restgjelden, {formatCurrency(Math.round(window.paymentAfter))}, i siste måned</>
+                                                        : <> deretter {formatCurrency(Math.round(window.paymentAfter))} (+{formatCurrency(Math.round(window.jump))}/mnd)</>}
+                                                </p>
+                                            ))}
                                             {rentalIncome > 0 && (
                                                 <p className="text-xs text-green-600 mt-2 pt-2 border-t border-gray-200">Etter utleie: -{formatCurrency(rentalIncome)}</p>
                                             )}
@@ -1264,6 +1250,20 @@ const App = () => {
                                         </div>
                                         <p className="text-2xl font-bold text-gray-800">{payoffDate}</p>
                                         <p className="text-xs text-gray-500 mt-1">{loanTerm} år lånetid</p>
+                                        {prepaymentEffect && prepaymentEffect.monthsSaved > 0 && (
+                                            <p className="text-xs text-green-600 mt-1">Innfris {Math.floor(prepaymentEffect.monthsSaved / 12)} år og {prepaymentEffect.monthsSaved % 12} mnd tidligere</p>
+                                        )}
+                                        {prepaymentEffect && prepaymentEffect.interestSaved > 0 && (
+                                            <p className="text-xs text-green-600 mt-1">Spart renter: {formatCurrency(Math.round(prepaymentEffect.interestSaved))}</p>
+                                        )}
+                                        {interestOnlyEffect && interestOnlyEffect.extraInterest > 0 && (
+                                            <p className="text-xs text-red-600 mt-1">Ekstra renter ved avdragsfrihet: {formatCurrency(Math.round(interestOnlyEffect.extraInterest))}</p>
+                                        )}
+                                        {interestOnlyEffect && interestOnlyEffect.windows.map(window => (
+                                            <p key={window.month} className="text-xs text-gray-500 mt-1">
+                                                {formatCurrency(Math.round(window.extraBalance))} mer gjeld etter måned {window.month + window.months - 1}
+                                            </p>
+                                        ))}
                                     </div>
 
                                     {/* Egenkapitalandel */}
@@ -1306,7 +1306,7 @@ const App = () => {
                                             <span className="text-sm font-medium text-gray-700">Totale felleskostnader</span>
                                         </div>
                                         <div className="text-right">
-                                            <span className="text-xl font-bold text-gray-800">{formatCurrency(Math.round((municipalDues / 12) + (propertyTax / 12) + (maintenance / 12) + (homeInsurance / 12) + hoa))}</span>
+                                            <span className="text-xl font-bold text-gray-800">{formatCurrency(Math.round((municipalDues / 12) + (propertyTax / 12) + (maintenanceCost / 12) + (homeInsurance / 12) + hoa + sharedDebtPayment))}</span>
                                             <span className="text-sm text-gray-600">/mnd</span>
                                         </div>
                                     </div>
@@ -1321,6 +1321,9 @@ const App = () => {
 
                         </div>
 
+                        <ChartPanel annuitySchedule={amortAnnuityTotal} serialSchedule={amortSerialTotal} schedule={displayAmortization} costItems={paymentBreakdownData} equityCurve={equityCurve} saleCurve={saleCurve} names={saleInputs.participants.map(participant => participant.name)} />
+
+                        <ScenarioManager currentInputs={currentInputs} onLoad={loadInputs} />
 
                         {/* Kostnader vs Verdi - Forenklet */}
                         <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
@@ -1335,7 +1338,7 @@ const App = () => {
                                                 <div className="flex justify-between items-center mb-2">
                                                     <span className="text-sm font-medium text-gray-700">Annuitetslån</span>
                                                     <span className="text-2xl font-bold text-red-600">
-                                                        {formatCurrency(Math.round(loanAmount + loanTypeComparison.annuity.totalInterest))}
+                                                        {formatCurrency(Math.round(loanTypeComparison.annuity.totalCost))}
                                                     </span>
                                                 </div>
                                                 <p className="text-xs text-gray-500">Lånebeløp + renter</p>
@@ -1345,7 +1348,7 @@ const App = () => {
                                                 <div className="flex justify-between items-center mb-2">
                                                     <span className="text-sm font-medium text-gray-700">Serielån</span>
                                                     <span className="text-2xl font-bold text-red-600">
-                                                        {formatCurrency(Math.round(loanAmount + loanTypeComparison.serial.totalInterest))}
+                                                        {formatCurrency(Math.round(loanTypeComparison.serial.totalCost))}
                                                     </span>
                                                 </div>
                                                 <p className="text-xs text-gray-500">Lånebeløp + renter</p>
@@ -1427,23 +1430,7 @@ const App = () => {
                                     </h3>
                                     
                                     {(() => {
-                                        // Beregn break-even leiepris
-                                        // Ved break-even: netWorthWithProperty = totalRentVsBuyWealth
-                                        // totalRentVsBuyWealth = egenkapital investert + fremtidig verdi av månedlige besparelser
-                                        
-                                        const r = requiredReturn / 100 / 12;
-                                        const n = yearsToPayoff * 12;
-                                        const equityGrowth = totalDownPayment * Math.pow(1 + (requiredReturn / 100), yearsToPayoff);
-                                        
-                                        // Break-even skjer når: netWorthWithProperty = equityGrowth + FV av (totalMonthlyCost - breakEvenRent)
-                                        // Løser for breakEvenRent
-                                        let breakEvenRent = totalMonthlyCost;
-                                        
-                                        if (r > 0) {
-                                            const fvFactor = (Math.pow(1 + r, n) - 1) / r;
-                                            breakEvenRent = totalMonthlyCost - ((totalPropertyReturn - equityGrowth) / fvFactor);
-                                        }
-                                        
+                                        // Break-even leiepris: der kjøp og leie + investering gir lik formue
                                         const isRealistic = breakEvenRent > totalMonthlyCost * 0.6 && breakEvenRent < totalMonthlyCost * 1.2;
                                         
                                         return (
@@ -1464,7 +1451,7 @@ const App = () => {
                                                     
                                                     <div className="bg-white p-5 rounded-xl shadow-md">
                                                         <div className="flex items-center justify-between mb-3">
-                                                            <span className="text-sm font-medium text-gray-700">Din månedlige boligkostnad</span>
+                                                            <span className="text-sm font-medium text-gray-700">Din månedlige boligkostnad{loanType === 'serial' ? ' (første måned)' : ''}</span>
                                                             <svg className="w-5 h-5 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
                                                             </svg>
@@ -1515,7 +1502,7 @@ const App = () => {
                                         Investerer kun egenkapitalen
                                     </h3>
                                     <p className="text-sm text-gray-600 mb-4">
-                                        Hva hvis du tar egenkapitalen på {formatCurrency(totalDownPayment)} og investerer den i {Math.round(yearsToPayoff)} år?
+                                        Hva hvis du tar egenkapitalen på {formatCurrency(totalDownPayment)} og investerer den i {Math.round(yearsHeld)} år?
                                     </p>
 
                                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -1563,7 +1550,7 @@ const App = () => {
                                         Dropper boligkjøp helt
                                     </h3>
                                     <p className="text-sm text-gray-600 mb-4">
-                                        Investerer alt jeg ville brukt på bolig ({formatCurrency(Math.round(totalMonthlyCost))}/mnd) i {Math.round(yearsToPayoff)} år
+                                        Investerer alt jeg ville brukt på bolig ({formatCurrency(Math.round(totalMonthlyCost))}/mnd) i {Math.round(yearsHeld)} år
                                     </p>
 
                                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -1586,7 +1573,7 @@ const App = () => {
                                                 </svg>
                                             </div>
                                             <p className="text-2xl font-bold text-gray-800">{formatCurrency(totalAlternativeReturn)}</p>
-                                            <p className="text-xs text-gray-500 mt-2">Total formue etter {Math.round(yearsToPayoff)} år</p>
+                                            <p className="text-xs text-gray-500 mt-2">Total formue etter {Math.round(yearsHeld)} år</p>
                                         </div>
 
                                         <div className={`p-5 rounded-xl ${investmentAdvantage > 0 ? 'bg-green-50 border-2 border-green-300' : 'bg-red-50 border-2 border-red-300'}`}>
@@ -1606,6 +1593,15 @@ const App = () => {
                             </div>
                         </div>
 
+                        <SimulationPanel
+                            enabled={simulationEnabled}
+                            onEnabledChange={setSimulationEnabled}
+                            settings={simulationSettings}
+                            onSettingsChange={setSimulationSettings}
+                            result={simulation}
+                            running={simulationRunning}
+                        />
+                        <SensitivityPanel currentInputs={currentInputs} />
                     </div>
                 </div>
             </div>
@@ -1613,63 +1609,6 @@ const App = () => {
     );
 };
 
-// Helper component for input sliders with both slider and number input
-const InputSlider = ({ label, value, onChange, min, max, step, format }) => {
-    const handleNumberChange = (e) => {
-        const inputValue = e.target.value;
-        // Tillat tom streng eller tall
-        if (inputValue === '') {
-            onChange({ target: { value: 0 } });
-        } else {
-            const newValue = Number(inputValue);
-            if (!isNaN(newValue)) {
-                // Fjern min/max validering under skriving, la brukeren skrive fritt
-                onChange({ target: { value: newValue } });
-            }
-        }
-    };
-    
-    const handleBlur = (e) => {
-        // Valider og korriger ved blur (når feltet mister fokus)
-        const newValue = Number(e.target.value);
-        if (!isNaN(newValue)) {
-            const clampedValue = Math.min(Math.max(newValue, min), max);
-            if (clampedValue !== newValue) {
-                onChange({ target: { value: clampedValue } });
-            }
-        }
-    };
-
-    return (
-        <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
-            <div className="flex items-center space-x-4">
-                <input
-                    type="range"
-                    min={min}
-                    max={max}
-                    step={step}
-                    value={value}
-                    onChange={onChange}
-                    className="w-full h-3 sm:h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer touch-manipulation"
-                    aria-label={label}
-                />
-                <input
-                    type="number"
-                    min={min}
-                    max={max}
-                    step={step}
-                    value={value}
-                    onChange={handleNumberChange}
-                    onBlur={handleBlur}
-                    onFocus={(e) => e.target.select()}
-                    className="w-32 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-            </div>
-        </div>
-    );
-};
-
 // Helper component for tooltips
 const HelpTooltip = ({ text, children }) => (
     <span className="relative inline-flex items-center group">
@@ -1695,9 +1634,4 @@ const SummaryBox = ({ label, value, format, color = 'text-gray-800', isLarge = f
     </div>
 );
 
-// Currency formatting utility for Norwegian Krone (NOK)
-const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('nb-NO', { style: 'currency', currency: 'NOK', minimumFractionDigits: 0, maximumFractionDigits: 0, }).format(amount || 0);
-};
-
 export default App;
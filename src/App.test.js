@@ -1,8 +1,380 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import LZString from 'lz-string';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom has no canvas; render the chart type instead of drawing it
+jest.mock('react-chartjs-2', () => ({
+  Line: () => <div>Line chart</div>,
+  Bar: () => <div>Bar chart</div>,
+  Doughnut: () => <div>Doughnut chart</div>
+}));
+
+// jsdom has no Web Worker; run the simulation (with fewer paths) and the sensitivity analysis on the main thread
+jest.mock('./simulationWorker', () => ({
+  createSensitivityWorker: () => {
+    const { calculateHeatmap, calculateSensitivity } = jest.requireActual('./lib');
+    let terminated = false;
+    const worker = {
+      terminate: () => { terminated = true; },
+      postMessage: ({ task, inputs }) => Promise.resolve().then(() => {
+        if (!terminated) worker.onmessage({ data: task === 'heatmap' ? calculateHeatmap(inputs) : calculateSensitivity(inputs) });
+      })
+    };
+    return worker;
+  },
+  createSimulationWorker: () => {
+    const { runSimulation } = jest.requireActual('./lib');
+    let terminated = false;
+    const worker = {
+      terminate: () => { terminated = true; },
+      postMessage: (inputs) => Promise.resolve().then(() => {
+        if (!terminated) worker.onmessage({ data: runSimulation({ ...inputs, settings: { ...inputs.settings, paths: 50 } }) });
+      })
+    };
+    return worker;
+  }
+}));
+
+const shareLink = (params) => `#${LZString.compressToEncodedURIComponent(JSON.stringify(params))}`;
+
+test('renders the calculator with a computed purchase', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /avansert lånekalkulator/i })).toBeInTheDocument();
+  expect(screen.getByText('Individuell Fordeling')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Last ned rapport' })).toBeInTheDocument();
+});
+
+test('switches between the charts', () => {
+  render(<App />);
+  expect(screen.getByText('Line chart')).toBeInTheDocument();
+  // Rentestress-panelet har alltid sin egen søylegraf
+  expect(screen.getAllByText('Bar chart')).toHaveLength(1);
+  fireEvent.click(screen.getByRole('button', { name: 'Avdrag og renter' }));
+  expect(screen.getAllByText('Bar chart')).toHaveLength(2);
+  fireEvent.click(screen.getByRole('button', { name: 'Månedskostnad' }));
+  expect(screen.getByText('Doughnut chart')).toBeInTheDocument();
+});
+
+test('restores the loan type from a shared link', () => {
+  window.location.hash = '#lt=serial';
+  render(<App />);
+  expect(screen.getAllByText('Serielån (✓)').length).toBeGreaterThan(0);
+  expect(screen.queryByText('Annuitetslån (✓)')).not.toBeInTheDocument();
+  window.location.hash = '';
+});
+
+test('restores a rate path from a shared link', () => {
+  window.location.hash = shareLink({ ir: 5, rp: { type: 'steps', steps: [{ month: 13, rate: 6 }] } });
+  render(<App />);
+  expect(screen.getByText('Startrente ( %)')).toBeInTheDocument();
+  expect(screen.getAllByText('Første måned; justeres ved renteendring').length).toBeGreaterThan(0);
+  window.location.hash = '';
+});
+
+test('shows the rentefradrag per borrower split as in the tax model', () => {
+  window.location.hash = '#os=50&dsm=agreed&ds=100';
+  render(<App />);
+  fireEvent.click(screen.getByText('Nedbetalingsplan – Annuitetslån'));
+  fireEvent.click(screen.getByRole('button', { name: 'Vis personfordeling' }));
+  const firstMonth = (name) => within(screen.getByRole('table', { name })).getAllByRole('row')[1];
+  const [first, second] = [firstMonth('Nedbetalingsplan Låntaker 1'), firstMonth('Nedbetalingsplan Låntaker 2')];
+  expect(within(second).getAllByRole('cell')[3]).toHaveTextContent(/^-0\s*kr$/);
+  expect(within(first).getAllByRole('cell')[3]).not.toHaveTextContent(/^-0\s*kr$/);
+  window.location.hash = '';
+});
+
+test('restores prepayments from a shared link', () => {
+  window.location.hash = shareLink({ pp: { extraMonthly: 2000, extraMonthlyMode: 'term', lumpSums: [] } });
+  render(<App />);
+  expect(screen.getByText(/tidligere$/)).toBeInTheDocument();
+  expect(screen.getByText(/^Spart renter:/)).toBeInTheDocument();
+  window.location.hash = '';
+});
+
+test('shows taxes per borrower and taxes rental of more than half the home', () => {
+  window.location.hash = shareLink({ ri: 8000, rs: 60 });
+  render(<App />);
+  expect(screen.getByText('Skatt første år')).toBeInTheDocument();
+  expect(screen.getAllByText('Årlig kostnad etter skatt')).toHaveLength(2);
+  expect(screen.getAllByText('Skatt på utleie').length).toBeGreaterThan(0);
+  expect(screen.queryByText(/Utleien er skattefri/)).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Skatteår'), { target: { value: '2024' } });
+  expect(screen.getByText('Skatteregler for 2024.', { exact: false })).toBeInTheDocument();
+  window.location.hash = '';
+});
+
+test('picks a municipality and fills in its kommunale avgifter', () => {
+  render(<App />);
+  expect(screen.getByText('Oslo (0301)')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Kommune'), { target: { value: 'bærum' } });
+  expect(screen.queryByRole('button', { name: /^Bergen/ })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /^Bærum/ }));
+  expect(screen.getByText('Bærum (3201)')).toBeInTheDocument();
+  expect(screen.getByLabelText('Kommunale Avgifter (kr/år)')).toHaveValue('13900');
+  window.location.hash = '';
+});
+
+test('adds a third participant with their own card and schedule', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Legg til deltaker' }));
+  fireEvent.change(screen.getByLabelText('Eierandel – Låntaker 3 ( %)'), { target: { value: 20 } });
+  expect(screen.getByText('Eierandelene summerer til 120 %, ikke 100 %.')).toBeInTheDocument();
+  expect(screen.getAllByRole('heading', { name: 'Låntaker 3' }).length).toBeGreaterThan(0);
+  window.location.hash = '';
+});
+
+test('restores participants from a shared link', () => {
+  window.location.hash = shareLink({
+    dsp: 'agreed',
+    pt: [
+      { name: 'Kari', downPayment: 1000000, ownershipShare: 100, debtShare: 50, income: 700000, existingDebt: 0 },
+      { name: 'Mor', downPayment: 0, ownershipShare: 0, debtShare: 50, income: 900000, existingDebt: 0 }
+    ]
+  });
+  render(<App />);
+  expect(screen.getAllByRole('heading', { name: 'Mor' }).length).toBeGreaterThan(0);
+  // Felles lån på 4 MNOK pluss kjøpsomkostninger (128 670 kr) delt 50/50, selv om Mor ikke eier noe
+  expect(screen.getAllByText('Lånebeløp: 2 064 335 kr', { normalizer: text => text.replace(/\s/g, ' ') })).toHaveLength(2);
+  window.location.hash = '';
+});
+
+test('settles between co-owners after the chosen number of years', () => {
+  window.location.hash = '#dp2=0&os=50';
+  render(<App />);
+  expect(screen.getByText('Sameie og oppgjør')).toBeInTheDocument();
+  // Låntaker 1 har skutt inn all egenkapital, men eier halvparten
+  expect(screen.getByText('Har krav på')).toBeInTheDocument();
+  expect(screen.getByText('Skylder')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Oppgjør etter (år)'), { target: { value: 2 } });
+  // Overskriftsrad pluss år 0, 1 og 2
+  expect(within(screen.getByRole('table', { name: 'Innskudd over tid' })).getAllByRole('row')).toHaveLength(4);
+  window.location.hash = '';
+});
+
+test('sells after the chosen number of years and feeds the sale into the investment analysis', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Selg etter (år)'), { target: { value: 6 } });
+  expect(screen.getByText('Salgspris etter 6 år')).toBeInTheDocument();
+  expect(screen.getByText('Skattefri (egen bolig)')).toBeInTheDocument();
+  expect(screen.getByText(/og investerer den i 25 år/)).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Bruk salgsåret i investeringsanalysen'));
+  expect(screen.getByText(/og investerer den i 6 år/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Netto ved salg' }));
+  expect(screen.getByText(/Hva dere sitter igjen med ved salg/)).toBeInTheDocument();
+});
+
+test('pays closing costs from equity, with no dokumentavgift for a borettslag', () => {
+  render(<App />);
+  expect(screen.getByText('Kjøpsomkostninger', { selector: 'h2' })).toBeInTheDocument();
+  expect(screen.getByText('125 000 kr', { normalizer: text => text.replace(/\s/g, ' ') })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Borettslag' }));
+  expect(screen.getByText('Ingen')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Andel fellesgjeld (kr)'), { target: { value: 800000 } });
+  expect(screen.getByText('Totalpris inkl. fellesgjeld')).toBeInTheDocument();
+});
+
+test('shows the jump in felleskostnader when the fellesgjeld\'s avdragsfri period ends', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Borettslag' }));
+  fireEvent.change(screen.getByLabelText('Andel fellesgjeld (kr)'), { target: { value: 1200000 } });
+  fireEvent.change(screen.getByLabelText('Avdragsfri til (år)'), { target: { value: new Date().getFullYear() + 2 } });
+  expect(screen.getByText('Fellesgjeld', { selector: 'h2' })).toBeInTheDocument();
+  // 1 200 000 kr til 5 %: 5 000 kr/mnd i renter de to første årene
+  expect(screen.getByText('Drift 0 kr + fellesgjeld 5 000 kr', { normalizer: text => text.replace(/\s/g, ' ') })).toBeInTheDocument();
+  expect(screen.getByText(`Fra ${new Date().getFullYear() + 2} (avdrag starter)`)).toBeInTheDocument();
+  expect(within(screen.getByRole('table', { name: 'Felleskostnader per år' })).getAllByRole('row')).toHaveLength(11);
+
+  fireEvent.change(screen.getByLabelText('IN-ordning: innfri fellesgjeld (kr)'), { target: { value: 200000 } });
+  expect(screen.getByText(/innfridd med IN-ordning/)).toBeInTheDocument();
+});
+
+test('adds an avdragsfri period and shows the payment jump when it ends', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Legg til avdragsfri periode' }));
+  expect(screen.getByText(/Avdragsfritt måned 1–12/)).toBeInTheDocument();
+  expect(screen.getByText(/Ekstra renter ved avdragsfrihet/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Antall avdragsfrie måneder (periode 1)'), { target: { value: 24 } });
+  expect(screen.getByText(/Avdragsfritt måned 1–24/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Antall avdragsfrie måneder (periode 1)'), { target: { value: 1000 } });
+  expect(screen.getByLabelText('Antall avdragsfrie måneder (periode 1)')).toHaveValue(299);
+  expect(screen.getByText(/Avdragsfritt måned 1–299: .* deretter hele restgjelden/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Fjern avdragsfri periode' }));
+  expect(screen.queryByText(/Avdragsfritt måned/)).not.toBeInTheDocument();
+});
+
+test('splits the loan into tranches and shows each one', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Legg til lånedel' }));
+  const table = screen.getByRole('table', { name: 'Lånedeler' });
+  expect(within(table).getByText('Hovedlån')).toBeInTheDocument();
+  expect(within(table).getByText('Grønt lån')).toBeInTheDocument();
+  expect(within(table).getByText('Totalt')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Rammelån' }));
+  expect(within(table).getByText('Rammelån')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Fjern lånedel' }));
+  expect(screen.queryByRole('table', { name: 'Lånedeler' })).not.toBeInTheDocument();
+});
+
+test('compares a fixed rate offer with the floating rate', () => {
+  render(<App />);
+  expect(screen.getByText('Fastrente eller flytende')).toBeInTheDocument();
+  // Flat flytende rente: break-even er selve fastrenten
+  expect(screen.getByText(/Fastrenten lønner seg hvis/)).toHaveTextContent('5.50 %');
+  expect(screen.getByText(/koster fastrenten/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Fastrenteperiode (år)'), { target: { value: 3 } });
+  expect(screen.getAllByText('Restgjeld etter 3 år')).toHaveLength(2);
+  const table = screen.getByRole('table', { name: 'Fastrente mot flytende rente' });
+  expect(within(table).getAllByRole('row')).toHaveLength(6);
+  expect(within(table).getByText('+3 prosentpoeng')).toBeInTheDocument();
+});
+
+test('simulates rates and house prices in a worker and shows the percentile bands', async () => {
+  render(<App />);
+  expect(screen.queryByRole('table', { name: 'Simulerte utfall' })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Simuler renter og boligpriser'));
+  const table = await screen.findByRole('table', { name: 'Simulerte utfall' });
+  expect(within(table).getByText('Egenkapital år 25')).toBeInTheDocument();
+  expect(within(table).getByText('Månedskostnad år 1')).toBeInTheDocument();
+  expect(screen.getByText('Sannsynlighet for negativ egenkapital')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Selg etter (år)'), { target: { value: 6 } });
+  fireEvent.click(screen.getByLabelText('Bruk salgsåret i investeringsanalysen'));
+  expect(await within(await screen.findByRole('table', { name: 'Simulerte utfall' })).findByText('Egenkapital år 6')).toBeInTheDocument();
+});
+
+test('ranks the inputs by their impact and shows two of them against each other', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Vis hvilke forutsetninger som betyr mest'));
+  expect(screen.getByText('Regner …')).toBeInTheDocument();
+  const ranking = await screen.findByRole('table', { name: 'Følsomhet' });
+  expect(within(ranking).getByText('Prisvekst')).toBeInTheDocument();
+  expect(within(ranking).queryByText('Leieinntekt')).not.toBeInTheDocument();
+  fireEvent.click(within(screen.getByRole('group', { name: 'Måltall' })).getByRole('button', { name: 'Månedskostnad' }));
+  expect(within(ranking).getAllByRole('row')[1]).toHaveTextContent('Kjøpesum');
+  expect(within(ranking).queryByText('Prisvekst')).not.toBeInTheDocument();
+
+  const heatmap = await screen.findByRole('table', { name: 'Varmekart' });
+  expect(within(heatmap).getAllByRole('row')).toHaveLength(6);
+  expect(within(heatmap).getByText('5.20 %')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Rader'), { target: { value: 'annualAppreciation' } });
+  expect(screen.queryByRole('table', { name: 'Varmekart' })).not.toBeInTheDocument();
+  expect(screen.getByText('Velg to ulike forutsetninger.')).toBeInTheDocument();
+});
+
+test('stresses the monthly budget with higher rates from a chosen month', () => {
+  render(<App />);
+  const table = screen.getByRole('table', { name: 'Rentestress' });
+  expect(within(table).getAllByRole('row')).toHaveLength(6);
+  expect(within(table).getByText('I dag')).toBeInTheDocument();
+  expect(screen.getByText('Ved renteøkning fra måned 1, etter rentefradrag:')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Budsjettgrense (kr/mnd)'), { target: { value: 35000 } });
+  expect(screen.getByText(/passerer budsjettgrensen/)).toBeInTheDocument();
+  expect(within(table).getByText('+5 prosentpoeng ⚠')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Budsjettgrense (kr/mnd)'), { target: { value: 5000 } });
+  expect(screen.getByText(/allerede over budsjettgrensen/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Renteøkning fra måned'), { target: { value: 61 } });
+  expect(screen.getByText('Ved renteøkning fra måned 61, etter rentefradrag:')).toBeInTheDocument();
+});
+
+test('charges living costs only for the borrowers who live in the home', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Sjekk om lånet går opp i budsjettet'));
+  const table = screen.getByRole('table', { name: 'Husholdningsbudsjett' });
+  expect(within(table).getByText('Levekostnader, 2 voksne')).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Låntaker 2 bor i boligen'));
+  expect(within(table).getByText('Levekostnader, 1 voksen')).toBeInTheDocument();
+});
+
+test('checks the household budget and derives the desired payment from it', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Sjekk om lånet går opp i budsjettet'));
+  fireEvent.change(screen.getByLabelText('Nettoinntekt – Låntaker 1 (kr/mnd)'), { target: { value: 30000 } });
+  const table = screen.getByRole('table', { name: 'Husholdningsbudsjett' });
+  expect(within(table).getByText('Underskudd per måned')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Nettoinntekt – Låntaker 1 (kr/mnd)'), { target: { value: 90000 } });
+  expect(within(table).getByText('Overskudd per måned')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Antall biler'), { target: { value: 1 } });
+  expect(within(table).getByText('Bil')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Finn boligpris fra månedsbeløp' }));
+  const derive = screen.getByLabelText(/Bruk budsjettet som ønsket månedlig betaling/);
+  const payment = Number(screen.getByText(/Bruk budsjettet som ønsket månedlig betaling/).textContent.match(/\(([\d\s\u00a0]+)/)[1].replace(/\D/g, ''));
+  fireEvent.click(derive);
+  expect(screen.getByText('Hentes fra overskuddet i husholdningsbudsjettet.')).toBeInTheDocument();
+  expect(screen.getByLabelText('Ønsket Månedlig Betaling (Totalt)')).toHaveValue(String(payment));
+  // Lånet og alle driftskostnadene går opp i budsjettet, også med vedlikehold som andel av boligverdien
+  fireEvent.click(within(screen.getByRole('group', { name: 'Vedlikehold' })).getByRole('button', { name: '% av boligverdi' }));
+  const surplus = within(table).getByRole('row', { name: /skudd per måned/ }).textContent.replace(/.*måned/, '');
+  expect(Number(surplus.replace(/\D/g, ''))).toBeLessThan(200);
+});
+
+test('shows long-horizon figures in today\'s kroner', () => {
+  render(<App />);
+  const price = () => screen.queryAllByText('5 000 000 kr', { normalizer: text => text.replace(/\s/g, ' ') }).length;
+  // Med prisvekst lik inflasjonen er salgsprisen i dagens kroner lik kjøpesummen
+  fireEvent.change(screen.getByLabelText('Forventet prisendring ( % per år)'), { target: { value: 2 } });
+  const nominal = price();
+  fireEvent.click(within(screen.getByRole('group', { name: 'Kroneverdi' })).getByRole('button', { name: 'Dagens kroner' }));
+  expect(screen.getByText(/deflatert med 2.0 % inflasjon per år/)).toBeInTheDocument();
+  expect(price()).toBeGreaterThan(nominal);
+  fireEvent.click(screen.getByRole('button', { name: 'Nominelle kroner' }));
+  expect(price()).toBe(nominal);
+});
+
+test('shows the co-owner settlement, rate stress and fixed rate comparison in today\'s kroner', () => {
+  window.location.hash = '#dp2=0&os=50';
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Renteøkning fra måned'), { target: { value: 61 } });
+  const figures = () => ['Innskudd over tid', 'Rentestress', 'Fastrente mot flytende rente'].map(name => screen.getByRole('table', { name }).textContent);
+  const nominal = figures();
+  fireEvent.click(screen.getByRole('button', { name: 'Dagens kroner' }));
+  figures().forEach((text, i) => expect(text).not.toBe(nominal[i]));
+  fireEvent.click(screen.getByRole('button', { name: 'Nominelle kroner' }));
+  expect(figures()).toEqual(nominal);
+  window.location.hash = '';
+});
+
+test('sets cost escalation, value-based maintenance and renovations', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Kostnadsvekst ( % per år)'), { target: { value: 4 } });
+  fireEvent.click(screen.getByLabelText('Egen vekst per post'));
+  expect(screen.getByLabelText('Vekst – Felleskostnader ( % per år)')).toHaveValue('4');
+  fireEvent.click(screen.getByRole('button', { name: /Følg inflasjonen/ }));
+  expect(screen.getByLabelText('Kostnadsvekst ( % per år)')).toHaveValue('2');
+
+  fireEvent.click(within(screen.getByRole('group', { name: 'Vedlikehold' })).getByRole('button', { name: '% av boligverdi' }));
+  expect(screen.queryByLabelText('Vedlikehold (kr/år)')).not.toBeInTheDocument();
+  expect(screen.getByText(/50 000 kr første år/, { normalizer: text => text.replace(/\s/g, ' ') })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: '+ Tak' }));
+  expect(screen.getByLabelText('Oppussing')).toHaveValue('Tak');
+  fireEvent.click(screen.getByRole('button', { name: 'Fjern oppussing' }));
+  expect(screen.queryByLabelText('Oppussing')).not.toBeInTheDocument();
+});
+
+test('saves scenarios and compares them side by side', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Navn på scenario/), { target: { value: 'Leilighet A' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Lagre scenario' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Dupliser' }));
+  expect(JSON.parse(window.localStorage.getItem('lanekalkulator.scenarios')).map(s => s.name)).toEqual(['Leilighet A', 'Leilighet A (kopi)']);
+
+  fireEvent.click(screen.getByLabelText('Sammenlign Leilighet A'));
+  fireEvent.click(screen.getByLabelText('Sammenlign Leilighet A (kopi)'));
+  expect(screen.getByText('Fordel vs sparing')).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+test('exports the amortization schedule', () => {
+  const createObjectURL = jest.fn(() => 'blob:schedule');
+  window.URL.createObjectURL = createObjectURL;
+  window.URL.revokeObjectURL = jest.fn();
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Nedbetalingsplan – Annuitetslån'));
+  fireEvent.click(screen.getByRole('button', { name: 'Eksporter CSV' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Eksporter Excel' }));
+  expect(createObjectURL).toHaveBeenCalledTimes(2);
+  expect(createObjectURL.mock.calls[1][0].type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
 });
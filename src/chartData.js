@@ -0,0 +1,98 @@
+// Datasett til grafene, felles for grafpanelet og PDF-rapporten
+import { summarizeByYear } from './lib';
+
+const COST_COLORS = ['#4CAF50', '#FFC107', '#FF5722', '#9C27B0', '#FF9800', '#2196F3'];
+
+// Gjenstående saldo ved start (år 0) og ved slutten av hvert år
+const yearEndBalances = (rows) => {
+    if (!rows || rows.length === 0) return [];
+    return [rows[0].balance + rows[0].principal, ...summarizeByYear(rows).map(year => year.balance)];
+};
+
+export const balanceChartData = (annuitySchedule, serialSchedule) => {
+    const annuityBalances = yearEndBalances(annuitySchedule);
+    const serialBalances = yearEndBalances(serialSchedule);
+    const years = Math.max(annuityBalances.length, serialBalances.length);
+    return {
+        labels: Array.from({ length: years }, (_, year) => `År ${year}`),
+        datasets: [
+            { label: 'Annuitetslån', data: annuityBalances, borderColor: 'rgb(2, 132, 199)', backgroundColor: 'rgba(2, 132, 199, 0.15)', fill: true, tension: 0.1 },
+            { label: 'Serielån', data: serialBalances, borderColor: 'rgb(16, 185, 129)', backgroundColor: 'rgba(16, 185, 129, 0.15)', fill: true, tension: 0.1 }
+        ]
+    };
+};
+
+export const breakdownChartData = (schedule) => {
+    const years = summarizeByYear(schedule);
+    return {
+        labels: years.map(year => `År ${year.year}`),
+        datasets: [
+            { label: 'Avdrag', data: years.map(year => year.principal), backgroundColor: 'rgba(75, 192, 192, 0.8)' },
+            { label: 'Renter', data: years.map(year => year.interest), backgroundColor: 'rgba(239, 68, 68, 0.8)' }
+        ]
+    };
+};
+
+export const costChartData = (costItems) => {
+    const visibleCosts = costItems.filter(item => item.value > 0);
+    const totalCost = visibleCosts.reduce((sum, item) => sum + item.value, 0);
+    return {
+        labels: visibleCosts.map(item => `${item.label} (${((item.value / totalCost) * 100).toFixed(1)} %)`),
+        datasets: [{ data: visibleCosts.map(item => item.value), backgroundColor: COST_COLORS }]
+    };
+};
+
+export const equityChartData = (equityCurve) => ({
+    labels: equityCurve.map(point => `År ${point.year}`),
+    datasets: [
+        { label: 'Boligverdi', data: equityCurve.map(point => point.propertyValue), borderColor: 'rgb(99, 102, 241)', backgroundColor: 'rgba(99, 102, 241, 0.1)', tension: 0.1 },
+        { label: 'Gjeld', data: equityCurve.map(point => point.debt), borderColor: 'rgb(239, 68, 68)', backgroundColor: 'rgba(239, 68, 68, 0.1)', tension: 0.1 },
+        { label: 'Egenkapital', data: equityCurve.map(point => point.equity), borderColor: 'rgb(16, 185, 129)', backgroundColor: 'rgba(16, 185, 129, 0.2)', fill: true, tension: 0.1 }
+    ]
+});
+
+const PERSON_COLORS = ['rgb(2, 132, 199)', 'rgb(245, 158, 11)', 'rgb(168, 85, 247)', 'rgb(236, 72, 153)', 'rgb(20, 184, 166)', 'rgb(100, 116, 139)'];
+
+// Netto etter salg ved slutten av hvert år, totalt og per eier når de er flere
+export const saleChartData = (saleCurve, names = []) => ({
+    labels: saleCurve.map(sale => `År ${sale.year}`),
+    datasets: [
+        { label: 'Netto etter salg', data: saleCurve.map(sale => sale.netProceeds), borderColor: 'rgb(16, 185, 129)', backgroundColor: 'rgba(16, 185, 129, 0.2)', fill: true, tension: 0.1 },
+        ...(names.length > 1 ? names.map((name, i) => ({
+            label: name,
+            data: saleCurve.map(sale => sale.persons[i].netProceeds),
+            borderColor: PERSON_COLORS[i % PERSON_COLORS.length],
+            backgroundColor: 'transparent',
+            tension: 0.1
+        })) : [])
+    ]
+});
+
+// Simulert egenkapital: P10–P90-bånd med medianen i midten
+export const simulationChartData = (years) => ({
+    labels: years.map(year => `År ${year.year}`),
+    datasets: [
+        { label: 'P90', data: years.map(year => year.equity.p90), borderColor: 'rgba(16, 185, 129, 0.6)', backgroundColor: 'rgba(16, 185, 129, 0.15)', fill: '+2', tension: 0.1, pointRadius: 0 },
+        { label: 'Median (P50)', data: years.map(year => year.equity.p50), borderColor: 'rgb(16, 185, 129)', backgroundColor: 'transparent', tension: 0.1 },
+        { label: 'P10', data: years.map(year => year.equity.p10), borderColor: 'rgba(239, 68, 68, 0.6)', backgroundColor: 'transparent', tension: 0.1, pointRadius: 0 }
+    ]
+});
+
+// Tornado: endring fra grunnlaget når hver forutsetning går ned og opp
+export const tornadoChartData = (ranked) => ({
+    labels: ranked.map(row => row.label),
+    datasets: [
+        { label: 'Lav', data: ranked.map(row => row.low), backgroundColor: 'rgba(239, 68, 68, 0.7)' },
+        { label: 'Høy', data: ranked.map(row => row.high), backgroundColor: 'rgba(16, 185, 129, 0.7)' }
+    ]
+});
+
+// Rentestress: lån og faste kostnader per renteøkning, med budsjettgrensen som linje
+export const rateStressChartData = (rows, budget) => ({
+    labels: rows.map(row => (row.shift === 0 ? 'I dag' : `+${row.shift} pp`)),
+    datasets: [
+        { label: 'Lån', data: rows.map(row => row.loanPayment), backgroundColor: rows.map(row => (row.overBudget ? 'rgba(239, 68, 68, 0.8)' : 'rgba(2, 132, 199, 0.8)')) },
+        { label: 'Faste kostnader', data: rows.map(row => row.totalMonthlyCost - row.loanPayment), backgroundColor: 'rgba(156, 163, 175, 0.8)' },
+        ...(budget > 0 ? [{ type: 'line', label: 'Budsjettgrense', data: rows.map(() => budget), borderColor: 'rgb(239, 68, 68)', borderDash: [6, 4], pointRadius: 0, fill: false }] : [])
+    ]
+});
@@ -0,0 +1,71 @@
+import React from 'react';
+import { formatCurrency } from '../format';
+
+// Avdrag, renter og rentefradrag for første måned
+const FirstMonth = ({ row, taxRate }) => (
+    <div className="mt-1 grid grid-cols-2 gap-2 text-xs text-gray-600">
+        <div>Avdrag: <span className="font-medium text-gray-800">{formatCurrency(Math.round(row.principal))}</span></div>
+        <div>Renter: <span className="font-medium text-gray-800">{formatCurrency(Math.round(row.interest))}</span></div>
+        <div>Rentefradrag: <span className="font-medium text-green-700">-{formatCurrency(Math.round(row.interest * (taxRate / 100)))}</span></div>
+        <div>Netto lån: <span className="font-medium text-gray-800">{formatCurrency(Math.round(row.totalPayment - (row.interest * (taxRate / 100))))}</span></div>
+    </div>
+);
+
+// Terminbeløp etter rentefradrag hvis renten stiger, fra rentestress-panelet
+const StressLines = ({ stress, month }) => {
+    const today = stress.find(row => row.shift === 0);
+    return (
+        <div className="mt-3 pt-2 border-t text-xs text-gray-600">
+            <p className="font-medium text-gray-700 mb-1">Ved renteøkning fra måned {month}, etter rentefradrag:</p>
+            {stress.filter(row => row.shift > 0).map(row => (
+                <p key={row.shift} className="flex justify-between">
+                    <span>+{row.shift} prosentpoeng</span>
+                    <span className="font-medium text-gray-800">{formatCurrency(Math.round(row.netPayment))} (+{formatCurrency(Math.round(row.netPayment - today.netPayment))})</span>
+                </p>
+            ))}
+        </div>
+    );
+};
+
+// Ett kort i Individuell Fordeling: egenkapital, eierandel, lån og månedlige betalinger for én deltaker
+const BorrowerCard = ({ participant, equityShare, loan, annuityFirst, serialFirst, loanType, flatRate, taxRate, stress, stressMonth }) => (
+    <div className="bg-gray-50 p-4 rounded-lg">
+        <h3 className="font-bold text-lg text-gray-800 mb-3">{participant.name}</h3>
+        <div className="space-y-2 mb-4">
+            <p className="text-sm text-gray-600">Egenkapital: <span className="font-semibold">{formatCurrency(participant.downPayment)} ({equityShare.toFixed(0)} %)</span></p>
+            <p className="text-sm text-gray-600">Eierandel: <span className="font-semibold">{participant.ownershipShare} %</span></p>
+            <p className="text-sm text-gray-700 font-semibold">Lånebeløp: {formatCurrency(loan.amount)}</p>
+        </div>
+
+        {loan.amount > 0 ? (
+            <div className="border-t pt-3">
+                <p className="text-sm font-medium text-gray-700 mb-2">Månedlige betalinger:</p>
+                <div className="space-y-2">
+                    <div className="bg-blue-50 p-2 rounded border-l-4 border-blue-400">
+                        <div className="flex justify-between items-center">
+                            <span className="text-sm text-gray-700">Annuitetslån {loanType === 'annuity' ? '(✓)' : ''}</span>
+                            <span className="font-semibold text-blue-700">{formatCurrency(Math.round(loan.annuityPayment))}</span>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">{flatRate ? 'Fast betaling' : 'Første måned; justeres ved renteendring'}</p>
+                        {annuityFirst && <FirstMonth row={annuityFirst} taxRate={taxRate} />}
+                    </div>
+                    <div className="bg-green-50 p-2 rounded border-l-4 border-green-400">
+                        <div className="flex justify-between items-center">
+                            <span className="text-sm text-gray-700">Serielån {loanType === 'serial' ? '(✓)' : ''}</span>
+                            <span className="font-semibold text-green-700">{formatCurrency(Math.round(loan.serialFirstPayment))}</span>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">Første: {formatCurrency(Math.round(loan.serialFirstPayment))} → Siste: {formatCurrency(Math.round(loan.serialLastPayment))}</p>
+                        {serialFirst && <FirstMonth row={serialFirst} taxRate={taxRate} />}
+                    </div>
+                </div>
+                {stress && stress.some(row => row.totalPayment > 0) && <StressLines stress={stress} month={stressMonth} />}
+            </div>
+        ) : (
+            <div className="border-t pt-3 text-center text-gray-500 text-sm">
+                <p>Ingen lånebehov</p>
+            </div>
+        )}
+    </div>
+);
+
+export default BorrowerCard;
@@ -0,0 +1,85 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { householdAdults, SIFO_BUDGET } from '../lib';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+// Husholdningsbudsjett: går det opp med levekostnader etter SIFO, annen gjeld og boutgiftene?
+const BudgetPanel = ({ budget, settings, onSettingsChange, participants, onParticipantsChange, calculationMode, budgetPayment }) => {
+    const update = (field) => (e) => onSettingsChange({ ...settings, [field]: Number(e.target.value) });
+    const updateParticipant = (index, field, value) => onParticipantsChange(participants.map((participant, i) => (i === index ? { ...participant, [field]: value } : participant)));
+    const adults = householdAdults(participants);
+    // Poster som er null vises ikke, bortsett fra inntekt og boutgifter
+    const rows = [
+        { label: 'Netto inntekt', value: budget.income, always: true },
+        { label: `Levekostnader, ${adults} ${adults === 1 ? 'voksen' : 'voksne'}`, value: -budget.livingCosts.adults },
+        { label: 'Levekostnader, barn', value: -budget.livingCosts.children },
+        { label: 'Husholdningsutgifter', value: -budget.livingCosts.household },
+        { label: 'Bil', value: -budget.livingCosts.cars },
+        { label: 'Annen gjeld', value: -budget.otherDebtPayment },
+        { label: 'Andre faste utgifter', value: -budget.otherExpenses },
+        { label: 'Boutgifter (netto månedskostnad)', value: -budget.housingCost, always: true }
+    ].filter(row => row.always || row.value !== 0);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Husholdningsbudsjett</h2>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                <input type="checkbox" checked={settings.enabled} onChange={e => onSettingsChange({ ...settings, enabled: e.target.checked })} className="h-4 w-4" />
+                Sjekk om lånet går opp i budsjettet
+            </label>
+
+            {settings.enabled && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                        {participants.map((participant, i) => (
+                            <div key={i}>
+                                <InputSlider label={`Nettoinntekt – ${participant.name} (kr/mnd)`} value={participant.netIncome || 0} onChange={e => updateParticipant(i, 'netIncome', Number(e.target.value))} min={0} max={200000} step={1000} format="currency" />
+                                <label className="flex items-center gap-2 text-sm text-gray-700 -mt-2 mb-4">
+                                    <input type="checkbox" checked={participant.livesInHome !== false} onChange={e => updateParticipant(i, 'livesInHome', e.target.checked)} className="h-4 w-4" />
+                                    {participant.name} bor i boligen
+                                </label>
+                            </div>
+                        ))}
+                        <InputSlider label="Antall barn" value={settings.children} onChange={update('children')} min={0} max={8} step={1} />
+                        <InputSlider label="Antall biler" value={settings.cars} onChange={update('cars')} min={0} max={4} step={1} />
+                        <InputSlider label="Annen gjeld (kr/mnd)" value={settings.otherDebtPayment} onChange={update('otherDebtPayment')} min={0} max={50000} step={500} format="currency" />
+                        <InputSlider label="Andre faste utgifter (kr/mnd)" value={settings.otherExpenses} onChange={update('otherExpenses')} min={0} max={50000} step={500} format="currency" />
+                    </div>
+
+                    <div className="overflow-auto rounded-lg border mb-4">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Husholdningsbudsjett">
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {rows.map(row => (
+                                    <tr key={row.label}>
+                                        <td className="px-3 py-2 text-gray-700">{row.label}</td>
+                                        <td className="px-3 py-2 text-right">{kr(row.value)}</td>
+                                    </tr>
+                                ))}
+                                <tr className={budget.surplus < 0 ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}>
+                                    <td className="px-3 py-2 font-semibold">{budget.surplus < 0 ? 'Underskudd per måned' : 'Overskudd per måned'}</td>
+                                    <td className="px-3 py-2 text-right font-semibold">{kr(budget.surplus)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {calculationMode === 'byPayment' && (
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                            <input type="checkbox" checked={settings.deriveDesiredPayment} onChange={e => onSettingsChange({ ...settings, deriveDesiredPayment: e.target.checked })} className="h-4 w-4" />
+                            Bruk budsjettet som ønsket månedlig betaling ({kr(budgetPayment)})
+                        </label>
+                    )}
+                    <p className="text-[11px] text-gray-400 mt-3">
+                        Levekostnadene er avrundede tall fra SIFOs referansebudsjett {SIFO_BUDGET.year}, uten barnehage og SFO (legg dem inn som andre faste utgifter).
+                        Bare de som bor i boligen får levekostnader; for en medlåntaker som bor et annet sted, for eksempel en forelder, legger du inn det de bidrar med som nettoinntekt.
+                        Rentefradraget er ikke regnet med. Ønsket månedlig betaling fra budsjettet er den som gjør at lånet og alle driftskostnadene, også vedlikehold, går opp i det som er igjen etter levekostnader og annen gjeld.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BudgetPanel;
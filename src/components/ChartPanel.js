@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, Title, BarElement, Filler } from 'chart.js';
+import { Line, Bar, Doughnut } from 'react-chartjs-2';
+import { formatCurrency } from '../format';
+import { balanceChartData, breakdownChartData, costChartData, equityChartData, saleChartData } from '../chartData';
+
+ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, Title, BarElement, Filler);
+
+const CHART_TABS = {
+    balance: 'Lånebalanse',
+    breakdown: 'Avdrag og renter',
+    costs: 'Månedskostnad',
+    equity: 'Egenkapital',
+    sale: 'Netto ved salg'
+};
+
+const currencyTooltip = {
+    callbacks: {
+        label: (context) => `${context.dataset.label || context.label}: ${formatCurrency(Math.round(context.parsed.y ?? context.parsed))}`
+    }
+};
+
+const currencyAxis = {
+    ticks: { callback: (value) => formatCurrency(value) }
+};
+
+const lineOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: { tooltip: currencyTooltip, legend: { position: 'bottom' } },
+    scales: { y: currencyAxis }
+};
+
+const barOptions = {
+    ...lineOptions,
+    scales: { x: { stacked: true }, y: { ...currencyAxis, stacked: true } }
+};
+
+const doughnutOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { tooltip: currencyTooltip, legend: { position: 'right' } }
+};
+
+// Grafer: lånebalanse, avdrag/renter per år, månedskostnad, egenkapital og netto ved salg
+const ChartPanel = ({ annuitySchedule, serialSchedule, schedule, costItems, equityCurve, saleCurve = [], names = [] }) => {
+    const [activeTab, setActiveTab] = useState('balance');
+
+    const balanceData = balanceChartData(annuitySchedule, serialSchedule);
+    const breakdownData = breakdownChartData(schedule);
+    const costData = costChartData(costItems);
+    const equityData = equityChartData(equityCurve);
+    const saleData = saleChartData(saleCurve, names);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Grafer</h2>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-1 mb-4">
+                {Object.entries(CHART_TABS).map(([key, label]) => (
+                    <button key={key} onClick={() => setActiveTab(key)} className={`p-2 text-sm rounded-md ${activeTab === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border hover:bg-gray-50'}`}>{label}</button>
+                ))}
+            </div>
+
+            <div className="h-80">
+                {activeTab === 'balance' && <Line data={balanceData} options={lineOptions} />}
+                {activeTab === 'breakdown' && <Bar data={breakdownData} options={barOptions} />}
+                {activeTab === 'costs' && (costData.datasets[0].data.length > 0
+                    ? <Doughnut data={costData} options={doughnutOptions} />
+                    : <p className="text-sm text-gray-500">Ingen kostnader å vise.</p>)}
+                {activeTab === 'equity' && <Line data={equityData} options={lineOptions} />}
+                {activeTab === 'sale' && <Line data={saleData} options={lineOptions} />}
+            </div>
+
+            {activeTab === 'breakdown' && (
+                <p className="text-[11px] text-gray-400 mt-3">Avdrag inkluderer eventuelle ekstra innbetalinger.</p>
+            )}
+            {activeTab === 'equity' && (
+                <p className="text-[11px] text-gray-400 mt-3">Boligverdien øker med forventet prisendring hvert år. Egenkapital er boligverdi minus gjenstående lån.</p>
+            )}
+            {activeTab === 'sale' && (
+                <p className="text-[11px] text-gray-400 mt-3">Hva dere sitter igjen med ved salg i hvert år: salgspris minus meglerhonorar, markedsføring, eventuell gevinstskatt og restgjeld.</p>
+            )}
+        </div>
+    );
+};
+
+export default ChartPanel;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { CLOSING_COST_RULES } from '../lib';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+// Kjøpsomkostninger og hvor mye kontanter som trengs på overtakelsesdagen
+const ClosingCostsPanel = ({ closingCosts, propertyValue, loanAmount, totalDownPayment, requiredEquityShare }) => {
+    if (!closingCosts || closingCosts.total === 0) return null;
+    const cashAtClosing = propertyValue + closingCosts.total - loanAmount;
+    const minimumCash = (requiredEquityShare || 0) * closingCosts.totalPrice + closingCosts.total;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Kjøpsomkostninger</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 space-y-1">
+                    <p className="flex justify-between"><span>Kjøpesum</span><span className="font-medium text-gray-800">{kr(propertyValue)}</span></p>
+                    <p className="flex justify-between">
+                        <span>Dokumentavgift ({CLOSING_COST_RULES.documentFeeRate * 100} %)</span>
+                        <span className="font-medium text-gray-800">{closingCosts.documentFee > 0 ? kr(closingCosts.documentFee) : 'Ingen'}</span>
+                    </p>
+                    <p className="flex justify-between"><span>Tinglysing av skjøte</span><span className="font-medium text-gray-800">{kr(closingCosts.deedRegistration)}</span></p>
+                    <p className="flex justify-between"><span>Tinglysing av pantedokument</span><span className="font-medium text-gray-800">{kr(closingCosts.mortgageRegistration)}</span></p>
+                    <p className="flex justify-between"><span>Etableringsgebyr</span><span className="font-medium text-gray-800">{kr(closingCosts.establishmentFee)}</span></p>
+                    <p className="flex justify-between border-t pt-2 mt-2 font-semibold text-gray-800"><span>Sum omkostninger</span><span>{kr(closingCosts.total)}</span></p>
+                    {closingCosts.sharedDebt > 0 && (
+                        <>
+                            <p className="flex justify-between"><span>Andel fellesgjeld</span><span className="font-medium text-gray-800">{kr(closingCosts.sharedDebt)}</span></p>
+                            <p className="flex justify-between"><span>Totalpris inkl. fellesgjeld</span><span className="font-medium text-gray-800">{kr(closingCosts.totalPrice)}</span></p>
+                        </>
+                    )}
+                </div>
+                <div className="bg-indigo-50 p-4 rounded-lg text-sm text-gray-600 space-y-1">
+                    <p className="flex justify-between"><span>Egenkapital</span><span className="font-medium text-gray-800">{kr(totalDownPayment)}</span></p>
+                    <p className="flex justify-between"><span>Herav til omkostninger</span><span className="font-medium text-red-600">-{kr(closingCosts.total)}</span></p>
+                    <p className="flex justify-between"><span>Igjen til kjøpesummen</span><span className="font-medium text-gray-800">{kr(totalDownPayment - closingCosts.total)}</span></p>
+                    <p className="flex justify-between border-t pt-2 mt-2 font-semibold text-gray-800"><span>Kontanter ved overtakelse</span><span>{kr(cashAtClosing)}</span></p>
+                    <p className="flex justify-between"><span>Minste kontantbehov (egenkapitalkrav + omkostninger)</span><span className="font-medium text-gray-800">{kr(minimumCash)}</span></p>
+                </div>
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Gebyrer for {CLOSING_COST_RULES.year}. Omkostningene betales av egenkapitalen, fordelt etter eierandel; resten av kjøpesummen lånes.
+                Borettslag har ingen dokumentavgift, men fellesgjelden følger med andelen.
+            </p>
+        </div>
+    );
+};
+
+export default ClosingCostsPanel;
@@ -0,0 +1,79 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+// Hvem har betalt hva, og oppgjøret mellom eierne ved brudd eller salg
+const CoOwnershipPanel = ({ names, ledger, settlement, settlementYear, onSettlementYearChange, includeCosts, onIncludeCostsChange, maxYear }) => {
+    if (!settlement || names.length < 2) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Sameie og oppgjør</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <InputSlider label="Oppgjør etter (år)" value={settlementYear} onChange={e => onSettlementYearChange(Number(e.target.value))} min={0} max={maxYear} step={1} format="years" />
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={includeCosts} onChange={e => onIncludeCostsChange(e.target.checked)} className="h-4 w-4" />
+                    Ta med driftskostnader betalt utover eierandel
+                </label>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                {settlement.persons.map((person, i) => (
+                    <div key={i} className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 space-y-1">
+                        <h3 className="font-bold text-lg text-gray-800 mb-2">{names[i]}</h3>
+                        <p className="flex justify-between"><span>Innskutt kapital (egenkapital + avdrag)</span><span className="font-medium text-gray-800">{kr(person.capital)}</span></p>
+                        <p className="flex justify-between"><span>Betalte driftskostnader</span><span className="font-medium text-gray-800">{kr(person.runningCosts)}</span></p>
+                        <p className="flex justify-between"><span>Eierandel av netto boligverdi</span><span className="font-medium text-gray-800">{kr(person.ownershipValue)}</span></p>
+                        <p className="flex justify-between">
+                            <span>{person.compensation >= 0 ? 'Har krav på' : 'Skylder'}</span>
+                            <span className={`font-medium ${person.compensation >= 0 ? 'text-green-700' : 'text-red-600'}`}>{kr(Math.abs(person.compensation))}</span>
+                        </p>
+                        <p className="flex justify-between border-t pt-2 mt-2 font-semibold text-gray-800"><span>Utbetaling ved oppgjør</span><span>{kr(person.payout)}</span></p>
+                    </div>
+                ))}
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Innskudd over tid</h3>
+            <div className="overflow-auto rounded-lg border">
+                <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Innskudd over tid">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">År</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Boligverdi</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Restgjeld</th>
+                            {names.map((name, i) => (
+                                <React.Fragment key={i}>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">{name}: innbetalt</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">{name}: eier</th>
+                                </React.Fragment>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {ledger.map(entry => (
+                            <tr key={entry.year}>
+                                <td className="px-3 py-2">{entry.year}</td>
+                                <td className="px-3 py-2">{kr(entry.propertyValue)}</td>
+                                <td className="px-3 py-2">{kr(entry.debt)}</td>
+                                {entry.persons.map((person, i) => (
+                                    <React.Fragment key={i}>
+                                        <td className="px-3 py-2">{kr(person.contributed)}</td>
+                                        <td className="px-3 py-2">{kr(person.ownedEquity)}</td>
+                                    </React.Fragment>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Innbetalt = egenkapital, avdrag og renter på eget lån og egen andel av driftskostnadene. Ved oppgjør får hver eier tilbake innskutt kapital
+                pluss sin eierandel av verdiendringen; den som har skutt inn mer enn eierandelen tilsier, kompenseres av de andre.
+            </p>
+        </div>
+    );
+};
+
+export default CoOwnershipPanel;
@@ -0,0 +1,77 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+const pct = (value) => `${value.toFixed(2)} %`;
+
+// Fastrente mot flytende rente i fastrenteperioden: terminbeløp, renter, restgjeld og risikobilde
+const FixedRatePanel = ({ comparison, fixedRate, onFixedRateChange, fixedYears, onFixedYearsChange, maxYears }) => {
+    if (!comparison) return null;
+    const { months, fixed, floating, difference, breakEvenRate, scenarios } = comparison;
+    const years = months / 12;
+    const period = Number.isInteger(years) ? `${years} år` : `${months} måneder`;
+    const side = (title, details) => (
+        <div className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 space-y-1">
+            <h3 className="font-bold text-lg text-gray-800 mb-2">{title}</h3>
+            <p className="flex justify-between"><span>Snittrente</span><span className="font-medium text-gray-800">{pct(details.averageRate)}</span></p>
+            <p className="flex justify-between"><span>Første termin</span><span className="font-medium text-gray-800">{kr(details.firstPayment)}</span></p>
+            <p className="flex justify-between"><span>Renter i perioden</span><span className="font-medium text-gray-800">{kr(details.totalInterest)}</span></p>
+            <p className="flex justify-between"><span>Restgjeld etter {period}</span><span className="font-medium text-gray-800">{kr(details.endBalance)}</span></p>
+        </div>
+    );
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Fastrente eller flytende</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <InputSlider label="Tilbudt fastrente ( %)" value={fixedRate} onChange={e => onFixedRateChange(Number(e.target.value))} min={0} max={15} step={0.01} format="percent" />
+                <InputSlider label="Fastrenteperiode (år)" value={fixedYears} onChange={e => onFixedYearsChange(Number(e.target.value))} min={1} max={maxYears} step={1} format="years" />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                {side('Fastrente', fixed)}
+                {side('Flytende (forventet)', floating)}
+            </div>
+
+            <div className="bg-blue-50 p-4 rounded-lg text-sm text-gray-700 mb-4">
+                <p>
+                    {difference > 0
+                        ? <>Med forventet renteutvikling sparer fastrenten <span className="font-semibold">{kr(difference)}</span> i renter over {period}.</>
+                        : <>Med forventet renteutvikling koster fastrenten <span className="font-semibold">{kr(-difference)}</span> mer i renter over {period}.</>}
+                </p>
+                <p className="mt-1">
+                    Fastrenten lønner seg hvis den flytende renten i snitt blir høyere enn <span className="font-semibold">{pct(breakEvenRate)}</span>.
+                </p>
+            </div>
+
+            <div className="overflow-auto rounded-lg border">
+                <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Fastrente mot flytende rente">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            {['Flytende rente', 'Snittrente', 'Renter i perioden', 'Fastrente sparer'].map(title => (
+                                <th key={title} className="px-3 py-2 text-left text-xs font-medium text-gray-600">{title}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {scenarios.map(scenario => (
+                            <tr key={scenario.shift} className={scenario.shift === 0 ? 'bg-gray-50 font-medium' : ''}>
+                                <td className="px-3 py-2">{scenario.shift === 0 ? 'Forventet' : `${scenario.shift > 0 ? '+' : ''}${scenario.shift} prosentpoeng`}</td>
+                                <td className="px-3 py-2">{pct(scenario.averageRate)}</td>
+                                <td className="px-3 py-2">{kr(scenario.totalInterest)}</td>
+                                <td className={`px-3 py-2 ${scenario.difference >= 0 ? 'text-green-700' : 'text-red-600'}`}>{kr(scenario.difference)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Sammenligningen gjelder hele husstandens lån i fastrenteperioden, med samme lånetype og løpetid. Flytende rente følger renteutviklingen over,
+                og risikobildet flytter hele renteutviklingen opp eller ned. Negativt beløp betyr at flytende rente blir billigst. Etter perioden går fastrenten over til flytende rente.
+            </p>
+        </div>
+    );
+};
+
+export default FixedRatePanel;
@@ -0,0 +1,60 @@
+import React from 'react';
+
+// Helper component for input sliders with both slider and number input
+const InputSlider = ({ label, value, onChange, min, max, step, format }) => {
+    const handleNumberChange = (e) => {
+        const inputValue = e.target.value;
+        // Tillat tom streng eller tall
+        if (inputValue === '') {
+            onChange({ target: { value: 0 } });
+        } else {
+            const newValue = Number(inputValue);
+            if (!isNaN(newValue)) {
+                // Fjern min/max validering under skriving, la brukeren skrive fritt
+                onChange({ target: { value: newValue } });
+            }
+        }
+    };
+    
+    const handleBlur = (e) => {
+        // Valider og korriger ved blur (når feltet mister fokus)
+        const newValue = Number(e.target.value);
+        if (!isNaN(newValue)) {
+            const clampedValue = Math.min(Math.max(newValue, min), max);
+            if (clampedValue !== newValue) {
+                onChange({ target: { value: clampedValue } });
+            }
+        }
+    };
+
+    return (
+        <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <div className="flex items-center space-x-4">
+                <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={value}
+                    onChange={onChange}
+                    className="w-full h-3 sm:h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer touch-manipulation"
+                    aria-label={label}
+                />
+                <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={value}
+                    onChange={handleNumberChange}
+                    onBlur={handleBlur}
+                    onFocus={(e) => e.target.select()}
+                    className="w-32 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+            </div>
+        </div>
+    );
+};
+
+export default InputSlider;
@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Avdragsfrie perioder: første måned uten avdrag og antall måneder
+const InterestOnlyEditor = ({ periods = [], onChange, loanTerm }) => {
+    // Siste måned nedbetaler alltid restgjelden, så perioden må slutte før den
+    const maxMonth = Math.max(1, Math.round(loanTerm * 12) - 1);
+
+    const updatePeriod = (index, field, value) => {
+        onChange(periods.map((period, i) => {
+            if (i !== index) return period;
+            const month = field === 'month' ? Math.min(value, maxMonth) : period.month;
+            const months = field === 'months' ? value : period.months;
+            return { ...period, month, months: Math.max(1, Math.min(months, maxMonth - month + 1)) };
+        }));
+    };
+
+    return (
+        <div className="mb-4">
+            {periods.map((period, index) => (
+                <div key={index} className="mb-3 p-2 bg-gray-50 rounded-md border">
+                    <div className="flex items-center gap-2">
+                        <label className="text-xs text-gray-600">Fra måned</label>
+                        <input type="number" min={1} max={maxMonth} step={1} value={period.month} onChange={e => updatePeriod(index, 'month', Math.max(1, parseInt(e.target.value) || 1))} className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md" aria-label={`Avdragsfri fra måned (periode ${index + 1})`} />
+                        <label className="text-xs text-gray-600">Måneder</label>
+                        <input type="number" min={1} max={maxMonth - period.month + 1} step={1} value={period.months} onChange={e => updatePeriod(index, 'months', Math.max(1, parseInt(e.target.value) || 1))} className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md" aria-label={`Antall avdragsfrie måneder (periode ${index + 1})`} />
+                        <button onClick={() => onChange(periods.filter((_, i) => i !== index))} className="ml-auto px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label="Fjern avdragsfri periode">✕</button>
+                    </div>
+                </div>
+            ))}
+            <button onClick={() => onChange([...periods, { month: periods.length === 0 ? 1 : 61, months: 12 }])} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">
+                + Legg til avdragsfri periode
+            </button>
+            <p className="text-xs text-gray-500 mt-2">Bare renter i perioden; sluttdatoen står fast, så terminbeløpet øker når avdragene starter</p>
+        </div>
+    );
+};
+
+export default InterestOnlyEditor;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatCurrency } from '../format';
+import { LENDING_REGULATIONS } from '../lib';
+
+const RULE_DESCRIPTIONS = {
+    debtToIncome: (limits) => `Samlet gjeld${limits.sharedDebt > 0 ? ' inkl. fellesgjeld' : ''} maks ${LENDING_REGULATIONS.maxDebtToIncome} × brutto inntekt`,
+    equity: (limits) => `Minst ${Math.round(limits.requiredEquityShare * 100)} % egenkapital`,
+    stressTest: (limits) => `Tåle ${limits.stressRate.toFixed(2)} % rente (+${LENDING_REGULATIONS.stressTestAddition} pp, min. ${LENDING_REGULATIONS.stressTestFloor} %)`
+};
+
+// Utlånsforskriften: viser hvilket krav som begrenser lånet
+const LendingLimitsPanel = ({ limits, loanAmount }) => {
+    if (!limits) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-semibold text-gray-700">Utlånsforskriften</h2>
+                <span className={`text-sm px-3 py-1 rounded-md font-medium ${limits.compliant ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {limits.compliant ? '✓ Innenfor kravene' : '✗ Bryter kravene'}
+                </span>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {limits.rules.map(rule => {
+                    const isBinding = rule.id === limits.bindingRule;
+                    const description = RULE_DESCRIPTIONS[rule.id](limits);
+                    return (
+                        <div key={rule.id} className={`p-4 rounded-lg border-2 ${isBinding ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200 bg-gray-50'}`}>
+                            <div className="flex items-center justify-between mb-1">
+                                <span className="text-sm font-semibold text-gray-700">{rule.label}</span>
+                                <span className={`text-sm font-bold ${rule.ok ? 'text-green-600' : 'text-red-600'}`}>{rule.ok ? '✓' : '✗'}</span>
+                            </div>
+                            <p className="text-xs text-gray-500 mb-3">{description}</p>
+                            <p className="text-xs text-gray-600">Maks lån</p>
+                            <p className="font-bold text-gray-800">{formatCurrency(rule.maxLoan)}</p>
+                            <p className="text-xs text-gray-600 mt-2">Maks boligpris</p>
+                            <p className="font-bold text-gray-800">{formatCurrency(rule.maxPropertyPrice)}</p>
+                            {isBinding && (
+                                <p className="text-xs font-medium text-indigo-700 mt-2">Begrensende krav</p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600">
+                <p>Ditt lån: <span className="font-semibold text-gray-800">{formatCurrency(loanAmount)}</span></p>
+                <p>Gjeldsgrad: <span className="font-semibold text-gray-800">{limits.debtToIncome !== null ? `${limits.debtToIncome.toFixed(2)} × inntekt` : 'Ingen inntekt oppgitt'}</span></p>
+                <p>Betaling i stresstest: <span className="font-semibold text-gray-800">{formatCurrency(Math.round(limits.stressPayment))}/mnd</span></p>
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Regler per {LENDING_REGULATIONS.year}. Stresstesten bruker ønsket månedlig betaling minus faste kostnader som betjeningsevne, og regner all gjeld som annuitetslån.
+            </p>
+        </div>
+    );
+};
+
+export default LendingLimitsPanel;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { findMunicipality, municipalDuesFor, searchMunicipalities, MUNICIPALITY_DATA_YEAR } from '../lib';
+import { formatCurrency } from '../format';
+
+const describeTax = (municipality) => {
+    if (!municipality.propertyTax) return 'Ingen eiendomsskatt på bolig';
+    const { rate, bottomDeduction } = municipality.propertyTax;
+    const promille = (rate * 1000).toLocaleString('nb-NO', { maximumFractionDigits: 2 });
+    return bottomDeduction > 0 ? `${promille} ‰, bunnfradrag ${formatCurrency(bottomDeduction)}` : `${promille} ‰`;
+};
+
+// Søkbar kommuneliste. Valg av kommune setter eiendomsskatteregler og fyller inn kommunale avgifter.
+const MunicipalityPicker = ({ value, onChange }) => {
+    const [query, setQuery] = useState('');
+    const selected = value === 'custom' ? undefined : findMunicipality(value);
+    const matches = searchMunicipalities(query);
+
+    const choose = (municipality) => {
+        onChange(municipality ? municipality.number : 'custom', municipality ? municipalDuesFor(municipality) : null);
+        setQuery('');
+    };
+
+    return (
+        <div className="mb-4">
+            <label htmlFor="municipalitySearch" className="block text-sm font-medium text-gray-700 mb-2">Kommune</label>
+            <div className="bg-gray-50 p-2 rounded-md mb-2 text-sm">
+                <p className="font-semibold text-gray-800">{selected ? `${selected.name} (${selected.number})` : 'Annen kommune'}</p>
+                <p className="text-xs text-gray-500">{selected ? describeTax(selected) : 'Skriv inn årlig eiendomsskatt selv'}</p>
+            </div>
+            <input
+                id="municipalitySearch"
+                type="search"
+                value={query}
+                onChange={e => setQuery(e.target.value)}
+                placeholder="Søk etter kommune eller kommunenummer"
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm mb-2"
+            />
+            <ul className="max-h-48 overflow-y-auto border rounded-md divide-y text-sm">
+                {matches.map(municipality => (
+                    <li key={municipality.number}>
+                        <button onClick={() => choose(municipality)} className={`w-full text-left px-2 py-1 hover:bg-gray-50 ${selected && selected.number === municipality.number ? 'bg-blue-50 font-semibold' : ''}`}>
+                            {municipality.name} <span className="text-xs text-gray-500">{describeTax(municipality)}</span>
+                        </button>
+                    </li>
+                ))}
+                <li>
+                    <button onClick={() => choose(null)} className={`w-full text-left px-2 py-1 hover:bg-gray-50 ${selected ? '' : 'bg-blue-50 font-semibold'}`}>Annen kommune</button>
+                </li>
+            </ul>
+            <p className="text-[11px] text-gray-400 mt-1">Satser og avgifter for {MUNICIPALITY_DATA_YEAR}. Valg av kommune fyller inn kommunale avgifter (vann, avløp, renovasjon).</p>
+        </div>
+    );
+};
+
+export default MunicipalityPicker;
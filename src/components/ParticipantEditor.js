@@ -0,0 +1,70 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { createParticipant, participantTotals } from '../lib';
+
+const MAX_PARTICIPANTS = 6;
+
+// Liste over kjøpere og medlåntakere: egenkapital, eierandel, gjeldsandel, kostnadsandel, inntekt og øvrig gjeld
+const ParticipantEditor = ({ participants, onChange, debtSplitMode, onDebtSplitModeChange }) => {
+    const update = (index, field, value) => {
+        onChange(participants.map((participant, i) => (i === index ? { ...participant, [field]: value } : participant)));
+    };
+    const totals = participantTotals(participants);
+
+    return (
+        <div>
+            <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Fordeling av lånet</label>
+                <div className="flex rounded-md shadow-sm">
+                    <button onClick={() => onDebtSplitModeChange('ownership')} className={`flex-1 p-2 text-sm rounded-l-md ${debtSplitMode === 'ownership' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Etter eierandel</button>
+                    <button onClick={() => onDebtSplitModeChange('agreed')} className={`flex-1 p-2 text-sm rounded-r-md ${debtSplitMode === 'agreed' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>Egen gjeldsandel</button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                    {debtSplitMode === 'ownership'
+                        ? 'Hver låner sin eierandel av boligprisen minus egen egenkapital'
+                        : 'Felles lån (boligpris minus all egenkapital) fordeles etter gjeldsandel'}
+                </p>
+            </div>
+
+            {participants.map((participant, index) => (
+                <div key={index} className="border rounded-lg p-3 mb-4">
+                    <div className="flex items-center gap-2 mb-3">
+                        <input
+                            type="text"
+                            value={participant.name}
+                            onChange={e => update(index, 'name', e.target.value)}
+                            className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm font-semibold"
+                            aria-label={`Navn på deltaker ${index + 1}`}
+                        />
+                        {participants.length > 1 && (
+                            <button onClick={() => onChange(participants.filter((_, i) => i !== index))} className="px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label={`Fjern ${participant.name}`}>✕</button>
+                        )}
+                    </div>
+                    <InputSlider label={`Egenkapital – ${participant.name}`} value={participant.downPayment} onChange={e => update(index, 'downPayment', Number(e.target.value))} min={0} max={17500000} step={10000} format="currency" />
+                    <InputSlider label={`Eierandel – ${participant.name} ( %)`} value={participant.ownershipShare} onChange={e => update(index, 'ownershipShare', Number(e.target.value))} min={0} max={100} step={1} format="percent" />
+                    {debtSplitMode === 'agreed' && (
+                        <InputSlider label={`Gjeldsandel – ${participant.name} ( %)`} value={participant.debtShare} onChange={e => update(index, 'debtShare', Number(e.target.value))} min={0} max={100} step={1} format="percent" />
+                    )}
+                    <InputSlider label={`Andel av driftskostnader – ${participant.name} ( %)`} value={participant.costShare ?? participant.ownershipShare} onChange={e => update(index, 'costShare', Number(e.target.value))} min={0} max={100} step={1} format="percent" />
+                    <InputSlider label={`Bruttoinntekt – ${participant.name} (kr/år)`} value={participant.income} onChange={e => update(index, 'income', Number(e.target.value))} min={0} max={5000000} step={10000} format="currency" />
+                    <InputSlider label={`Øvrig gjeld – ${participant.name} (studielån, billån o.l.)`} value={participant.existingDebt} onChange={e => update(index, 'existingDebt', Number(e.target.value))} min={0} max={5000000} step={10000} format="currency" />
+                </div>
+            ))}
+
+            {totals.ownershipShare !== 100 && (
+                <p className="text-xs text-red-600 mb-2">Eierandelene summerer til {totals.ownershipShare} %, ikke 100 %.</p>
+            )}
+            {debtSplitMode === 'agreed' && totals.debtShare !== 100 && (
+                <p className="text-xs text-red-600 mb-2">Gjeldsandelene summerer til {totals.debtShare} %; lånet fordeles forholdsmessig.</p>
+            )}
+            {totals.costShare !== 100 && (
+                <p className="text-xs text-red-600 mb-2">Andelene av driftskostnadene summerer til {totals.costShare} %, ikke 100 %.</p>
+            )}
+            {participants.length < MAX_PARTICIPANTS && (
+                <button onClick={() => onChange([...participants, createParticipant(participants.length)])} className="w-full p-2 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50 mb-4">+ Legg til deltaker</button>
+            )}
+        </div>
+    );
+};
+
+export default ParticipantEditor;
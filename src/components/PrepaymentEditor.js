@@ -0,0 +1,55 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { EMPTY_PREPAYMENTS } from '../lib';
+
+export const PREPAYMENT_MODES = {
+    term: 'Kortere løpetid',
+    payment: 'Lavere terminbeløp'
+};
+
+const ModeToggle = ({ value, onChange }) => (
+    <div className="flex rounded-md shadow-sm">
+        {Object.entries(PREPAYMENT_MODES).map(([key, label], index) => (
+            <button key={key} onClick={() => onChange(key)} className={`flex-1 p-1 text-xs ${index === 0 ? 'rounded-l-md' : 'rounded-r-md'} ${value === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border hover:bg-gray-50'}`}>{label}</button>
+        ))}
+    </div>
+);
+
+// Ekstra innbetaling: fast månedlig beløp og engangsbeløp
+const PrepaymentEditor = ({ prepayments, onChange }) => {
+    const { extraMonthly = 0, extraMonthlyMode = 'term', lumpSums = [] } = prepayments || EMPTY_PREPAYMENTS;
+
+    const updateLump = (index, field, value) => {
+        onChange({ ...prepayments, lumpSums: lumpSums.map((lump, i) => (i === index ? { ...lump, [field]: value } : lump)) });
+    };
+
+    return (
+        <div className="mb-4">
+            <InputSlider label="Ekstra innbetaling (kr/mnd)" value={extraMonthly} onChange={e => onChange({ ...prepayments, extraMonthly: Number(e.target.value) })} min={0} max={50000} step={500} format="currency" />
+            {extraMonthly > 0 && (
+                <div className="mb-4 -mt-2">
+                    <ModeToggle value={extraMonthlyMode} onChange={mode => onChange({ ...prepayments, extraMonthlyMode: mode })} />
+                </div>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mb-2">Engangsinnbetalinger</label>
+            {lumpSums.map((lump, index) => (
+                <div key={index} className="mb-3 p-2 bg-gray-50 rounded-md border">
+                    <div className="flex items-center gap-2 mb-2">
+                        <label className="text-xs text-gray-600">Måned</label>
+                        <input type="number" min={1} step={1} value={lump.month} onChange={e => updateLump(index, 'month', Math.max(1, parseInt(e.target.value) || 1))} className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        <label className="text-xs text-gray-600">Beløp</label>
+                        <input type="number" min={0} step={10000} value={lump.amount} onChange={e => updateLump(index, 'amount', Math.max(0, Number(e.target.value) || 0))} className="w-28 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        <button onClick={() => onChange({ ...prepayments, lumpSums: lumpSums.filter((_, i) => i !== index) })} className="ml-auto px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label="Fjern engangsinnbetaling">✕</button>
+                    </div>
+                    <ModeToggle value={lump.mode} onChange={mode => updateLump(index, 'mode', mode)} />
+                </div>
+            ))}
+            <button onClick={() => onChange({ ...prepayments, extraMonthly, extraMonthlyMode, lumpSums: [...lumpSums, { month: 12, amount: 100000, mode: 'term' }] })} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">
+                + Legg til engangsbeløp
+            </button>
+        </div>
+    );
+};
+
+export default PrepaymentEditor;
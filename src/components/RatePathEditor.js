@@ -0,0 +1,91 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { RATE_PATH_TYPES } from '../lib';
+
+const DEFAULT_PATHS = {
+    fixed: () => ({ type: 'fixed' }),
+    steps: (interestRate) => ({ type: 'steps', steps: [{ month: 13, rate: interestRate + 1 }] }),
+    glide: (interestRate) => ({ type: 'glide', targetRate: Math.max(0.1, interestRate - 1), months: 36 }),
+    policy: (interestRate) => ({ type: 'policy', policyRate: 4.0, margin: Math.max(0, Number((interestRate - 4.0).toFixed(2))), moves: [{ month: 7, rate: 3.75 }] })
+};
+
+// Liste med rentendringer: [{ month, rate }]
+const RateChangeList = ({ items, onChange, rateLabel }) => {
+    const update = (index, field, value) => {
+        onChange(items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+    };
+    const lastMonth = items.length > 0 ? items[items.length - 1].month : 0;
+
+    return (
+        <div className="mb-4">
+            <table className="w-full text-sm mb-2">
+                <thead>
+                    <tr className="text-left text-xs text-gray-500">
+                        <th className="font-medium pb-1">Fra måned</th>
+                        <th className="font-medium pb-1">{rateLabel}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {items.map((item, index) => (
+                        <tr key={index}>
+                            <td className="pr-2 pb-1">
+                                <input type="number" min={1} step={1} value={item.month} onChange={e => update(index, 'month', Math.max(1, parseInt(e.target.value) || 1))} className="w-full px-2 py-1 border border-gray-300 rounded-md" />
+                            </td>
+                            <td className="pr-2 pb-1">
+                                <input type="number" min={0} max={20} step={0.01} value={item.rate} onChange={e => update(index, 'rate', Number(e.target.value))} className="w-full px-2 py-1 border border-gray-300 rounded-md" />
+                            </td>
+                            <td className="pb-1 text-right">
+                                <button onClick={() => onChange(items.filter((_, i) => i !== index))} className="px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label="Fjern renteendring">✕</button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <button onClick={() => onChange([...items, { month: lastMonth + 12, rate: items.length > 0 ? items[items.length - 1].rate : 4 }])} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">
+                + Legg til renteendring
+            </button>
+        </div>
+    );
+};
+
+// Renteutvikling: fast, trinnvis, glidende eller styringsrente + margin
+const RatePathEditor = ({ ratePath, onChange, interestRate }) => {
+    const type = ratePath && RATE_PATH_TYPES[ratePath.type] ? ratePath.type : 'fixed';
+
+    return (
+        <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Renteutvikling</label>
+            <div className="grid grid-cols-2 gap-1 mb-3">
+                {Object.entries(RATE_PATH_TYPES).map(([key, label]) => (
+                    <button key={key} onClick={() => onChange(DEFAULT_PATHS[key](interestRate))} className={`p-2 text-sm rounded-md ${type === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border hover:bg-gray-50'}`}>{label}</button>
+                ))}
+            </div>
+
+            {type === 'steps' && (
+                <>
+                    <p className="text-xs text-gray-500 mb-2">Renten over gjelder til første endring.</p>
+                    <RateChangeList items={ratePath.steps || []} rateLabel="Ny rente (%)" onChange={steps => onChange({ ...ratePath, steps })} />
+                </>
+            )}
+
+            {type === 'glide' && (
+                <>
+                    <InputSlider label="Målrente ( %)" value={ratePath.targetRate} onChange={e => onChange({ ...ratePath, targetRate: Number(e.target.value) })} min={0.1} max={20} step={0.01} format="percent" />
+                    <InputSlider label="Måneder til målrenten nås" value={ratePath.months} onChange={e => onChange({ ...ratePath, months: Number(e.target.value) })} min={1} max={240} step={1} format="months" />
+                </>
+            )}
+
+            {type === 'policy' && (
+                <>
+                    <InputSlider label="Styringsrente i dag ( %)" value={ratePath.policyRate} onChange={e => onChange({ ...ratePath, policyRate: Number(e.target.value) })} min={0} max={15} step={0.25} format="percent" />
+                    <InputSlider label="Bankens margin (prosentpoeng)" value={ratePath.margin} onChange={e => onChange({ ...ratePath, margin: Number(e.target.value) })} min={0} max={5} step={0.05} format="percent" />
+                    <p className="text-xs text-gray-500 mb-2">Forventede rentemøter i Norges Bank. Lånerenten er styringsrente + margin.</p>
+                    <RateChangeList items={ratePath.moves || []} rateLabel="Styringsrente (%)" onChange={moves => onChange({ ...ratePath, moves })} />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RatePathEditor;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Tooltip, Legend } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import InputSlider from './InputSlider';
+import { formatCurrency } from '../format';
+import { rateStressChartData } from '../chartData';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, PointElement, LineElement, Tooltip, Legend);
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+        tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${kr(context.parsed.y)}` } },
+        legend: { position: 'bottom' }
+    },
+    scales: { x: { stacked: true }, y: { stacked: true, ticks: { callback: (value) => formatCurrency(value) } } }
+};
+
+// Rentestress for budsjettet: nye terminbeløp og månedskostnad hvis renten stiger
+const RateStressPanel = ({ stress, month, onMonthChange, budget, onBudgetChange, maxMonth }) => (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+        <h2 className="text-2xl font-semibold text-gray-700 mb-4">Rentestress</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-2">
+            <InputSlider label="Renteøkning fra måned" value={month} onChange={e => onMonthChange(Number(e.target.value))} min={1} max={maxMonth} step={1} />
+            <InputSlider label="Budsjettgrense (kr/mnd)" value={budget} onChange={e => onBudgetChange(Number(e.target.value))} min={0} max={150000} step={500} format="currency" />
+        </div>
+
+        {stress ? (
+            <>
+                {budget > 0 && (
+                    <div className={`p-4 rounded-lg text-sm mb-4 ${stress.budgetRate !== null && stress.budgetRate <= stress.rate ? 'bg-red-50 text-red-700' : 'bg-blue-50 text-gray-700'}`}>
+                        {stress.budgetRate === null && <p>Månedskostnaden holder seg under {kr(budget)} selv med 30 % rente.</p>}
+                        {stress.budgetRate !== null && stress.budgetRate <= stress.rate && <p>Månedskostnaden er allerede over budsjettgrensen på {kr(budget)}.</p>}
+                        {stress.budgetRate !== null && stress.budgetRate > stress.rate && (
+                            <p>
+                                Månedskostnaden passerer budsjettgrensen på {kr(budget)} ved <span className="font-semibold">{stress.budgetRate.toFixed(2)} %</span> rente
+                                ({(stress.budgetRate - stress.rate).toFixed(2)} prosentpoeng over renten i dag).
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                <div className="overflow-auto rounded-lg border mb-4">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Rentestress">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                {['Renteøkning', 'Rente', 'Terminbeløp', 'Månedskostnad', 'Netto månedskostnad', 'Rentefradrag', 'Ekstra per år'].map(title => (
+                                    <th key={title} className="px-3 py-2 text-left text-xs font-medium text-gray-600">{title}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {stress.rows.map(row => (
+                                <tr key={row.shift} className={row.overBudget ? 'bg-red-50 text-red-700' : ''}>
+                                    <td className="px-3 py-2 font-medium">{row.shift === 0 ? 'I dag' : `+${row.shift} prosentpoeng`}{row.overBudget ? ' ⚠' : ''}</td>
+                                    <td className="px-3 py-2">{row.rate.toFixed(2)} %</td>
+                                    <td className="px-3 py-2">{kr(row.loanPayment)}</td>
+                                    <td className="px-3 py-2">{kr(row.totalMonthlyCost)}</td>
+                                    <td className="px-3 py-2">{kr(row.netMonthlyCost)}</td>
+                                    <td className="px-3 py-2">-{kr(row.taxDeduction)}</td>
+                                    <td className="px-3 py-2">{row.extraPerYear > 0 ? '+' : ''}{kr(row.extraPerYear)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="h-64">
+                    <Bar data={rateStressChartData(stress.rows, budget)} options={chartOptions} />
+                </div>
+            </>
+        ) : (
+            <p className="text-sm text-gray-500">Lånet er nedbetalt før måned {month}.</p>
+        )}
+        <p className="text-[11px] text-gray-400 mt-3">
+            «I dag» er terminbeløpet i planen den måneden. Med renteøkning regnes annuiteten om over månedene som er igjen, serielån beholder avdraget
+            og avdragsfrie måneder forblir avdragsfrie; ekstra innbetalinger betales som før. Faste kostnader er prisstigningen fram til den måneden, uten oppussing;
+            fellesgjelden får samme renteøkning. Rentefradraget er renten i første måned ganger rentefradrag-satsen. Budsjettgrensen gjelder månedskostnaden før leieinntekt og fradrag.
+        </p>
+    </div>
+);
+
+export default RateStressPanel;
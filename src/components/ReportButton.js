@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { balanceChartData, breakdownChartData, equityChartData } from '../chartData';
+
+// «Last ned rapport»: PDF med input, fordeling, sammenligninger, nedbetaling og grafer.
+// jsPDF og Chart-tegningen lastes først når rapporten lages.
+const ReportButton = ({ reportData, annuitySchedule, serialSchedule, equityCurve, shareLink }) => {
+    const [generating, setGenerating] = useState(false);
+
+    const generate = async () => {
+        setGenerating(true);
+        try {
+            const [{ buildReport }, { renderChartImage }] = await Promise.all([import('../export/report'), import('../export/reportCharts')]);
+            const charts = [
+                { title: 'Lånebalanse: annuitetslån vs serielån', image: renderChartImage('line', balanceChartData(annuitySchedule, serialSchedule)) },
+                { title: 'Avdrag og renter per år', image: renderChartImage('bar', breakdownChartData(reportData.amortization), { stacked: true }) },
+                { title: 'Boligverdi, gjeld og egenkapital', image: renderChartImage('line', equityChartData(equityCurve)) }
+            ];
+            const generatedAt = new Date();
+            const doc = buildReport({ ...reportData, generatedAt, shareLink, charts });
+            doc.save(`lanerapport-${generatedAt.toISOString().slice(0, 10)}.pdf`);
+        } catch (e) {
+            console.error('Failed to generate report:', e);
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    return (
+        <button onClick={generate} disabled={generating} className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white shadow-sm hover:bg-blue-700 disabled:opacity-60">
+            {generating ? 'Lager rapport …' : 'Last ned rapport'}
+        </button>
+    );
+};
+
+export default ReportButton;
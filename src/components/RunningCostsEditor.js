@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import InputSlider from './InputSlider';
+import { COST_ITEMS, DEFAULT_COST_ESCALATION, escalationRate } from '../lib';
+import { formatCurrency } from '../format';
+
+export const MAINTENANCE_MODES = {
+    amount: 'Fast beløp',
+    percent: '% av boligverdi'
+};
+
+// Typiske større oppussinger, i dagens kroner
+export const RENOVATION_PRESETS = [
+    { label: 'Tak', year: 20, amount: 250000 },
+    { label: 'Bad', year: 15, amount: 300000 },
+    { label: 'Fasade', year: 10, amount: 150000 }
+];
+
+// Kostnadsvekst per post, vedlikehold som andel av boligverdien og større oppussinger
+const RunningCostsEditor = ({ escalation, onEscalationChange, maintenancePlan, onMaintenancePlanChange, inflation, maintenanceCost }) => {
+    const rates = escalation || DEFAULT_COST_ESCALATION;
+    const [showItems, setShowItems] = useState(Object.keys(rates).some(key => key !== 'default'));
+    const { renovations } = maintenancePlan;
+
+    const updateRenovation = (index, field, value) => {
+        onMaintenancePlanChange({ ...maintenancePlan, renovations: renovations.map((item, i) => (i === index ? { ...item, [field]: value } : item)) });
+    };
+
+    return (
+        <div className="mb-4">
+            <InputSlider label="Kostnadsvekst ( % per år)" value={escalationRate(rates, 'default', inflation)} onChange={e => onEscalationChange({ ...rates, default: Number(e.target.value) })} min={0} max={10} step={0.1} format="percent" />
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4 -mt-2">
+                <input type="checkbox" checked={showItems} onChange={e => setShowItems(e.target.checked)} className="h-4 w-4" />
+                Egen vekst per post
+            </label>
+            {showItems && Object.entries(COST_ITEMS).map(([item, label]) => (
+                <InputSlider key={item} label={`Vekst – ${label} ( % per år)`} value={escalationRate(rates, item, inflation)} onChange={e => onEscalationChange({ ...rates, [item]: Number(e.target.value) })} min={0} max={10} step={0.1} format="percent" />
+            ))}
+            {Object.keys(rates).length > 0 && (
+                <button onClick={() => onEscalationChange(DEFAULT_COST_ESCALATION)} className="mb-4 px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">
+                    Følg inflasjonen ({inflation.toFixed(1)} %)
+                </button>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mb-2">Vedlikehold</label>
+            <div className="flex rounded-md shadow-sm mb-4" role="group" aria-label="Vedlikehold">
+                {Object.entries(MAINTENANCE_MODES).map(([mode, label], index) => (
+                    <button key={mode} onClick={() => onMaintenancePlanChange({ ...maintenancePlan, mode })} className={`flex-1 p-2 text-sm ${index === 0 ? 'rounded-l-md' : 'rounded-r-md'} ${maintenancePlan.mode === mode ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>{label}</button>
+                ))}
+            </div>
+            {maintenancePlan.mode === 'percent' && (
+                <>
+                    <InputSlider label="Vedlikehold ( % av boligverdi per år)" value={maintenancePlan.percentOfValue} onChange={e => onMaintenancePlanChange({ ...maintenancePlan, percentOfValue: Number(e.target.value) })} min={0} max={5} step={0.1} format="percent" />
+                    <p className="text-xs text-gray-500 -mt-2 mb-4">{formatCurrency(Math.round(maintenanceCost))} første år, og følger boligprisen etterpå</p>
+                </>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mb-2">Større oppussing</label>
+            {renovations.map((item, index) => (
+                <div key={index} className="mb-3 p-2 bg-gray-50 rounded-md border">
+                    <div className="flex items-center gap-2">
+                        <input type="text" value={item.label} onChange={e => updateRenovation(index, 'label', e.target.value)} className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-md" aria-label="Oppussing" />
+                        <label className="text-xs text-gray-600">År</label>
+                        <input type="number" min={1} step={1} value={item.year} onChange={e => updateRenovation(index, 'year', Math.max(1, parseInt(e.target.value) || 1))} className="w-16 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        <label className="text-xs text-gray-600">Beløp</label>
+                        <input type="number" min={0} step={10000} value={item.amount} onChange={e => updateRenovation(index, 'amount', Math.max(0, Number(e.target.value) || 0))} className="w-28 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        <button onClick={() => onMaintenancePlanChange({ ...maintenancePlan, renovations: renovations.filter((_, i) => i !== index) })} className="ml-auto px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label="Fjern oppussing">✕</button>
+                    </div>
+                </div>
+            ))}
+            <div className="flex flex-wrap gap-2">
+                {RENOVATION_PRESETS.map(preset => (
+                    <button key={preset.label} onClick={() => onMaintenancePlanChange({ ...maintenancePlan, renovations: [...renovations, { ...preset }] })} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">
+                        + {preset.label}
+                    </button>
+                ))}
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Poster uten egen vekst følger kostnadsveksten, og den følger inflasjonen til du endrer den. Oppussing legges inn i dagens kroner,
+                øker med vedlikeholdsveksten og betales i første måned det året.
+            </p>
+        </div>
+    );
+};
+
+export default RunningCostsEditor;
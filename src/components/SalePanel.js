@@ -0,0 +1,61 @@
+import React from 'react';
+import InputSlider from './InputSlider';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+// Salg etter N år: salgspris, meglerhonorar, markedsføring, gevinstskatt og netto per eier
+const SalePanel = ({ sale, names, saleYear, onSaleYearChange, saleEnabled, onSaleEnabledChange, brokerFeeRate, onBrokerFeeRateChange, marketingCost, onMarketingCostChange, taxable, maxYear }) => {
+    if (!sale) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Salg</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <InputSlider label="Selg etter (år)" value={saleYear} onChange={e => onSaleYearChange(Number(e.target.value))} min={1} max={maxYear} step={1} format="years" />
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={saleEnabled} onChange={e => onSaleEnabledChange(e.target.checked)} className="h-4 w-4" />
+                    Bruk salgsåret i investeringsanalysen
+                </label>
+                <InputSlider label="Meglerhonorar ( % av salgspris)" value={brokerFeeRate} onChange={e => onBrokerFeeRateChange(Number(e.target.value))} min={0} max={5} step={0.1} format="percent" />
+                <InputSlider label="Markedsføring og oppgjør (kr)" value={marketingCost} onChange={e => onMarketingCostChange(Number(e.target.value))} min={0} max={200000} step={1000} format="currency" />
+            </div>
+
+            <div className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 space-y-1 mb-4">
+                <p className="flex justify-between"><span>Salgspris etter {sale.year} år</span><span className="font-medium text-gray-800">{kr(sale.salePrice)}</span></p>
+                <p className="flex justify-between"><span>Meglerhonorar</span><span className="font-medium text-red-600">-{kr(sale.brokerFee)}</span></p>
+                <p className="flex justify-between"><span>Markedsføring og oppgjør</span><span className="font-medium text-red-600">-{kr(sale.marketingCost)}</span></p>
+                {taxable ? (
+                    <p className="flex justify-between">
+                        <span>{sale.gainTax >= 0 ? 'Gevinstskatt' : 'Fradrag for tap'}</span>
+                        <span className={`font-medium ${sale.gainTax >= 0 ? 'text-red-600' : 'text-green-700'}`}>{sale.gainTax >= 0 ? '-' : '+'}{kr(Math.abs(sale.gainTax))}</span>
+                    </p>
+                ) : (
+                    <p className="flex justify-between"><span>Gevinstskatt</span><span className="font-medium text-gray-800">Skattefri (egen bolig)</span></p>
+                )}
+                <p className="flex justify-between"><span>Innfrielse av restgjeld</span><span className="font-medium text-red-600">-{kr(sale.debt)}</span></p>
+                <p className="flex justify-between border-t pt-2 mt-2 font-semibold text-gray-800"><span>Netto etter salg</span><span>{kr(sale.netProceeds)}</span></p>
+            </div>
+
+            {names.length > 1 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {sale.persons.map((person, i) => (
+                        <div key={i} className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 space-y-1">
+                            <h3 className="font-bold text-lg text-gray-800 mb-2">{names[i]}</h3>
+                            <p className="flex justify-between"><span>Andel av salgspris</span><span className="font-medium text-gray-800">{kr(person.saleShare)}</span></p>
+                            <p className="flex justify-between"><span>Andel av salgskostnader og skatt</span><span className="font-medium text-red-600">-{kr(person.costs)}</span></p>
+                            <p className="flex justify-between"><span>Eget lån</span><span className="font-medium text-red-600">-{kr(person.debt)}</span></p>
+                            <p className="flex justify-between border-t pt-2 mt-2 font-semibold text-gray-800"><span>Netto etter salg</span><span>{kr(person.netProceeds)}</span></p>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <p className="text-[11px] text-gray-400 mt-3">
+                Salgsprisen følger forventet prisendring. Gevinst ved salg av egen bolig er skattefri når dere har eid i minst ett år og bodd der minst ett av de to siste årene;
+                for sekundærbolig skattlegges gevinsten etter salgskostnader, dokumentavgift og tinglysing ved kjøpet med rentefradrag-satsen, og for borettslag regnes den av totalprisen med fellesgjeld. Hver eier får sin eierandel av salgssummen og innfrir sitt eget lån.
+            </p>
+        </div>
+    );
+};
+
+export default SalePanel;
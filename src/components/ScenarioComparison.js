@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatCurrency } from '../format';
+
+// better: hvilken retning som er gunstig; null når verdien bare er forskjellig
+const COMPARISON_ROWS = [
+    { key: 'propertyValue', label: 'Kjøpesum', better: null },
+    { key: 'loanAmount', label: 'Lånebeløp', better: null },
+    { key: 'totalMonthlyCost', label: 'Månedlig kostnad', better: 'lower' },
+    { key: 'totalInterest', label: 'Totale renter', better: 'lower' },
+    { key: 'realPropertyGain', label: 'Reell gevinst', better: 'higher' },
+    { key: 'investmentAdvantage', label: 'Fordel vs sparing', better: 'higher' }
+];
+
+const cellClass = (row, value, values) => {
+    const differs = values.some(other => Math.abs(other - value) >= 1);
+    if (!differs) return '';
+    if (!row.better) return 'bg-amber-50';
+    const best = row.better === 'lower' ? Math.min(...values) : Math.max(...values);
+    return Math.abs(value - best) < 1 ? 'bg-green-100 text-green-800 font-semibold' : '';
+};
+
+// Sammenligning av 2–4 lagrede scenarier side om side
+const ScenarioComparison = ({ scenarios }) => (
+    <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+            <thead>
+                <tr className="border-b">
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600"></th>
+                    {scenarios.map(scenario => (
+                        <th key={scenario.id} className="px-3 py-2 text-right text-xs font-medium text-gray-600">{scenario.name}</th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {COMPARISON_ROWS.map(row => {
+                    const values = scenarios.map(scenario => scenario.result[row.key]);
+                    return (
+                        <tr key={row.key} className="border-b last:border-0">
+                            <td className="px-3 py-2 text-gray-700">{row.label}</td>
+                            {values.map((value, index) => {
+                                const difference = value - values[0];
+                                return (
+                                    <td key={scenarios[index].id} className={`px-3 py-2 text-right ${cellClass(row, value, values)}`}>
+                                        <div>{formatCurrency(Math.round(value))}</div>
+                                        {index > 0 && Math.abs(difference) >= 1 && (
+                                            <div className="text-[11px] text-gray-500">{difference > 0 ? '+' : '−'}{formatCurrency(Math.round(Math.abs(difference)))}</div>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+        <p className="text-[11px] text-gray-400 mt-2">
+            Differanser er målt mot første scenario. Grønt markerer det gunstigste scenariet, gult at beløpene er forskjellige.
+        </p>
+    </div>
+);
+
+export default ScenarioComparison;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { calculateScenario } from '../lib';
+import { readInputs, writeParams } from '../params';
+import { createScenario, loadScenarios, storeScenarios } from '../scenarioStorage';
+import ScenarioComparison from './ScenarioComparison';
+
+const MAX_COMPARED = 4;
+
+// Scenarier: lagre, navngi, duplisere, redigere og sammenligne input-sett
+const ScenarioManager = ({ currentInputs, onLoad }) => {
+    const [scenarios, setScenarios] = useState(() => loadScenarios());
+    const [name, setName] = useState('');
+    const [activeId, setActiveId] = useState(null);
+    const [comparedIds, setComparedIds] = useState([]);
+
+    useEffect(() => {
+        storeScenarios(scenarios);
+    }, [scenarios]);
+
+    const activeScenario = scenarios.find(scenario => scenario.id === activeId);
+
+    const save = () => {
+        const scenario = createScenario(name.trim() || `Scenario ${scenarios.length + 1}`, writeParams(currentInputs));
+        setScenarios(prev => [...prev, scenario]);
+        setActiveId(scenario.id);
+        setName('');
+    };
+
+    const update = (id) => {
+        setScenarios(prev => prev.map(scenario => (scenario.id === id ? { ...scenario, params: writeParams(currentInputs), savedAt: new Date().toISOString() } : scenario)));
+    };
+
+    const rename = (id, newName) => {
+        setScenarios(prev => prev.map(scenario => (scenario.id === id ? { ...scenario, name: newName } : scenario)));
+    };
+
+    const duplicate = (source) => {
+        setScenarios(prev => [...prev, createScenario(`${source.name} (kopi)`, source.params)]);
+    };
+
+    const remove = (id) => {
+        setScenarios(prev => prev.filter(scenario => scenario.id !== id));
+        setComparedIds(prev => prev.filter(comparedId => comparedId !== id));
+        if (activeId === id) setActiveId(null);
+    };
+
+    const load = (scenario) => {
+        onLoad(readInputs(scenario.params));
+        setActiveId(scenario.id);
+    };
+
+    const toggleCompared = (id) => {
+        setComparedIds(prev => (prev.includes(id)
+            ? prev.filter(comparedId => comparedId !== id)
+            : prev.length < MAX_COMPARED ? [...prev, id] : prev));
+    };
+
+    const compared = useMemo(() => comparedIds
+        .map(id => scenarios.find(scenario => scenario.id === id))
+        .filter(Boolean)
+        .map(scenario => ({ ...scenario, result: calculateScenario(readInputs(scenario.params)) })),
+    [comparedIds, scenarios]);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Scenarier</h2>
+
+            <div className="flex gap-2 mb-4">
+                <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Navn på scenario, f.eks. «Leilighet Grünerløkka»" className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md" />
+                <button onClick={save} className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700">Lagre scenario</button>
+            </div>
+
+            {activeScenario && (
+                <div className="flex items-center justify-between mb-4 p-3 rounded-md bg-blue-50 text-sm text-blue-800">
+                    <span>Redigerer «{activeScenario.name}»</span>
+                    <button onClick={() => update(activeScenario.id)} className="px-3 py-1 text-xs rounded-md border bg-white hover:bg-gray-50">Oppdater med nåværende verdier</button>
+                </div>
+            )}
+
+            {scenarios.length === 0 ? (
+                <p className="text-sm text-gray-500">Ingen lagrede scenarier ennå. Scenariene lagres i denne nettleseren.</p>
+            ) : (
+                <ul className="divide-y border rounded-md mb-4">
+                    {scenarios.map(scenario => (
+                        <li key={scenario.id} className={`flex flex-wrap items-center gap-2 p-2 ${scenario.id === activeId ? 'bg-blue-50' : ''}`}>
+                            <input type="checkbox" checked={comparedIds.includes(scenario.id)} onChange={() => toggleCompared(scenario.id)} disabled={!comparedIds.includes(scenario.id) && comparedIds.length >= MAX_COMPARED} aria-label={`Sammenlign ${scenario.name}`} />
+                            <input type="text" value={scenario.name} onChange={e => rename(scenario.id, e.target.value)} className="flex-1 min-w-0 px-2 py-1 text-sm border border-transparent hover:border-gray-300 rounded-md" />
+                            <button onClick={() => load(scenario)} className="px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50">Last inn</button>
+                            <button onClick={() => duplicate(scenario)} className="px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50">Dupliser</button>
+                            <button onClick={() => remove(scenario.id)} className="px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label={`Slett ${scenario.name}`}>✕</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {compared.length >= 2 ? (
+                <ScenarioComparison scenarios={compared} />
+            ) : scenarios.length >= 2 && (
+                <p className="text-sm text-gray-500">Huk av 2–{MAX_COMPARED} scenarier for å sammenligne dem.</p>
+            )}
+        </div>
+    );
+};
+
+export default ScenarioManager;
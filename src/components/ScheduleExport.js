@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { assumptionsTable, combinedScheduleTable, scheduleTable } from '../export/schedule';
+import { toCsv } from '../export/csv';
+import { toXlsx } from '../export/xlsx';
+import { downloadFile } from '../export/download';
+
+const bold = (row) => row.map(value => ({ value, bold: true }));
+
+// Eksport av hele nedbetalingsplanen (totalt og per låntaker) til CSV og Excel
+const ScheduleExport = ({ fileName, schedules, taxRate, assumptions }) => {
+    const [norwegian, setNorwegian] = useState(true);
+
+    const exportCsv = () => {
+        const header = assumptionsTable({ ...assumptions, exportedAt: new Date() });
+        const csv = toCsv([['Forutsetninger'], ...header, [], ...combinedScheduleTable(schedules, taxRate)], { norwegian });
+        // BOM så Excel leser æøå riktig
+        downloadFile(`${fileName}.csv`, `\uFEFF${csv}`, 'text/csv;charset=utf-8');
+    };
+
+    const exportXlsx = () => {
+        const header = assumptionsTable({ ...assumptions, exportedAt: new Date() });
+        const sheets = [
+            { name: 'Forutsetninger', rows: [bold(['Forutsetning', 'Verdi']), ...header] },
+            ...schedules.map(({ title, rows, deductions }) => {
+                const [columns, ...body] = scheduleTable(rows, taxRate, deductions);
+                return { name: title, rows: [bold(columns), ...body] };
+            })
+        ];
+        downloadFile(`${fileName}.xlsx`, toXlsx(sheets), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+                <input type="checkbox" checked={norwegian} onChange={e => setNorwegian(e.target.checked)} />
+                Norsk tallformat (CSV)
+            </label>
+            <button onClick={exportCsv} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">Eksporter CSV</button>
+            <button onClick={exportXlsx} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">Eksporter Excel</button>
+        </div>
+    );
+};
+
+export default ScheduleExport;
@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Tooltip, Legend } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import InputSlider from './InputSlider';
+import { rankSensitivity, SENSITIVITY_INPUTS, SENSITIVITY_METRICS, SENSITIVITY_STEPS } from '../lib';
+import { formatCurrency } from '../format';
+import { tornadoChartData } from '../chartData';
+import { createSensitivityWorker } from '../simulationWorker';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+const tornadoOptions = {
+    indexAxis: 'y',
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+        tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${kr(context.parsed.x)}` } },
+        legend: { position: 'bottom' }
+    },
+    scales: { x: { ticks: { callback: (value) => formatCurrency(value) } }, y: { stacked: true } }
+};
+
+// Verdien til en forutsetning, i enheten den endres i
+const formatInput = (key, value) => {
+    const { kind } = SENSITIVITY_INPUTS[key];
+    if (kind === 'rate') return `${value.toFixed(2)} %`;
+    if (kind === 'years') return `${value} år`;
+    return kr(value);
+};
+
+// Lavere månedskostnad er bedre; for gevinstene er høyere bedre
+const cellColor = (metric, value, base, range) => {
+    const change = metric === 'totalMonthlyCost' ? base - value : value - base;
+    if (range === 0 || change === 0) return 'transparent';
+    const alpha = Math.min(1, Math.abs(change) / range) * 0.6;
+    return change > 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+// Regner i en egen tråd; nye inndata avbryter kjøringen før, så glidebryterne svarer underveis
+const useSensitivityWorker = (task, inputs) => {
+    const [result, setResult] = useState(null);
+    const [running, setRunning] = useState(false);
+    useEffect(() => {
+        if (!inputs) {
+            setResult(null);
+            setRunning(false);
+            return undefined;
+        }
+        const worker = createSensitivityWorker();
+        setRunning(true);
+        worker.onmessage = (event) => {
+            setResult(event.data);
+            setRunning(false);
+            worker.terminate();
+        };
+        worker.postMessage({ task, inputs });
+        return () => worker.terminate();
+    }, [task, inputs]);
+    return [result, running];
+};
+
+// Følsomhetsanalyse: hvilke forutsetninger som betyr mest, og to forutsetninger mot hverandre
+const SensitivityPanel = ({ currentInputs }) => {
+    const [enabled, setEnabled] = useState(false);
+    const [metric, setMetric] = useState('investmentAdvantage');
+    const [steps, setSteps] = useState(SENSITIVITY_STEPS);
+    const [heatmapX, setHeatmapX] = useState('annualAppreciation');
+    const [heatmapY, setHeatmapY] = useState('interestRate');
+
+    const [analysis, analysisRunning] = useSensitivityWorker('sensitivity', useMemo(
+        () => (enabled ? { inputs: currentInputs, steps } : null),
+        [enabled, currentInputs, steps]
+    ));
+    const [heatmap, heatmapRunning] = useSensitivityWorker('heatmap', useMemo(
+        () => (enabled && heatmapX !== heatmapY ? { inputs: currentInputs, x: heatmapX, y: heatmapY, steps } : null),
+        [enabled, currentInputs, heatmapX, heatmapY, steps]
+    ));
+    const ranked = analysis ? rankSensitivity(analysis, metric) : [];
+    const heatmapRange = heatmap
+        ? Math.max(...heatmap.cells.flat().map(cell => Math.abs(cell[metric] - analysis.base[metric])))
+        : 0;
+    const updateStep = (field) => (e) => setSteps({ ...steps, [field]: Number(e.target.value) });
+    const inputOptions = Object.entries(SENSITIVITY_INPUTS).map(([key, input]) => <option key={key} value={key}>{input.label}</option>);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Følsomhetsanalyse</h2>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                <input type="checkbox" checked={enabled} onChange={e => setEnabled(e.target.checked)} className="h-4 w-4" />
+                Vis hvilke forutsetninger som betyr mest
+            </label>
+
+            {enabled && (analysisRunning || heatmapRunning) && <p className="text-sm text-gray-500 mb-4">Regner …</p>}
+            {analysis && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4 mb-2">
+                        <InputSlider label="Endring i satser (prosentpoeng)" value={steps.rate} onChange={updateStep('rate')} min={0.25} max={3} step={0.25} />
+                        <InputSlider label="Endring i beløp ( %)" value={steps.amount} onChange={updateStep('amount')} min={5} max={50} step={5} format="percent" />
+                        <InputSlider label="Endring i løpetid (år)" value={steps.years} onChange={updateStep('years')} min={1} max={10} step={1} format="years" />
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-1 mb-4" role="group" aria-label="Måltall">
+                        {Object.entries(SENSITIVITY_METRICS).map(([key, label]) => (
+                            <button key={key} onClick={() => setMetric(key)} className={`p-2 text-sm rounded-md ${metric === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border hover:bg-gray-50'}`}>{label}</button>
+                        ))}
+                    </div>
+                    <p className="text-sm text-gray-600 mb-2">
+                        {SENSITIVITY_METRICS[metric]} i dag: <span className="font-semibold text-gray-800">{kr(analysis.base[metric])}</span>
+                    </p>
+
+                    <div className="h-80 mb-4">
+                        <Bar data={tornadoChartData(ranked)} options={tornadoOptions} />
+                    </div>
+                    <div className="overflow-auto rounded-lg border mb-6">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Følsomhet">
+                            <thead className="bg-gray-100">
+                                <tr>
+                                    {['Forutsetning', 'Lav', 'Endring', 'Høy', 'Endring'].map((title, i) => (
+                                        <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-600">{title}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {ranked.map(row => (
+                                    <tr key={row.key}>
+                                        <td className="px-3 py-2 font-medium text-gray-800">{row.label}</td>
+                                        <td className="px-3 py-2">{formatInput(row.key, row.lowValue)}</td>
+                                        <td className="px-3 py-2">{row.low > 0 ? '+' : ''}{kr(row.low)}</td>
+                                        <td className="px-3 py-2">{formatInput(row.key, row.highValue)}</td>
+                                        <td className="px-3 py-2">{row.high > 0 ? '+' : ''}{kr(row.high)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <h3 className="text-lg font-semibold text-gray-800 mb-2">To forutsetninger mot hverandre</h3>
+                    <div className="grid grid-cols-2 gap-4 mb-4">
+                        <label className="text-sm text-gray-700">
+                            Kolonner
+                            <select value={heatmapX} onChange={e => setHeatmapX(e.target.value)} className="w-full p-2 border rounded-md text-sm">{inputOptions}</select>
+                        </label>
+                        <label className="text-sm text-gray-700">
+                            Rader
+                            <select value={heatmapY} onChange={e => setHeatmapY(e.target.value)} className="w-full p-2 border rounded-md text-sm">{inputOptions}</select>
+                        </label>
+                    </div>
+                    {heatmap ? (
+                        <div className="overflow-auto rounded-lg border">
+                            <table className="min-w-full text-sm text-center" aria-label="Varmekart">
+                                <thead className="bg-gray-100">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">{SENSITIVITY_INPUTS[heatmap.y].label} / {SENSITIVITY_INPUTS[heatmap.x].label}</th>
+                                        {heatmap.xValues.map((value, i) => (
+                                            <th key={i} className="px-3 py-2 text-xs font-medium text-gray-600">{formatInput(heatmap.x, value)}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {heatmap.cells.map((row, i) => (
+                                        <tr key={i}>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 bg-gray-100">{formatInput(heatmap.y, heatmap.yValues[i])}</th>
+                                            {row.map((cell, j) => (
+                                                <td key={j} className="px-3 py-2 border" style={{ backgroundColor: cellColor(metric, cell[metric], analysis.base[metric], heatmapRange) }}>{kr(cell[metric])}</td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-500">Velg to ulike forutsetninger.</p>
+                    )}
+                    <p className="text-[11px] text-gray-400 mt-3">
+                        Hver forutsetning endres én om gangen, og hele kjøpet regnes på nytt. Satser endres i prosentpoeng, beløp i prosent av verdien og løpetiden i år;
+                        forutsetninger uten virkning vises ikke. Grønt er bedre og rødt dårligere enn i dag.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SensitivityPanel;
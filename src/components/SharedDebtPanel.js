@@ -0,0 +1,75 @@
+import React from 'react';
+import { summarizeByYear, summarizeSharedDebt } from '../lib';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+const YEARS_SHOWN = 10;
+
+// Borettslag: fellesgjeld, felleskostnader før og etter avdragsfri periode, og IN-ordning
+const SharedDebtPanel = ({ sharedDebt, hoa, startYear }) => {
+    if (!sharedDebt || (sharedDebt.amount <= 0 && sharedDebt.individualRepayment <= 0)) return null;
+    const summary = summarizeSharedDebt({ schedule: sharedDebt.schedule, hoa });
+    const years = summarizeByYear(sharedDebt.schedule).slice(0, YEARS_SHOWN);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Fellesgjeld</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div className="bg-gray-50 p-4 rounded-lg">
+                    <p className="text-sm text-gray-600">Andel fellesgjeld</p>
+                    <p className="font-bold text-lg text-gray-800">{kr(sharedDebt.amount)}</p>
+                    {sharedDebt.individualRepayment > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">{kr(sharedDebt.individualRepayment)} innfridd med IN-ordning og lagt til eget lån</p>
+                    )}
+                </div>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                    <p className="text-sm text-gray-600">Felleskostnader nå</p>
+                    <p className="font-bold text-lg text-gray-800">{kr(summary.current)}/mnd</p>
+                    <p className="text-xs text-gray-500 mt-1">Drift {kr(hoa)} + fellesgjeld {kr(summary.current - hoa)}</p>
+                </div>
+                <div className={`p-4 rounded-lg ${summary.jump > 0 ? 'bg-amber-50' : 'bg-gray-50'}`}>
+                    <p className="text-sm text-gray-600">
+                        {summary.jumpMonth ? `Fra ${startYear + Math.floor((summary.jumpMonth - 1) / 12)} (avdrag starter)` : 'Med avdrag'}
+                    </p>
+                    <p className="font-bold text-lg text-gray-800">{kr(summary.afterInterestOnly)}/mnd</p>
+                    {summary.jump > 0 && (
+                        <p className="text-xs font-medium text-amber-700 mt-1">+{kr(summary.jump)}/mnd</p>
+                    )}
+                </div>
+            </div>
+
+            {years.length > 0 && (
+                <div className="overflow-auto rounded-lg border">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Felleskostnader per år">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">År</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Renter</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Avdrag</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Felleskostnader/mnd</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">Gjenstående fellesgjeld</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {years.map(year => (
+                                <tr key={year.year}>
+                                    <td className="px-3 py-2">{startYear + year.year - 1}</td>
+                                    <td className="px-3 py-2">{kr(year.interest)}</td>
+                                    <td className="px-3 py-2">{kr(year.principal)}</td>
+                                    <td className="px-3 py-2">{kr(hoa + year.totalPayment / 12)}</td>
+                                    <td className="px-3 py-2">{kr(year.balance)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <p className="text-[11px] text-gray-400 mt-3">
+                Fellesgjelden betales gjennom felleskostnadene og regnes som gjeld i gjeldsgraden og egenkapitalkravet. Renter på fellesgjelden gir rentefradrag etter eierandel.
+                Med IN-ordning (individuell nedbetaling) innfris en del av fellesgjelden ved kjøpet, og felleskostnadene går ned tilsvarende.
+            </p>
+        </div>
+    );
+};
+
+export default SharedDebtPanel;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import InputSlider from './InputSlider';
+import { formatCurrency } from '../format';
+import { simulationChartData } from '../chartData';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Filler);
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+        tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${kr(context.parsed.y)}` } },
+        legend: { position: 'bottom' }
+    },
+    scales: { y: { ticks: { callback: (value) => formatCurrency(value) } } }
+};
+
+// Årene som vises i tabellen: 1, hvert femte år og det siste
+const tableYears = (years) => years.filter(year => year.year === 1 || year.year % 5 === 0 || year.year === years.length);
+
+const BandRow = ({ label, band }) => (
+    <tr>
+        <td className="px-3 py-2 font-medium text-gray-800">{label}</td>
+        <td className="px-3 py-2">{kr(band.p10)}</td>
+        <td className="px-3 py-2">{kr(band.p50)}</td>
+        <td className="px-3 py-2">{kr(band.p90)}</td>
+    </tr>
+);
+
+// Monte Carlo-simulering av renter og boligpriser: usikkerhetsbånd rundt enkeltanslaget
+const SimulationPanel = ({ enabled, onEnabledChange, settings, onSettingsChange, result, running }) => {
+    const update = (field) => (e) => onSettingsChange({ ...settings, [field]: Number(e.target.value) });
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Risikosimulering</h2>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                <input type="checkbox" checked={enabled} onChange={e => onEnabledChange(e.target.checked)} className="h-4 w-4" />
+                Simuler renter og boligpriser
+            </label>
+
+            {enabled && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 mb-2">
+                        <InputSlider label="Rentesvingninger (prosentpoeng per år)" value={settings.rateVolatility} onChange={update('rateVolatility')} min={0} max={3} step={0.1} />
+                        <InputSlider label="Renten trekker mot forventet (per år)" value={settings.rateMeanReversion} onChange={update('rateMeanReversion')} min={0} max={2} step={0.05} />
+                        <InputSlider label="Prissvingninger ( % per år)" value={settings.priceVolatility} onChange={update('priceVolatility')} min={0} max={25} step={0.5} format="percent" />
+                        <InputSlider label="Prisene trekker mot trend (per år)" value={settings.priceMeanReversion} onChange={update('priceMeanReversion')} min={0} max={2} step={0.05} />
+                        <InputSlider label="Korrelasjon rente og boligpris" value={settings.correlation} onChange={update('correlation')} min={-1} max={1} step={0.05} />
+                        <InputSlider label="Antall simuleringer" value={settings.paths} onChange={update('paths')} min={100} max={5000} step={100} />
+                    </div>
+
+                    {running && <p className="text-sm text-gray-500 mb-4">Simulerer …</p>}
+                    {result && (
+                        <>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                                <div className={`p-4 rounded-lg ${result.negativeEquityProbability > 0.1 ? 'bg-red-50' : 'bg-gray-50'}`}>
+                                    <p className="text-sm text-gray-600">Sannsynlighet for negativ egenkapital</p>
+                                    <p className={`text-2xl font-bold ${result.negativeEquityProbability > 0.1 ? 'text-red-700' : 'text-gray-800'}`}>{(result.negativeEquityProbability * 100).toFixed(1)} %</p>
+                                    <p className="text-xs text-gray-500 mt-1">Boligen er verdt mindre enn gjelden ved utgangen av minst ett år</p>
+                                </div>
+                                <div className="p-4 rounded-lg bg-gray-50">
+                                    <p className="text-sm text-gray-600">Kjøp mot leie og sparing, median</p>
+                                    <p className={`text-2xl font-bold ${result.investmentAdvantage.p50 > 0 ? 'text-green-700' : 'text-red-700'}`}>{kr(result.investmentAdvantage.p50)}</p>
+                                    <p className="text-xs text-gray-500 mt-1">{result.paths} simuleringer</p>
+                                </div>
+                            </div>
+
+                            <div className="overflow-auto rounded-lg border mb-4">
+                                <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Simulerte utfall">
+                                    <thead className="bg-gray-100">
+                                        <tr>
+                                            {['', 'P10', 'P50', 'P90'].map(title => (
+                                                <th key={title} className="px-3 py-2 text-left text-xs font-medium text-gray-600">{title}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        <BandRow label="Kjøp mot leie og sparing" band={result.investmentAdvantage} />
+                                        <BandRow label="Reell gevinst" band={result.realPropertyGain} />
+                                        {tableYears(result.years).map(year => (
+                                            <BandRow key={`equity-${year.year}`} label={`Egenkapital år ${year.year}`} band={year.equity} />
+                                        ))}
+                                        {tableYears(result.years).map(year => (
+                                            <BandRow key={`cost-${year.year}`} label={`Månedskostnad år ${year.year}`} band={year.monthlyCost} />
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="h-72">
+                                <Line data={simulationChartData(result.years)} options={chartOptions} />
+                            </div>
+                        </>
+                    )}
+                    <p className="text-[11px] text-gray-400 mt-3">
+                        Hver simulering trekker renten rundt forventet renteutvikling og boligprisen rundt forventet prisendring, måned for måned, og regner lånet og investeringsanalysen på nytt.
+                        P10 betyr at 1 av 10 simuleringer ender lavere, P90 at 1 av 10 ender høyere. Negativ korrelasjon betyr at boligprisene faller når renten stiger.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SimulationPanel;
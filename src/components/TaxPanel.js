@@ -0,0 +1,48 @@
+import React from 'react';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+// Skatt per låntaker første år: rentefradrag, formuesskatt og skatt på utleie
+const TaxPanel = ({ tax, taxYear, names = [] }) => {
+    if (!tax) return null;
+    const { persons, rental, homeTaxValue } = tax;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Skatt første år</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {persons.map((person, i) => (
+                    <div key={i} className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600 space-y-1">
+                        <h3 className="font-bold text-lg text-gray-800 mb-2">{names[i] || `Låntaker ${i + 1}`}</h3>
+                        <p className="flex justify-between"><span>Betalte renter</span><span className="font-medium text-gray-800">{kr(person.interest)}</span></p>
+                        {person.sharedDebtPayments > 0 && (
+                            <p className="flex justify-between"><span>Fellesgjeld (renter og avdrag)</span><span className="font-medium text-gray-800">{kr(person.sharedDebtPayments)}</span></p>
+                        )}
+                        <p className="flex justify-between"><span>Rentefradrag ({Math.round(person.deductionShare * 100)} %)</span><span className="font-medium text-green-700">-{kr(person.interestDeduction)}</span></p>
+                        <p className="flex justify-between"><span>Formuesskatt</span><span className="font-medium text-gray-800">{kr(person.wealthTax)}</span></p>
+                        <p className="flex justify-between"><span>Endring i formuesskatt vs sparing</span><span className={`font-medium ${person.wealthTaxEffect > 0 ? 'text-red-600' : 'text-green-700'}`}>{kr(person.wealthTaxEffect)}</span></p>
+                        {person.rentalIncome > 0 && (
+                            <p className="flex justify-between"><span>Skatt på utleie</span><span className="font-medium text-gray-800">{kr(person.rentalTax)}</span></p>
+                        )}
+                        <p className="flex justify-between border-t pt-2 mt-2 font-semibold text-gray-800"><span>Årlig kostnad etter skatt</span><span>{kr(person.afterTaxCost)}</span></p>
+                        <p className="text-xs text-gray-500 text-right">{kr(person.afterTaxCost / 12)}/mnd</p>
+                    </div>
+                ))}
+            </div>
+            <div className="mt-4 text-sm text-gray-600 space-y-1">
+                <p>Formuesverdi bolig: <span className="font-semibold text-gray-800">{kr(homeTaxValue)}</span></p>
+                {rental.taxFree && persons.some(person => person.rentalIncome > 0) && (
+                    <p className="text-green-700">Utleien er skattefri: under halvparten av egen bolig leies ut.</p>
+                )}
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Skatteregler for {taxYear}. Kostnad etter skatt = lånebetalinger + fellesgjeld + driftskostnader − rentefradrag + endring i formuesskatt + skatt på utleie − leieinntekt.
+                Formuesskatten sammenlignes med å ha egenkapitalen i banken, og forutsetter ingen annen formue.
+                I borettslag gir renter på fellesgjelden fradrag etter eierandel, og andelen av fellesgjelden trekkes fra formuen.
+            </p>
+        </div>
+    );
+};
+
+export default TaxPanel;
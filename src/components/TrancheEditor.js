@@ -0,0 +1,53 @@
+import React from 'react';
+import { TRANCHE_LOAN_TYPES } from '../lib';
+
+const NEW_TRANCHE = { name: 'Grønt lån', amount: 1000000, interestRate: 4.8, loanTerm: 25, loanType: 'annuity', fixedYears: 0 };
+
+// Lånedeler utenom hovedlånet: beløp, rente, løpetid, type og fastrenteperiode
+const TrancheEditor = ({ tranches = [], onChange, interestRate, loanTerm }) => {
+    const update = (index, field, value) => {
+        onChange(tranches.map((tranche, i) => (i === index ? { ...tranche, [field]: value } : tranche)));
+    };
+
+    return (
+        <div className="mb-4">
+            {tranches.map((tranche, index) => (
+                <div key={index} className="mb-3 p-2 bg-gray-50 rounded-md border space-y-2">
+                    <div className="flex items-center gap-2">
+                        <input type="text" value={tranche.name} onChange={e => update(index, 'name', e.target.value)} className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md" aria-label={`Navn på lånedel ${index + 1}`} />
+                        <button onClick={() => onChange(tranches.filter((_, i) => i !== index))} className="px-2 py-1 text-xs rounded-md border bg-white hover:bg-gray-50" aria-label="Fjern lånedel">✕</button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="text-xs text-gray-600">
+                            Beløp (kr)
+                            <input type="number" min={0} step={50000} value={tranche.amount} onChange={e => update(index, 'amount', Math.max(0, Number(e.target.value) || 0))} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        </label>
+                        <label className="text-xs text-gray-600">
+                            Rente ( %)
+                            <input type="number" min={0} max={20} step={0.01} value={tranche.interestRate ?? interestRate} onChange={e => update(index, 'interestRate', Number(e.target.value))} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        </label>
+                        <label className="text-xs text-gray-600">
+                            Løpetid (år)
+                            <input type="number" min={1} max={40} step={1} value={tranche.loanTerm || loanTerm} onChange={e => update(index, 'loanTerm', Math.max(1, parseInt(e.target.value) || 1))} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        </label>
+                        <label className="text-xs text-gray-600">
+                            Fastrente (år, 0 = flytende)
+                            <input type="number" min={0} max={20} step={1} value={tranche.fixedYears || 0} onChange={e => update(index, 'fixedYears', Math.max(0, parseInt(e.target.value) || 0))} className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" />
+                        </label>
+                    </div>
+                    <div className="flex rounded-md shadow-sm">
+                        {Object.entries(TRANCHE_LOAN_TYPES).map(([type, label], i, all) => (
+                            <button key={type} onClick={() => update(index, 'loanType', type)} className={`flex-1 p-1 text-xs ${i === 0 ? 'rounded-l-md' : ''} ${i === all.length - 1 ? 'rounded-r-md' : ''} ${(tranche.loanType || 'annuity') === type ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border hover:bg-gray-50'}`}>{label}</button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+            <button onClick={() => onChange([...tranches, { ...NEW_TRANCHE, interestRate, loanTerm }])} className="px-3 py-1 text-sm rounded-md border bg-white shadow-sm hover:bg-gray-50">
+                + Legg til lånedel
+            </button>
+            <p className="text-xs text-gray-500 mt-2">Resten av lånet er hovedlånet med renten, løpetiden og lånetypen over. Fastrente går over til flytende rente når perioden er slutt.</p>
+        </div>
+    );
+};
+
+export default TrancheEditor;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { summarizeByYear, summarizeTranches, TRANCHE_LOAN_TYPES } from '../lib';
+import { formatCurrency } from '../format';
+
+const kr = (value) => formatCurrency(Math.round(value));
+
+// Lånedelene hver for seg og restgjeld per lånedel år for år
+const TranchePanel = ({ tranches }) => {
+    if (!tranches || tranches.length === 0) return null;
+    const summary = summarizeTranches(tranches);
+    const years = summary.map(tranche => summarizeByYear(tranche.amortization));
+    const yearCount = Math.max(...years.map(rows => rows.length));
+    const total = (field) => summary.reduce((sum, tranche) => sum + tranche[field], 0);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Lånedeler</h2>
+            <div className="overflow-auto rounded-lg border mb-4">
+                <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Lånedeler">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            {['Lånedel', 'Beløp', 'Rente', 'Løpetid', 'Type', 'Fastrente', 'Første termin', 'Totale renter'].map(title => (
+                                <th key={title} className="px-3 py-2 text-left text-xs font-medium text-gray-600">{title}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {summary.map((tranche, i) => (
+                            <tr key={i}>
+                                <td className="px-3 py-2 font-medium text-gray-800">{tranche.name}</td>
+                                <td className="px-3 py-2">{kr(tranche.amount)}</td>
+                                <td className="px-3 py-2">{tranche.interestRate.toFixed(2)} %</td>
+                                <td className="px-3 py-2">{tranche.loanTerm} år</td>
+                                <td className="px-3 py-2">{TRANCHE_LOAN_TYPES[tranche.loanType]}</td>
+                                <td className="px-3 py-2">{tranche.fixedYears > 0 ? `${tranche.fixedYears} år` : 'Flytende'}</td>
+                                <td className="px-3 py-2">{kr(tranche.firstPayment)}</td>
+                                <td className="px-3 py-2">{kr(tranche.totalInterest)}</td>
+                            </tr>
+                        ))}
+                        <tr className="bg-gray-50 font-semibold text-gray-800">
+                            <td className="px-3 py-2">Totalt</td>
+                            <td className="px-3 py-2">{kr(total('amount'))}</td>
+                            <td className="px-3 py-2" colSpan={4}></td>
+                            <td className="px-3 py-2">{kr(total('firstPayment'))}</td>
+                            <td className="px-3 py-2">{kr(total('totalInterest'))}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Restgjeld per lånedel</h3>
+            <div className="overflow-auto rounded-lg border max-h-80">
+                <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="Restgjeld per lånedel">
+                    <thead className="bg-gray-100 sticky top-0">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600">År</th>
+                            {summary.map((tranche, i) => (
+                                <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-600">{tranche.name}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {Array.from({ length: yearCount }, (_, year) => (
+                            <tr key={year}>
+                                <td className="px-3 py-2">{year + 1}</td>
+                                {years.map((rows, i) => (
+                                    <td key={i} className="px-3 py-2">{kr(rows[year] ? rows[year].balance : 0)}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-[11px] text-gray-400 mt-3">
+                Hver låntaker har sin gjeldsandel av hver lånedel. Ekstra innbetalinger går til hovedlånet, og valget mellom annuitet og serie gjelder hovedlånet.
+                Rammelån betjenes med renter og innfris ved slutten av løpetiden.
+            </p>
+        </div>
+    );
+};
+
+export default TranchePanel;
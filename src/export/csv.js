@@ -0,0 +1,24 @@
+// CSV for regneark. Norsk format bruker semikolon som skilletegn og desimalkomma,
+// slik norsk Excel forventer ved import.
+
+const formatNumber = (value, norwegian) => {
+    const rounded = String(Math.round(value * 100) / 100);
+    return norwegian ? rounded.replace('.', ',') : rounded;
+};
+
+const formatCell = (value, delimiter, norwegian) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return formatNumber(value, norwegian);
+    const text = String(value);
+    return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Array<string|number>>} rows
+ * @param {{ norwegian?: boolean }} [options]
+ * @returns {string}
+ */
+export const toCsv = (rows, { norwegian = false } = {}) => {
+    const delimiter = norwegian ? ';' : ',';
+    return rows.map(row => row.map(cell => formatCell(cell, delimiter, norwegian)).join(delimiter)).join('\r\n');
+};
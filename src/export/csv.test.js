@@ -0,0 +1,17 @@
+import { toCsv } from './csv';
+
+describe('toCsv', () => {
+  const rows = [['Del', 'Renter'], ['Person 1', 1234.567], ['Med, komma', 0.5]];
+
+  test('uses comma separators and decimal points by default', () => {
+    expect(toCsv(rows)).toBe('Del,Renter\r\nPerson 1,1234.57\r\n"Med, komma",0.5');
+  });
+
+  test('uses semicolons and decimal commas in Norwegian format', () => {
+    expect(toCsv(rows, { norwegian: true })).toBe('Del;Renter\r\nPerson 1;1234,57\r\nMed, komma;0,5');
+  });
+
+  test('quotes text with quotes and line breaks', () => {
+    expect(toCsv([['Si "hei"', 'a\nb']])).toBe('"Si ""hei""","a\nb"');
+  });
+});
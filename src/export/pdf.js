@@ -0,0 +1,133 @@
+import { jsPDF } from 'jspdf';
+
+// A4 i millimeter
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 15;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const LINE_HEIGHT = 5.5;
+
+// Standardfontene i PDF bruker WinAnsi, som mangler minustegn og smale mellomrom fra Intl
+const pdfText = (text) => String(text).replace(/\u2212/g, '-').replace(/[\u00A0\u202F]/g, ' ');
+
+/**
+ * Lays out report sections (see report.js) on A4 pages.
+ *
+ * @param {object} report
+ * @param {string} report.title
+ * @param {string[]} report.subtitle Lines under the title
+ * @param {string} [report.link] Share link printed and linked under the title
+ * @param {object[]} report.sections
+ * @param {{ title: string, image: string }[]} [report.charts] PNG data URLs
+ * @param {string} report.footer
+ * @returns {jsPDF}
+ */
+export const renderPdf = ({ title, subtitle, link, sections, charts = [], footer }) => {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    let y = MARGIN;
+
+    const ensureSpace = (height) => {
+        if (y + height > PAGE_HEIGHT - MARGIN - 8) {
+            doc.addPage();
+            y = MARGIN;
+            return true;
+        }
+        return false;
+    };
+
+    const heading = (text) => {
+        ensureSpace(LINE_HEIGHT * 4);
+        y += 3;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.text(pdfText(text), MARGIN, y);
+        y += LINE_HEIGHT + 1;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+    };
+
+    // Første kolonne venstrejustert, resten høyrejustert
+    const tableRow = (cells, widths, bold) => {
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        let x = MARGIN;
+        cells.forEach((cell, i) => {
+            if (i === 0) {
+                doc.text(pdfText(cell), x, y);
+            } else {
+                doc.text(pdfText(cell), x + widths[i], y, { align: 'right' });
+            }
+            x += widths[i];
+        });
+        y += LINE_HEIGHT;
+    };
+
+    const table = ({ columns, rows }, showHeader = true) => {
+        const firstWidth = columns.length > 4 ? CONTENT_WIDTH / columns.length : CONTENT_WIDTH * 0.4;
+        const otherWidth = (CONTENT_WIDTH - firstWidth) / (columns.length - 1);
+        const widths = columns.map((_, i) => (i === 0 ? firstWidth : otherWidth));
+        doc.setFontSize(columns.length > 4 ? 8.5 : 10);
+        if (showHeader) tableRow(columns, widths, true);
+        rows.forEach(row => {
+            if (ensureSpace(LINE_HEIGHT) && showHeader) {
+                tableRow(columns, widths, true);
+            }
+            tableRow(row, widths, false);
+        });
+        doc.setFontSize(10);
+    };
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(20);
+    doc.text(pdfText(title), MARGIN, y + 5);
+    y += 12;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    subtitle.forEach(line => {
+        doc.text(pdfText(line), MARGIN, y);
+        y += LINE_HEIGHT;
+    });
+    if (link) {
+        doc.setFontSize(8);
+        doc.setTextColor(37, 99, 235);
+        doc.splitTextToSize(link, CONTENT_WIDTH).forEach(line => {
+            doc.textWithLink(line, MARGIN, y, { url: link });
+            y += 4;
+        });
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(10);
+    }
+
+    sections.forEach(section => {
+        if (section.title) heading(section.title);
+        if (section.type === 'keyValues') {
+            table({ columns: ['', ''], rows: section.rows }, false);
+        } else if (section.type === 'table') {
+            table(section);
+        } else if (section.type === 'text') {
+            doc.splitTextToSize(pdfText(section.text), CONTENT_WIDTH).forEach(line => {
+                ensureSpace(LINE_HEIGHT);
+                doc.text(line, MARGIN, y);
+                y += LINE_HEIGHT;
+            });
+        }
+    });
+
+    charts.forEach(chart => {
+        const height = CONTENT_WIDTH * 0.5;
+        ensureSpace(height + LINE_HEIGHT * 3);
+        heading(chart.title);
+        doc.addImage(chart.image, 'PNG', MARGIN, y, CONTENT_WIDTH, height);
+        y += height + LINE_HEIGHT;
+    });
+
+    const pages = doc.getNumberOfPages();
+    for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(120, 120, 120);
+        doc.text(pdfText(footer), MARGIN, PAGE_HEIGHT - 8);
+        doc.text(`Side ${page} av ${pages}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: 'right' });
+    }
+    doc.setTextColor(0, 0, 0);
+    return doc;
+};
@@ -0,0 +1,170 @@
+import { activeInterestOnly, findMunicipality, participantsFromPair, PROPERTY_TYPES, RATE_PATH_TYPES, summarizeByYear } from '../lib';
+import { formatCurrency } from '../format';
+import { renderPdf } from './pdf';
+
+const LOAN_TYPE_LABELS = { annuity: 'Annuitetslån', serial: 'Serielån' };
+const CALCULATION_MODE_LABELS = { byPayment: 'Boligpris fra månedsbeløp', byPrice: 'Månedsbeløp fra boligpris', byIncome: 'Maks lån fra inntekt' };
+
+const kr = (value) => formatCurrency(Math.round(value));
+const percent = (value) => `${Number(value).toLocaleString('nb-NO', { maximumFractionDigits: 2 })} %`;
+
+/**
+ * Content of the PDF report as a list of sections, independent of the layout:
+ * `keyValues` (label/value pairs), `table` (columns and rows of text) and `text`.
+ *
+ * @param {object} data
+ * @param {object} data.inputs Calculator inputs (see params.js)
+ * @param {number} data.propertyValue
+ * @param {number} data.loanAmount
+ * @param {object[]} data.loans Per-borrower loan details (calculateLoanDetails)
+ * @param {object[]} [data.tranches] Lånedeler of a split loan (calculateMortgage)
+ * @param {object} [data.closingCosts] Result of calculateClosingCosts
+ * @param {object|null} data.loanTypeComparison
+ * @param {object} data.metrics Result of calculateAdvancedMetrics
+ * @param {number} data.totalMonthlyCost
+ * @param {number} data.netMonthlyCost
+ * @param {object[]} data.amortization Schedule for the chosen loan type
+ */
+export const reportSections = ({ inputs, propertyValue, loanAmount, loans, tranches, closingCosts, loanTypeComparison, metrics, totalMonthlyCost, netMonthlyCost, amortization }) => {
+    const taxShare = inputs.taxRate / 100;
+    const participants = inputs.participants || participantsFromPair(inputs);
+    const { extraMonthly = 0, lumpSums = [] } = inputs.prepayments || {};
+    const interestOnly = activeInterestOnly(inputs.interestOnly, Math.round(inputs.loanTerm * 12));
+    const municipality = findMunicipality(inputs.propertyTaxMode);
+
+    const sections = [
+        {
+            type: 'keyValues',
+            title: 'Forutsetninger',
+            rows: [
+                ['Beregningsmåte', CALCULATION_MODE_LABELS[inputs.calculationMode]],
+                ['Boligpris', kr(propertyValue)],
+                ...(closingCosts && closingCosts.total > 0
+                    ? [['Boligtype', PROPERTY_TYPES[inputs.propertyType]], ['Kjøpsomkostninger', kr(closingCosts.total)]]
+                    : []),
+                ['Lånebeløp', kr(loanAmount)],
+                ['Lånetype', LOAN_TYPE_LABELS[inputs.loanType]],
+                ['Rente', percent(inputs.interestRate)],
+                ['Renteutvikling', RATE_PATH_TYPES[(inputs.ratePath && inputs.ratePath.type) || 'fixed']],
+                ['Løpetid', `${inputs.loanTerm} år`],
+                ...(tranches && tranches.length > 0
+                    ? [['Lånedeler', tranches.map(tranche => `${tranche.name} ${kr(tranche.amount)}`).join(', ')]]
+                    : []),
+                ['Ekstra innbetaling', extraMonthly > 0 || lumpSums.length > 0
+                    ? `${kr(extraMonthly)}/mnd, ${lumpSums.length} engangsbeløp`
+                    : 'Ingen'],
+                ['Avdragsfrihet', interestOnly.length > 0
+                    ? interestOnly.map(period => `måned ${period.month}–${period.month + period.months - 1}`).join(', ')
+                    : 'Ingen'],
+                ['Kommune', municipality ? municipality.name : 'Annen kommune'],
+                ['Kommunale avgifter', `${kr(inputs.municipalDues)}/år`],
+                ['Boligforsikring', `${kr(inputs.homeInsurance)}/år`],
+                ['Vedlikehold', inputs.maintenancePlan && inputs.maintenancePlan.mode === 'percent'
+                    ? `${percent(inputs.maintenancePlan.percentOfValue)} av boligverdien per år`
+                    : `${kr(inputs.maintenance)}/år`],
+                ...(inputs.maintenancePlan && inputs.maintenancePlan.renovations.length > 0
+                    ? [['Oppussing', inputs.maintenancePlan.renovations.map(item => `${item.label || 'Oppussing'} år ${item.year}: ${kr(item.amount)}`).join(', ')]]
+                    : []),
+                ['Felleskostnader', `${kr(inputs.hoa)}/mnd`],
+                ['Utleieinntekt', `${kr(inputs.rentalIncome)}/mnd`],
+                ['Forventet prisendring', `${percent(inputs.annualAppreciation)} per år`],
+                ['Avkastningskrav', `${percent(inputs.requiredReturn)} per år`],
+                ['Rentefradrag', percent(inputs.taxRate)]
+            ]
+        },
+        {
+            type: 'table',
+            title: 'Individuell fordeling',
+            columns: ['', ...participants.map(participant => participant.name)],
+            rows: [
+                ['Egenkapital', ...participants.map(participant => kr(participant.downPayment))],
+                ['Eierandel', ...participants.map(participant => percent(participant.ownershipShare))],
+                ['Lånebeløp', ...loans.map(loan => kr(loan.amount))],
+                ['Annuitetslån, første måned', ...loans.map(loan => kr(loan.annuityPayment))],
+                ['Serielån, første måned', ...loans.map(loan => kr(loan.serialFirstPayment))],
+                ['Serielån, siste måned', ...loans.map(loan => kr(loan.serialLastPayment))]
+            ]
+        }
+    ];
+
+    if (loanTypeComparison) {
+        const { annuity, serial } = loanTypeComparison;
+        sections.push(
+            {
+                type: 'table',
+                title: 'Annuitetslån vs serielån',
+                columns: ['', 'Annuitetslån', 'Serielån'],
+                rows: [
+                    ['Første betaling', kr(annuity.firstPayment), kr(serial.firstPayment)],
+                    ['Siste betaling', kr(annuity.lastPayment), kr(serial.lastPayment)],
+                    ['Første rentefradrag', ...[annuity, serial].map(type => kr((type.monthlyPayments[0] ? type.monthlyPayments[0].interest : 0) * taxShare))],
+                    ['Totale renter', kr(annuity.totalInterest), kr(serial.totalInterest)],
+                    ['Total kostnad', kr(annuity.totalCost), kr(serial.totalCost)],
+                    ['Nedbetalt etter', `${annuity.months} mnd`, `${serial.months} mnd`]
+                ]
+            },
+            {
+                type: 'table',
+                title: 'Kostnader vs gevinst',
+                columns: ['', 'Annuitetslån', 'Serielån'],
+                rows: [
+                    ['Total lånekostnad (lån + renter)', kr(loanAmount + annuity.totalInterest), kr(loanAmount + serial.totalInterest)],
+                    ['Netto gevinst (boligverdi - alle kostnader)', kr(metrics.realPropertyGainAnnuity), kr(metrics.realPropertyGainSerial)]
+                ]
+            }
+        );
+    }
+
+    sections.push(
+        {
+            type: 'keyValues',
+            title: 'Leie vs kjøpe',
+            rows: [
+                ['Total månedlig kostnad', kr(totalMonthlyCost)],
+                ['Netto månedlig kostnad', kr(netMonthlyCost)],
+                ['Break-even husleie', `${kr(metrics.breakEvenRent)}/mnd`],
+                ...(inputs.saleEnabled
+                    ? [[`Salgspris etter ${metrics.yearsHeld} år`, kr(metrics.futurePropertyValue)], ['Salgskostnader og gevinstskatt', kr(metrics.saleCosts)]]
+                    : [['Boligverdi ved innfrielse', kr(metrics.futurePropertyValue)]]),
+                ['Fordel vs sparing', kr(metrics.investmentAdvantage)]
+            ]
+        },
+        {
+            type: 'text',
+            text: `Kan du leie tilsvarende bolig for mindre enn ${kr(metrics.breakEvenRent)} i måneden og investere resten med ${percent(inputs.requiredReturn)} avkastning, lønner det seg å leie. Koster leie mer, lønner det seg å kjøpe.`
+        },
+        {
+            type: 'table',
+            title: `Årlig nedbetaling (${LOAN_TYPE_LABELS[inputs.loanType].toLowerCase()})`,
+            columns: ['År', 'Avdrag', 'Herav ekstra', 'Renter', 'Rentefradrag', 'Betalt', 'Restgjeld'],
+            rows: summarizeByYear(amortization).map(year => [
+                String(year.year), kr(year.principal), kr(year.extraPayment), kr(year.interest),
+                kr(year.interest * taxShare), kr(year.totalPayment), kr(year.balance)
+            ])
+        }
+    );
+
+    return sections;
+};
+
+/**
+ * Builds the complete PDF report: title page stamped with generation date and
+ * share link, the sections above and the charts.
+ * @param {object} data As for reportSections(), plus generatedAt (Date), shareLink and charts
+ * @returns {import('jspdf').jsPDF}
+ */
+export const buildReport = ({ generatedAt, shareLink, charts, ...data }) => {
+    const date = generatedAt.toLocaleDateString('nb-NO', { day: 'numeric', month: 'long', year: 'numeric' });
+    return renderPdf({
+        title: 'Lånerapport',
+        subtitle: [
+            `Generert ${date}`,
+            `${kr(data.propertyValue)} bolig, ${kr(data.loanAmount)} lån over ${data.inputs.loanTerm} år`,
+            'Åpne beregningen i kalkulatoren:'
+        ],
+        link: shareLink,
+        sections: reportSections(data),
+        charts,
+        footer: `Lånekalkulator – generert ${date}. Beregningene er estimater og ikke finansiell rådgivning.`
+    });
+};
@@ -0,0 +1,70 @@
+import { calculateAdvancedMetrics, calculateMortgage, compareLoanTypes } from '../lib';
+import { formatCurrency } from '../format';
+import { readInputs } from '../params';
+import { buildReport, reportSections } from './report';
+
+const inputs = readInputs({ dp2: 500000, os: 60 });
+const mortgage = calculateMortgage(inputs);
+const loanTypeComparison = compareLoanTypes({ loanAmount: mortgage.loanAmount, interestRate: inputs.interestRate, loanTerm: inputs.loanTerm });
+const data = {
+  inputs,
+  propertyValue: mortgage.propertyValue,
+  loanAmount: mortgage.loanAmount,
+  loans: mortgage.loans,
+  loanTypeComparison,
+  metrics: calculateAdvancedMetrics({ ...inputs, amortization: mortgage.amortization, propertyValue: mortgage.propertyValue, totalDownPayment: 1500000, loanAmount: mortgage.loanAmount, totalInterest: mortgage.totalInterest, propertyTax: mortgage.propertyTax, loanTypeComparison }),
+  totalMonthlyCost: 30000,
+  netMonthlyCost: 30000,
+  amortization: mortgage.amortization
+};
+
+describe('reportSections', () => {
+  const sections = reportSections(data);
+  const byTitle = (title) => sections.find(section => section.title === title);
+
+  test('covers inputs, distribution, loan type comparison, costs vs gain and rent vs buy', () => {
+    expect(sections.map(section => section.title).filter(Boolean)).toEqual([
+      'Forutsetninger', 'Individuell fordeling', 'Annuitetslån vs serielån', 'Kostnader vs gevinst', 'Leie vs kjøpe', 'Årlig nedbetaling (annuitetslån)'
+    ]);
+    expect(byTitle('Individuell fordeling').rows[1]).toEqual(['Eierandel', '60 %', '40 %']);
+  });
+
+  test('lists closing costs with the property type', () => {
+    const rows = reportSections({ ...data, closingCosts: mortgage.closingCosts }).find(section => section.title === 'Forutsetninger').rows;
+    expect(rows).toContainEqual(['Boligtype', 'Selveier']);
+    expect(rows).toContainEqual(['Kjøpsomkostninger', formatCurrency(Math.round(mortgage.closingCosts.total))]);
+  });
+
+  test('lists the tranches of a split loan', () => {
+    const split = calculateMortgage({ ...inputs, tranches: [{ name: 'Grønt lån', amount: 1000000, interestRate: 4.6 }] });
+    const rows = reportSections({ ...data, tranches: split.tranches }).find(section => section.title === 'Forutsetninger').rows;
+    expect(rows).toContainEqual(['Lånedeler', `Hovedlån ${formatCurrency(split.loanAmount - 1000000)}, Grønt lån ${formatCurrency(1000000)}`]);
+  });
+
+  test('lists the interest-only windows', () => {
+    const rows = reportSections({ ...data, inputs: { ...data.inputs, interestOnly: [{ month: 1, months: 24 }] } }).find(section => section.title === 'Forutsetninger').rows;
+    expect(rows).toContainEqual(['Avdragsfrihet', 'måned 1–24']);
+    expect(byTitle('Forutsetninger').rows).toContainEqual(['Avdragsfrihet', 'Ingen']);
+  });
+
+  test('summarizes the schedule per year', () => {
+    const yearly = byTitle('Årlig nedbetaling (annuitetslån)');
+    expect(yearly.rows).toHaveLength(25);
+    expect(yearly.rows[24][6]).toBe(formatCurrency(0));
+  });
+
+  test('leaves out the loan type comparison without a loan', () => {
+    const titles = reportSections({ ...data, loanTypeComparison: null }).map(section => section.title);
+    expect(titles).not.toContain('Annuitetslån vs serielån');
+  });
+});
+
+describe('buildReport', () => {
+  test('produces a multi-page PDF with the share link', () => {
+    const doc = buildReport({ ...data, generatedAt: new Date(2025, 4, 17), shareLink: 'https://example.com/#abc', charts: [] });
+    expect(doc.getNumberOfPages()).toBeGreaterThan(1);
+    const output = doc.output();
+    expect(output.startsWith('%PDF')).toBe(true);
+    expect(output).toContain('https://example.com/#abc');
+  });
+});
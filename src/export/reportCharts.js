@@ -0,0 +1,31 @@
+import { Chart, CategoryScale, LinearScale, PointElement, LineElement, BarElement, Legend, Filler } from 'chart.js';
+import { formatCurrency } from '../format';
+
+Chart.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, Legend, Filler);
+
+/**
+ * Draws a chart on an off-screen canvas and returns it as a PNG data URL,
+ * for embedding in the PDF report.
+ */
+export const renderChartImage = (type, data, { width = 1200, height = 600, stacked = false } = {}) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const chart = new Chart(canvas, {
+        type,
+        data,
+        options: {
+            responsive: false,
+            animation: false,
+            devicePixelRatio: 1,
+            plugins: { legend: { position: 'bottom' } },
+            scales: {
+                x: { stacked },
+                y: { stacked, ticks: { callback: (value) => formatCurrency(value) } }
+            }
+        }
+    });
+    const image = chart.toBase64Image('image/png');
+    chart.destroy();
+    return image;
+};
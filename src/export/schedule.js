@@ -0,0 +1,72 @@
+import { activeInterestOnly, participantsFromPair, RATE_PATH_TYPES } from '../lib';
+
+const LOAN_TYPE_LABELS = { annuity: 'Annuitetslån', serial: 'Serielån' };
+
+// Kolonnene i nedbetalingsplanen, som tabellene på skjermen
+const scheduleColumns = (taxRate, deductions) => {
+    const deduction = (row, i) => (deductions ? deductions[i] || 0 : row.interest * (taxRate / 100));
+    return [
+        { label: 'Måned', value: row => row.month },
+        { label: 'Rente (%)', value: row => row.rate },
+        { label: 'Avdrag', value: row => row.principal },
+        { label: 'Herav ekstra', value: row => (row.extraPayment || 0) + (row.lumpSum || 0) },
+        { label: 'Renter', value: row => row.interest },
+        { label: 'Rentefradrag', value: deduction },
+        { label: 'Brutto lån', value: row => row.totalPayment },
+        { label: 'Netto lån', value: (row, i) => row.totalPayment - deduction(row, i) },
+        { label: 'Restgjeld', value: row => row.balance }
+    ];
+};
+
+/**
+ * Month-by-month table for export: a header row followed by one row per month.
+ * @param {object[]} rows Amortization rows
+ * @param {number} taxRate Rentefradrag in percent
+ * @param {number[]} [deductions] Rentefradrag per row from the tax model (monthlyInterestDeductions()),
+ *   instead of the interest times taxRate
+ * @returns {Array<Array<string|number>>}
+ */
+export const scheduleTable = (rows, taxRate, deductions) => {
+    const columns = scheduleColumns(taxRate, deductions);
+    return [columns.map(column => column.label), ...rows.map((row, i) => columns.map(column => column.value(row, i)))];
+};
+
+/**
+ * All schedules in one long table, with the part (Totalt, Person 1, ...) as the
+ * first column, so the export can be filtered in a spreadsheet.
+ * @param {{ title: string, rows: object[], deductions?: number[] }[]} schedules
+ */
+export const combinedScheduleTable = (schedules, taxRate) => {
+    const [header] = scheduleTable([], taxRate);
+    return [
+        ['Del', ...header],
+        ...schedules.flatMap(({ title, rows, deductions }) => scheduleTable(rows, taxRate, deductions).slice(1).map(row => [title, ...row]))
+    ];
+};
+
+/**
+ * Header block with the assumptions behind an exported schedule, as label/value pairs.
+ */
+export const assumptionsTable = ({ inputs, loanType, propertyValue, loanAmount, loanAmounts, exportedAt }) => {
+    const lumpSums = (inputs.prepayments && inputs.prepayments.lumpSums) || [];
+    const participants = inputs.participants || participantsFromPair(inputs);
+    return [
+        ['Eksportert', exportedAt.toLocaleDateString('nb-NO')],
+        ['Lånetype', LOAN_TYPE_LABELS[loanType]],
+        ['Boligpris', propertyValue],
+        ['Lånebeløp', loanAmount],
+        ...loanAmounts.map((amount, i) => [`Lånebeløp låntaker ${i + 1}`, amount]),
+        ['Rente (%)', inputs.interestRate],
+        ['Renteutvikling', RATE_PATH_TYPES[(inputs.ratePath && inputs.ratePath.type) || 'fixed']],
+        ['Løpetid (år)', inputs.loanTerm],
+        ...participants.flatMap((participant, i) => [
+            [`Egenkapital låntaker ${i + 1}`, participant.downPayment],
+            [`Eierandel låntaker ${i + 1} (%)`, participant.ownershipShare]
+        ]),
+        ['Ekstra innbetaling (kr/mnd)', (inputs.prepayments && inputs.prepayments.extraMonthly) || 0],
+        ['Engangsinnbetalinger (kr)', lumpSums.reduce((sum, lump) => sum + (lump.amount || 0), 0)],
+        ['Avdragsfrie måneder', activeInterestOnly(inputs.interestOnly, Math.round(inputs.loanTerm * 12)).reduce((sum, period) => sum + period.months, 0)],
+        ['Rentefradrag (%)', inputs.taxRate],
+        ...(inputs.realValues ? [['Beløp', `Dagens kroner, ${inputs.inflation} % inflasjon`]] : [])
+    ];
+};
@@ -0,0 +1,53 @@
+import { buildAmortization } from '../lib';
+import { assumptionsTable, combinedScheduleTable, scheduleTable } from './schedule';
+
+const rows = buildAmortization({ amount: 1200000, interestRate: 5, loanTerm: 10 });
+
+describe('scheduleTable', () => {
+  test('has a header and one row per month with tax deduction and net cost', () => {
+    const table = scheduleTable(rows, 22);
+    expect(table).toHaveLength(121);
+    expect(table[0]).toEqual(['Måned', 'Rente (%)', 'Avdrag', 'Herav ekstra', 'Renter', 'Rentefradrag', 'Brutto lån', 'Netto lån', 'Restgjeld']);
+    const [month, rate, , extra, interest, deduction, gross, net, balance] = table[1];
+    expect([month, rate, extra]).toEqual([1, 5, 0]);
+    expect(interest).toBeCloseTo(5000, 6);
+    expect(deduction).toBeCloseTo(1100, 6);
+    expect(net).toBeCloseTo(gross - 1100, 6);
+    expect(balance).toBe(rows[0].balance);
+  });
+
+  test('takes the deduction per month from the tax model when given', () => {
+    const deductions = rows.map(row => row.interest * 0.22 * 0.7);
+    const [deduction, , net] = scheduleTable(rows, 22, deductions)[1].slice(5);
+    expect(deduction).toBeCloseTo(770, 6);
+    expect(net).toBeCloseTo(rows[0].totalPayment - 770, 6);
+  });
+});
+
+describe('combinedScheduleTable', () => {
+  test('labels each row with its part', () => {
+    const table = combinedScheduleTable([{ title: 'Totalt', rows }, { title: 'Person 1', rows: rows.slice(0, 2) }], 22);
+    expect(table[0][0]).toBe('Del');
+    expect(table).toHaveLength(1 + 120 + 2);
+    expect(table[121].slice(0, 2)).toEqual(['Person 1', 1]);
+  });
+});
+
+describe('assumptionsTable', () => {
+  test('lists the inputs behind the schedule', () => {
+    const table = assumptionsTable({
+      inputs: { interestRate: 5, ratePath: { type: 'fixed' }, loanTerm: 10, downPayment1: 300000, downPayment2: 0, ownershipSplit: 100, prepayments: { extraMonthly: 1000, lumpSums: [{ month: 12, amount: 50000 }] }, interestOnly: [{ month: 1, months: 12 }, { month: 61, months: 6 }], taxRate: 22 },
+      loanType: 'serial',
+      propertyValue: 1500000,
+      loanAmount: 1200000,
+      loanAmounts: [1200000, 0],
+      exportedAt: new Date(2025, 0, 31)
+    });
+    const values = Object.fromEntries(table);
+    expect(values['Lånetype']).toBe('Serielån');
+    expect(values['Lånebeløp låntaker 2']).toBe(0);
+    expect(values['Renteutvikling']).toBe('Fast');
+    expect(values['Engangsinnbetalinger (kr)']).toBe(50000);
+    expect(values['Avdragsfrie måneder']).toBe(18);
+  });
+});
@@ -0,0 +1,192 @@
+// Minimal XLSX-skriver: regneark som SpreadsheetML-filer i en ukomprimert zip.
+// Holder til tall, tekst og fet skrift i overskrifter, som er alt eksporten trenger.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Stiler i styles.xml: 0 = standard, 1 = tall med to desimaler, 2 = fet tekst
+const STYLE_NUMBER = 1;
+const STYLE_BOLD = 2;
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+const cellXml = (cell, ref) => {
+    const { value, bold } = cell !== null && typeof cell === 'object' ? cell : { value: cell, bold: false };
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}" s="${bold ? STYLE_BOLD : STYLE_NUMBER}"><v>${Math.round(value * 100) / 100}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"${bold ? ` s="${STYLE_BOLD}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+    const rowsXml = rows.map((row, r) => {
+        const cells = row.map((cell, c) => cellXml(cell, `${columnName(c)}${r + 1}`)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXml}</sheetData></worksheet>`;
+};
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0.00"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>';
+
+// Excel tillater maks 31 tegn og ikke []:*?/\ i arknavn
+const sheetName = (name) => name.replace(/[[\]:*?/\\]/g, '-').slice(0, 31) || 'Ark';
+
+// Arknavn må også være unike uten hensyn til store og små bokstaver; like navn får et nummer
+const uniqueSheetNames = (names) => {
+    const used = new Set();
+    return names.map(name => {
+        const base = sheetName(name);
+        let unique = base;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            unique = base.slice(0, 31 - suffix.length).trimEnd() + suffix;
+        }
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+};
+
+const workbookParts = (sheets) => {
+    const sheetParts = sheets.map((sheet, i) => ({ path: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet.rows) }));
+    const sheetOverrides = sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+    const sheetRels = sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('');
+    const sheetEntries = uniqueSheetNames(sheets.map(sheet => sheet.name)).map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+
+    return [
+        {
+            path: '[Content_Types].xml',
+            content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + `${sheetOverrides}</Types>`
+        },
+        {
+            path: '_rels/.rels',
+            content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            path: 'xl/workbook.xml',
+            content: `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheetEntries}</sheets></workbook>`
+        },
+        {
+            path: 'xl/_rels/workbook.xml.rels',
+            content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">${sheetRels}<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`
+        },
+        { path: 'xl/styles.xml', content: STYLES_XML },
+        ...sheetParts
+    ];
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Zip-arkiv uten komprimering («stored»), med UTF-8-filnavn
+const zip = (files) => {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.path);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+
+    const writeCommon = (entry) => {
+        view.setUint16(offset, 20, true); // Versjon som kreves
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8-filnavn
+        view.setUint16(offset + 4, 0, true); // Ingen komprimering
+        view.setUint16(offset + 6, 0, true); // Tid
+        view.setUint16(offset + 8, 0x21, true); // Dato (1980-01-01)
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true); // Ingen ekstrafelt
+        offset += 26;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        offset += 4;
+        writeCommon(entry);
+        buffer.set(entry.name, offset);
+        offset += entry.name.length;
+        buffer.set(entry.data, offset);
+        offset += entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true); // Laget med versjon
+        offset += 6;
+        writeCommon(entry);
+        view.setUint16(offset, 0, true); // Kommentar
+        view.setUint16(offset + 2, 0, true); // Disk
+        view.setUint16(offset + 4, 0, true); // Interne attributter
+        view.setUint32(offset + 6, 0, true); // Eksterne attributter
+        view.setUint32(offset + 10, entry.offset, true);
+        offset += 14;
+        buffer.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return buffer;
+};
+
+/**
+ * Builds an .xlsx workbook.
+ * @param {{ name: string, rows: Array<Array<string|number|{ value: string|number, bold?: boolean }>> }[]} sheets
+ * @returns {Uint8Array} File contents
+ */
+export const toXlsx = (sheets) => zip(workbookParts(sheets));
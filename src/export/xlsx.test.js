@@ -0,0 +1,48 @@
+import { crc32, toXlsx } from './xlsx';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  });
+});
+
+describe('toXlsx', () => {
+  const file = toXlsx([
+    { name: 'Totalt', rows: [[{ value: 'Måned', bold: true }, { value: 'Renter', bold: true }], [1, 16666.666]] },
+    { name: 'Person 1', rows: [['A & B', 2]] }
+  ]);
+  const view = new DataView(file.buffer);
+
+  test('is a zip archive with a central directory listing every part', () => {
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    const end = file.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(7);
+    expect(view.getUint32(view.getUint32(end + 16, true), true)).toBe(0x02014b50);
+  });
+
+  test('stores cells as numbers and inline text', () => {
+    const content = text(file);
+    expect(content).toContain('<sheet name="Person 1" sheetId="2" r:id="rId2"/>');
+    expect(content).toContain('<c r="A1" t="inlineStr" s="2"><is><t xml:space="preserve">Måned</t></is></c>');
+    expect(content).toContain('<c r="B2" s="1"><v>16666.67</v></c>');
+    expect(content).toContain('A &amp; B');
+  });
+
+  test('gives every sheet a unique name, ignoring case', () => {
+    const content = text(toXlsx([
+      { name: 'Totalt', rows: [] },
+      { name: 'totalt', rows: [] },
+      { name: 'Kari', rows: [] },
+      { name: 'Kari', rows: [] },
+      { name: 'Et veldig langt navn på en låntaker A', rows: [] },
+      { name: 'Et veldig langt navn på en låntaker B', rows: [] }
+    ]));
+    const names = [...content.matchAll(/<sheet name="([^"]*)"/g)].map(match => match[1]);
+    expect(names).toEqual(['Totalt', 'totalt (2)', 'Kari', 'Kari (2)', 'Et veldig langt navn på en lånt', 'Et veldig langt navn på en (2)']);
+    expect(names.every(name => name.length <= 31)).toBe(true);
+  });
+});
+
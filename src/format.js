@@ -0,0 +1,4 @@
+// Currency formatting utility for Norwegian Krone (NOK)
+export const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('nb-NO', { style: 'currency', currency: 'NOK', minimumFractionDigits: 0, maximumFractionDigits: 0, }).format(amount || 0);
+};
@@ -0,0 +1,75 @@
+import { annuityPresentValue } from './amortization';
+import { calculatePropertyTax } from './propertyTax';
+
+/**
+ * Maximum loan and property price a desired monthly payment can service.
+ *
+ * The payment has to cover both the loan and the running costs, and the
+ * property tax depends on the price, so the price is found iteratively.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.desiredMonthlyPayment Total monthly budget in NOK
+ * @param {number} inputs.totalDownPayment Combined equity in NOK
+ * @param {number} inputs.interestRate Annual rate in percent
+ * @param {number} inputs.loanTerm Years
+ * @param {'annuity'|'serial'} [inputs.loanType] For serial loans the first (highest) payment is used
+ * @param {number} [inputs.municipalDues] kr/år
+ * @param {number} [inputs.homeInsurance] kr/år
+ * @param {number} [inputs.hoa] kr/mnd
+ * @param {number} [inputs.rentalIncome] kr/mnd
+ * @param {'oslo'|'custom'} [inputs.propertyTaxMode]
+ * @param {number} [inputs.customPropertyTaxAmount] kr/år
+ * @returns {{ maxLoan: number, maxPropertyPrice: number }}
+ */
+export const calculateAffordability = ({
+    desiredMonthlyPayment,
+    totalDownPayment,
+    interestRate,
+    loanTerm,
+    loanType = 'annuity',
+    municipalDues = 0,
+    homeInsurance = 0,
+    hoa = 0,
+    rentalIncome = 0,
+    propertyTaxMode = 'custom',
+    customPropertyTaxAmount = 0
+}) => {
+    if (desiredMonthlyPayment <= 0 || interestRate <= 0 || loanTerm <= 0 || !isFinite(desiredMonthlyPayment) || !isFinite(interestRate) || !isFinite(loanTerm)) {
+        return { maxLoan: 0, maxPropertyPrice: totalDownPayment };
+    }
+
+    const monthlyInterestRate = interestRate / 100 / 12;
+    const numberOfPayments = loanTerm * 12;
+
+    let estimatedPropertyValue = desiredMonthlyPayment * 200; // Start with a rough guess
+    let maxLoan = 0;
+
+    // Iterate a few times to find a stable property value
+    for (let i = 0; i < 10; i++) {
+        const estimatedPropertyTax = calculatePropertyTax(estimatedPropertyValue, propertyTaxMode, customPropertyTaxAmount);
+        const otherCosts = (municipalDues / 12) + (homeInsurance / 12) + (estimatedPropertyTax / 12) + hoa;
+        const pAndI = desiredMonthlyPayment + Number(rentalIncome) - otherCosts;
+
+        if (pAndI <= 0) {
+            maxLoan = 0;
+            break;
+        }
+
+        if (loanType === 'annuity') {
+            maxLoan = annuityPresentValue(pAndI, interestRate, numberOfPayments);
+        } else { // Serial loan
+            maxLoan = pAndI / ((1 / numberOfPayments) + monthlyInterestRate);
+        }
+
+        const newEstimatedPropertyValue = maxLoan + totalDownPayment;
+        // If the value has stabilized, break the loop
+        if (Math.abs(newEstimatedPropertyValue - estimatedPropertyValue) < 1000) {
+            estimatedPropertyValue = newEstimatedPropertyValue;
+            break;
+        }
+        estimatedPropertyValue = newEstimatedPropertyValue;
+    }
+
+    maxLoan = maxLoan > 0 ? maxLoan : 0;
+    return { maxLoan, maxPropertyPrice: maxLoan + totalDownPayment };
+};
@@ -0,0 +1,34 @@
+import { calculateAffordability } from './affordability';
+import { annuityPayment } from './amortization';
+
+const base = {
+  desiredMonthlyPayment: 20000,
+  totalDownPayment: 1000000,
+  interestRate: 5,
+  loanTerm: 25,
+  propertyTaxMode: 'custom',
+  customPropertyTaxAmount: 0
+};
+
+describe('calculateAffordability', () => {
+  test('annuity loan is sized so its payment equals the budget', () => {
+    const { maxLoan, maxPropertyPrice } = calculateAffordability(base);
+    expect(annuityPayment(maxLoan, 5, 300)).toBeCloseTo(20000, 6);
+    expect(maxPropertyPrice).toBeCloseTo(maxLoan + 1000000, 6);
+  });
+
+  test('serial loan is sized by its first payment', () => {
+    const { maxLoan } = calculateAffordability({ ...base, loanType: 'serial' });
+    expect(maxLoan / 300 + maxLoan * 0.05 / 12).toBeCloseTo(20000, 6);
+  });
+
+  test('running costs are deducted and rental income added', () => {
+    const { maxLoan } = calculateAffordability({ ...base, municipalDues: 12000, hoa: 2000, rentalIncome: 4000 });
+    // 20 000 - 1 000 - 2 000 + 4 000
+    expect(annuityPayment(maxLoan, 5, 300)).toBeCloseTo(21000, 6);
+  });
+
+  test('no loan when costs eat the whole budget', () => {
+    expect(calculateAffordability({ ...base, hoa: 25000 })).toEqual({ maxLoan: 0, maxPropertyPrice: 1000000 });
+  });
+});
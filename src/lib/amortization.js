@@ -0,0 +1,369 @@
+// Amortization engine for annuity (annuitetslån) and serial (serielån) loans.
+// All functions are pure: inputs object in, plain data out.
+
+import { deflateSchedule } from './inflation';
+import { buildRateSchedule } from './ratePath';
+
+const EMPTY_ROW = { principal: 0, interest: 0, totalPayment: 0, balance: 0 };
+
+/**
+ * Fixed monthly payment for an annuity loan.
+ * @param {number} amount Loan principal in NOK
+ * @param {number} interestRate Nominal annual rate in percent (5.2 = 5,2 %)
+ * @param {number} months Number of monthly payments
+ */
+export const annuityPayment = (amount, interestRate, months) => {
+    if (!amount || amount <= 0 || !months || months <= 0) return 0;
+    const monthlyRate = interestRate / 100 / 12;
+    if (monthlyRate === 0) return amount / months;
+    const factor = Math.pow(1 + monthlyRate, months);
+    return amount * (monthlyRate * factor) / (factor - 1);
+};
+
+/**
+ * Largest annuity loan a fixed monthly payment can service (inverse of annuityPayment).
+ */
+export const annuityPresentValue = (payment, interestRate, months) => {
+    if (!payment || payment <= 0 || !months || months <= 0) return 0;
+    const monthlyRate = interestRate / 100 / 12;
+    if (monthlyRate === 0) return payment * months;
+    const factor = Math.pow(1 + monthlyRate, months);
+    return payment * (factor - 1) / (monthlyRate * factor);
+};
+
+/**
+ * Months needed to repay `balance` with a fixed annuity `payment`.
+ */
+export const annuityTermMonths = (balance, interestRate, payment) => {
+    if (!balance || balance <= 0) return 0;
+    if (!payment || payment <= 0) return Infinity;
+    const monthlyRate = interestRate / 100 / 12;
+    if (monthlyRate === 0) return Math.ceil(balance / payment - 1e-9);
+    if (payment <= balance * monthlyRate) return Infinity;
+    return Math.ceil(-Math.log(1 - monthlyRate * balance / payment) / Math.log(1 + monthlyRate) - 1e-9);
+};
+
+// Ingen ekstra innbetalinger; utgangspunktet for skjemaet og delte lenker
+export const EMPTY_PREPAYMENTS = { extraMonthly: 0, extraMonthlyMode: 'term', lumpSums: [] };
+
+/**
+ * Whether a prepayment plan pays anything beyond the regular instalments.
+ */
+export const hasPrepayments = (prepayments) =>
+    !!prepayments && (prepayments.extraMonthly > 0 || (prepayments.lumpSums || []).some(lump => lump.amount > 0));
+
+/**
+ * Scales the amounts of a prepayment plan, e.g. to one borrower's share of the debt.
+ */
+export const splitPrepayments = (prepayments, share) => {
+    if (!prepayments) return prepayments;
+    return {
+        ...prepayments,
+        extraMonthly: (prepayments.extraMonthly || 0) * share,
+        lumpSums: (prepayments.lumpSums || []).map(lump => ({ ...lump, amount: lump.amount * share }))
+    };
+};
+
+/**
+ * Interest-only windows (avdragsfrihet) that contain at least one month.
+ * Each window is { month, months }: the first month without principal and
+ * how many months it lasts.
+ *
+ * With `termMonths` the windows are cut to end before the last month of the
+ * term, which always repays what is left.
+ */
+export const activeInterestOnly = (periods, termMonths = Infinity) =>
+    (periods || [])
+        .filter(period => period && period.month >= 1 && period.months > 0 && period.month < termMonths)
+        .map(period => (period.month + period.months > termMonths ? { ...period, months: termMonths - period.month } : period));
+
+const isInterestOnlyMonth = (periods, month) =>
+    periods.some(period => month >= period.month && month < period.month + period.months);
+
+/**
+ * Month-by-month repayment schedule.
+ *
+ * With a rate path the annuity payment is recomputed from the remaining
+ * balance and remaining term whenever the rate changes, the way Norwegian
+ * banks adjust floating-rate loans. Serial loans keep their fixed principal.
+ *
+ * Prepayments (ekstra innbetaling) are paid after the regular instalment:
+ *   { extraMonthly, extraMonthlyMode, lumpSums: [{ month, amount, mode }] }
+ * Mode 'term' keeps the payment and ends the loan earlier; mode 'payment'
+ * keeps the end date and lowers the payment.
+ *
+ * Interest-only windows (avdragsfrihet, see activeInterestOnly) keep the end
+ * date: only interest is paid during a window, and afterwards the remaining
+ * balance is repaid over the months left, so the payment jumps. The final
+ * month always repays what is left. A 'term' prepayment during a window takes
+ * effect when it ends: the loan keeps the payment it would have had without
+ * the prepayment and ends earlier.
+ *
+ * @param {{ amount: number, interestRate: number, loanTerm: number, loanType?: 'annuity'|'serial', ratePath?: object, prepayments?: object, interestOnly?: object[] }} inputs
+ * @returns {Array<{ month: number, rate: number, principal: number, interest: number, extraPayment: number, lumpSum: number, totalPayment: number, balance: number }>}
+ */
+export const buildAmortization = ({ amount, interestRate, loanTerm, loanType = 'annuity', ratePath, prepayments, interestOnly }) => {
+    if (!amount || amount <= 0 || !isFinite(amount)) return [];
+    const n = Math.round(loanTerm * 12);
+    if (n <= 0) return [];
+
+    const { extraMonthly = 0, extraMonthlyMode = 'term', lumpSums = [] } = prepayments || {};
+    const windows = activeInterestOnly(interestOnly, n);
+
+    let balance = amount;
+    const rows = [];
+    const rates = buildRateSchedule(ratePath, interestRate, n);
+    let principalPerMonth = amount / n;
+    let endMonth = n; // Siste avtalte terminmåned
+    let annuity = 0;
+    let annuityRate = null;
+    let afterInterestOnly = false;
+    let deferred = 0; // Innbetalt i avdragsfriheten med kortere løpetid
+
+    for (let i = 1; i <= n; i++) {
+        if (balance <= 0) break;
+        const rate = rates[i - 1];
+        const interestOnlyMonth = i < endMonth && isInterestOnlyMonth(windows, i);
+        if (afterInterestOnly && !interestOnlyMonth) {
+            // Avdragsfriheten er over: resten nedbetales over gjenstående løpetid
+            const remaining = endMonth - i + 1;
+            annuityRate = null;
+            principalPerMonth = (balance + deferred) / remaining;
+            if (deferred > 0) {
+                // Terminbeløpet lånet ville fått uten innbetalingene, og kortere løpetid
+                if (loanType === 'annuity') {
+                    annuity = annuityPayment(balance + deferred, rate, remaining);
+                    annuityRate = rate;
+                }
+                const term = loanType === 'annuity' ? annuityTermMonths(balance, rate, annuity) : Math.ceil(balance / principalPerMonth - 1e-9);
+                if (isFinite(term)) endMonth = i + term - 1;
+                deferred = 0;
+            }
+            afterInterestOnly = false;
+        }
+        if (interestOnlyMonth) afterInterestOnly = true;
+        if (loanType === 'annuity' && rate !== annuityRate) {
+            annuity = annuityPayment(balance, rate, endMonth - i + 1);
+            annuityRate = rate;
+        }
+        const interest = balance * (rate / 100 / 12);
+        const scheduled = interestOnlyMonth ? 0 : Math.min(balance, loanType === 'annuity' ? annuity - interest : principalPerMonth);
+        balance -= scheduled;
+
+        // Ekstra innbetalinger etter ordinær termin
+        const extraPayment = Math.min(balance, extraMonthly > 0 ? extraMonthly : 0);
+        balance -= extraPayment;
+        let lumpSum = 0;
+        let lowerPayment = extraPayment > 0 && extraMonthlyMode === 'payment';
+        for (const lump of lumpSums) {
+            if (lump.month !== i || !(lump.amount > 0)) continue;
+            const paid = Math.min(balance, lump.amount);
+            balance -= paid;
+            lumpSum += paid;
+            if (lump.mode === 'payment') lowerPayment = true;
+        }
+
+        if (balance > 0 && extraPayment + lumpSum > 0) {
+            if (lowerPayment) {
+                // Samme sluttdato, lavere terminbeløp
+                const remaining = Math.max(1, endMonth - i);
+                if (loanType === 'annuity') {
+                    annuity = annuityPayment(balance, rate, remaining);
+                } else {
+                    principalPerMonth = balance / remaining;
+                }
+            } else if (interestOnlyMonth) {
+                // Ingen terminbeløp å holde fast ved før avdragsfriheten er over
+                deferred += extraPayment + lumpSum;
+            } else {
+                // Samme terminbeløp, kortere løpetid
+                const term = loanType === 'annuity' ? annuityTermMonths(balance, rate, annuity) : Math.ceil(balance / principalPerMonth - 1e-9);
+                if (isFinite(term)) endMonth = i + term;
+            }
+        }
+
+        const principal = scheduled + extraPayment + lumpSum;
+        rows.push({ month: i, rate, principal, interest, extraPayment, lumpSum, totalPayment: principal + interest, balance: balance < 1e-6 ? 0 : balance });
+    }
+    return rows;
+};
+
+/**
+ * Effect of prepayments: compares a schedule with the same loan without them.
+ */
+export const comparePrepayments = (baselineRows, rows) => {
+    const baseline = summarizeAmortization(baselineRows);
+    const actual = summarizeAmortization(rows);
+    return {
+        interestSaved: baseline.totalInterest - actual.totalInterest,
+        monthsSaved: baseline.months - actual.months,
+        months: actual.months,
+        baselineMonths: baseline.months,
+        totalPrepaid: rows.reduce((sum, row) => sum + (row.extraPayment || 0) + (row.lumpSum || 0), 0)
+    };
+};
+
+/**
+ * Effect of interest-only windows: compares a schedule with the same loan
+ * repaid from the first month. For each window, `paymentDuring` is the
+ * interest-only payment, `paymentAfter` the first payment once it ends,
+ * `extraBalance` how much more is owed at the end of the window and
+ * `balloon` whether the window runs to the last month, which then repays the
+ * whole balance.
+ */
+export const compareInterestOnly = (baselineRows, rows, periods) => {
+    const payment = (row) => (row ? row.totalPayment - (row.lumpSum || 0) : 0);
+    const windows = activeInterestOnly(periods, rows.length)
+        .map(period => {
+            const end = period.month + period.months - 1;
+            const paymentDuring = payment(rows[period.month - 1]);
+            const paymentAfter = payment(rows[end]);
+            return {
+                month: period.month,
+                months: end - period.month + 1,
+                paymentDuring,
+                paymentAfter,
+                jump: paymentAfter - paymentDuring,
+                balloon: end === rows.length - 1,
+                extraBalance: rows[end - 1].balance - (baselineRows[end - 1] ? baselineRows[end - 1].balance : 0)
+            };
+        });
+    return {
+        extraInterest: summarizeAmortization(rows).totalInterest - summarizeAmortization(baselineRows).totalInterest,
+        windows
+    };
+};
+
+/**
+ * Sums several schedules (e.g. one per borrower) month by month.
+ * Shorter schedules count as fully repaid once they run out. The combined
+ * `rate` is the average weighted by each schedule's opening balance.
+ */
+export const combineAmortization = (schedules) => {
+    const n = Math.max(0, ...schedules.map(rows => rows.length));
+    const result = [];
+    for (let i = 0; i < n; i++) {
+        const row = { month: i + 1, rate: 0, principal: 0, interest: 0, extraPayment: 0, lumpSum: 0, totalPayment: 0, balance: 0 };
+        let openingBalance = 0;
+        schedules.forEach(rows => {
+            const r = rows[i] || EMPTY_ROW;
+            const opening = (r.balance || 0) + (r.principal || 0);
+            row.rate += (r.rate || 0) * opening;
+            openingBalance += opening;
+            row.principal += r.principal || 0;
+            row.interest += r.interest || 0;
+            row.extraPayment += r.extraPayment || 0;
+            row.lumpSum += r.lumpSum || 0;
+            row.totalPayment += r.totalPayment || 0;
+            row.balance += r.balance || 0;
+        });
+        row.rate = openingBalance > 0 ? row.rate / openingBalance : 0;
+        result.push(row);
+    }
+    return result;
+};
+
+/**
+ * Key figures of a schedule. First and last payment are the regular monthly
+ * payments, without one-off lump sums.
+ */
+export const summarizeAmortization = (rows) => {
+    if (!rows || rows.length === 0) {
+        return { firstPayment: 0, lastPayment: 0, totalInterest: 0, totalPaid: 0, months: 0 };
+    }
+    const totalInterest = rows.reduce((sum, row) => sum + row.interest, 0);
+    const totalPaid = rows.reduce((sum, row) => sum + row.totalPayment, 0);
+    return {
+        firstPayment: rows[0].totalPayment - (rows[0].lumpSum || 0),
+        lastPayment: rows[rows.length - 1].totalPayment - (rows[rows.length - 1].lumpSum || 0),
+        totalInterest,
+        totalPaid,
+        months: rows.length
+    };
+};
+
+/**
+ * Aggregates a monthly schedule per loan year. As in the monthly rows,
+ * `principal` includes prepayments; `extraPayment` is the prepaid part
+ * (lump sums included) and `balance` the balance at the end of the year.
+ */
+export const summarizeByYear = (rows) => {
+    const years = [];
+    (rows || []).forEach((row, i) => {
+        const year = Math.floor(i / 12) + 1;
+        if (!years[year - 1]) {
+            years[year - 1] = { year, principal: 0, interest: 0, extraPayment: 0, totalPayment: 0, balance: 0 };
+        }
+        const summary = years[year - 1];
+        summary.principal += row.principal;
+        summary.interest += row.interest;
+        summary.extraPayment += (row.extraPayment || 0) + (row.lumpSum || 0);
+        summary.totalPayment += row.totalPayment;
+        summary.balance = row.balance;
+    });
+    return years;
+};
+
+/**
+ * Details for a single loan: its schedule under the chosen loan type, plus the
+ * first annuity payment and first/last serial payment shown side by side in the UI.
+ * `schedules` ({ annuity, serial }) replaces the schedules built here, e.g. for a split loan.
+ * @param {{ amount: number, interestRate: number, loanTerm: number, loanType?: 'annuity'|'serial', ratePath?: object, prepayments?: object, interestOnly?: object[], schedules?: object }} inputs
+ */
+export const calculateLoanDetails = ({ amount, interestRate, loanTerm, loanType = 'annuity', ratePath, prepayments, interestOnly, schedules: given }) => {
+    if (!amount || amount <= 0) {
+        return { amount: 0, payment: 0, totalInterestPaid: 0, amortization: [], annuityPayment: 0, serialFirstPayment: 0, serialLastPayment: 0 };
+    }
+
+    const schedules = given || {
+        annuity: buildAmortization({ amount, interestRate, loanTerm, loanType: 'annuity', ratePath, prepayments, interestOnly }),
+        serial: buildAmortization({ amount, interestRate, loanTerm, loanType: 'serial', ratePath, prepayments, interestOnly })
+    };
+    const amortization = schedules[loanType] || schedules.annuity;
+    const { firstPayment, totalInterest } = summarizeAmortization(amortization);
+    const serial = summarizeAmortization(schedules.serial);
+
+    return {
+        amount,
+        payment: firstPayment,
+        totalInterestPaid: totalInterest,
+        amortization,
+        annuityPayment: summarizeAmortization(schedules.annuity).firstPayment,
+        serialFirstPayment: serial.firstPayment,
+        serialLastPayment: serial.lastPayment
+    };
+};
+
+/**
+ * Annuity vs serial figures for the same loan amount.
+ * `monthlyPayments` holds the first, middle and last month of each schedule,
+ * `years` the yearly summary used to stop the comparison at a sale.
+ * For a split loan, `tranches` are the other tranches with their schedules
+ * (see buildSplitLoan); only the main tranche changes type.
+ * With `inflation` (percent per year) every figure is in today's kroner.
+ */
+export const compareLoanTypes = ({ loanAmount, interestRate, loanTerm, ratePath, prepayments, interestOnly, tranches = [], inflation = 0 }) => {
+    if (!loanAmount || loanAmount <= 0) return null;
+    const mainAmount = loanAmount - tranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+
+    const describe = (loanType) => {
+        const main = buildAmortization({ amount: mainAmount, interestRate, loanTerm, loanType, ratePath, prepayments, interestOnly });
+        const rows = deflateSchedule(tranches.length > 0 ? combineAmortization([main, ...tranches.map(tranche => tranche.amortization)]) : main, inflation);
+        const { firstPayment, lastPayment, totalInterest, totalPaid } = summarizeAmortization(rows);
+        const milestones = [1, Math.floor(rows.length / 2), rows.length];
+        return {
+            totalInterest,
+            // I dagens kroner er også avdragene deflatert
+            totalCost: inflation ? totalPaid : loanAmount + totalInterest,
+            firstPayment,
+            lastPayment,
+            months: rows.length,
+            monthlyPayments: rows
+                .filter(row => milestones.includes(row.month))
+                .map(row => ({ month: row.month, payment: row.totalPayment, principal: row.principal, interest: row.interest })),
+            years: summarizeByYear(rows)
+        };
+    };
+
+    return { annuity: describe('annuity'), serial: describe('serial') };
+};
@@ -0,0 +1,283 @@
+import { annuityPayment, annuityTermMonths, buildAmortization, combineAmortization, summarizeAmortization, summarizeByYear, EMPTY_PREPAYMENTS, hasPrepayments, splitPrepayments, comparePrepayments, compareInterestOnly, activeInterestOnly, calculateLoanDetails, compareLoanTypes } from './amortization';
+
+describe('annuityPayment', () => {
+  test('matches published reference payments', () => {
+    // 100 000 over 30 years at 6 % -> 599,55/month
+    expect(annuityPayment(100000, 6, 360)).toBeCloseTo(599.55, 2);
+    // 200 000 over 30 years at 6,5 % -> 1 264,14/month
+    expect(annuityPayment(200000, 6.5, 360)).toBeCloseTo(1264.14, 2);
+  });
+
+  test('spreads the principal evenly at zero interest', () => {
+    expect(annuityPayment(120000, 0, 120)).toBe(1000);
+  });
+
+  test('returns 0 without a loan', () => {
+    expect(annuityPayment(0, 5, 300)).toBe(0);
+  });
+});
+
+describe('buildAmortization', () => {
+  test('annuity schedule matches the reference table', () => {
+    const rows = buildAmortization({ amount: 100000, interestRate: 6, loanTerm: 30, loanType: 'annuity' });
+    expect(rows).toHaveLength(360);
+
+    expect(rows[0].interest).toBeCloseTo(500.0, 2);
+    expect(rows[0].principal).toBeCloseTo(99.55, 2);
+    expect(rows[0].balance).toBeCloseTo(99900.45, 2);
+
+    expect(rows[1].interest).toBeCloseTo(499.5, 2);
+    expect(rows[1].principal).toBeCloseTo(100.05, 2);
+    expect(rows[1].balance).toBeCloseTo(99800.4, 1);
+
+    expect(rows[359].balance).toBeCloseTo(0, 2);
+    rows.forEach(row => expect(row.totalPayment).toBeCloseTo(599.55, 2));
+  });
+
+  test('serial schedule repays a fixed principal and falling interest', () => {
+    const rows = buildAmortization({ amount: 1200000, interestRate: 6, loanTerm: 10, loanType: 'serial' });
+    expect(rows).toHaveLength(120);
+    expect(rows[0]).toMatchObject({ month: 1, principal: 10000, interest: 6000, totalPayment: 16000, balance: 1190000 });
+    expect(rows[119].interest).toBeCloseTo(50, 6);
+    expect(rows[119].balance).toBeCloseTo(0, 6);
+    // 0,5 % * 10 000 * (120 + 119 + ... + 1)
+    expect(summarizeAmortization(rows).totalInterest).toBeCloseTo(363000, 4);
+  });
+
+  test('is empty without a loan', () => {
+    expect(buildAmortization({ amount: 0, interestRate: 5, loanTerm: 25 })).toEqual([]);
+  });
+});
+
+describe('combineAmortization', () => {
+  test('sums schedules month by month and pads the shorter one', () => {
+    const a = buildAmortization({ amount: 100000, interestRate: 5, loanTerm: 2 });
+    const b = buildAmortization({ amount: 50000, interestRate: 5, loanTerm: 1 });
+    const combined = combineAmortization([a, b]);
+    expect(combined).toHaveLength(24);
+    expect(combined[0].totalPayment).toBeCloseTo(a[0].totalPayment + b[0].totalPayment, 8);
+    expect(combined[0].balance).toBeCloseTo(a[0].balance + b[0].balance, 8);
+    expect(combined[20].totalPayment).toBeCloseTo(a[20].totalPayment, 8);
+  });
+});
+
+describe('calculateLoanDetails', () => {
+  test('reports payments for both loan types', () => {
+    const details = calculateLoanDetails({ amount: 1200000, interestRate: 6, loanTerm: 10, loanType: 'serial' });
+    expect(details.payment).toBeCloseTo(16000, 6);
+    expect(details.serialFirstPayment).toBeCloseTo(16000, 6);
+    expect(details.serialLastPayment).toBeCloseTo(10050, 6);
+    expect(details.annuityPayment).toBeCloseTo(annuityPayment(1200000, 6, 120), 8);
+    expect(details.totalInterestPaid).toBeCloseTo(363000, 4);
+  });
+});
+
+describe('compareLoanTypes', () => {
+  test('serial loans cost less interest than annuity loans', () => {
+    const comparison = compareLoanTypes({ loanAmount: 4000000, interestRate: 5.2, loanTerm: 25 });
+    expect(comparison.serial.totalInterest).toBeLessThan(comparison.annuity.totalInterest);
+    expect(comparison.annuity.firstPayment).toBeCloseTo(comparison.annuity.lastPayment, 6);
+    expect(comparison.annuity.totalCost).toBeCloseTo(4000000 + comparison.annuity.totalInterest, 6);
+    expect(comparison.serial.monthlyPayments.map(p => p.month)).toEqual([1, 150, 300]);
+  });
+
+  test('deflates every payment to today\'s kroner with inflation', () => {
+    const nominal = compareLoanTypes({ loanAmount: 4000000, interestRate: 5, loanTerm: 25 });
+    const real = compareLoanTypes({ loanAmount: 4000000, interestRate: 5, loanTerm: 25, inflation: 2 });
+    expect(real.annuity.lastPayment).toBeCloseTo(nominal.annuity.lastPayment / Math.pow(1.02, 25), 6);
+    expect(real.annuity.totalInterest).toBeLessThan(nominal.annuity.totalInterest);
+    expect(real.annuity.totalCost).toBeLessThan(4000000 + real.annuity.totalInterest);
+  });
+
+  test('returns null without a loan', () => {
+    expect(compareLoanTypes({ loanAmount: 0, interestRate: 5, loanTerm: 25 })).toBeNull();
+  });
+});
+
+describe('buildAmortization with a rate path', () => {
+  const path = { type: 'steps', steps: [{ month: 13, rate: 7 }] };
+
+  test('annuity payment is recomputed from the remaining balance when the rate changes', () => {
+    const rows = buildAmortization({ amount: 1000000, interestRate: 5, loanTerm: 10, ratePath: path });
+    const before = annuityPayment(1000000, 5, 120);
+    expect(rows[11].totalPayment).toBeCloseTo(before, 8);
+    expect(rows[12].rate).toBe(7);
+    expect(rows[12].totalPayment).toBeCloseTo(annuityPayment(rows[11].balance, 7, 108), 8);
+    expect(rows[119].balance).toBeCloseTo(0, 4);
+  });
+
+  test('serial principal stays fixed while the interest follows the path', () => {
+    const rows = buildAmortization({ amount: 1200000, interestRate: 5, loanTerm: 10, loanType: 'serial', ratePath: path });
+    expect(rows[12].principal).toBe(10000);
+    expect(rows[12].interest).toBeCloseTo(rows[11].balance * 0.07 / 12, 8);
+  });
+
+  test('a higher path costs more interest than a flat rate', () => {
+    const flat = summarizeAmortization(buildAmortization({ amount: 1000000, interestRate: 5, loanTerm: 10 }));
+    const rising = summarizeAmortization(buildAmortization({ amount: 1000000, interestRate: 5, loanTerm: 10, ratePath: path }));
+    expect(rising.totalInterest).toBeGreaterThan(flat.totalInterest);
+  });
+
+  test('combined rate is weighted by balance', () => {
+    const a = buildAmortization({ amount: 300000, interestRate: 4, loanTerm: 10 });
+    const b = buildAmortization({ amount: 100000, interestRate: 8, loanTerm: 10 });
+    expect(combineAmortization([a, b])[0].rate).toBeCloseTo(5, 8);
+  });
+});
+
+describe('prepayments', () => {
+  const loan = { amount: 1000000, interestRate: 5, loanTerm: 20 };
+  const baseline = buildAmortization(loan);
+  const payment = annuityPayment(1000000, 5, 240);
+
+  test('a lump sum that shortens the term keeps the payment', () => {
+    const rows = buildAmortization({ ...loan, prepayments: { lumpSums: [{ month: 12, amount: 200000, mode: 'term' }] } });
+    expect(rows[11].lumpSum).toBe(200000);
+    expect(rows[12].totalPayment).toBeCloseTo(payment, 8);
+    expect(rows.length).toBeLessThan(240);
+    expect(rows.length).toBe(12 + annuityTermMonths(rows[11].balance, 5, payment));
+    expect(rows[rows.length - 1].balance).toBe(0);
+
+    const effect = comparePrepayments(baseline, rows);
+    expect(effect.monthsSaved).toBe(240 - rows.length);
+    expect(effect.interestSaved).toBeGreaterThan(0);
+    expect(effect.totalPrepaid).toBe(200000);
+  });
+
+  test('a lump sum that lowers the payment keeps the end date', () => {
+    const rows = buildAmortization({ ...loan, prepayments: { lumpSums: [{ month: 12, amount: 200000, mode: 'payment' }] } });
+    expect(rows).toHaveLength(240);
+    expect(rows[12].totalPayment).toBeCloseTo(annuityPayment(rows[11].balance, 5, 228), 8);
+    expect(rows[12].totalPayment).toBeLessThan(payment);
+    expect(rows[239].balance).toBe(0);
+  });
+
+  test('a recurring extra amount pays the loan off early', () => {
+    const rows = buildAmortization({ ...loan, prepayments: { extraMonthly: 2000, extraMonthlyMode: 'term' } });
+    expect(rows[0].extraPayment).toBe(2000);
+    expect(rows[0].totalPayment).toBeCloseTo(payment + 2000, 8);
+    expect(rows.length).toBeLessThan(200);
+    expect(summarizeAmortization(rows).totalInterest).toBeLessThan(summarizeAmortization(baseline).totalInterest);
+  });
+
+  test('serial loans spread the remaining balance over the remaining term in payment mode', () => {
+    const rows = buildAmortization({ amount: 1200000, interestRate: 5, loanTerm: 10, loanType: 'serial', prepayments: { lumpSums: [{ month: 60, amount: 300000, mode: 'payment' }] } });
+    expect(rows).toHaveLength(120);
+    expect(rows[60].principal).toBeCloseTo(300000 / 60, 8);
+  });
+
+  test('first payment excludes one-off lump sums', () => {
+    const rows = buildAmortization({ ...loan, prepayments: { lumpSums: [{ month: 1, amount: 100000, mode: 'term' }] } });
+    expect(summarizeAmortization(rows).firstPayment).toBeCloseTo(payment, 8);
+  });
+
+  test('splitPrepayments scales every amount', () => {
+    const split = splitPrepayments({ extraMonthly: 1000, extraMonthlyMode: 'term', lumpSums: [{ month: 3, amount: 50000, mode: 'payment' }] }, 0.4);
+    expect(split.extraMonthly).toBe(400);
+    expect(split.lumpSums[0]).toEqual({ month: 3, amount: 20000, mode: 'payment' });
+  });
+});
+
+describe('hasPrepayments', () => {
+  test('is true only when something is paid beyond the instalments', () => {
+    expect(hasPrepayments(EMPTY_PREPAYMENTS)).toBe(false);
+    expect(hasPrepayments(undefined)).toBe(false);
+    expect(hasPrepayments({ ...EMPTY_PREPAYMENTS, lumpSums: [{ month: 12, amount: 0 }] })).toBe(false);
+    expect(hasPrepayments({ ...EMPTY_PREPAYMENTS, extraMonthly: 500 })).toBe(true);
+    expect(hasPrepayments({ lumpSums: [{ month: 12, amount: 50000 }] })).toBe(true);
+  });
+});
+
+describe('interest-only windows', () => {
+  const loan = { amount: 1000000, interestRate: 5, loanTerm: 20 };
+  const baseline = buildAmortization(loan);
+
+  test('pays interest only, then repays the balance over the months left', () => {
+    const rows = buildAmortization({ ...loan, interestOnly: [{ month: 1, months: 24 }] });
+    expect(rows).toHaveLength(240);
+    expect(rows[0].principal).toBe(0);
+    expect(rows[23].totalPayment).toBeCloseTo(1000000 * 0.05 / 12, 8);
+    expect(rows[23].balance).toBe(1000000);
+    expect(rows[24].totalPayment).toBeCloseTo(annuityPayment(1000000, 5, 216), 8);
+    expect(rows[239].balance).toBe(0);
+    expect(summarizeAmortization(rows).totalInterest).toBeGreaterThan(summarizeAmortization(baseline).totalInterest);
+  });
+
+  test('a window later in the loan recalculates the payment when it ends', () => {
+    const rows = buildAmortization({ ...loan, interestOnly: [{ month: 61, months: 12 }] });
+    expect(rows[59].totalPayment).toBeCloseTo(baseline[59].totalPayment, 8);
+    expect(rows[60].principal).toBe(0);
+    expect(rows[72].totalPayment).toBeCloseTo(annuityPayment(rows[71].balance, 5, 168), 8);
+    expect(rows[239].balance).toBe(0);
+  });
+
+  test('serial loans spread the balance over the months left', () => {
+    const rows = buildAmortization({ amount: 1200000, interestRate: 5, loanTerm: 10, loanType: 'serial', interestOnly: [{ month: 1, months: 12 }, { month: 49, months: 6 }] });
+    expect(rows).toHaveLength(120);
+    expect(rows[12].principal).toBeCloseTo(1200000 / 108, 8);
+    expect(rows[48].principal).toBe(0);
+    expect(rows[54].principal).toBeCloseTo(rows[53].balance / 66, 8);
+    expect(rows[119].balance).toBeCloseTo(0, 6);
+  });
+
+  test('a lump sum during a window shortens the term once it ends', () => {
+    const lumpSums = [{ month: 6, amount: 300000, mode: 'term' }];
+    const rows = buildAmortization({ ...loan, interestOnly: [{ month: 1, months: 24 }], prepayments: { lumpSums } });
+    const term = annuityTermMonths(700000, 5, annuityPayment(1000000, 5, 216));
+    expect(rows[5].lumpSum).toBe(300000);
+    expect(rows[23].principal).toBe(0);
+    expect(rows[24].totalPayment).toBeCloseTo(annuityPayment(1000000, 5, 216), 8);
+    expect(rows).toHaveLength(24 + term);
+    expect(rows.every(row => isFinite(row.totalPayment))).toBe(true);
+    expect(rows[rows.length - 1].balance).toBe(0);
+  });
+
+  test('a lump sum during a window in a serial loan keeps the principal from the window\'s end', () => {
+    const lumpSums = [{ month: 6, amount: 300000, mode: 'term' }];
+    const rows = buildAmortization({ ...loan, loanType: 'serial', interestOnly: [{ month: 1, months: 24 }], prepayments: { lumpSums } });
+    expect(rows[24].principal).toBeCloseTo(1000000 / 216, 8);
+    expect(rows).toHaveLength(24 + Math.ceil(700000 / (1000000 / 216)));
+    expect(rows[rows.length - 1].balance).toBeCloseTo(0, 6);
+  });
+
+  test('the last month always repays the loan', () => {
+    const rows = buildAmortization({ ...loan, loanTerm: 1, interestOnly: [{ month: 1, months: 24 }] });
+    expect(rows).toHaveLength(12);
+    expect(rows[11].principal).toBe(1000000);
+    expect(rows[11].balance).toBe(0);
+  });
+
+  test('cuts a window that runs to the end of the term and flags the balloon', () => {
+    expect(activeInterestOnly([{ month: 229, months: 24 }, { month: 240, months: 1 }], 240)).toEqual([{ month: 229, months: 11 }]);
+    const rows = buildAmortization({ ...loan, interestOnly: [{ month: 229, months: 24 }] });
+    expect(rows).toHaveLength(240);
+    expect(rows[238].principal).toBe(0);
+    expect(rows[239].principal).toBeCloseTo(rows[238].balance, 6);
+    const effect = compareInterestOnly(baseline, rows, [{ month: 229, months: 24 }]);
+    expect(effect.windows[0]).toMatchObject({ month: 229, months: 11, balloon: true });
+    expect(effect.windows[0].paymentAfter).toBeCloseTo(rows[239].totalPayment, 6);
+    expect(effect.windows[0].jump).toBeGreaterThan(0);
+  });
+
+  test('reports the payment jump, the extra interest and the slower repayment', () => {
+    const rows = buildAmortization({ ...loan, interestOnly: [{ month: 1, months: 24 }] });
+    const effect = compareInterestOnly(baseline, rows, [{ month: 1, months: 24 }, { month: 300, months: 12 }]);
+    expect(effect.windows).toHaveLength(1);
+    expect(effect.windows[0]).toMatchObject({ month: 1, months: 24 });
+    expect(effect.windows[0].jump).toBeCloseTo(rows[24].totalPayment - rows[0].totalPayment, 8);
+    expect(effect.windows[0].extraBalance).toBeCloseTo(1000000 - baseline[23].balance, 6);
+    expect(effect.extraInterest).toBeCloseTo(summarizeAmortization(rows).totalInterest - summarizeAmortization(baseline).totalInterest, 6);
+  });
+});
+
+describe('summarizeByYear', () => {
+  test('adds up each loan year and keeps the year-end balance', () => {
+    const rows = buildAmortization({ amount: 1000000, interestRate: 5, loanTerm: 2, prepayments: { lumpSums: [{ month: 6, amount: 50000 }] } });
+    const years = summarizeByYear(rows);
+    expect(years.map(y => y.year)).toEqual([1, 2]);
+    expect(years[0].interest).toBeCloseTo(rows.slice(0, 12).reduce((sum, row) => sum + row.interest, 0), 6);
+    expect(years[0].extraPayment).toBe(50000);
+    expect(years[0].balance).toBe(rows[11].balance);
+    expect(years[0].principal + years[1].principal).toBeCloseTo(1000000, 4);
+  });
+});
@@ -0,0 +1,151 @@
+// Household budget: can the household live on what is left after the housing costs?
+//
+// Living costs are estimated from SIFOs referansebudsjett (Forbruksforskning-
+// instituttet SIFO, OsloMet): individual costs per adult and child, costs that
+// depend on the size of the household, and running a car.
+
+import { calculateMortgage } from './mortgage';
+import { householdAdults } from './participants';
+import { annualMaintenance } from './runningCosts';
+
+// Avrundede månedsbeløp etter SIFOs referansebudsjett. Oppdateres når SIFO publiserer nye tall.
+export const SIFO_BUDGET = {
+    year: 2024,
+    adult: 8400,                                  // Mat, klær, hygiene, fritid, reiser o.l. per voksen
+    child: 5400,                                  // Snitt for barn og ungdom, uten barnehage/SFO
+    household: [0, 2300, 2900, 3400, 3800, 4100], // Husholdningsartikler, møbler og medier etter antall personer
+    householdPerExtraPerson: 300,                 // Per person utover seks
+    car: 4200                                     // Drift og verdifall per bil, uten billån
+};
+
+export const BUDGET_DEFAULTS = {
+    enabled: false,
+    children: 0,
+    cars: 0,
+    otherDebtPayment: 0,   // kr/mnd: studielån, billån, kreditt o.l.
+    otherExpenses: 0,      // kr/mnd: barnehage, SFO, bidrag o.l.
+    deriveDesiredPayment: false
+};
+
+// Husholdningsavhengige kostnader for et gitt antall personer
+const householdCosts = (persons, rules) => {
+    if (persons <= 0) return 0;
+    const last = rules.household.length - 1;
+    return persons <= last
+        ? rules.household[persons]
+        : rules.household[last] + (persons - last) * rules.householdPerExtraPerson;
+};
+
+/**
+ * Monthly living costs of a household by SIFOs referansebudsjett.
+ *
+ * @param {object} household
+ * @param {number} household.adults
+ * @param {number} [household.children]
+ * @param {number} [household.cars]
+ * @param {object} [rules] Defaults to SIFO_BUDGET
+ * @returns {{ adults: number, children: number, household: number, cars: number, total: number }} kr/mnd
+ */
+export const sifoLivingCosts = ({ adults, children = 0, cars = 0 }, rules = SIFO_BUDGET) => {
+    const costs = {
+        adults: adults * rules.adult,
+        children: children * rules.child,
+        household: householdCosts(adults + children, rules),
+        cars: cars * rules.car
+    };
+    return { ...costs, total: costs.adults + costs.children + costs.household + costs.cars };
+};
+
+/**
+ * Monthly surplus or deficit after living costs, other debt and the housing
+ * costs, and the payment the budget leaves room for.
+ *
+ * `affordablePayment` is the largest loan payment that keeps the budget
+ * balanced once the running costs are paid. Rentefradrag is not counted.
+ *
+ * @param {object} inputs
+ * @param {number[]} inputs.netIncomes Net monthly income per participant
+ * @param {number} [inputs.adults] Adults living in the home; defaults to one per income
+ * @param {number} [inputs.children]
+ * @param {number} [inputs.cars]
+ * @param {number} [inputs.otherDebtPayment] kr/mnd
+ * @param {number} [inputs.otherExpenses] kr/mnd
+ * @param {number} [inputs.netMonthlyCost] Housing cost after rental income, kr/mnd
+ * @param {number} [inputs.runningCosts] Running costs after rental income, kr/mnd: everything in netMonthlyCost except the loan
+ * @param {object} [inputs.rules] Defaults to SIFO_BUDGET
+ * @returns {{ income: number, livingCosts: object, otherDebtPayment: number, otherExpenses: number, housingCost: number, surplus: number, affordablePayment: number }}
+ */
+export const calculateHouseholdBudget = ({
+    netIncomes,
+    adults = netIncomes.length,
+    children = 0,
+    cars = 0,
+    otherDebtPayment = 0,
+    otherExpenses = 0,
+    netMonthlyCost = 0,
+    runningCosts = 0,
+    rules = SIFO_BUDGET
+}) => {
+    const income = netIncomes.reduce((sum, netIncome) => sum + (netIncome || 0), 0);
+    const livingCosts = sifoLivingCosts({ adults, children, cars }, rules);
+    const beforeHousing = income - livingCosts.total - otherDebtPayment - otherExpenses;
+    return {
+        income,
+        livingCosts,
+        otherDebtPayment,
+        otherExpenses,
+        housingCost: netMonthlyCost,
+        surplus: beforeHousing - netMonthlyCost,
+        affordablePayment: Math.max(0, beforeHousing - runningCosts)
+    };
+};
+
+/**
+ * The desiredMonthlyPayment for calculateMortgage() in 'byPayment' mode that
+ * balances the household budget. The running costs depend on the price found
+ * (eiendomsskatt, and maintenance as a share of the value), so the payment is
+ * moved by the budget's surplus until the loan payment matches what the
+ * budget leaves room for.
+ *
+ * @param {object} inputs Everything calculateMortgage() takes, the budget
+ *   inputs of calculateHouseholdBudget() except netIncomes and adults, which
+ *   come from the participants' netIncome and livesInHome, and maintenance
+ *   with maintenancePlan
+ * @returns {number} kr/mnd
+ */
+export const solveBudgetPayment = (inputs) => {
+    const { participants = [], children, cars, otherDebtPayment, otherExpenses, municipalDues = 0, homeInsurance = 0, hoa = 0, rentalIncome = 0, maintenance, maintenancePlan, rules } = inputs;
+    const netIncomes = participants.map(participant => participant.netIncome || 0);
+    const adults = householdAdults(participants);
+    let payment = calculateHouseholdBudget({ netIncomes, adults, children, cars, otherDebtPayment, otherExpenses, rules }).affordablePayment;
+    for (let i = 0; i < 20 && payment > 0; i++) {
+        const mortgage = calculateMortgage({ ...inputs, calculationMode: 'byPayment', desiredMonthlyPayment: payment });
+        const runningCosts = (municipalDues + homeInsurance + mortgage.propertyTax
+            + annualMaintenance({ maintenance, maintenancePlan, propertyValue: mortgage.propertyValue })) / 12
+            + hoa + mortgage.sharedDebt.monthlyPayment - rentalIncome;
+        const { affordablePayment } = calculateHouseholdBudget({ netIncomes, adults, children, cars, otherDebtPayment, otherExpenses, runningCosts, rules });
+        const gap = affordablePayment - mortgage.monthlyPayment;
+        if (Math.abs(gap) < 1) break;
+        payment = Math.max(0, payment + gap);
+    }
+    return payment;
+};
+
+/**
+ * solveBudgetPayment() rounded to whole hundreds, the step of the payment slider.
+ */
+export const budgetDesiredPayment = (inputs) => Math.round(solveBudgetPayment(inputs) / 100) * 100;
+
+/**
+ * The desiredMonthlyPayment the calculator uses: solved from `householdBudget`
+ * when the budget sets the payment in 'byPayment' mode, otherwise the one given.
+ *
+ * @param {object} inputs Calculator inputs, with householdBudget (see BUDGET_DEFAULTS)
+ * @returns {number} kr/mnd
+ */
+export const desiredPaymentFor = (inputs) => {
+    const { calculationMode, householdBudget, desiredMonthlyPayment } = inputs;
+    return calculationMode === 'byPayment' && householdBudget && householdBudget.enabled && householdBudget.deriveDesiredPayment
+        ? budgetDesiredPayment({ ...inputs, ...householdBudget })
+        : desiredMonthlyPayment;
+};
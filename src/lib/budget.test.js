@@ -0,0 +1,80 @@
+import { calculateHouseholdBudget, sifoLivingCosts, solveBudgetPayment, SIFO_BUDGET } from './budget';
+import { calculateMonthlyCosts, calculateMortgage } from './mortgage';
+import { createParticipant } from './participants';
+
+describe('sifoLivingCosts', () => {
+  test('adds individual, household and car costs', () => {
+    const costs = sifoLivingCosts({ adults: 2, children: 1, cars: 1 });
+    expect(costs.adults).toBe(2 * SIFO_BUDGET.adult);
+    expect(costs.children).toBe(SIFO_BUDGET.child);
+    expect(costs.household).toBe(SIFO_BUDGET.household[3]);
+    expect(costs.cars).toBe(SIFO_BUDGET.car);
+    expect(costs.total).toBe(costs.adults + costs.children + costs.household + costs.cars);
+  });
+
+  test('extends the household costs beyond the table', () => {
+    const costs = sifoLivingCosts({ adults: 2, children: 6 });
+    expect(costs.household).toBe(SIFO_BUDGET.household[5] + 3 * SIFO_BUDGET.householdPerExtraPerson);
+  });
+});
+
+describe('calculateHouseholdBudget', () => {
+  test('subtracts living costs, other debt and the housing cost from net income', () => {
+    const budget = calculateHouseholdBudget({ netIncomes: [45000, 35000], children: 2, cars: 1, otherDebtPayment: 3000, otherExpenses: 1500, netMonthlyCost: 30000 });
+    const living = sifoLivingCosts({ adults: 2, children: 2, cars: 1 }).total;
+    expect(budget.income).toBe(80000);
+    expect(budget.livingCosts.total).toBe(living);
+    expect(budget.surplus).toBe(80000 - living - 3000 - 1500 - 30000);
+  });
+
+  test('shows a deficit when the housing cost is too high', () => {
+    const budget = calculateHouseholdBudget({ netIncomes: [30000], netMonthlyCost: 25000 });
+    expect(budget.surplus).toBeLessThan(0);
+  });
+
+  test('charges living costs only for the adults who live in the home', () => {
+    const budget = calculateHouseholdBudget({ netIncomes: [45000, 10000], adults: 1 });
+    expect(budget.income).toBe(55000);
+    expect(budget.livingCosts.total).toBe(sifoLivingCosts({ adults: 1 }).total);
+  });
+
+  test('the affordable payment is what is left for the loan after the running costs', () => {
+    const inputs = { netIncomes: [50000, 40000], children: 1, cars: 1, otherDebtPayment: 2000 };
+    const before = calculateHouseholdBudget(inputs).affordablePayment;
+    expect(calculateHouseholdBudget({ ...inputs, runningCosts: 4500 }).affordablePayment).toBe(before - 4500);
+  });
+
+  test('the solved payment balances the budget once the loan is sized to it', () => {
+    const participants = [
+      { ...createParticipant(0), downPayment: 1000000, ownershipShare: 50, debtShare: 50, costShare: 50, netIncome: 50000 },
+      { ...createParticipant(1), ownershipShare: 50, debtShare: 50, costShare: 50, netIncome: 40000 }
+    ];
+    const inputs = {
+      participants, interestRate: 5, loanTerm: 25, loanType: 'annuity', children: 1, cars: 1, otherDebtPayment: 2000,
+      municipalDues: 12000, homeInsurance: 6000, hoa: 1000, propertyTaxMode: 'custom', customPropertyTaxAmount: 6000,
+      maintenance: 24000, maintenancePlan: { mode: 'percent', percentOfValue: 1, renovations: [] }
+    };
+    const payment = solveBudgetPayment(inputs);
+    const mortgage = calculateMortgage({ ...inputs, calculationMode: 'byPayment', desiredMonthlyPayment: payment });
+    const { netMonthlyCost } = calculateMonthlyCosts({
+      monthlyPayment: mortgage.monthlyPayment, municipalDues: 12000, homeInsurance: 6000, hoa: 1000,
+      propertyTax: mortgage.propertyTax, maintenance: mortgage.propertyValue / 100
+    });
+    expect(calculateHouseholdBudget({ netIncomes: [50000, 40000], children: 1, cars: 1, otherDebtPayment: 2000, netMonthlyCost }).surplus).toBeCloseTo(0, -1);
+  });
+
+  test('a co-borrower who lives elsewhere raises the solved payment by their living costs', () => {
+    const participants = [
+      { ...createParticipant(0), downPayment: 1000000, ownershipShare: 100, debtShare: 50, costShare: 100, netIncome: 50000 },
+      { ...createParticipant(1), debtShare: 50, netIncome: 5000 }
+    ];
+    const inputs = { participants, interestRate: 5, loanTerm: 25, loanType: 'annuity', municipalDues: 12000, homeInsurance: 6000, propertyTaxMode: 'custom', customPropertyTaxAmount: 0 };
+    const together = solveBudgetPayment(inputs);
+    const apart = solveBudgetPayment({ ...inputs, participants: [participants[0], { ...participants[1], livesInHome: false }] });
+    expect(apart - together).toBeCloseTo(SIFO_BUDGET.adult + SIFO_BUDGET.household[2] - SIFO_BUDGET.household[1], -1);
+  });
+
+  test('never suggests a negative payment', () => {
+    expect(calculateHouseholdBudget({ netIncomes: [10000], children: 3 }).affordablePayment).toBe(0);
+  });
+});
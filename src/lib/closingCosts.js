@@ -0,0 +1,64 @@
+// Kjøpsomkostninger: what has to be paid on closing day on top of the price.
+
+// Satser for 2025. Samlet her slik at de kan oppdateres når gebyrene endres.
+export const CLOSING_COST_RULES = {
+    year: 2025,
+    documentFeeRate: 0.025, // Dokumentavgift ved tinglysing av skjøte (ikke for borettslag)
+    registrationFee: 585    // Tinglysingsgebyr per dokument: skjøte/hjemmel og pantedokument
+};
+
+export const PROPERTY_TYPES = {
+    freehold: 'Selveier',
+    cooperative: 'Borettslag'
+};
+
+export const DEFAULT_ESTABLISHMENT_FEE = 2500;
+
+/**
+ * Closing costs of buying at `propertyValue`.
+ *
+ * A selveier pays dokumentavgift on the price; a borettslag unit does not, but
+ * usually comes with a share of the cooperative's fellesgjeld, which is taken
+ * over rather than paid. The transfer and the mortgage are registered
+ * (tinglyst) separately. The mortgage registration and the bank's
+ * etableringsgebyr only apply when the equity left after the other costs does
+ * not cover the price. `acquisitionCosts` is the part that counts towards
+ * the tax basis (inngangsverdi) when the home is sold: dokumentavgift and
+ * tinglysing of the deed.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.propertyValue Purchase price (for a borettslag: excluding fellesgjeld)
+ * @param {number} [inputs.downPayment] Equity available, to decide whether a mortgage is needed
+ * @param {'freehold'|'cooperative'} [inputs.propertyType]
+ * @param {number} [inputs.establishmentFee] Etableringsgebyr, kr
+ * @param {number} [inputs.sharedDebt] Fellesgjeld, borettslag only
+ * @param {object} [inputs.rules] Defaults to CLOSING_COST_RULES
+ * @returns {{ documentFee: number, deedRegistration: number, mortgageRegistration: number, establishmentFee: number, total: number, acquisitionCosts: number, sharedDebt: number, totalPrice: number }}
+ */
+export const calculateClosingCosts = ({
+    propertyValue,
+    downPayment = 0,
+    propertyType = 'freehold',
+    establishmentFee = DEFAULT_ESTABLISHMENT_FEE,
+    sharedDebt = 0,
+    rules = CLOSING_COST_RULES
+}) => {
+    const cooperative = propertyType === 'cooperative';
+    const documentFee = cooperative ? 0 : propertyValue * rules.documentFeeRate;
+    const deedRegistration = rules.registrationFee;
+    const needsMortgage = propertyValue + documentFee + deedRegistration > downPayment;
+    const mortgageRegistration = needsMortgage ? rules.registrationFee : 0;
+    const bankFee = needsMortgage ? establishmentFee : 0;
+    const fellesgjeld = cooperative ? sharedDebt : 0;
+
+    return {
+        documentFee,
+        deedRegistration,
+        mortgageRegistration,
+        establishmentFee: bankFee,
+        total: documentFee + deedRegistration + mortgageRegistration + bankFee,
+        acquisitionCosts: documentFee + deedRegistration,
+        sharedDebt: fellesgjeld,
+        totalPrice: propertyValue + fellesgjeld
+    };
+};
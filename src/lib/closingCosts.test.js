@@ -0,0 +1,35 @@
+import { calculateClosingCosts, CLOSING_COST_RULES } from './closingCosts';
+
+const fee = CLOSING_COST_RULES.registrationFee;
+
+describe('calculateClosingCosts', () => {
+  test('a selveier pays dokumentavgift, two registrations and the bank fee', () => {
+    const costs = calculateClosingCosts({ propertyValue: 5000000, downPayment: 1000000, establishmentFee: 2500 });
+    expect(costs.documentFee).toBe(125000);
+    expect(costs.deedRegistration).toBe(fee);
+    expect(costs.mortgageRegistration).toBe(fee);
+    expect(costs.total).toBe(125000 + 2 * fee + 2500);
+    expect(costs.acquisitionCosts).toBe(125000 + fee);
+    expect(costs.totalPrice).toBe(5000000);
+  });
+
+  test('a borettslag unit pays no dokumentavgift but takes over fellesgjeld', () => {
+    const costs = calculateClosingCosts({ propertyValue: 3000000, downPayment: 500000, propertyType: 'cooperative', establishmentFee: 0, sharedDebt: 800000 });
+    expect(costs.documentFee).toBe(0);
+    expect(costs.total).toBe(2 * fee);
+    expect(costs.acquisitionCosts).toBe(fee);
+    expect(costs.sharedDebt).toBe(800000);
+    expect(costs.totalPrice).toBe(3800000);
+  });
+
+  test('fellesgjeld only applies to borettslag', () => {
+    expect(calculateClosingCosts({ propertyValue: 3000000, sharedDebt: 800000 }).sharedDebt).toBe(0);
+  });
+
+  test('skips mortgage registration and bank fee when equity covers everything', () => {
+    const costs = calculateClosingCosts({ propertyValue: 2000000, downPayment: 3000000, establishmentFee: 2500 });
+    expect(costs.mortgageRegistration).toBe(0);
+    expect(costs.establishmentFee).toBe(0);
+    expect(costs.total).toBe(50000 + fee);
+  });
+});
@@ -0,0 +1,94 @@
+// Co-ownership: who has paid what into the home, and the settlement between
+// co-owners when they separate or sell (oppgjør etter samboeravtale).
+
+// Deltakere uten egen kostnadsandel deler driftskostnadene etter eierandel
+const costShareOf = (participant) => (participant.costShare ?? participant.ownershipShare ?? 0);
+
+const sumRows = (rows, months, field) => rows.slice(0, months).reduce((sum, row) => sum + row[field], 0);
+
+/**
+ * Year-by-year contribution ledger for the participants of one purchase.
+ *
+ * Capital is own equity plus the principal paid on one's own loan. Interest
+ * and running costs (split by costShare) are what it cost to live there.
+ * Owned equity is the ownership share of property value minus all remaining debt.
+ *
+ * @param {object} inputs
+ * @param {object[]} inputs.participants { downPayment, ownershipShare, costShare } with shares in percent
+ * @param {object[][]} inputs.schedules Amortization rows per participant
+ * @param {number} inputs.propertyValue Purchase price
+ * @param {number} inputs.annualAppreciation Percent per year
+ * @param {number} inputs.annualCosts Running costs of the home, kr/år
+ * @param {number} inputs.years Last year of the ledger
+ * @returns {Array<{ year: number, propertyValue: number, debt: number, persons: object[] }>}
+ */
+export const calculateContributionLedger = ({ participants, schedules, propertyValue, annualAppreciation, annualCosts, years }) => {
+    const ledger = [];
+    for (let year = 0; year <= years; year++) {
+        const months = year * 12;
+        const value = propertyValue * Math.pow(1 + annualAppreciation / 100, year);
+        const debts = schedules.map(rows => {
+            const opening = rows.length > 0 ? rows[0].balance + rows[0].principal : 0;
+            return months === 0 || rows.length === 0 ? opening : rows[Math.min(months, rows.length) - 1].balance;
+        });
+        const debt = debts.reduce((sum, amount) => sum + amount, 0);
+
+        const persons = participants.map((participant, i) => {
+            const rows = schedules[i] || [];
+            const capital = participant.downPayment + sumRows(rows, months, 'principal');
+            const interest = sumRows(rows, months, 'interest');
+            const runningCosts = annualCosts * year * costShareOf(participant) / 100;
+            return {
+                capital,
+                interest,
+                runningCosts,
+                contributed: capital + interest + runningCosts,
+                debt: debts[i] || 0,
+                ownedEquity: (participant.ownershipShare / 100) * (value - debt)
+            };
+        });
+        ledger.push({ year, propertyValue: value, debt, persons });
+    }
+    return ledger;
+};
+
+/**
+ * Settlement between co-owners after `year` years.
+ *
+ * Each owner gets their ownership share of the net value (value minus all
+ * remaining debt). Whoever has paid in more capital than their ownership
+ * share of the total is compensated by the others, so that in the end
+ * everyone gets their own capital back plus their ownership share of the
+ * value change. Running costs paid beyond the ownership share can be
+ * included as well.
+ *
+ * @param {object} inputs As for calculateContributionLedger, with `year` instead of `years`
+ * @param {boolean} [inputs.includeRunningCosts]
+ * @returns {{ year: number, propertyValue: number, debt: number, netValue: number, persons: Array<{ capital: number, runningCosts: number, ownershipValue: number, compensation: number, payout: number }> }}
+ */
+export const calculateSettlement = ({ year, includeRunningCosts = false, ...inputs }) => {
+    const ledger = calculateContributionLedger({ ...inputs, years: year });
+    const { propertyValue, debt, persons } = ledger[ledger.length - 1];
+    const netValue = propertyValue - debt;
+    const claim = (person) => person.capital + (includeRunningCosts ? person.runningCosts : 0);
+    const totalClaims = persons.reduce((sum, person) => sum + claim(person), 0);
+
+    return {
+        year,
+        propertyValue,
+        debt,
+        netValue,
+        persons: persons.map((person, i) => {
+            const ownership = inputs.participants[i].ownershipShare / 100;
+            const ownershipValue = ownership * netValue;
+            const compensation = claim(person) - ownership * totalClaims;
+            return {
+                capital: person.capital,
+                runningCosts: person.runningCosts,
+                ownershipValue,
+                compensation,
+                payout: ownershipValue + compensation
+            };
+        })
+    };
+};
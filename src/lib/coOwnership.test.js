@@ -0,0 +1,61 @@
+import { buildAmortization } from './amortization';
+import { calculateContributionLedger, calculateSettlement } from './coOwnership';
+
+// 60/40 eierskap, gjeld 50/50: 4 MNOK bolig, 1 MNOK egenkapital fra A
+const participants = [
+  { name: 'A', downPayment: 1000000, ownershipShare: 60, debtShare: 50, costShare: 50 },
+  { name: 'B', downPayment: 0, ownershipShare: 40, debtShare: 50, costShare: 50 }
+];
+const schedules = [1500000, 1500000].map(amount => buildAmortization({ amount, interestRate: 5, loanTerm: 25 }));
+const base = { participants, schedules, propertyValue: 4000000, annualAppreciation: 0, annualCosts: 40000 };
+
+describe('calculateContributionLedger', () => {
+  const ledger = calculateContributionLedger({ ...base, years: 5 });
+
+  test('starts with equity only and the full debt', () => {
+    expect(ledger[0].debt).toBeCloseTo(3000000, 6);
+    expect(ledger[0].persons[0]).toMatchObject({ capital: 1000000, interest: 0, runningCosts: 0 });
+    expect(ledger[0].persons[1].ownedEquity).toBeCloseTo(0.4 * 1000000, 6);
+  });
+
+  test('adds principal, interest and the cost share year by year', () => {
+    const year2 = ledger[2].persons[1];
+    const paid = schedules[1].slice(0, 24);
+    expect(year2.capital).toBeCloseTo(paid.reduce((sum, row) => sum + row.principal, 0), 6);
+    expect(year2.interest).toBeCloseTo(paid.reduce((sum, row) => sum + row.interest, 0), 6);
+    expect(year2.runningCosts).toBe(40000);
+    expect(year2.contributed).toBeCloseTo(year2.capital + year2.interest + 40000, 6);
+  });
+
+  test('values the home with appreciation', () => {
+    const grown = calculateContributionLedger({ ...base, annualAppreciation: 3, years: 2 });
+    expect(grown[2].propertyValue).toBeCloseTo(4000000 * 1.03 * 1.03, 6);
+  });
+});
+
+describe('calculateSettlement', () => {
+  test('gives everyone their capital back plus their ownership share of the gain', () => {
+    const settlement = calculateSettlement({ ...base, annualAppreciation: 2, year: 5 });
+    const gain = settlement.propertyValue - 4000000;
+    settlement.persons.forEach((person, i) => {
+      expect(person.payout).toBeCloseTo(person.capital + gain * participants[i].ownershipShare / 100, 4);
+    });
+    expect(settlement.persons[0].compensation).toBeCloseTo(-settlement.persons[1].compensation, 6);
+    expect(settlement.persons[0].payout + settlement.persons[1].payout).toBeCloseTo(settlement.netValue, 4);
+  });
+
+  test('compensates the owner who put in more than their share', () => {
+    const settlement = calculateSettlement({ ...base, year: 0 });
+    // A eier 60 % av 1 MNOK netto, men har skutt inn alt
+    expect(settlement.persons[0].ownershipValue).toBeCloseTo(600000, 6);
+    expect(settlement.persons[0].compensation).toBeCloseTo(400000, 6);
+    expect(settlement.persons[1].payout).toBeCloseTo(0, 6);
+  });
+
+  test('can include running costs paid beyond the ownership share', () => {
+    const without = calculateSettlement({ ...base, year: 3 });
+    const withCosts = calculateSettlement({ ...base, year: 3, includeRunningCosts: true });
+    // B betaler 50 % av driftskostnadene, men eier 40 %: 10 % av 120 000
+    expect(withCosts.persons[1].compensation - without.persons[1].compensation).toBeCloseTo(12000, 6);
+  });
+});
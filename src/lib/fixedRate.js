@@ -0,0 +1,87 @@
+// Fastrenteavtale vs flytende rente over the fixed period, on the same
+// amortization engine as the rest of the calculator.
+
+import { summarizeAmortization } from './amortization';
+import { deflateSchedule } from './inflation';
+import { shiftRatePath } from './ratePath';
+import { buildSplitLoan } from './tranches';
+
+// Parallelle skift i den flytende renten for risikobildet, i prosentpoeng
+export const FLOATING_RATE_SHIFTS = [-1, 0, 1, 2, 3];
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const describePeriod = (rows, months, inflation) => {
+    const period = deflateSchedule(rows.slice(0, months), inflation);
+    const { firstPayment, totalInterest, totalPaid } = summarizeAmortization(period);
+    return {
+        averageRate: average(period.map(row => row.rate)),
+        firstPayment,
+        averagePayment: period.length > 0 ? totalPaid / period.length : 0,
+        totalInterest,
+        totalPaid,
+        endBalance: period.length > 0 ? period[period.length - 1].balance : 0
+    };
+};
+
+/**
+ * Compares a fixed rate for `fixedYears` with the floating rate and its
+ * expected path (interestRate + ratePath) over the fixed period: payments,
+ * interest paid and the balance when the period ends.
+ *
+ * `breakEvenRate` is the average floating rate over the period at which both
+ * cost the same interest, found by moving the expected path up or down.
+ * `scenarios` shows the floating side with the path moved by
+ * FLOATING_RATE_SHIFTS; a positive `difference` means the fixed rate is cheaper.
+ *
+ * Both sides are the household's own loan from buildSplitLoan(), with its
+ * tranches, prepayments and interest-only periods. The offer replaces the
+ * floating rate of the main tranche; the other tranches keep their own terms.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.loanAmount
+ * @param {number} inputs.loanTerm
+ * @param {'annuity'|'serial'} [inputs.loanType]
+ * @param {number} inputs.fixedRate Offered fixed rate in percent
+ * @param {number} inputs.fixedYears Length of the fixed period
+ * @param {number} inputs.interestRate Floating rate today
+ * @param {object} [inputs.ratePath] Expected floating rate path (see ratePath.js)
+ * @param {object[]} [inputs.tranches] Household tranches from allocateTranches()
+ * @param {object} [inputs.prepayments]
+ * @param {object[]} [inputs.interestOnly]
+ * @param {number} [inputs.inflation] Percent per year: amounts in today's kroner, each at its month
+ * @returns {object|null} null without a loan
+ */
+export const compareFixedRate = ({ loanAmount, loanTerm, loanType = 'annuity', fixedRate, fixedYears, interestRate, ratePath, tranches, prepayments, interestOnly, inflation = 0 }) => {
+    if (!loanAmount || loanAmount <= 0) return null;
+    const n = Math.round(loanTerm * 12);
+    const months = Math.min(n, Math.max(1, Math.round(fixedYears * 12)));
+    const schedule = (rate, path) => {
+        const split = buildSplitLoan({ amount: loanAmount, share: 1, tranches, interestRate: rate, loanTerm, loanType, ratePath: path, prepayments, interestOnly });
+        return split[loanType] || split.annuity;
+    };
+    const floatingFor = (shift) => describePeriod(schedule(interestRate + shift, shiftRatePath(ratePath, shift)), months, inflation);
+
+    const fixed = describePeriod(schedule(fixedRate), months, inflation);
+    const floating = floatingFor(0);
+
+    // Halveringssøk: renten øker monotont med skiftet
+    let low = -20;
+    let high = 20;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (floatingFor(mid).totalInterest < fixed.totalInterest) low = mid; else high = mid;
+    }
+
+    return {
+        months,
+        fixed,
+        floating,
+        difference: floating.totalInterest - fixed.totalInterest,
+        breakEvenRate: floatingFor((low + high) / 2).averageRate,
+        scenarios: FLOATING_RATE_SHIFTS.map(shift => {
+            const shifted = shift === 0 ? floating : floatingFor(shift);
+            return { shift, averageRate: shifted.averageRate, totalInterest: shifted.totalInterest, difference: shifted.totalInterest - fixed.totalInterest };
+        })
+    };
+};
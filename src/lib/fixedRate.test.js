@@ -0,0 +1,65 @@
+import { compareFixedRate, FLOATING_RATE_SHIFTS } from './fixedRate';
+import { buildAmortization, summarizeAmortization } from './amortization';
+import { allocateTranches, buildSplitLoan } from './tranches';
+
+const loan = { loanAmount: 3000000, loanTerm: 25, fixedYears: 5 };
+
+describe('compareFixedRate', () => {
+  test('matches the amortization engine over the fixed period', () => {
+    const comparison = compareFixedRate({ ...loan, fixedRate: 5.5, interestRate: 5 });
+    const fixedRows = buildAmortization({ amount: 3000000, interestRate: 5.5, loanTerm: 25 }).slice(0, 60);
+    const floatingRows = buildAmortization({ amount: 3000000, interestRate: 5, loanTerm: 25 }).slice(0, 60);
+    expect(comparison.months).toBe(60);
+    expect(comparison.fixed.totalInterest).toBeCloseTo(summarizeAmortization(fixedRows).totalInterest, 6);
+    expect(comparison.fixed.endBalance).toBeCloseTo(fixedRows[59].balance, 6);
+    expect(comparison.floating.firstPayment).toBeCloseTo(floatingRows[0].totalPayment, 6);
+    expect(comparison.difference).toBeCloseTo(summarizeAmortization(floatingRows).totalInterest - comparison.fixed.totalInterest, 6);
+    expect(comparison.difference).toBeLessThan(0);
+  });
+
+  test('shows the fixed period in today\'s kroner', () => {
+    const nominal = compareFixedRate({ ...loan, fixedRate: 5.5, interestRate: 5 });
+    const real = compareFixedRate({ ...loan, fixedRate: 5.5, interestRate: 5, inflation: 2 });
+    expect(real.fixed.endBalance).toBeCloseTo(nominal.fixed.endBalance / Math.pow(1.02, 5), 4);
+    expect(real.fixed.totalInterest).toBeLessThan(nominal.fixed.totalInterest);
+    expect(real.breakEvenRate).toBeCloseTo(5.5, 6);
+  });
+
+  test('breaks even when a flat floating rate equals the fixed rate', () => {
+    const comparison = compareFixedRate({ ...loan, fixedRate: 5.5, interestRate: 5 });
+    expect(comparison.breakEvenRate).toBeCloseTo(5.5, 6);
+  });
+
+  test('finds the average floating rate that breaks even along the expected path', () => {
+    const ratePath = { type: 'steps', steps: [{ month: 13, rate: 6 }, { month: 37, rate: 4.5 }] };
+    const comparison = compareFixedRate({ ...loan, fixedRate: 5.2, interestRate: 5, ratePath });
+    const shift = comparison.breakEvenRate - comparison.floating.averageRate;
+    const even = compareFixedRate({ ...loan, fixedRate: 5.2, interestRate: 5 + shift, ratePath: { type: 'steps', steps: ratePath.steps.map(step => ({ ...step, rate: step.rate + shift })) } });
+    expect(even.difference).toBeCloseTo(0, 2);
+  });
+
+  test('shows the floating side with the path moved up and down', () => {
+    const comparison = compareFixedRate({ ...loan, fixedRate: 5.5, interestRate: 5 });
+    expect(comparison.scenarios.map(scenario => scenario.shift)).toEqual(FLOATING_RATE_SHIFTS);
+    expect(comparison.scenarios.find(scenario => scenario.shift === 2).averageRate).toBeCloseTo(7, 10);
+    expect(comparison.scenarios.find(scenario => scenario.shift === 1).difference).toBeGreaterThan(0);
+    expect(comparison.scenarios.find(scenario => scenario.shift === 0).difference).toBeCloseTo(comparison.difference, 10);
+  });
+
+  test('compares the household\'s own loan with tranches, prepayments and interest-only periods', () => {
+    const tranches = allocateTranches([{ name: 'Grønt lån', amount: 1000000, interestRate: 4.5 }], 3000000, { interestRate: 5, loanTerm: 25 });
+    const terms = { tranches, prepayments: { extraMonthly: 2000, lumpSums: [] }, interestOnly: [{ month: 1, months: 12 }] };
+    const comparison = compareFixedRate({ ...loan, ...terms, fixedRate: 5.5, interestRate: 5 });
+    const fixedRows = buildSplitLoan({ amount: 3000000, share: 1, loanTerm: 25, interestRate: 5.5, ...terms }).annuity.slice(0, 60);
+    const floatingRows = buildSplitLoan({ amount: 3000000, share: 1, loanTerm: 25, interestRate: 5, ...terms }).annuity.slice(0, 60);
+    expect(comparison.fixed.totalInterest).toBeCloseTo(summarizeAmortization(fixedRows).totalInterest, 6);
+    expect(comparison.fixed.endBalance).toBeCloseTo(fixedRows[59].balance, 6);
+    expect(comparison.floating.firstPayment).toBeCloseTo(floatingRows[0].totalPayment, 6);
+    expect(comparison.floating.totalInterest).not.toBeCloseTo(compareFixedRate({ ...loan, fixedRate: 5.5, interestRate: 5 }).floating.totalInterest, 0);
+  });
+
+  test('caps the fixed period at the loan term and returns null without a loan', () => {
+    expect(compareFixedRate({ ...loan, loanTerm: 3, fixedRate: 5, interestRate: 5 }).months).toBe(36);
+    expect(compareFixedRate({ ...loan, loanAmount: 0, fixedRate: 5, interestRate: 5 })).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+// Framework-free calculation library behind the calculator UI.
+// Every function is pure: an inputs object in, a results object out.
+
+export { annuityPayment, annuityPresentValue, annuityTermMonths, buildAmortization, combineAmortization, summarizeAmortization, summarizeByYear, EMPTY_PREPAYMENTS, hasPrepayments, splitPrepayments, comparePrepayments, activeInterestOnly, compareInterestOnly, calculateLoanDetails, compareLoanTypes } from './amortization';
+export { calculateAffordability } from './affordability';
+export { budgetDesiredPayment, calculateHouseholdBudget, desiredPaymentFor, sifoLivingCosts, solveBudgetPayment, BUDGET_DEFAULTS, SIFO_BUDGET } from './budget';
+export { calculateMortgage, calculateMonthlyCosts, monthlyFixedCosts, monthlyServiceCapacity } from './mortgage';
+export { calculateAdvancedMetrics, calculateBreakEvenRent, calculateEquityCurve } from './metrics';
+export { compareFixedRate, FLOATING_RATE_SHIFTS } from './fixedRate';
+export { calculateClosingCosts, CLOSING_COST_RULES, DEFAULT_ESTABLISHMENT_FEE, PROPERTY_TYPES } from './closingCosts';
+export { calculateContributionLedger, calculateSettlement } from './coOwnership';
+export { allocateLoans, createParticipant, householdAdults, participantsFromPair, participantTotals } from './participants';
+export { calculateSale, calculateSaleCosts, calculateSaleCurve, SALE_COST_DEFAULTS } from './sale';
+export { percentile, runSimulation, simulatePath, SIMULATION_DEFAULTS } from './simulation';
+export { calculateScenario } from './scenario';
+export { calculateRateStress, RATE_STRESS_SHIFTS } from './stress';
+export { adjustInput, calculateHeatmap, calculateSensitivity, rankSensitivity, SENSITIVITY_INPUTS, SENSITIVITY_METRICS, SENSITIVITY_STEPS } from './sensitivity';
+export { buildSharedDebtSchedule, sharedDebtBalance, summarizeSharedDebt } from './sharedDebt';
+export { allocateTranches, buildSplitLoan, buildTrancheAmortization, calculateSplitLoan, MAIN_TRANCHE_NAME, summarizeTranches, TRANCHE_LOAN_TYPES, trancheRatePath } from './tranches';
+export { costGrowth, deflate, deflateSale, deflateSchedule, deflateSettlement, deflateYears, priceIndex } from './inflation';
+export { annualMaintenance, buildRunningCosts, escalationRate, COST_ITEMS, DEFAULT_COST_ESCALATION, DEFAULT_MAINTENANCE_PLAN } from './runningCosts';
+export { calculateHouseholdTax, calculateRentalTax, homeTaxValue, monthlyInterestDeductions, wealthTax, TAX_RULES, LATEST_TAX_YEAR } from './tax';
+export { calculatePropertyTax, OSLO_PROPERTY_TAX } from './propertyTax';
+export { findMunicipality, municipalDuesFor, searchMunicipalities, MUNICIPALITIES, MUNICIPALITY_DATA_YEAR } from './municipalities';
+export { rateForMonth, buildRateSchedule, isFlatRatePath, shiftRatePath, RATE_PATH_TYPES } from './ratePath';
+export { calculateLendingLimits, stressTestRate, LENDING_REGULATIONS, LENDING_RULE_LABELS } from './regulations';
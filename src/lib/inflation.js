@@ -0,0 +1,79 @@
+// Inflation: nominal kroner and real kroner (dagens kroner).
+//
+// An amount paid or valued at month m is worth amount / (1 + inflation)^(m/12)
+// in today's money; month 0 is today. Running costs grow with inflation in
+// yearly steps, the way kommunale avgifter and insurance premiums are adjusted.
+
+/**
+ * Price level at `month` relative to today.
+ * @param {number} inflation Percent per year
+ * @param {number} month Months from today
+ */
+export const priceIndex = (inflation, month) => Math.pow(1 + (inflation || 0) / 100, month / 12);
+
+/**
+ * Growth factor for a running cost in loan year `year` (year 1 = today's level).
+ * @param {number} rate Percent per year
+ * @param {number} year 1-based
+ */
+export const costGrowth = (rate, year) => Math.pow(1 + (rate || 0) / 100, year - 1);
+
+/**
+ * `amount` at `month` in today's kroner.
+ */
+export const deflate = (amount, inflation, month) => amount / priceIndex(inflation, month);
+
+// Beløpene i en nedbetalingsplan (buildAmortization, combineAmortization og fellesgjeld)
+const SCHEDULE_FIELDS = ['principal', 'interest', 'extraPayment', 'lumpSum', 'totalPayment', 'balance'];
+
+const deflateFields = (item, fields, index) => fields.reduce(
+    (result, field) => (typeof item[field] === 'number' ? { ...result, [field]: item[field] / index } : result),
+    item
+);
+
+/**
+ * Monthly schedule in today's kroner, each row deflated at its own month.
+ * Returns the rows as they are without inflation.
+ */
+export const deflateSchedule = (rows, inflation) => (inflation
+    ? rows.map(row => deflateFields(row, SCHEDULE_FIELDS, priceIndex(inflation, row.month)))
+    : rows);
+
+/**
+ * Year-end points such as calculateEquityCurve() in today's
+ * kroner: the listed fields of each point are deflated at the end of its year.
+ */
+export const deflateYears = (points, inflation, fields) => (inflation
+    ? points.map(point => deflateFields(point, fields, priceIndex(inflation, point.year * 12)))
+    : points);
+
+const SALE_FIELDS = ['salePrice', 'debt', 'brokerFee', 'marketingCost', 'gain', 'gainTax', 'total', 'netProceeds'];
+const SALE_PERSON_FIELDS = ['saleShare', 'costs', 'debt', 'netProceeds'];
+
+/**
+ * A calculateSale() result in today's kroner, deflated at the sale year.
+ */
+export const deflateSale = (sale, inflation) => {
+    if (!inflation || !sale) return sale;
+    const index = priceIndex(inflation, sale.year * 12);
+    return {
+        ...deflateFields(sale, SALE_FIELDS, index),
+        persons: sale.persons.map(person => deflateFields(person, SALE_PERSON_FIELDS, index))
+    };
+};
+
+const SETTLEMENT_FIELDS = ['propertyValue', 'debt', 'netValue'];
+const SETTLEMENT_PERSON_FIELDS = ['capital', 'interest', 'runningCosts', 'contributed', 'debt', 'ownedEquity', 'ownershipValue', 'compensation', 'payout'];
+
+/**
+ * A calculateSettlement() result, or one year of calculateContributionLedger(),
+ * in today's kroner, deflated at the end of its year.
+ */
+export const deflateSettlement = (settlement, inflation) => {
+    if (!inflation || !settlement) return settlement;
+    const index = priceIndex(inflation, settlement.year * 12);
+    return {
+        ...deflateFields(settlement, SETTLEMENT_FIELDS, index),
+        persons: settlement.persons.map(person => deflateFields(person, SETTLEMENT_PERSON_FIELDS, index))
+    };
+};
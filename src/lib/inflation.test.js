@@ -0,0 +1,56 @@
+import { costGrowth, deflate, deflateSale, deflateSchedule, deflateSettlement, deflateYears, priceIndex } from './inflation';
+import { buildAmortization } from './amortization';
+import { calculateEquityCurve } from './metrics';
+import { calculateSale } from './sale';
+import { calculateSettlement } from './coOwnership';
+
+describe('inflation', () => {
+  test('deflates an amount to today\'s kroner', () => {
+    expect(priceIndex(2, 24)).toBeCloseTo(1.0404, 10);
+    expect(deflate(10404, 2, 24)).toBeCloseTo(10000, 6);
+    expect(deflate(10000, 0, 120)).toBe(10000);
+  });
+
+  test('grows running costs one step per year', () => {
+    expect(costGrowth(3, 1)).toBe(1);
+    expect(costGrowth(3, 3)).toBeCloseTo(1.0609, 10);
+  });
+
+  test('deflates each schedule row at its own month', () => {
+    const rows = buildAmortization({ amount: 1000000, interestRate: 5, loanTerm: 10 });
+    const real = deflateSchedule(rows, 2);
+    expect(real[11].totalPayment).toBeCloseTo(rows[11].totalPayment / 1.02, 6);
+    expect(real[11].balance).toBeCloseTo(rows[11].balance / 1.02, 6);
+    expect(real[11].rate).toBe(rows[11].rate);
+    expect(deflateSchedule(rows, 0)).toBe(rows);
+  });
+
+  test('deflates year-end points and a sale at their year', () => {
+    const amortization = buildAmortization({ amount: 4000000, interestRate: 5, loanTerm: 25 });
+    const curve = calculateEquityCurve({ amortization, propertyValue: 5000000, annualAppreciation: 2 });
+    const real = deflateYears(curve, 2, ['propertyValue', 'debt', 'equity']);
+    expect(real[10].propertyValue).toBeCloseTo(5000000, 4);
+    expect(real[0].debt).toBe(curve[0].debt);
+
+    const sale = calculateSale({
+      participants: [{ ownershipShare: 100 }], schedules: [amortization], propertyValue: 5000000, annualAppreciation: 2, year: 10, brokerFeeRate: 1.5
+    });
+    const realSale = deflateSale(sale, 2);
+    expect(realSale.salePrice).toBeCloseTo(5000000, 4);
+    expect(realSale.persons[0].netProceeds).toBeCloseTo(sale.persons[0].netProceeds / Math.pow(1.02, 10), 4);
+    expect(realSale.year).toBe(10);
+  });
+
+  test('deflates a settlement between co-owners at its year', () => {
+    const settlement = calculateSettlement({
+      participants: [{ ownershipShare: 50, downPayment: 800000 }, { ownershipShare: 50, downPayment: 200000 }],
+      schedules: [buildAmortization({ amount: 2000000, interestRate: 5, loanTerm: 25 }), buildAmortization({ amount: 2000000, interestRate: 5, loanTerm: 25 })],
+      propertyValue: 5000000, annualAppreciation: 2, year: 8
+    });
+    const real = deflateSettlement(settlement, 2);
+    expect(real.propertyValue).toBeCloseTo(5000000, 4);
+    expect(real.persons[0].payout).toBeCloseTo(settlement.persons[0].payout / Math.pow(1.02, 8), 4);
+    expect(real.persons[1].compensation).toBeCloseTo(settlement.persons[1].compensation / Math.pow(1.02, 8), 4);
+    expect(deflateSettlement(settlement, 0)).toBe(settlement);
+  });
+});
@@ -0,0 +1,295 @@
+// Investment metrics: NPV, return on equity and buy vs rent/invest comparisons.
+
+import { deflate, deflateSchedule } from './inflation';
+import { buildRunningCosts } from './runningCosts';
+import { calculateSaleCosts } from './sale';
+import { sharedDebtBalance } from './sharedDebt';
+
+const EMPTY_METRICS = {
+    netPresentValue: 0,
+    returnOnEquity: 0,
+    futurePropertyValue: 0,
+    totalPropertyReturn: 0,
+    totalAlternativeReturn: 0,
+    investmentAdvantage: 0,
+    presentValueOfPropertyInvestment: 0,
+    presentValueOfFutureSale: 0,
+    presentValueOfRentalIncome: 0,
+    presentValueOfCosts: 0,
+    remainingDebt: 0,
+    netWorthWithProperty: 0,
+    realPropertyGain: 0,
+    pureAlternativeReturn: 0,
+    pureInvestmentAdvantage: 0,
+    totalPaidIn: 0,
+    classicRentVsBuyAdvantage: 0,
+    totalRentVsBuyWealth: 0,
+    totalPaidInAnnuity: 0,
+    totalPaidInSerial: 0,
+    realPropertyGainAnnuity: 0,
+    realPropertyGainSerial: 0,
+    breakEvenRent: 0,
+    yearsHeld: 0,
+    saleCosts: 0
+};
+
+// Fremtidig verdi av månedlige beløp spart i slutten av hver måned
+const futureValueOfStream = (amounts, requiredReturn) => {
+    const r = requiredReturn / 100 / 12;
+    const n = amounts.length;
+    return amounts.reduce((sum, amount, i) => sum + amount * Math.pow(1 + r, n - 1 - i), 0);
+};
+
+/**
+ * Monthly rent at which renting and investing the difference ends up with the
+ * same wealth as buying, after `yearsToPayoff` years.
+ * @param {object} inputs
+ * @param {number[]} inputs.monthlyCosts Housing cost of owning, month by month
+ * @param {number[]} [inputs.rentGrowth] Rent level month by month relative to the first month;
+ *   flat without it. The result is the rent in the first month
+ */
+export const calculateBreakEvenRent = ({ monthlyCosts, netWorthWithProperty, totalDownPayment, requiredReturn, yearsToPayoff, rentGrowth }) => {
+    if (!monthlyCosts || monthlyCosts.length === 0) return 0;
+    const equityGrowth = totalDownPayment * Math.pow(1 + (requiredReturn / 100), yearsToPayoff);
+
+    // Break-even skjer når: netWorthWithProperty = equityGrowth + FV av (kostnad_m - breakEvenRent)
+    const fvCosts = futureValueOfStream(monthlyCosts, requiredReturn);
+    const fvFactor = futureValueOfStream(rentGrowth || monthlyCosts.map(() => 1), requiredReturn);
+    return (fvCosts - (netWorthWithProperty - equityGrowth)) / fvFactor;
+};
+
+/**
+ * Property value, remaining debt and equity at the end of each year, from the
+ * purchase (year 0) until the loan is repaid.
+ * @param {{ amortization: object[], propertyValue: number, annualAppreciation: number }} inputs
+ * @returns {{ year: number, propertyValue: number, debt: number, equity: number }[]}
+ */
+export const calculateEquityCurve = ({ amortization, propertyValue, annualAppreciation }) => {
+    if (!amortization || amortization.length === 0) return [];
+    const years = Math.ceil(amortization.length / 12);
+    const openingDebt = amortization[0].balance + amortization[0].principal;
+    const curve = [];
+    for (let year = 0; year <= years; year++) {
+        const value = propertyValue * Math.pow(1 + (annualAppreciation / 100), year);
+        const debt = year === 0 ? openingDebt : amortization[Math.min(year * 12, amortization.length) - 1].balance;
+        curve.push({ year, propertyValue: value, debt, equity: value - debt });
+    }
+    return curve;
+};
+
+/**
+ * Investment analysis of the purchase held until the loan is repaid, or until
+ * it is sold after `sale.year` years. A sale ends every cash flow in that year;
+ * the remaining debt is repaid from the sale and broker fee, marketing and
+ * gain tax are deducted from the price.
+ *
+ * Running costs and rental income grow one step per year, each item at its
+ * own rate from `escalation` and otherwise with `inflation` (see
+ * buildRunningCosts(), which also handles maintenance as a share of the
+ * property value and major renovations). With `real` every amount is in
+ * today's kroner: payments are deflated in the month they are paid and values
+ * at the exit in the exit month. Present values and break-even rent are in
+ * today's kroner either way.
+ *
+ * @param {object} inputs
+ * @param {object[]} inputs.amortization Combined schedule for the chosen loan type (annuity or serial);
+ *   every cash flow below follows it month by month
+ * @param {number} inputs.propertyValue Purchase price
+ * @param {number} inputs.annualAppreciation Percent per year
+ * @param {number} inputs.requiredReturn Percent per year, used as discount rate and alternative return
+ * @param {number} inputs.totalDownPayment All cash paid on closing day, closing costs included
+ * @param {number} inputs.loanAmount Finances the rest of price and closing costs, so they count in totalPaidIn and the NPV
+ * @param {number} inputs.totalInterest Over the life of the chosen loan
+ * @param {number} inputs.municipalDues kr/år
+ * @param {number} inputs.homeInsurance kr/år
+ * @param {number} inputs.propertyTax kr/år
+ * @param {number} inputs.maintenance kr/år
+ * @param {number} inputs.hoa kr/mnd
+ * @param {number} inputs.rentalIncome kr/mnd
+ * @param {object|null} [inputs.loanTypeComparison] Result of compareLoanTypes(), built with the
+ *   same inflation when `real` is set
+ * @param {object|null} [inputs.sale] { year, brokerFeeRate, marketingCost, gainTaxRate, acquisitionCosts }; see calculateSaleCosts()
+ * @param {object[]} [inputs.sharedDebtSchedule] Fellesgjeld of a borettslag unit (buildSharedDebtSchedule);
+ *   its payments are running costs, and the unit's value is the total price grown by
+ *   annualAppreciation minus the fellesgjeld still left
+ * @param {number} [inputs.inflation] Percent per year
+ * @param {boolean} [inputs.real] Amounts in today's kroner instead of nominal kroner
+ * @param {object} [inputs.escalation] Growth rate per running cost item; see escalationRate()
+ * @param {object} [inputs.maintenancePlan] Maintenance as a share of value and renovations; see buildRunningCosts()
+ */
+export const calculateAdvancedMetrics = ({
+    amortization,
+    propertyValue,
+    annualAppreciation,
+    requiredReturn,
+    totalDownPayment,
+    loanAmount,
+    totalInterest,
+    municipalDues = 0,
+    homeInsurance = 0,
+    propertyTax = 0,
+    maintenance = 0,
+    hoa = 0,
+    rentalIncome = 0,
+    loanTypeComparison = null,
+    sale = null,
+    sharedDebtSchedule = [],
+    inflation = 0,
+    real = false,
+    escalation,
+    maintenancePlan
+}) => {
+    if (!amortization || amortization.length === 0) {
+        return { ...EMPTY_METRICS };
+    }
+    // Ved salg stopper analysen i salgsåret
+    const heldRows = sale ? amortization.slice(0, Math.max(1, sale.year) * 12) : amortization;
+    const exitMonth = heldRows.length;
+    const yearsToPayoff = exitMonth / 12;
+    const nominalSharedRows = sharedDebtSchedule.slice(0, exitMonth);
+    const sharedPayments = (rows) => rows.reduce((sum, row) => sum + row.totalPayment, 0);
+
+    // I dagens kroner deflateres hver betaling i sin måned, og verdiene ved slutten i siste måned
+    const toToday = (amount, month) => (real ? deflate(amount, inflation, month) : amount);
+    const atExit = (amount) => toToday(amount, exitMonth);
+    const rows = real ? deflateSchedule(heldRows, inflation) : heldRows;
+    const sharedRows = real ? deflateSchedule(nominalSharedRows, inflation) : nominalSharedRows;
+    const interestPaid = sale || real ? rows.reduce((sum, row) => sum + row.interest, 0) : totalInterest;
+
+    const discount = (year) => Math.pow(1 + (requiredReturn / 100), year);
+    // Borettslag: totalprisen (andel + fellesgjeld) følger prisendringen, og gjenværende fellesgjeld følger med ved salg
+    const sharedDebtAtPurchase = sharedDebtBalance(sharedDebtSchedule, 0);
+    const sharedDebtAtSale = sharedDebtBalance(sharedDebtSchedule, exitMonth);
+    const nominalFutureValue = (propertyValue + sharedDebtAtPurchase) * Math.pow(1 + (annualAppreciation / 100), yearsToPayoff) - sharedDebtAtSale;
+    const nominalSaleCosts = sale
+        ? calculateSaleCosts({ ...sale, salePrice: nominalFutureValue, purchasePrice: propertyValue, sharedDebtAtPurchase, sharedDebtAtSale }).total
+        : 0;
+    const nominalSaleProceeds = nominalFutureValue - nominalSaleCosts;
+    const saleProceeds = atExit(nominalSaleProceeds);
+
+    // Driftskostnader og leieinntekt måned for måned, med egen vekst per post
+    const { costs: fixedCosts, rents, rentGrowth } = buildRunningCosts({
+        months: exitMonth, municipalDues, homeInsurance, propertyTax, maintenance, hoa, rentalIncome,
+        inflation, escalation, maintenancePlan, propertyValue, annualAppreciation
+    });
+    const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+    let presentValueOfAllCashFlows = 0;
+    let presentValueOfCosts = 0;
+    let presentValueOfRentalIncome = 0;
+    // Siste år kan være kortere enn 12 måneder når lånet innfris tidlig
+    for (let year = 1; year <= Math.ceil(yearsToPayoff); year++) {
+        const startMonth = (year - 1) * 12;
+        const endMonth = year * 12;
+        const yearRows = heldRows.slice(startMonth, endMonth);
+        const annualLoanPayment = yearRows.reduce((total, month) => total + month.totalPayment, 0);
+        const annualSharedDebtPayment = sharedPayments(nominalSharedRows.slice(startMonth, endMonth));
+        const annualCosts = sum(fixedCosts.slice(startMonth, endMonth));
+        const annualRentalIncome = sum(rents.slice(startMonth, endMonth));
+
+        const netCashFlowForYear = annualRentalIncome - annualCosts - annualLoanPayment - annualSharedDebtPayment;
+
+        presentValueOfAllCashFlows += netCashFlowForYear / discount(year);
+        presentValueOfCosts += (annualCosts + annualLoanPayment + annualSharedDebtPayment) / discount(year);
+        presentValueOfRentalIncome += annualRentalIncome / discount(year);
+    }
+
+    // Restgjelden innfris av salgssummen; gjenværende fellesgjeld er alt trukket fra prisen
+    const nominalDebtAtExit = heldRows[heldRows.length - 1].balance;
+    const presentValueOfFutureSale = (nominalSaleProceeds - nominalDebtAtExit) / discount(yearsToPayoff);
+    const netPresentValue = presentValueOfAllCashFlows + presentValueOfFutureSale - totalDownPayment;
+
+    const totalOtherCostsPaid = sum(fixedCosts.map((cost, i) => toToday(cost - rents[i], i + 1))) + sharedPayments(sharedRows);
+    const netProfit = saleProceeds - totalDownPayment - interestPaid - totalOtherCostsPaid;
+    const returnOnEquity = totalDownPayment > 0
+        ? (Math.pow((totalDownPayment + netProfit) / totalDownPayment, 1 / yearsToPayoff) - 1) * 100
+        : 0;
+
+    // Beregn restgjeld etter X år
+    const remainingDebt = rows[rows.length - 1].balance;
+
+    // Netto formue fra boligkjøp = Boligverdi (etter salgskostnader) - Restgjeld
+    const netWorthWithProperty = saleProceeds - remainingDebt;
+
+    // Hva har du faktisk betalt inn over årene? I dagens kroner er hvert avdrag deflatert for seg
+    const paidIn = (interest, principal) => totalDownPayment + interest + principal + totalOtherCostsPaid;
+    const principalPaid = real ? rows.reduce((total, row) => total + row.principal, 0) : loanAmount - remainingDebt;
+    const totalPaidIn = paidIn(interestPaid, principalPaid);
+
+    // Din reelle gevinst fra boligkjøp
+    const realPropertyGain = netWorthWithProperty - totalPaidIn;
+
+    // Beregn separate verdier for annuitetslån og serielån, med renter og restgjeld frem til et eventuelt salg
+    const loanTypeAtExit = (type) => {
+        if (!loanTypeComparison) return { interest: interestPaid, principal: principalPaid, debt: remainingDebt };
+        const years = sale ? loanTypeComparison[type].years.slice(0, Math.ceil(yearsToPayoff)) : loanTypeComparison[type].years;
+        const interest = sale ? years.reduce((total, year) => total + year.interest, 0) : loanTypeComparison[type].totalInterest;
+        const debt = !sale ? remainingDebt : (years.length > 0 ? years[years.length - 1].balance : 0);
+        return { interest, debt, principal: real ? years.reduce((total, year) => total + year.principal, 0) : loanAmount - debt };
+    };
+    const annuityAtExit = loanTypeAtExit('annuity');
+    const serialAtExit = loanTypeAtExit('serial');
+    const totalPaidInAnnuity = paidIn(annuityAtExit.interest, annuityAtExit.principal);
+    const totalPaidInSerial = paidIn(serialAtExit.interest, serialAtExit.principal);
+
+    // Ren investeringssammenligning - kun egenkapital
+    const pureAlternativeReturn = atExit(totalDownPayment * discount(yearsToPayoff));
+    const pureInvestmentAdvantage = realPropertyGain - (pureAlternativeReturn - totalDownPayment);
+
+    // Boligkostnad måned for måned, fra faktisk nedbetalingsplan
+    const monthlyCosts = heldRows.map((row, i) => row.totalPayment + fixedCosts[i] + (nominalSharedRows[i] ? nominalSharedRows[i].totalPayment : 0));
+
+    // Alternativ: Hvis du hadde spart samme månedlige beløp
+    const totalAlternativeReturn = pureAlternativeReturn + atExit(futureValueOfStream(monthlyCosts.map((cost, i) => cost - rents[i]), requiredReturn));
+    const totalPropertyReturn = netWorthWithProperty;
+    const investmentAdvantage = totalPropertyReturn - totalAlternativeReturn;
+
+    // Present value comparisons - what both investments are worth in today's money
+    const presentValueOfPropertyInvestment = presentValueOfAllCashFlows + presentValueOfFutureSale;
+
+    // Klassisk leie vs kjøpe: leier gratis og investerer hele boligkostnaden
+    let totalRentVsBuyWealth = pureAlternativeReturn;
+    const futureValueOfSavings = futureValueOfStream(monthlyCosts, requiredReturn);
+    if (futureValueOfSavings > 0) {
+        totalRentVsBuyWealth += atExit(futureValueOfSavings);
+    }
+    const classicRentVsBuyAdvantage = netWorthWithProperty - totalRentVsBuyWealth;
+
+    // Leien følger veksten for leieinntekt; regnes i nominelle kroner
+    const breakEvenRent = calculateBreakEvenRent({
+        monthlyCosts,
+        netWorthWithProperty: nominalSaleProceeds - nominalDebtAtExit,
+        totalDownPayment,
+        requiredReturn,
+        yearsToPayoff,
+        rentGrowth
+    });
+
+    return {
+        netPresentValue,
+        returnOnEquity,
+        futurePropertyValue: atExit(nominalFutureValue),
+        totalPropertyReturn,
+        totalAlternativeReturn,
+        investmentAdvantage,
+        presentValueOfPropertyInvestment,
+        presentValueOfFutureSale,
+        presentValueOfRentalIncome,
+        presentValueOfCosts,
+        remainingDebt,
+        netWorthWithProperty,
+        realPropertyGain,
+        pureAlternativeReturn,
+        pureInvestmentAdvantage,
+        totalPaidIn,
+        classicRentVsBuyAdvantage,
+        totalRentVsBuyWealth,
+        totalPaidInAnnuity,
+        totalPaidInSerial,
+        realPropertyGainAnnuity: saleProceeds - annuityAtExit.debt - totalPaidInAnnuity,
+        realPropertyGainSerial: saleProceeds - serialAtExit.debt - totalPaidInSerial,
+        breakEvenRent,
+        yearsHeld: yearsToPayoff,
+        saleCosts: atExit(nominalSaleCosts)
+    };
+};
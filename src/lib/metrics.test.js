@@ -0,0 +1,209 @@
+import { calculateAdvancedMetrics, calculateBreakEvenRent, calculateEquityCurve } from './metrics';
+import { buildAmortization, compareLoanTypes } from './amortization';
+import { buildSharedDebtSchedule } from './sharedDebt';
+
+const loanAmount = 4000000;
+const amortization = buildAmortization({ amount: loanAmount, interestRate: 5, loanTerm: 25 });
+const totalInterest = amortization.reduce((sum, row) => sum + row.interest, 0);
+const monthlyPayment = amortization[0].totalPayment;
+const comparison = compareLoanTypes({ loanAmount, interestRate: 5, loanTerm: 25 });
+
+const base = {
+  amortization,
+  propertyValue: 5000000,
+  annualAppreciation: 3,
+  requiredReturn: 5,
+  totalDownPayment: 1000000,
+  loanAmount,
+  totalInterest,
+  municipalDues: 12000,
+  maintenance: 12000,
+  loanTypeComparison: comparison
+};
+
+const serialAmortization = buildAmortization({ amount: loanAmount, interestRate: 5, loanTerm: 25, loanType: 'serial' });
+const serial = { ...base, amortization: serialAmortization, totalInterest: comparison.serial.totalInterest };
+
+describe('calculateAdvancedMetrics', () => {
+  test('holds the property until the loan is repaid', () => {
+    const metrics = calculateAdvancedMetrics(base);
+    expect(metrics.futurePropertyValue).toBeCloseTo(5000000 * Math.pow(1.03, 25), 4);
+    expect(metrics.remainingDebt).toBeCloseTo(0, 4);
+    expect(metrics.netWorthWithProperty).toBeCloseTo(metrics.futurePropertyValue, 4);
+  });
+
+  test('total paid in is equity, interest, principal and running costs', () => {
+    const metrics = calculateAdvancedMetrics(base);
+    expect(metrics.totalPaidIn).toBeCloseTo(1000000 + totalInterest + loanAmount + 24000 * 25, 2);
+    expect(metrics.realPropertyGain).toBeCloseTo(metrics.netWorthWithProperty - metrics.totalPaidIn, 4);
+    expect(metrics.realPropertyGainSerial).toBeGreaterThan(metrics.realPropertyGainAnnuity);
+  });
+
+  test('npv discounts cash flows and the sale at the required return', () => {
+    const { netPresentValue, presentValueOfFutureSale, futurePropertyValue } = calculateAdvancedMetrics(base);
+    expect(presentValueOfFutureSale).toBeCloseTo(futurePropertyValue / Math.pow(1.05, 25), 4);
+
+    let pv = 0;
+    for (let year = 1; year <= 25; year++) {
+      pv += -(24000 + monthlyPayment * 12) / Math.pow(1.05, year);
+    }
+    expect(netPresentValue).toBeCloseTo(pv + presentValueOfFutureSale - 1000000, 2);
+  });
+
+  test('annuity alternative saves the fixed monthly housing cost', () => {
+    const { totalAlternativeReturn, pureAlternativeReturn } = calculateAdvancedMetrics(base);
+    const r = 0.05 / 12;
+    const fv = (monthlyPayment + 2000) * ((Math.pow(1 + r, 300) - 1) / r);
+    expect(totalAlternativeReturn).toBeCloseTo(pureAlternativeReturn + fv, 2);
+  });
+
+  test('serial loans are valued from their own falling cash flows', () => {
+    const annuityMetrics = calculateAdvancedMetrics(base);
+    const serialMetrics = calculateAdvancedMetrics(serial);
+    expect(serialMetrics.totalPaidIn).toBeCloseTo(annuityMetrics.totalPaidInSerial, 2);
+    expect(serialMetrics.netPresentValue).not.toBeCloseTo(annuityMetrics.netPresentValue, 0);
+
+    // Savings alternative follows the serial payments month by month
+    const r = 0.05 / 12;
+    const fv = serialAmortization.reduce((sum, row, i) => sum + (row.totalPayment + 2000) * Math.pow(1 + r, 299 - i), 0);
+    expect(serialMetrics.totalAlternativeReturn).toBeCloseTo(serialMetrics.pureAlternativeReturn + fv, 2);
+  });
+
+  test('break-even rent makes renting and buying equal', () => {
+    [base, serial].forEach(inputs => {
+      const metrics = calculateAdvancedMetrics(inputs);
+      const r = 0.05 / 12;
+      const fvRenting = inputs.amortization.reduce((sum, row, i) => sum + (row.totalPayment + 2000 - metrics.breakEvenRent) * Math.pow(1 + r, 299 - i), 0);
+      expect(metrics.pureAlternativeReturn + fvRenting).toBeCloseTo(metrics.netWorthWithProperty, 2);
+    });
+  });
+
+  test('a sale ends the analysis early and deducts sale costs', () => {
+    const sold = calculateAdvancedMetrics({ ...base, sale: { year: 6, brokerFeeRate: 1.5, marketingCost: 30000 } });
+    const salePrice = 5000000 * Math.pow(1.03, 6);
+    const interest = amortization.slice(0, 72).reduce((sum, row) => sum + row.interest, 0);
+    expect(sold.yearsHeld).toBe(6);
+    expect(sold.futurePropertyValue).toBeCloseTo(salePrice, 4);
+    expect(sold.saleCosts).toBeCloseTo(salePrice * 0.015 + 30000, 4);
+    expect(sold.remainingDebt).toBeCloseTo(amortization[71].balance, 4);
+    expect(sold.netWorthWithProperty).toBeCloseTo(salePrice - sold.saleCosts - amortization[71].balance, 4);
+    expect(sold.totalPaidIn).toBeCloseTo(1000000 + interest + (loanAmount - amortization[71].balance) + 24000 * 6, 2);
+    expect(sold.presentValueOfFutureSale).toBeCloseTo((salePrice - sold.saleCosts - amortization[71].balance) / Math.pow(1.05, 6), 4);
+  });
+
+  test('compares loan types up to the sale', () => {
+    const sold = calculateAdvancedMetrics({ ...base, sale: { year: 6 } });
+    const soldSerial = calculateAdvancedMetrics({ ...serial, sale: { year: 6 } });
+    expect(sold.totalPaidInAnnuity).toBeCloseTo(sold.totalPaidIn, 2);
+    expect(sold.totalPaidInSerial).toBeCloseTo(soldSerial.totalPaidIn, 2);
+    expect(sold.realPropertyGainSerial).toBeCloseTo(soldSerial.realPropertyGain, 2);
+  });
+
+  test('pays fellesgjeld as a running cost and values the unit net of it', () => {
+    const sharedDebtSchedule = buildSharedDebtSchedule({ amount: 1000000, interestRate: 5, interestOnlyYears: 5, remainingTerm: 20 });
+    const metrics = calculateAdvancedMetrics({ ...base, sharedDebtSchedule });
+    const paid = sharedDebtSchedule.reduce((sum, row) => sum + row.totalPayment, 0);
+    expect(metrics.futurePropertyValue).toBeCloseTo(6000000 * Math.pow(1.03, 25), 4);
+    expect(metrics.totalPaidIn).toBeCloseTo(calculateAdvancedMetrics(base).totalPaidIn + paid, 2);
+  });
+
+  test('discounts a sale of a borettslag unit net of the loan and the fellesgjeld left', () => {
+    const sharedDebtSchedule = buildSharedDebtSchedule({ amount: 1000000, interestRate: 5, remainingTerm: 20 });
+    const sold = calculateAdvancedMetrics({ ...base, sharedDebtSchedule, sale: { year: 6, brokerFeeRate: 0, marketingCost: 0 } });
+    const price = 6000000 * Math.pow(1.03, 6) - sharedDebtSchedule[71].balance;
+    expect(sold.futurePropertyValue).toBeCloseTo(price, 4);
+    expect(sold.presentValueOfFutureSale).toBeCloseTo((price - amortization[71].balance) / Math.pow(1.05, 6), 4);
+  });
+
+  test('an avdragsfri period leaves more debt at a sale', () => {
+    const interestOnly = [{ month: 1, months: 36 }];
+    const rows = buildAmortization({ amount: loanAmount, interestRate: 5, loanTerm: 25, interestOnly });
+    const sold = calculateAdvancedMetrics({ ...base, sale: { year: 6 } });
+    const soldInterestOnly = calculateAdvancedMetrics({
+      ...base,
+      amortization: rows,
+      totalInterest: rows.reduce((sum, row) => sum + row.interest, 0),
+      loanTypeComparison: compareLoanTypes({ loanAmount, interestRate: 5, loanTerm: 25, interestOnly }),
+      sale: { year: 6 }
+    });
+    expect(soldInterestOnly.remainingDebt).toBeCloseTo(rows[71].balance, 4);
+    expect(soldInterestOnly.remainingDebt).toBeGreaterThan(sold.remainingDebt);
+    expect(soldInterestOnly.netWorthWithProperty).toBeLessThan(sold.netWorthWithProperty);
+  });
+
+  test('running costs and rent grow with inflation one step per year', () => {
+    const metrics = calculateAdvancedMetrics({ ...base, inflation: 2 });
+    const costs = Array.from({ length: 25 }, (_, i) => 24000 * Math.pow(1.02, i)).reduce((sum, cost) => sum + cost, 0);
+    expect(metrics.totalPaidIn).toBeCloseTo(1000000 + totalInterest + loanAmount + costs, 2);
+    expect(metrics.netPresentValue).toBeLessThan(calculateAdvancedMetrics(base).netPresentValue);
+  });
+
+  test('grows each running cost at its own rate and pays renovations when due', () => {
+    const escalation = { municipalDues: 4, maintenance: 3, rentalIncome: 2 };
+    const maintenancePlan = { mode: 'amount', percentOfValue: 1, renovations: [{ year: 10, amount: 200000, label: 'Tak' }] };
+    const metrics = calculateAdvancedMetrics({ ...base, rentalIncome: 1000, escalation, maintenancePlan });
+    const costs = Array.from({ length: 25 }, (_, i) => 12000 * Math.pow(1.04, i) + 12000 * Math.pow(1.03, i) - 12000 * Math.pow(1.02, i))
+      .reduce((sum, cost) => sum + cost, 0);
+    expect(metrics.totalPaidIn).toBeCloseTo(1000000 + totalInterest + loanAmount + costs + 200000 * Math.pow(1.03, 9), 2);
+    expect(metrics.netPresentValue).toBeLessThan(calculateAdvancedMetrics({ ...base, rentalIncome: 1000, escalation }).netPresentValue);
+    expect(metrics.breakEvenRent).toBeGreaterThan(calculateAdvancedMetrics({ ...base, rentalIncome: 1000, escalation }).breakEvenRent);
+  });
+
+  test('maintenance can follow the property value', () => {
+    const maintenancePlan = { mode: 'percent', percentOfValue: 1, renovations: [] };
+    const metrics = calculateAdvancedMetrics({ ...base, maintenancePlan });
+    const costs = Array.from({ length: 25 }, (_, i) => 12000 + 50000 * Math.pow(1.03, i)).reduce((sum, cost) => sum + cost, 0);
+    expect(metrics.totalPaidIn).toBeCloseTo(1000000 + totalInterest + loanAmount + costs, 2);
+  });
+
+  test('shows every amount in today\'s kroner', () => {
+    const nominal = calculateAdvancedMetrics({ ...base, inflation: 2 });
+    const real = calculateAdvancedMetrics({
+      ...base,
+      inflation: 2,
+      real: true,
+      loanTypeComparison: compareLoanTypes({ loanAmount, interestRate: 5, loanTerm: 25, inflation: 2 })
+    });
+    const index = (month) => Math.pow(1.02, month / 12);
+    const loanPaid = amortization.reduce((sum, row) => sum + row.totalPayment / index(row.month), 0);
+    const costsPaid = amortization.reduce((sum, row) => sum + 2000 * Math.pow(1.02, Math.floor((row.month - 1) / 12)) / index(row.month), 0);
+    expect(real.futurePropertyValue).toBeCloseTo(nominal.futurePropertyValue / index(300), 4);
+    expect(real.totalAlternativeReturn).toBeCloseTo(nominal.totalAlternativeReturn / index(300), 4);
+    expect(real.totalPaidIn).toBeCloseTo(1000000 + loanPaid + costsPaid, 2);
+    expect(real.realPropertyGainAnnuity).toBeCloseTo(real.realPropertyGain, 2);
+    // Nåverdier og break-even-leie er i dagens kroner uansett
+    expect(real.netPresentValue).toBeCloseTo(nominal.netPresentValue, 4);
+    expect(real.breakEvenRent).toBeCloseTo(nominal.breakEvenRent, 4);
+  });
+
+  test('is all zeros without a schedule', () => {
+    const metrics = calculateAdvancedMetrics({ ...base, amortization: [] });
+    expect(metrics.netPresentValue).toBe(0);
+    expect(metrics.investmentAdvantage).toBe(0);
+  });
+});
+
+describe('calculateBreakEvenRent', () => {
+  test('equals the monthly cost when buying only preserves the invested equity', () => {
+    const rent = calculateBreakEvenRent({
+      monthlyCosts: new Array(120).fill(20000),
+      netWorthWithProperty: 1000000 * Math.pow(1.05, 10),
+      totalDownPayment: 1000000,
+      requiredReturn: 5,
+      yearsToPayoff: 10
+    });
+    expect(rent).toBeCloseTo(20000, 6);
+  });
+});
+
+describe('calculateEquityCurve', () => {
+  test('starts at the purchase and ends debt free', () => {
+    const amortization = buildAmortization({ amount: 3000000, interestRate: 5, loanTerm: 25 });
+    const curve = calculateEquityCurve({ amortization, propertyValue: 4000000, annualAppreciation: 3 });
+    expect(curve).toHaveLength(26);
+    expect(curve[0]).toEqual({ year: 0, propertyValue: 4000000, debt: 3000000, equity: 1000000 });
+    expect(curve[10].debt).toBeCloseTo(amortization[119].balance, 6);
+    expect(curve[25].debt).toBeCloseTo(0, 6);
+    expect(curve[25].equity).toBeCloseTo(4000000 * Math.pow(1.03, 25), 2);
+  });
+});
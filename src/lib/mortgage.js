@@ -0,0 +1,212 @@
+import { calculateAffordability } from './affordability';
+import { activeInterestOnly, combineAmortization, compareInterestOnly, comparePrepayments, splitPrepayments } from './amortization';
+import { calculateClosingCosts } from './closingCosts';
+import { allocateLoans, participantsFromPair, participantTotals } from './participants';
+import { calculatePropertyTax } from './propertyTax';
+import { rateForMonth } from './ratePath';
+import { calculateLendingLimits } from './regulations';
+import { buildSharedDebtSchedule } from './sharedDebt';
+import { allocateTranches, buildSplitLoan, calculateSplitLoan } from './tranches';
+
+/**
+ * Monthly running costs of owning the property (excluding the loan) in NOK.
+ * Annual items are spread over 12 months; `hoa` is already monthly.
+ */
+export const monthlyFixedCosts = ({ municipalDues = 0, homeInsurance = 0, propertyTax = 0, maintenance = 0, hoa = 0 }) =>
+    (municipalDues / 12) + (homeInsurance / 12) + (propertyTax / 12) + (maintenance / 12) + hoa;
+
+/**
+ * Total and net (after rental income) monthly cost of the purchase.
+ */
+export const calculateMonthlyCosts = ({ monthlyPayment, rentalIncome = 0, ...costs }) => {
+    const fixedCosts = monthlyFixedCosts(costs);
+    const totalMonthlyCost = monthlyPayment + fixedCosts;
+    return {
+        monthlyFixedCosts: fixedCosts,
+        totalMonthlyCost,
+        netMonthlyCost: totalMonthlyCost - rentalIncome
+    };
+};
+
+/**
+ * Monthly amount left for debt service out of the desired monthly payment,
+ * after the running costs that do not depend on the price.
+ */
+export const monthlyServiceCapacity = ({ desiredMonthlyPayment = 0, municipalDues = 0, homeInsurance = 0, hoa = 0, rentalIncome = 0 }) =>
+    Math.max(0, desiredMonthlyPayment + rentalIncome - (municipalDues / 12) - (homeInsurance / 12) - hoa);
+
+const NO_CLOSING_COSTS = { documentFee: 0, deedRegistration: 0, mortgageRegistration: 0, establishmentFee: 0, total: 0, acquisitionCosts: 0, sharedDebt: 0 };
+
+/**
+ * Full purchase calculation for any number of participants.
+ *
+ * Finds the property price (from the desired monthly payment in 'byPayment'
+ * mode, from utlånsforskriften in 'byIncome' mode, or as given in 'byPrice'
+ * mode) and splits the mortgage between the participants (see allocateLoans).
+ * Without `participants`, the two-borrower fields below are used.
+ *
+ * With a `propertyType`, closing costs (see calculateClosingCosts) are paid
+ * out of the equity first, split by ownership share; only the rest goes
+ * toward the price. Since dokumentavgift depends on the price, the price in
+ * 'byPayment' and 'byIncome' mode is found iteratively.
+ *
+ * A borettslag unit ('cooperative') comes with a share of fellesgjeld, paid
+ * through the felleskostnader and counted as debt under utlånsforskriften.
+ * With IN-ordning part of it is repaid at purchase with the participants' own
+ * loans, so it is paid out of the equity like the closing costs.
+ *
+ * @param {object} inputs
+ * @param {'byPayment'|'byPrice'|'byIncome'} inputs.calculationMode
+ * @param {number} inputs.propertyValue Used in 'byPrice' mode
+ * @param {number} inputs.desiredMonthlyPayment Used in 'byPayment' mode, and as service capacity in the stress test
+ * @param {object[]} [inputs.participants] { name, downPayment, ownershipShare, debtShare, income, existingDebt }, shares in percent
+ * @param {'ownership'|'agreed'} [inputs.debtSplitMode] See allocateLoans
+ * @param {number} [inputs.downPayment1]
+ * @param {number} [inputs.downPayment2]
+ * @param {number} [inputs.ownershipSplit] Borrower 1's share in percent
+ * @param {number} inputs.interestRate
+ * @param {number} inputs.loanTerm
+ * @param {'annuity'|'serial'} [inputs.loanType]
+ * @param {object} [inputs.ratePath] See ratePath.js; the first month's rate is used for affordability and the stress test
+ * @param {object} [inputs.prepayments] Household prepayments (see buildAmortization), split by each borrower's share of the debt
+ * @param {object[]} [inputs.interestOnly] Interest-only windows (see buildAmortization), the same for every borrower.
+ *   Affordability and the stress test still assume a repaying loan.
+ * @param {object[]} [inputs.tranches] Lånedeler besides the main loan (see tranches.js); every borrower
+ *   carries their share of each. Affordability and the stress test use the main loan's rate and term.
+ * @param {number} [inputs.income1] Gross annual income, borrower 1
+ * @param {number} [inputs.income2] Gross annual income, borrower 2
+ * @param {number} [inputs.existingDebt1] Other debt, borrower 1
+ * @param {number} [inputs.existingDebt2] Other debt, borrower 2
+ * @param {boolean} [inputs.secondaryHomeOslo]
+ * @param {'freehold'|'cooperative'} [inputs.propertyType] Leave out to ignore closing costs
+ * @param {number} [inputs.establishmentFee] Etableringsgebyr, kr
+ * @param {number} [inputs.sharedDebt] Fellesgjeld, borettslag only
+ * @param {number} [inputs.sharedDebtRate] The cooperative's rate in percent
+ * @param {number} [inputs.sharedDebtInterestOnlyUntil] Year the fellesgjeld's avdragsfri period ends
+ * @param {number} [inputs.sharedDebtTerm] Years left of the fellesgjeld, avdragsfri period included
+ * @param {number} [inputs.individualRepayment] Fellesgjeld repaid at purchase under IN-ordning
+ * @param {number} [inputs.startYear] Year of purchase, defaults to the current year
+ * @returns {{ propertyValue: number, loanAmount: number, loans: object[] (one per participant), monthlyPayment: number, totalInterest: number, amortization: object[], propertyTax: number, lendingLimits: object, prepaymentEffect: object, interestOnlyEffect: object|null, tranches: object[], closingCosts: object, availableEquity: number, sharedDebt: { amount: number, individualRepayment: number, monthlyPayment: number, schedule: object[] } }}
+ */
+export const calculateMortgage = (inputs) => {
+    const {
+        calculationMode,
+        propertyValue,
+        debtSplitMode = 'ownership',
+        interestRate,
+        loanTerm,
+        loanType = 'annuity',
+        ratePath,
+        prepayments,
+        interestOnly,
+        tranches,
+        propertyTaxMode,
+        customPropertyTaxAmount,
+        secondaryHomeOslo = false,
+        propertyType,
+        establishmentFee,
+        sharedDebt = 0,
+        sharedDebtRate = 0,
+        sharedDebtInterestOnlyUntil,
+        sharedDebtTerm = 0,
+        individualRepayment = 0,
+        startYear = new Date().getFullYear()
+    } = inputs;
+
+    const participants = inputs.participants || participantsFromPair(inputs);
+    const totals = participantTotals(participants);
+    const totalDownPayment = totals.downPayment;
+    const startRate = rateForMonth(ratePath, interestRate, 1);
+
+    // Borettslag: andel fellesgjeld, eventuelt delvis innfridd med eget lån (IN-ordning)
+    const fellesgjeld = propertyType === 'cooperative' ? sharedDebt : 0;
+    const repaidSharedDebt = Math.min(fellesgjeld, Math.max(0, individualRepayment));
+    const sharedDebtSchedule = buildSharedDebtSchedule({
+        amount: fellesgjeld - repaidSharedDebt,
+        interestRate: sharedDebtRate,
+        interestOnlyYears: (sharedDebtInterestOnlyUntil || startYear) - startYear,
+        remainingTerm: sharedDebtTerm
+    });
+    const sharedDebtPayment = sharedDebtSchedule.length > 0 ? sharedDebtSchedule[0].totalPayment : 0;
+
+    const lendingInputs = {
+        grossIncome: totals.income,
+        existingDebt: totals.existingDebt,
+        sharedDebt: fellesgjeld - repaidSharedDebt,
+        interestRate: startRate,
+        loanTerm,
+        serviceCapacity: monthlyServiceCapacity(inputs),
+        secondaryHomeOslo
+    };
+    const closingCostsAt = (price) => (propertyType
+        ? calculateClosingCosts({ propertyValue: price, downPayment: totalDownPayment, propertyType, establishmentFee, sharedDebt })
+        : { ...NO_CLOSING_COSTS, totalPrice: price });
+    // Det som innfris av fellesgjelden må også lånes, og går fra kjøpesummen
+    const priceFor = (equity) => {
+        if (calculationMode === 'byPayment') {
+            const hoa = (inputs.hoa || 0) + sharedDebtPayment;
+            return calculateAffordability({ ...inputs, hoa, interestRate: startRate, totalDownPayment: equity, loanType }).maxPropertyPrice - repaidSharedDebt;
+        }
+        if (calculationMode === 'byIncome') {
+            return calculateLendingLimits({ ...lendingInputs, totalDownPayment: equity }).maxPropertyPrice - repaidSharedDebt;
+        }
+        return propertyValue; // 'byPrice'
+    };
+
+    let currentPropertyValue = priceFor(totalDownPayment);
+    // Omkostningene avhenger av prisen; noen runder holder siden dokumentavgiften er 2,5 %
+    for (let i = 0; propertyType && calculationMode !== 'byPrice' && i < 5; i++) {
+        currentPropertyValue = priceFor(totalDownPayment - closingCostsAt(currentPropertyValue).total);
+    }
+    const closingCosts = closingCostsAt(currentPropertyValue);
+    const upfront = closingCosts.total + repaidSharedDebt;
+    const availableEquity = totalDownPayment - upfront;
+
+    // Hver deltaker betaler omkostninger og IN-innbetaling etter eierandel, før resten går til kjøpesummen
+    const payers = upfront > 0
+        ? participants.map(participant => ({
+            ...participant,
+            downPayment: participant.downPayment - upfront * (participant.ownershipShare || 0) / (totals.ownershipShare || 100)
+        }))
+        : participants;
+    const loanAmounts = allocateLoans(payers, currentPropertyValue, debtSplitMode);
+    const loanAmount = loanAmounts.reduce((sum, amount) => sum + amount, 0);
+    const share = (amount) => (loanAmount > 0 ? amount / loanAmount : 0);
+    const withPrepayments = (amount) => splitPrepayments(prepayments, share(amount));
+    const splitTranches = allocateTranches(tranches, loanAmount, { interestRate, loanTerm });
+    const loanTerms = { interestRate, loanTerm, loanType, ratePath, tranches: splitTranches };
+    const loans = loanAmounts.map(amount => calculateSplitLoan({
+        ...loanTerms, amount, share: share(amount), interestOnly,
+        prepayments: withPrepayments(amount)
+    }));
+    const amortization = combineAmortization(loans.map(loan => loan.amortization));
+    const baseline = prepayments
+        ? combineAmortization(loanAmounts.map(amount => calculateSplitLoan({ ...loanTerms, amount, share: share(amount), interestOnly }).amortization))
+        : amortization;
+    // Samme lån med avdrag fra første måned
+    const repaying = activeInterestOnly(interestOnly).length > 0
+        ? combineAmortization(loanAmounts.map(amount => calculateSplitLoan({ ...loanTerms, amount, share: share(amount), prepayments: withPrepayments(amount) }).amortization))
+        : null;
+
+    return {
+        propertyValue: currentPropertyValue,
+        loanAmount,
+        loans,
+        monthlyPayment: loans.reduce((sum, loan) => sum + loan.payment, 0),
+        totalInterest: loans.reduce((sum, loan) => sum + loan.totalInterestPaid, 0),
+        amortization,
+        propertyTax: calculatePropertyTax(currentPropertyValue, propertyTaxMode, customPropertyTaxAmount),
+        lendingLimits: calculateLendingLimits({ ...lendingInputs, totalDownPayment: availableEquity + repaidSharedDebt, loanAmount }),
+        prepaymentEffect: comparePrepayments(baseline, amortization),
+        interestOnlyEffect: repaying ? compareInterestOnly(repaying, amortization, interestOnly) : null,
+        tranches: buildSplitLoan({ ...loanTerms, amount: loanAmount, share: 1, prepayments, interestOnly }).tranches,
+        closingCosts,
+        availableEquity,
+        sharedDebt: {
+            amount: fellesgjeld - repaidSharedDebt,
+            individualRepayment: repaidSharedDebt,
+            monthlyPayment: sharedDebtPayment,
+            schedule: sharedDebtSchedule
+        }
+    };
+};
@@ -0,0 +1,175 @@
+import { calculateMortgage, calculateMonthlyCosts } from './mortgage';
+
+const base = {
+  calculationMode: 'byPrice',
+  propertyValue: 5000000,
+  desiredMonthlyPayment: 20000,
+  downPayment1: 1000000,
+  downPayment2: 0,
+  ownershipSplit: 100,
+  interestRate: 5,
+  loanTerm: 25,
+  loanType: 'annuity',
+  propertyTaxMode: 'oslo',
+  customPropertyTaxAmount: 0
+};
+
+describe('calculateMortgage', () => {
+  test('borrows the price minus equity', () => {
+    const result = calculateMortgage(base);
+    expect(result.loanAmount).toBe(4000000);
+    expect(result.loans[0].amount).toBe(4000000);
+    expect(result.loans[1].amount).toBe(0);
+    expect(result.amortization).toHaveLength(300);
+    expect(result.monthlyPayment).toBeCloseTo(result.loans[0].annuityPayment, 8);
+  });
+
+  test('splits the loan by ownership share and each borrower\'s equity', () => {
+    const result = calculateMortgage({ ...base, ownershipSplit: 60, downPayment2: 500000 });
+    expect(result.loans[0].amount).toBe(2000000);
+    expect(result.loans[1].amount).toBe(1500000);
+    expect(result.totalInterest).toBeCloseTo(result.loans[0].totalInterestPaid + result.loans[1].totalInterestPaid, 6);
+    expect(result.amortization[0].totalPayment).toBeCloseTo(result.monthlyPayment, 8);
+  });
+
+  test('gives every participant a loan and counts everyone\'s income', () => {
+    const participants = [
+      { name: 'A', downPayment: 400000, ownershipShare: 34, debtShare: 34, income: 600000, existingDebt: 0 },
+      { name: 'B', downPayment: 300000, ownershipShare: 33, debtShare: 33, income: 550000, existingDebt: 200000 },
+      { name: 'C', downPayment: 300000, ownershipShare: 33, debtShare: 33, income: 500000, existingDebt: 0 }
+    ];
+    const result = calculateMortgage({ ...base, participants, calculationMode: 'byIncome', desiredMonthlyPayment: 100000 });
+    expect(result.loans).toHaveLength(3);
+    expect(result.loanAmount).toBeCloseTo(result.loans.reduce((sum, loan) => sum + loan.amount, 0), 6);
+    expect(result.lendingLimits.maxLoan).toBeCloseTo(5 * 1650000 - 200000, 0);
+  });
+
+  test('finds the price from the monthly payment', () => {
+    const result = calculateMortgage({ ...base, calculationMode: 'byPayment' });
+    expect(result.monthlyPayment).toBeCloseTo(20000, 4);
+    expect(result.propertyValue).toBeCloseTo(result.loanAmount + 1000000, 4);
+  });
+
+  test('uses the chosen loan type for the schedule', () => {
+    const result = calculateMortgage({ ...base, loanType: 'serial' });
+    expect(result.monthlyPayment).toBeCloseTo(4000000 / 300 + 4000000 * 0.05 / 12, 6);
+  });
+});
+
+describe('calculateMortgage with closing costs', () => {
+  const closing = { ...base, propertyType: 'freehold', establishmentFee: 2500 };
+
+  test('pays closing costs from equity and borrows the rest of the price', () => {
+    const result = calculateMortgage(closing);
+    expect(result.closingCosts.documentFee).toBe(125000);
+    expect(result.availableEquity).toBe(1000000 - result.closingCosts.total);
+    expect(result.loanAmount).toBeCloseTo(4000000 + result.closingCosts.total, 6);
+  });
+
+  test('splits closing costs by ownership share', () => {
+    const result = calculateMortgage({ ...closing, ownershipSplit: 60, downPayment2: 500000 });
+    expect(result.loans[0].amount).toBeCloseTo(2000000 + 0.6 * result.closingCosts.total, 6);
+    expect(result.loans[1].amount).toBeCloseTo(1500000 + 0.4 * result.closingCosts.total, 6);
+  });
+
+  test('leaves less for the price when it is found from the monthly payment', () => {
+    const without = calculateMortgage({ ...base, calculationMode: 'byPayment' });
+    const result = calculateMortgage({ ...closing, calculationMode: 'byPayment' });
+    expect(result.loanAmount).toBeCloseTo(without.loanAmount, -3);
+    expect(result.propertyValue + result.closingCosts.total).toBeCloseTo(without.propertyValue, -3);
+  });
+
+  test('ignores closing costs without a property type', () => {
+    expect(calculateMortgage(base).closingCosts.total).toBe(0);
+  });
+});
+
+describe('calculateMortgage for a borettslag unit', () => {
+  const cooperative = {
+    ...base,
+    propertyType: 'cooperative',
+    establishmentFee: 0,
+    sharedDebt: 1000000,
+    sharedDebtRate: 6,
+    sharedDebtInterestOnlyUntil: 2030,
+    sharedDebtTerm: 30,
+    startYear: 2025,
+    income1: 1000000
+  };
+
+  test('pays fellesgjeld through the felleskostnader, interest only at first', () => {
+    const { sharedDebt } = calculateMortgage(cooperative);
+    expect(sharedDebt.amount).toBe(1000000);
+    expect(sharedDebt.monthlyPayment).toBeCloseTo(5000, 6);
+    expect(sharedDebt.schedule[60].principal).toBeGreaterThan(0);
+  });
+
+  test('counts fellesgjeld in the debt ratio', () => {
+    const { lendingLimits, loanAmount } = calculateMortgage(cooperative);
+    expect(lendingLimits.debtToIncome).toBeCloseTo((loanAmount + 1000000) / 1000000, 10);
+  });
+
+  test('IN-ordning moves fellesgjeld to the own loan', () => {
+    const without = calculateMortgage(cooperative);
+    const result = calculateMortgage({ ...cooperative, individualRepayment: 400000 });
+    expect(result.sharedDebt.amount).toBe(600000);
+    expect(result.sharedDebt.individualRepayment).toBe(400000);
+    expect(result.loanAmount).toBeCloseTo(without.loanAmount + 400000, 6);
+    expect(result.lendingLimits.debtToIncome).toBeCloseTo(without.lendingLimits.debtToIncome, 10);
+  });
+
+  test('leaves less of the budget for the loan in byPayment mode', () => {
+    const freehold = calculateMortgage({ ...base, calculationMode: 'byPayment' });
+    const result = calculateMortgage({ ...cooperative, calculationMode: 'byPayment' });
+    expect(result.loanAmount).toBeLessThan(freehold.loanAmount);
+  });
+});
+
+describe('calculateMonthlyCosts', () => {
+  test('adds running costs and subtracts rental income', () => {
+    const costs = calculateMonthlyCosts({ monthlyPayment: 20000, municipalDues: 12000, maintenance: 24000, hoa: 1000, rentalIncome: 5000 });
+    expect(costs.monthlyFixedCosts).toBe(4000);
+    expect(costs.totalMonthlyCost).toBe(24000);
+    expect(costs.netMonthlyCost).toBe(19000);
+  });
+});
+
+describe('calculateMortgage in byIncome mode', () => {
+  test('buys the most expensive property the regulations allow', () => {
+    const result = calculateMortgage({ ...base, calculationMode: 'byIncome', income1: 700000, desiredMonthlyPayment: 60000 });
+    expect(result.lendingLimits.bindingRule).toBe('debtToIncome');
+    expect(result.loanAmount).toBeCloseTo(3500000, 6);
+    expect(result.propertyValue).toBeCloseTo(4500000, 6);
+    expect(result.lendingLimits.compliant).toBe(true);
+  });
+});
+
+describe('calculateMortgage with prepayments', () => {
+  test('reports interest saved and the shorter payoff', () => {
+    const result = calculateMortgage({ ...base, ownershipSplit: 50, downPayment2: 500000, prepayments: { extraMonthly: 3000, extraMonthlyMode: 'term', lumpSums: [] } });
+    expect(result.amortization.length).toBeLessThan(300);
+    expect(result.prepaymentEffect.monthsSaved).toBe(300 - result.amortization.length);
+    expect(result.prepaymentEffect.interestSaved).toBeGreaterThan(0);
+    // Split by each borrower's share of the debt
+    expect(result.loans[0].amortization[0].extraPayment).toBeCloseTo(3000 * 1500000 / 3500000, 8);
+  });
+
+  test('has no effect without prepayments', () => {
+    expect(calculateMortgage(base).prepaymentEffect).toMatchObject({ interestSaved: 0, monthsSaved: 0 });
+  });
+});
+
+describe('calculateMortgage with interest-only windows', () => {
+  test('gives every borrower the same avdragsfri period and reports the jump', () => {
+    const result = calculateMortgage({ ...base, ownershipSplit: 50, downPayment2: 500000, interestOnly: [{ month: 1, months: 36 }] });
+    expect(result.loans.every(loan => loan.amortization[35].principal === 0)).toBe(true);
+    expect(result.monthlyPayment).toBeCloseTo(result.loanAmount * 0.05 / 12, 6);
+    expect(result.interestOnlyEffect.windows[0].paymentAfter).toBeCloseTo(result.amortization[36].totalPayment, 6);
+    expect(result.interestOnlyEffect.extraInterest).toBeGreaterThan(0);
+    expect(result.prepaymentEffect).toMatchObject({ interestSaved: 0, monthsSaved: 0 });
+  });
+
+  test('has no effect without windows', () => {
+    expect(calculateMortgage(base).interestOnlyEffect).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+// Eiendomsskatt and kommunale avgifter for the largest Norwegian municipalities.
+
+// Version of the table. Update the figures and the year together when the municipalities adopt new budgets.
+export const MUNICIPALITY_DATA_YEAR = 2025;
+
+// propertyTax: null means the municipality has no eiendomsskatt on homes.
+// dues: yearly water, sewage and waste fees for a typical home (about 120 m², 150 m³ water), rounded.
+// Figures are taken from the municipalities' published rates and should be checked against your own bill.
+export const MUNICIPALITIES = [
+    { number: '0301', name: 'Oslo', propertyTax: { rate: 0.00235, bottomDeduction: 4700000, valuationFactor: 0.7 }, dues: { water: 3300, sewage: 4900, waste: 3400 } },
+    { number: '4601', name: 'Bergen', propertyTax: { rate: 0.0028, bottomDeduction: 750000, valuationFactor: 0.7 }, dues: { water: 3900, sewage: 5600, waste: 3700 } },
+    { number: '5001', name: 'Trondheim', propertyTax: { rate: 0.003, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3600, sewage: 5200, waste: 3300 } },
+    { number: '1103', name: 'Stavanger', propertyTax: null, dues: { water: 3000, sewage: 4300, waste: 3500 } },
+    { number: '3201', name: 'Bærum', propertyTax: null, dues: { water: 3800, sewage: 6900, waste: 3200 } },
+    { number: '3203', name: 'Asker', propertyTax: { rate: 0.001, bottomDeduction: 2000000, valuationFactor: 0.7 }, dues: { water: 4200, sewage: 6600, waste: 3300 } },
+    { number: '4204', name: 'Kristiansand', propertyTax: { rate: 0.0026, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3400, sewage: 5100, waste: 3800 } },
+    { number: '3301', name: 'Drammen', propertyTax: { rate: 0.002, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3700, sewage: 5800, waste: 3100 } },
+    { number: '3205', name: 'Lillestrøm', propertyTax: { rate: 0.002, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 4000, sewage: 6400, waste: 3200 } },
+    { number: '3107', name: 'Fredrikstad', propertyTax: { rate: 0.0026, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3200, sewage: 4800, waste: 3000 } },
+    { number: '1108', name: 'Sandnes', propertyTax: null, dues: { water: 2900, sewage: 4100, waste: 3500 } },
+    { number: '5501', name: 'Tromsø', propertyTax: { rate: 0.003, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3500, sewage: 4700, waste: 4200 } },
+    { number: '3207', name: 'Nordre Follo', propertyTax: null, dues: { water: 4100, sewage: 6700, waste: 3100 } },
+    { number: '3105', name: 'Sarpsborg', propertyTax: { rate: 0.003, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3100, sewage: 4600, waste: 2900 } },
+    { number: '1804', name: 'Bodø', propertyTax: { rate: 0.003, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3300, sewage: 4400, waste: 4000 } },
+    { number: '1508', name: 'Ålesund', propertyTax: { rate: 0.0024, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3000, sewage: 4500, waste: 3600 } },
+    { number: '4003', name: 'Skien', propertyTax: { rate: 0.0032, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3400, sewage: 5000, waste: 3000 } },
+    { number: '3905', name: 'Tønsberg', propertyTax: { rate: 0.002, bottomDeduction: 0, valuationFactor: 0.7 }, dues: { water: 3300, sewage: 5300, waste: 3100 } }
+];
+
+// Eldre delingslenker bruker 'oslo' i stedet for kommunenummeret
+const ALIASES = { oslo: '0301' };
+
+/**
+ * Municipality by kommunenummer, or undefined.
+ */
+export const findMunicipality = (number) => {
+    const key = ALIASES[number] || number;
+    return MUNICIPALITIES.find(municipality => municipality.number === key);
+};
+
+/**
+ * Municipalities whose name or number matches the query, case-insensitive.
+ */
+export const searchMunicipalities = (query) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return MUNICIPALITIES;
+    return MUNICIPALITIES.filter(municipality =>
+        municipality.name.toLowerCase().includes(needle) || municipality.number.startsWith(needle));
+};
+
+/**
+ * Yearly kommunale avgifter (water + sewage + waste) for a municipality.
+ */
+export const municipalDuesFor = (municipality) =>
+    municipality.dues.water + municipality.dues.sewage + municipality.dues.waste;
@@ -0,0 +1,25 @@
+import { findMunicipality, municipalDuesFor, MUNICIPALITIES, searchMunicipalities } from './municipalities';
+
+describe('municipalities', () => {
+  test('has unique kommunenummer', () => {
+    const numbers = MUNICIPALITIES.map(municipality => municipality.number);
+    expect(new Set(numbers).size).toBe(numbers.length);
+  });
+
+  test('finds a municipality by number and by the old Oslo alias', () => {
+    expect(findMunicipality('5001').name).toBe('Trondheim');
+    expect(findMunicipality('oslo').number).toBe('0301');
+    expect(findMunicipality('custom')).toBeUndefined();
+  });
+
+  test('searches by name and number', () => {
+    expect(searchMunicipalities('berg').map(m => m.name)).toEqual(['Bergen', 'Tønsberg']);
+    expect(searchMunicipalities('ÅLE').map(m => m.name)).toEqual(['Ålesund']);
+    expect(searchMunicipalities('11').map(m => m.name)).toEqual(['Stavanger', 'Sandnes']);
+    expect(searchMunicipalities('  ')).toHaveLength(MUNICIPALITIES.length);
+  });
+
+  test('sums water, sewage and waste into kommunale avgifter', () => {
+    expect(municipalDuesFor(findMunicipality('0301'))).toBe(3300 + 4900 + 3400);
+  });
+});
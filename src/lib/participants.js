@@ -0,0 +1,80 @@
+// Participants in one purchase: owners, co-borrowers and co-owners.
+
+/**
+ * One participant with no equity, ownership, debt or income.
+ * netIncome (kr/mnd) and livesInHome are only used by the household budget:
+ * a co-borrower who lives elsewhere, such as a parent, has no living costs there.
+ * @param {number} index Position in the list, used for the default name
+ */
+export const createParticipant = (index) => ({
+    name: `Låntaker ${index + 1}`,
+    downPayment: 0,
+    ownershipShare: 0,
+    debtShare: 0,
+    costShare: 0,
+    income: 0,
+    existingDebt: 0,
+    netIncome: 0,
+    livesInHome: true
+});
+
+/**
+ * Participant list from the original two-borrower inputs
+ * (downPayment1/2, ownershipSplit, income1/2, existingDebt1/2).
+ */
+export const participantsFromPair = ({
+    downPayment1 = 0,
+    downPayment2 = 0,
+    ownershipSplit = 100,
+    income1 = 0,
+    income2 = 0,
+    existingDebt1 = 0,
+    existingDebt2 = 0
+}) => [
+    { ...createParticipant(0), downPayment: downPayment1, ownershipShare: ownershipSplit, debtShare: ownershipSplit, costShare: ownershipSplit, income: income1, existingDebt: existingDebt1 },
+    { ...createParticipant(1), downPayment: downPayment2, ownershipShare: 100 - ownershipSplit, debtShare: 100 - ownershipSplit, costShare: 100 - ownershipSplit, income: income2, existingDebt: existingDebt2 }
+];
+
+/**
+ * Number of participants who live in the home; a missing livesInHome counts as living there.
+ */
+export const householdAdults = (participants) => participants.filter(participant => participant.livesInHome !== false).length;
+
+const sum = (participants, field) => participants.reduce((total, participant) => total + (participant[field] || 0), 0);
+
+/**
+ * Combined equity, shares, income and other debt of all participants.
+ */
+export const participantTotals = (participants) => ({
+    downPayment: sum(participants, 'downPayment'),
+    ownershipShare: sum(participants, 'ownershipShare'),
+    debtShare: sum(participants, 'debtShare'),
+    costShare: sum(participants, 'costShare'),
+    income: sum(participants, 'income'),
+    existingDebt: sum(participants, 'existingDebt')
+});
+
+/**
+ * Each participant's part of the mortgage.
+ *
+ * 'ownership': the part of their ownership share not covered by their own
+ * equity, so ownership and debt follow each other. 'agreed': the household
+ * loan (price minus all equity) split by each participant's debtShare, which
+ * lets a co-borrower carry debt without owning anything.
+ *
+ * @param {object[]} participants
+ * @param {number} propertyValue
+ * @param {'ownership'|'agreed'} [debtSplitMode]
+ * @returns {number[]} Loan amount per participant
+ */
+export const allocateLoans = (participants, propertyValue, debtSplitMode = 'ownership') => {
+    if (debtSplitMode === 'agreed') {
+        const totals = participantTotals(participants);
+        const householdLoan = Math.max(0, propertyValue - totals.downPayment);
+        return participants.map(participant => (totals.debtShare > 0
+            ? householdLoan * (participant.debtShare || 0) / totals.debtShare
+            : householdLoan / participants.length));
+    }
+    return participants.map(participant =>
+        Math.max(0, propertyValue * ((participant.ownershipShare || 0) / 100) - (participant.downPayment || 0)));
+};
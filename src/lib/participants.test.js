@@ -0,0 +1,46 @@
+import { allocateLoans, createParticipant, householdAdults, participantsFromPair, participantTotals } from './participants';
+
+describe('participants', () => {
+  test('builds two participants from the two-borrower inputs', () => {
+    const [first, second] = participantsFromPair({ downPayment1: 800000, downPayment2: 200000, ownershipSplit: 60, income1: 700000 });
+    expect(first).toMatchObject({ name: 'Låntaker 1', downPayment: 800000, ownershipShare: 60, income: 700000 });
+    expect(second).toMatchObject({ name: 'Låntaker 2', downPayment: 200000, ownershipShare: 40, income: 0 });
+  });
+
+  test('adds up equity, income and other debt', () => {
+    const participants = [
+      { ...createParticipant(0), downPayment: 500000, income: 600000, existingDebt: 100000 },
+      { ...createParticipant(1), downPayment: 300000, income: 500000 },
+      { ...createParticipant(2), income: 900000 }
+    ];
+    expect(participantTotals(participants)).toMatchObject({ downPayment: 800000, income: 2000000, existingDebt: 100000 });
+  });
+
+  test('counts the participants who live in the home', () => {
+    const participants = [createParticipant(0), { ...createParticipant(1), livesInHome: false }, { name: 'Fra eldre lenke' }];
+    expect(householdAdults(participants)).toBe(2);
+  });
+
+  test('lends each owner the part of their share not covered by own equity', () => {
+    const participants = [
+      { ...createParticipant(0), downPayment: 600000, ownershipShare: 40 },
+      { ...createParticipant(1), downPayment: 300000, ownershipShare: 30 },
+      { ...createParticipant(2), downPayment: 2000000, ownershipShare: 30 }
+    ];
+    expect(allocateLoans(participants, 6000000)).toEqual([1800000, 1500000, 0]);
+  });
+
+  test('splits the household loan by agreed debt shares', () => {
+    // Forelder som medlåntaker uten eierandel
+    const participants = [
+      { ...createParticipant(0), downPayment: 1000000, ownershipShare: 100, debtShare: 75 },
+      { ...createParticipant(1), ownershipShare: 0, debtShare: 25 }
+    ];
+    expect(allocateLoans(participants, 5000000, 'agreed')).toEqual([3000000, 1000000]);
+  });
+
+  test('splits evenly when no debt shares are given', () => {
+    const participants = [createParticipant(0), createParticipant(1)];
+    expect(allocateLoans(participants, 4000000, 'agreed')).toEqual([2000000, 2000000]);
+  });
+});
@@ -0,0 +1,25 @@
+// Eiendomsskatt
+
+import { findMunicipality } from './municipalities';
+
+// Oslo: 70 % av markedsverdi, bunnfradrag 4,7 MNOK, 2,35 ‰
+export const OSLO_PROPERTY_TAX = findMunicipality('0301').propertyTax;
+
+/**
+ * Annual property tax.
+ * @param {number} propertyValue Market value in NOK
+ * @param {string} mode Kommunenummer from MUNICIPALITIES ('oslo' is accepted for Oslo),
+ *   or 'custom' for a fixed amount typed in by the user
+ * @param {number} customAmount Annual amount used when mode is 'custom' or the municipality is unknown
+ */
+export const calculatePropertyTax = (propertyValue, mode, customAmount) => {
+    if (propertyValue <= 0) return 0;
+
+    const municipality = mode === 'custom' ? undefined : findMunicipality(mode);
+    if (!municipality) return customAmount;
+    if (!municipality.propertyTax) return 0;
+
+    const { valuationFactor, bottomDeduction, rate } = municipality.propertyTax;
+    const taxableBase = Math.max(0, (propertyValue * valuationFactor) - bottomDeduction);
+    return taxableBase * rate;
+};
@@ -0,0 +1,34 @@
+import { calculatePropertyTax } from './propertyTax';
+
+describe('calculatePropertyTax', () => {
+  test('applies Oslo valuation, bottom deduction and rate', () => {
+    // (10 MNOK * 0,7 - 4,7 MNOK) * 2,35 ‰
+    expect(calculatePropertyTax(10000000, 'oslo', 0)).toBeCloseTo(5405, 6);
+  });
+
+  test('is zero below the Oslo bottom deduction', () => {
+    expect(calculatePropertyTax(6000000, 'oslo', 0)).toBe(0);
+  });
+
+  test('looks up the municipality by kommunenummer', () => {
+    // Bergen: (5 MNOK * 0,7 - 750 000) * 2,8 ‰
+    expect(calculatePropertyTax(5000000, '4601', 0)).toBeCloseTo(7700, 6);
+    expect(calculatePropertyTax(10000000, '0301', 0)).toBeCloseTo(calculatePropertyTax(10000000, 'oslo', 0), 6);
+  });
+
+  test('is zero in municipalities without eiendomsskatt on homes', () => {
+    expect(calculatePropertyTax(8000000, '3201', 3200)).toBe(0);
+  });
+
+  test('falls back to the custom amount for unknown municipalities', () => {
+    expect(calculatePropertyTax(5000000, '9999', 3200)).toBe(3200);
+  });
+
+  test('uses the custom amount for other municipalities', () => {
+    expect(calculatePropertyTax(5000000, 'custom', 3200)).toBe(3200);
+  });
+
+  test('is zero without a property', () => {
+    expect(calculatePropertyTax(0, 'custom', 3200)).toBe(0);
+  });
+});
@@ -0,0 +1,96 @@
+// Interest rate paths for floating-rate loans.
+//
+// A rate path describes how the nominal annual rate (in percent) develops
+// month by month. Month 1 is the first payment.
+//
+//   { type: 'fixed' }                                         Flat at the base rate
+//   { type: 'steps', steps: [{ month, rate }] }               New rate from the given month
+//   { type: 'glide', targetRate, months }                     Linear from the base rate to targetRate over `months`
+//   { type: 'policy', policyRate, margin, moves: [{ month, rate }] }
+//                                                             Norges Bank policy rate (styringsrente) plus the bank's margin
+//   { type: 'series', rates: [rate, ...] }                    Rate month by month, index 0 is month 1 (simulated paths)
+
+export const RATE_PATH_TYPES = {
+    fixed: 'Fast',
+    steps: 'Trinnvis',
+    glide: 'Glidende',
+    policy: 'Styringsrente + margin'
+};
+
+const byMonth = (a, b) => a.month - b.month;
+
+/**
+ * Annual rate in percent for a given month (1-based).
+ * @param {object|undefined} ratePath
+ * @param {number} baseRate Rate used before any change, and for 'fixed' paths
+ * @param {number} month
+ */
+export const rateForMonth = (ratePath, baseRate, month) => {
+    if (!ratePath) return baseRate;
+
+    switch (ratePath.type) {
+        case 'steps': {
+            let rate = baseRate;
+            [...(ratePath.steps || [])].sort(byMonth).forEach(step => {
+                if (step.month <= month) rate = step.rate;
+            });
+            return rate;
+        }
+        case 'glide': {
+            const { targetRate = baseRate, months = 0 } = ratePath;
+            if (months <= 0 || month - 1 >= months) return targetRate;
+            return baseRate + (targetRate - baseRate) * (month - 1) / months;
+        }
+        case 'policy': {
+            let policyRate = ratePath.policyRate || 0;
+            [...(ratePath.moves || [])].sort(byMonth).forEach(move => {
+                if (move.month <= month) policyRate = move.rate;
+            });
+            return policyRate + (ratePath.margin || 0);
+        }
+        case 'series': {
+            const rates = ratePath.rates || [];
+            if (rates.length === 0) return baseRate;
+            return rates[Math.min(month, rates.length) - 1];
+        }
+        default:
+            return baseRate;
+    }
+};
+
+/**
+ * The same path moved `shift` percentage points; move the base rate along with it.
+ */
+export const shiftRatePath = (ratePath, shift) => {
+    if (!ratePath || !shift) return ratePath;
+
+    switch (ratePath.type) {
+        case 'steps':
+            return { ...ratePath, steps: (ratePath.steps || []).map(step => ({ ...step, rate: step.rate + shift })) };
+        case 'glide':
+            return ratePath.targetRate === undefined ? ratePath : { ...ratePath, targetRate: ratePath.targetRate + shift };
+        case 'policy':
+            return { ...ratePath, margin: (ratePath.margin || 0) + shift };
+        case 'series':
+            return { ...ratePath, rates: (ratePath.rates || []).map(rate => rate + shift) };
+        default:
+            return ratePath;
+    }
+};
+
+/**
+ * Rate for every month of the loan; index 0 is month 1.
+ */
+export const buildRateSchedule = (ratePath, baseRate, months) => {
+    const rates = [];
+    for (let month = 1; month <= months; month++) {
+        rates.push(rateForMonth(ratePath, baseRate, month));
+    }
+    return rates;
+};
+
+/**
+ * True when the path never moves away from a single rate.
+ */
+export const isFlatRatePath = (ratePath) => !ratePath || ratePath.type === 'fixed'
+    || (ratePath.type === 'series' ? new Set(ratePath.rates || []).size <= 1 : !RATE_PATH_TYPES[ratePath.type]);
@@ -0,0 +1,71 @@
+import { rateForMonth, buildRateSchedule, isFlatRatePath, shiftRatePath } from './ratePath';
+
+describe('rateForMonth', () => {
+  test('fixed or missing path keeps the base rate', () => {
+    expect(rateForMonth(undefined, 5, 100)).toBe(5);
+    expect(rateForMonth({ type: 'fixed' }, 5, 100)).toBe(5);
+  });
+
+  test('steps change the rate from the given month', () => {
+    const path = { type: 'steps', steps: [{ month: 25, rate: 4 }, { month: 13, rate: 6 }] };
+    expect(rateForMonth(path, 5, 12)).toBe(5);
+    expect(rateForMonth(path, 5, 13)).toBe(6);
+    expect(rateForMonth(path, 5, 25)).toBe(4);
+  });
+
+  test('glide moves linearly to the target rate', () => {
+    const path = { type: 'glide', targetRate: 3, months: 24 };
+    expect(rateForMonth(path, 5, 1)).toBe(5);
+    expect(rateForMonth(path, 5, 13)).toBe(4);
+    expect(rateForMonth(path, 5, 25)).toBe(3);
+    expect(rateForMonth(path, 5, 200)).toBe(3);
+  });
+
+  test('policy path is policy rate plus margin', () => {
+    const path = { type: 'policy', policyRate: 4.25, margin: 1.5, moves: [{ month: 4, rate: 4 }, { month: 10, rate: 3.5 }] };
+    expect(rateForMonth(path, 99, 1)).toBe(5.75);
+    expect(rateForMonth(path, 99, 4)).toBe(5.5);
+    expect(rateForMonth(path, 99, 12)).toBe(5);
+  });
+});
+
+describe('buildRateSchedule', () => {
+  test('has one rate per month', () => {
+    const rates = buildRateSchedule({ type: 'steps', steps: [{ month: 3, rate: 6 }] }, 5, 4);
+    expect(rates).toEqual([5, 5, 6, 6]);
+  });
+});
+
+describe('series rate paths', () => {
+  test('give the rate month by month and hold the last one', () => {
+    const ratePath = { type: 'series', rates: [5, 5.5, 6] };
+    expect([1, 2, 3, 10].map(month => rateForMonth(ratePath, 4, month))).toEqual([5, 5.5, 6, 6]);
+    expect(shiftRatePath(ratePath, 1).rates).toEqual([6, 6.5, 7]);
+    expect(isFlatRatePath(ratePath)).toBe(false);
+    expect(isFlatRatePath({ type: 'series', rates: [5, 5] })).toBe(true);
+  });
+});
+
+describe('shiftRatePath', () => {
+  test('moves every kind of path by the same amount', () => {
+    const paths = [
+      { type: 'steps', steps: [{ month: 13, rate: 6 }] },
+      { type: 'glide', targetRate: 3, months: 24 },
+      { type: 'policy', policyRate: 4.25, margin: 1.5, moves: [{ month: 4, rate: 4 }] },
+      { type: 'fixed' }
+    ];
+    paths.forEach(path => {
+      [1, 13, 30].forEach(month => {
+        expect(rateForMonth(shiftRatePath(path, 2), 7, month)).toBeCloseTo(rateForMonth(path, 5, month) + 2, 10);
+      });
+    });
+  });
+});
+
+describe('isFlatRatePath', () => {
+  test('only fixed and missing paths are flat', () => {
+    expect(isFlatRatePath(undefined)).toBe(true);
+    expect(isFlatRatePath({ type: 'fixed' })).toBe(true);
+    expect(isFlatRatePath({ type: 'glide', targetRate: 4, months: 12 })).toBe(false);
+  });
+});
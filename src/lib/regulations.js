@@ -0,0 +1,98 @@
+// Utlånsforskriften: the limits a Norwegian bank applies to residential mortgages.
+
+import { annuityPayment, annuityPresentValue } from './amortization';
+
+// Parameters as of 2025. Kept in one place so they can be updated when the regulation changes.
+export const LENDING_REGULATIONS = {
+    year: 2025,
+    maxDebtToIncome: 5,               // Samlet gjeld maks 5 ganger brutto årsinntekt
+    minEquityShare: 0.10,             // Minst 10 % egenkapital
+    minEquityShareSecondaryOslo: 0.40, // Sekundærbolig i Oslo: minst 40 % egenkapital
+    stressTestAddition: 3,            // Tåle en renteøkning på 3 prosentpoeng ...
+    stressTestFloor: 7                // ... men minst 7 % rente
+};
+
+export const LENDING_RULE_LABELS = {
+    debtToIncome: 'Gjeldsgrad',
+    equity: 'Egenkapitalkrav',
+    stressTest: 'Stresstest'
+};
+
+/**
+ * Interest rate the loan must be serviceable at under the stress test.
+ */
+export const stressTestRate = (interestRate, rules = LENDING_REGULATIONS) =>
+    Math.max(interestRate + rules.stressTestAddition, rules.stressTestFloor);
+
+/**
+ * Maximum new mortgage under each rule of utlånsforskriften, and which one binds.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.grossIncome Household gross annual income
+ * @param {number} [inputs.existingDebt] Other debt (student loans, car loans, ...) counted in the debt ratio and stress test
+ * @param {number} inputs.totalDownPayment Equity available for the purchase
+ * @param {number} [inputs.sharedDebt] Fellesgjeld that comes with a borettslag unit; counts as debt
+ *   in every rule, and the equity share is of the price including it
+ * @param {number} inputs.interestRate Offered rate in percent
+ * @param {number} inputs.loanTerm Years
+ * @param {number} inputs.serviceCapacity Monthly amount the household can spend on debt service
+ * @param {boolean} [inputs.secondaryHomeOslo] Sekundærbolig i Oslo
+ * @param {number} [inputs.loanAmount] Actual loan, to check whether each rule is met
+ * @param {object} [inputs.rules] Regulation parameters, defaults to LENDING_REGULATIONS
+ * @returns {{ rules: object[], bindingRule: string, maxLoan: number, maxPropertyPrice: number, stressRate: number, requiredEquityShare: number, compliant: boolean|null }}
+ */
+export const calculateLendingLimits = ({
+    grossIncome = 0,
+    existingDebt = 0,
+    totalDownPayment = 0,
+    sharedDebt = 0,
+    interestRate,
+    loanTerm,
+    serviceCapacity = 0,
+    secondaryHomeOslo = false,
+    loanAmount,
+    rules = LENDING_REGULATIONS
+}) => {
+    const months = Math.round(loanTerm * 12);
+
+    // Fellesgjeld regnes som gjeld i alle kravene
+    const otherDebt = existingDebt + sharedDebt;
+
+    // Gjeldsgrad: samlet gjeld inkludert nytt lån
+    const debtToIncomeLimit = Math.max(0, grossIncome * rules.maxDebtToIncome - otherDebt);
+
+    // Egenkapital: lån og fellesgjeld kan maks utgjøre (1 - krav) av totalprisen
+    const requiredEquityShare = secondaryHomeOslo ? rules.minEquityShareSecondaryOslo : rules.minEquityShare;
+    const equityLimit = Math.max(0, totalDownPayment * (1 - requiredEquityShare) / requiredEquityShare - sharedDebt);
+
+    // Stresstest: all gjeld skal kunne betjenes som annuitet med stresset rente
+    const stressRate = stressTestRate(interestRate, rules);
+    const stressTestLimit = Math.max(0, annuityPresentValue(serviceCapacity, stressRate, months) - otherDebt);
+
+    const limits = [
+        { id: 'debtToIncome', maxLoan: debtToIncomeLimit },
+        { id: 'equity', maxLoan: equityLimit },
+        { id: 'stressTest', maxLoan: stressTestLimit }
+    ].map(rule => ({
+        ...rule,
+        label: LENDING_RULE_LABELS[rule.id],
+        maxPropertyPrice: rule.maxLoan + totalDownPayment,
+        ok: loanAmount === undefined ? null : loanAmount <= rule.maxLoan + 0.5
+    }));
+
+    const binding = limits.reduce((min, rule) => (rule.maxLoan < min.maxLoan ? rule : min));
+    const hasLoan = loanAmount !== undefined;
+
+    return {
+        rules: limits,
+        bindingRule: binding.id,
+        maxLoan: binding.maxLoan,
+        maxPropertyPrice: binding.maxLoan + totalDownPayment,
+        stressRate,
+        stressPayment: hasLoan ? annuityPayment(loanAmount + otherDebt, stressRate, months) : 0,
+        debtToIncome: grossIncome > 0 && hasLoan ? (loanAmount + otherDebt) / grossIncome : null,
+        sharedDebt,
+        requiredEquityShare,
+        compliant: hasLoan ? limits.every(rule => rule.ok) : null
+    };
+};
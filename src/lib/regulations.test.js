@@ -0,0 +1,62 @@
+import { calculateLendingLimits, stressTestRate, LENDING_REGULATIONS } from './regulations';
+import { annuityPayment } from './amortization';
+
+const base = {
+  grossIncome: 1000000,
+  existingDebt: 0,
+  totalDownPayment: 1000000,
+  interestRate: 5,
+  loanTerm: 25,
+  serviceCapacity: 50000
+};
+
+describe('stressTestRate', () => {
+  test('adds three percentage points with a 7 % floor', () => {
+    expect(stressTestRate(5)).toBe(8);
+    expect(stressTestRate(3)).toBe(7);
+  });
+});
+
+describe('calculateLendingLimits', () => {
+  test('debt ratio caps total debt at five times income', () => {
+    const limits = calculateLendingLimits({ ...base, existingDebt: 300000 });
+    expect(limits.rules.find(r => r.id === 'debtToIncome').maxLoan).toBe(4700000);
+    expect(limits.bindingRule).toBe('debtToIncome');
+    expect(limits.maxPropertyPrice).toBe(5700000);
+  });
+
+  test('equity requirement is 10 %, or 40 % for a secondary home in Oslo', () => {
+    const primary = calculateLendingLimits({ ...base, grossIncome: 10000000, totalDownPayment: 500000 });
+    expect(primary.rules.find(r => r.id === 'equity').maxLoan).toBeCloseTo(4500000, 6);
+    expect(primary.bindingRule).toBe('equity');
+
+    const secondary = calculateLendingLimits({ ...base, grossIncome: 10000000, totalDownPayment: 2000000, secondaryHomeOslo: true });
+    expect(secondary.requiredEquityShare).toBe(LENDING_REGULATIONS.minEquityShareSecondaryOslo);
+    expect(secondary.maxPropertyPrice).toBeCloseTo(5000000, 6);
+  });
+
+  test('stress test limits debt to what the capacity services at the stressed rate', () => {
+    const limits = calculateLendingLimits({ ...base, grossIncome: 10000000, serviceCapacity: 20000, existingDebt: 100000 });
+    const stress = limits.rules.find(r => r.id === 'stressTest');
+    expect(limits.bindingRule).toBe('stressTest');
+    expect(annuityPayment(stress.maxLoan + 100000, 8, 300)).toBeCloseTo(20000, 6);
+  });
+
+  test('counts fellesgjeld as debt and in the price the equity share is of', () => {
+    const limits = calculateLendingLimits({ ...base, sharedDebt: 1000000 });
+    expect(limits.rules.find(r => r.id === 'debtToIncome').maxLoan).toBe(4000000);
+    // (lån + fellesgjeld) ≤ 90 % av (lån + egenkapital + fellesgjeld)
+    expect(limits.rules.find(r => r.id === 'equity').maxLoan).toBeCloseTo(8000000, 4);
+    expect(calculateLendingLimits({ ...base, sharedDebt: 1000000, loanAmount: 3000000 }).debtToIncome).toBe(4);
+  });
+
+  test('checks an actual loan against every rule', () => {
+    const ok = calculateLendingLimits({ ...base, loanAmount: 4000000 });
+    expect(ok.compliant).toBe(true);
+    expect(ok.debtToIncome).toBe(4);
+
+    const tooMuch = calculateLendingLimits({ ...base, loanAmount: 5500000 });
+    expect(tooMuch.compliant).toBe(false);
+    expect(tooMuch.rules.find(r => r.id === 'debtToIncome').ok).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+// Running costs over time: each item grows at its own yearly rate.
+//
+// municipalDues, homeInsurance, propertyTax and maintenance are kr/år; hoa and
+// rentalIncome are kr/mnd. An item without its own rate follows the shared
+// default, and without a default the inflation rate. Maintenance can instead
+// be a share of the property value, which follows the price, and major
+// renovations (roof, bathroom, facade) are paid in full in the year they are due.
+
+import { costGrowth } from './inflation';
+
+export const COST_ITEMS = {
+    municipalDues: 'Kommunale avgifter',
+    homeInsurance: 'Boligforsikring',
+    maintenance: 'Vedlikehold',
+    hoa: 'Felleskostnader',
+    propertyTax: 'Eiendomsskatt',
+    rentalIncome: 'Leieinntekt'
+};
+
+// Ingen egne satser: alt følger inflasjonen
+export const DEFAULT_COST_ESCALATION = {};
+
+export const DEFAULT_MAINTENANCE_PLAN = { mode: 'amount', percentOfValue: 1, renovations: [] };
+
+/**
+ * Yearly growth rate of one item, in percent.
+ * @param {object} [escalation] { default?, municipalDues?, homeInsurance?, maintenance?, hoa?, propertyTax?, rentalIncome? }
+ * @param {string} item Key of COST_ITEMS
+ * @param {number} [inflation] Used when neither the item nor the default has a rate
+ */
+export const escalationRate = (escalation, item, inflation = 0) => {
+    const rates = escalation || DEFAULT_COST_ESCALATION;
+    if (typeof rates[item] === 'number') return rates[item];
+    return typeof rates.default === 'number' ? rates.default : inflation;
+};
+
+/**
+ * Ordinary maintenance in loan year `year`, kr/år, without renovations.
+ * With maintenancePlan.mode 'percent' it is percentOfValue of the property
+ * value that year; otherwise `maintenance` grown at its escalation rate.
+ */
+export const annualMaintenance = ({ maintenance = 0, maintenancePlan, propertyValue = 0, annualAppreciation = 0, escalation, inflation = 0 }, year = 1) => (
+    maintenancePlan && maintenancePlan.mode === 'percent'
+        ? propertyValue * Math.pow(1 + annualAppreciation / 100, year - 1) * (maintenancePlan.percentOfValue || 0) / 100
+        : maintenance * costGrowth(escalationRate(escalation, 'maintenance', inflation), year)
+);
+
+/**
+ * Running costs and rental income month by month from the purchase.
+ * Renovations are given in today's kroner, grow at the maintenance rate and
+ * are paid in the first month of their year.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.months
+ * @param {object} [inputs.escalation] Growth rates per item; see escalationRate()
+ * @param {object} [inputs.maintenancePlan] { mode: 'amount'|'percent', percentOfValue, renovations: [{ year, amount, label }] }
+ * @param {number} [inputs.propertyValue] For maintenance as a share of the value
+ * @param {number} [inputs.annualAppreciation]
+ * @returns {{ costs: number[], rents: number[], rentGrowth: number[] }} kr/mnd; rentGrowth is the rent level relative to month 1
+ */
+export const buildRunningCosts = ({
+    months,
+    municipalDues = 0,
+    homeInsurance = 0,
+    propertyTax = 0,
+    maintenance = 0,
+    hoa = 0,
+    rentalIncome = 0,
+    inflation = 0,
+    escalation,
+    maintenancePlan,
+    propertyValue = 0,
+    annualAppreciation = 0
+}) => {
+    const grown = (item, amount, year) => amount * costGrowth(escalationRate(escalation, item, inflation), year);
+    const renovations = (maintenancePlan && maintenancePlan.renovations) || [];
+    const costs = [];
+    const rents = [];
+    const rentGrowth = [];
+    for (let i = 0; i < months; i++) {
+        const year = Math.floor(i / 12) + 1;
+        const renovation = i % 12 === 0
+            ? renovations.filter(item => item.year === year).reduce((sum, item) => sum + grown('maintenance', item.amount || 0, year), 0)
+            : 0;
+        costs.push(
+            (grown('municipalDues', municipalDues, year) + grown('homeInsurance', homeInsurance, year) + grown('propertyTax', propertyTax, year)) / 12
+            + grown('hoa', hoa, year)
+            + annualMaintenance({ maintenance, maintenancePlan, propertyValue, annualAppreciation, escalation, inflation }, year) / 12
+            + renovation
+        );
+        rentGrowth.push(costGrowth(escalationRate(escalation, 'rentalIncome', inflation), year));
+        rents.push(rentalIncome * rentGrowth[i]);
+    }
+    return { costs, rents, rentGrowth };
+};
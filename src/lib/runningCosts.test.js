@@ -0,0 +1,51 @@
+import { annualMaintenance, buildRunningCosts, escalationRate } from './runningCosts';
+
+describe('escalationRate', () => {
+  test('uses the item rate, then the shared default, then inflation', () => {
+    const escalation = { default: 3, hoa: 4 };
+    expect(escalationRate(escalation, 'hoa', 2)).toBe(4);
+    expect(escalationRate(escalation, 'homeInsurance', 2)).toBe(3);
+    expect(escalationRate({}, 'homeInsurance', 2)).toBe(2);
+    expect(escalationRate(undefined, 'homeInsurance')).toBe(0);
+  });
+});
+
+describe('annualMaintenance', () => {
+  test('grows a fixed amount at the maintenance rate', () => {
+    expect(annualMaintenance({ maintenance: 24000, escalation: { maintenance: 5 } }, 3)).toBeCloseTo(24000 * 1.05 * 1.05, 6);
+  });
+
+  test('follows the property value as a share of it', () => {
+    const inputs = { maintenance: 24000, maintenancePlan: { mode: 'percent', percentOfValue: 1, renovations: [] }, propertyValue: 5000000, annualAppreciation: 3 };
+    expect(annualMaintenance(inputs)).toBe(50000);
+    expect(annualMaintenance(inputs, 2)).toBeCloseTo(51500, 6);
+  });
+});
+
+describe('buildRunningCosts', () => {
+  const inputs = { months: 36, municipalDues: 12000, homeInsurance: 6000, maintenance: 12000, hoa: 1000, rentalIncome: 5000 };
+
+  test('grows each item at its own rate once a year', () => {
+    const { costs, rents, rentGrowth } = buildRunningCosts({ ...inputs, inflation: 2, escalation: { municipalDues: 6, rentalIncome: 3 } });
+    expect(costs).toHaveLength(36);
+    expect(costs[0]).toBeCloseTo(1000 + 500 + 1000 + 1000, 6);
+    expect(costs[11]).toBe(costs[0]);
+    expect(costs[12]).toBeCloseTo(1000 * 1.06 + (500 + 1000 + 1000) * 1.02, 6);
+    expect(rentGrowth[24]).toBeCloseTo(1.0609, 10);
+    expect(rents[24]).toBeCloseTo(5000 * 1.0609, 6);
+  });
+
+  test('pays renovations in the first month of their year, grown at the maintenance rate', () => {
+    const maintenancePlan = { mode: 'amount', renovations: [{ year: 3, amount: 200000, label: 'Bad' }] };
+    const plain = buildRunningCosts({ ...inputs, inflation: 2 });
+    const { costs } = buildRunningCosts({ ...inputs, inflation: 2, maintenancePlan, escalation: { maintenance: 5 } });
+    expect(costs[24] - costs[25]).toBeCloseTo(200000 * 1.05 * 1.05, 6);
+    expect(costs[23] - plain.costs[23]).toBeCloseTo(1000 * (1.05 - 1.02), 6);
+  });
+
+  test('stays flat without any growth', () => {
+    const { costs, rents } = buildRunningCosts(inputs);
+    expect(new Set(costs).size).toBe(1);
+    expect(new Set(rents).size).toBe(1);
+  });
+});
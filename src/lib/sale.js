@@ -0,0 +1,106 @@
+// Selling the home after a chosen number of years: transaction costs, gain tax
+// and what each owner is left with once the loans are repaid.
+
+// Typiske salgskostnader: provisjon til megler og et fast beløp for markedsføring og oppgjør
+export const SALE_COST_DEFAULTS = {
+    brokerFeeRate: 1.5,
+    marketingCost: 30000
+};
+
+// Restgjeld etter `months` måneder (opprinnelig lånebeløp ved måned 0), også for fellesgjeld
+const balanceAfter = (rows, months) => {
+    if (!rows || rows.length === 0) return 0;
+    if (months === 0) return rows[0].balance + rows[0].principal;
+    return rows[Math.min(months, rows.length) - 1].balance;
+};
+
+/**
+ * Costs of selling at `salePrice`.
+ *
+ * The gain is sale price minus purchase price, the costs of buying
+ * (`acquisitionCosts`) and the costs of selling. For a borettslag unit both
+ * prices include the fellesgjeld at the time. The gain is only taxed when
+ * `gainTaxRate` is set, i.e. for a home that is not the owners' primary
+ * residence; a loss then gives a deduction (negative tax).
+ *
+ * @param {object} inputs
+ * @param {number} inputs.salePrice
+ * @param {number} inputs.purchasePrice
+ * @param {number} [inputs.acquisitionCosts] Dokumentavgift and tinglysing at purchase (see calculateClosingCosts)
+ * @param {number} [inputs.sharedDebtAtPurchase] Fellesgjeld taken over at purchase
+ * @param {number} [inputs.sharedDebtAtSale] Fellesgjeld the buyer takes over
+ * @param {number} [inputs.brokerFeeRate] Meglerhonorar, percent of the sale price
+ * @param {number} [inputs.marketingCost] Markedsføring and oppgjør, kr
+ * @param {number} [inputs.gainTaxRate] Percent; 0 for a primary home
+ * @returns {{ brokerFee: number, marketingCost: number, gain: number, gainTax: number, total: number }}
+ */
+export const calculateSaleCosts = ({
+    salePrice,
+    purchasePrice,
+    acquisitionCosts = 0,
+    sharedDebtAtPurchase = 0,
+    sharedDebtAtSale = 0,
+    brokerFeeRate = SALE_COST_DEFAULTS.brokerFeeRate,
+    marketingCost = SALE_COST_DEFAULTS.marketingCost,
+    gainTaxRate = 0
+}) => {
+    const brokerFee = salePrice * brokerFeeRate / 100;
+    const gain = (salePrice + sharedDebtAtSale) - (purchasePrice + sharedDebtAtPurchase) - acquisitionCosts - brokerFee - marketingCost;
+    const gainTax = gain * gainTaxRate / 100;
+    return { brokerFee, marketingCost, gain, gainTax, total: brokerFee + marketingCost + gainTax };
+};
+
+/**
+ * Sale after `year` years: the price follows `annualAppreciation`, the debt
+ * each participant's own schedule. Each owner gets their ownership share of
+ * the price after costs and tax, and repays their own loan from it. For a
+ * borettslag unit the total price (including fellesgjeld) follows the market,
+ * and the buyer takes over the fellesgjeld that is left.
+ *
+ * @param {object} inputs
+ * @param {object[]} inputs.participants { ownershipShare } in percent
+ * @param {object[][]} inputs.schedules Amortization rows per participant
+ * @param {number} inputs.propertyValue Purchase price
+ * @param {number} inputs.annualAppreciation Percent per year
+ * @param {number} inputs.year
+ * @param {number} [inputs.brokerFeeRate]
+ * @param {number} [inputs.marketingCost]
+ * @param {number} [inputs.gainTaxRate]
+ * @param {number} [inputs.acquisitionCosts]
+ * @param {object[]} [inputs.sharedDebtSchedule] Fellesgjeld (buildSharedDebtSchedule)
+ * @returns {{ year: number, salePrice: number, debt: number, brokerFee: number, marketingCost: number, gain: number, gainTax: number, total: number, netProceeds: number, persons: Array<{ saleShare: number, costs: number, debt: number, netProceeds: number }> }}
+ */
+export const calculateSale = ({ participants, schedules, propertyValue, annualAppreciation, year, sharedDebtSchedule = [], ...costInputs }) => {
+    const sharedDebtAtPurchase = balanceAfter(sharedDebtSchedule, 0);
+    const sharedDebtAtSale = balanceAfter(sharedDebtSchedule, year * 12);
+    const salePrice = (propertyValue + sharedDebtAtPurchase) * Math.pow(1 + annualAppreciation / 100, year) - sharedDebtAtSale;
+    const costs = calculateSaleCosts({ salePrice, purchasePrice: propertyValue, sharedDebtAtPurchase, sharedDebtAtSale, ...costInputs });
+    const debts = schedules.map(rows => balanceAfter(rows, year * 12));
+    const debt = debts.reduce((sum, amount) => sum + amount, 0);
+
+    return {
+        year,
+        salePrice,
+        debt,
+        ...costs,
+        netProceeds: salePrice - costs.total - debt,
+        persons: participants.map((participant, i) => {
+            const ownership = (participant.ownershipShare || 0) / 100;
+            const personDebt = debts[i] || 0;
+            return {
+                saleShare: ownership * salePrice,
+                costs: ownership * costs.total,
+                debt: personDebt,
+                netProceeds: ownership * (salePrice - costs.total) - personDebt
+            };
+        })
+    };
+};
+
+/**
+ * Net proceeds if the home is sold at the end of each year from 1 to `years`.
+ * @param {object} inputs As for calculateSale, with `years` instead of `year`
+ * @returns {object[]} One calculateSale() result per year
+ */
+export const calculateSaleCurve = ({ years, ...inputs }) =>
+    Array.from({ length: Math.max(0, years) }, (_, i) => calculateSale({ ...inputs, year: i + 1 }));
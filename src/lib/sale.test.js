@@ -0,0 +1,78 @@
+import { buildAmortization } from './amortization';
+import { calculateSale, calculateSaleCosts, calculateSaleCurve } from './sale';
+import { buildSharedDebtSchedule } from './sharedDebt';
+
+// 60/40 eierskap: 4 MNOK bolig, lån på 2 og 1 MNOK
+const participants = [
+  { name: 'A', ownershipShare: 60 },
+  { name: 'B', ownershipShare: 40 }
+];
+const schedules = [2000000, 1000000].map(amount => buildAmortization({ amount, interestRate: 5, loanTerm: 25 }));
+const base = { participants, schedules, propertyValue: 4000000, annualAppreciation: 3, brokerFeeRate: 1.5, marketingCost: 30000 };
+
+describe('calculateSaleCosts', () => {
+  test('charges broker fee and marketing, tax free for a primary home', () => {
+    const costs = calculateSaleCosts({ salePrice: 5000000, purchasePrice: 4000000, brokerFeeRate: 2, marketingCost: 40000 });
+    expect(costs).toEqual({ brokerFee: 100000, marketingCost: 40000, gain: 860000, gainTax: 0, total: 140000 });
+  });
+
+  test('taxes the gain after costs when a rate is given', () => {
+    const costs = calculateSaleCosts({ salePrice: 5000000, purchasePrice: 4000000, brokerFeeRate: 2, marketingCost: 40000, gainTaxRate: 22 });
+    expect(costs.gainTax).toBeCloseTo(860000 * 0.22, 6);
+    expect(costs.total).toBeCloseTo(140000 + 860000 * 0.22, 6);
+  });
+
+  test('counts the costs of buying and the fellesgjeld on both sides of the gain', () => {
+    const costs = calculateSaleCosts({
+      salePrice: 3000000, purchasePrice: 2000000, acquisitionCosts: 50000,
+      sharedDebtAtPurchase: 1000000, sharedDebtAtSale: 800000, brokerFeeRate: 2, marketingCost: 40000, gainTaxRate: 22
+    });
+    expect(costs.gain).toBeCloseTo(3800000 - 3000000 - 50000 - 60000 - 40000, 6);
+    expect(costs.gainTax).toBeCloseTo(costs.gain * 0.22, 6);
+  });
+
+  test('a taxable loss gives a deduction', () => {
+    const costs = calculateSaleCosts({ salePrice: 3500000, purchasePrice: 4000000, brokerFeeRate: 0, marketingCost: 0, gainTaxRate: 22 });
+    expect(costs.gainTax).toBeCloseTo(-110000, 6);
+  });
+});
+
+describe('calculateSale', () => {
+  test('repays the remaining debt from the price after costs', () => {
+    const sale = calculateSale({ ...base, year: 6 });
+    const salePrice = 4000000 * Math.pow(1.03, 6);
+    const debt = schedules[0][71].balance + schedules[1][71].balance;
+    expect(sale.salePrice).toBeCloseTo(salePrice, 6);
+    expect(sale.debt).toBeCloseTo(debt, 6);
+    expect(sale.netProceeds).toBeCloseTo(salePrice * 0.985 - 30000 - debt, 4);
+  });
+
+  test('splits proceeds by ownership and subtracts each owner\'s own loan', () => {
+    const sale = calculateSale({ ...base, year: 6 });
+    const [a, b] = sale.persons;
+    expect(a.saleShare).toBeCloseTo(0.6 * sale.salePrice, 6);
+    expect(a.netProceeds).toBeCloseTo(0.6 * (sale.salePrice - sale.total) - schedules[0][71].balance, 4);
+    expect(b.netProceeds).toBeCloseTo(0.4 * (sale.salePrice - sale.total) - schedules[1][71].balance, 4);
+    expect(a.netProceeds + b.netProceeds).toBeCloseTo(sale.netProceeds, 4);
+  });
+});
+
+describe('calculateSale for a borettslag unit', () => {
+  test('taxes the gain on the total price, fellesgjeld included', () => {
+    const sharedDebtSchedule = buildSharedDebtSchedule({ amount: 1000000, interestRate: 5, remainingTerm: 30 });
+    const sale = calculateSale({ ...base, year: 6, sharedDebtSchedule, gainTaxRate: 22, acquisitionCosts: 585 });
+    const totalPrice = 5000000 * Math.pow(1.03, 6);
+    expect(sale.salePrice).toBeCloseTo(totalPrice - sharedDebtSchedule[71].balance, 4);
+    expect(sale.gain).toBeCloseTo(totalPrice - 5000000 - 585 - sale.brokerFee - 30000, 4);
+  });
+});
+
+describe('calculateSaleCurve', () => {
+  test('has one sale per year and ends debt free', () => {
+    const curve = calculateSaleCurve({ ...base, years: 25 });
+    expect(curve).toHaveLength(25);
+    expect(curve[0].year).toBe(1);
+    expect(curve[5].netProceeds).toBeCloseTo(calculateSale({ ...base, year: 6 }).netProceeds, 6);
+    expect(curve[24].debt).toBeCloseTo(0, 4);
+  });
+});
@@ -0,0 +1,74 @@
+import { compareLoanTypes } from './amortization';
+import { desiredPaymentFor } from './budget';
+import { calculateAdvancedMetrics } from './metrics';
+import { calculateMonthlyCosts, calculateMortgage } from './mortgage';
+import { participantsFromPair, participantTotals } from './participants';
+import { annualMaintenance } from './runningCosts';
+
+/**
+ * Headline figures for one complete set of calculator inputs, computed the
+ * same way as the calculator: purchase, monthly costs and investment analysis.
+ * Used to compare saved scenarios without loading them.
+ *
+ * @param {object} inputs Everything calculateMortgage() takes, plus householdBudget
+ *   (the payment is solved from it when it sets the payment, see desiredPaymentFor()),
+ *   maintenance, annualAppreciation, requiredReturn, the sale inputs
+ *   (saleEnabled, saleYear, brokerFeeRate, marketingCost; gain tax for secondaryHome)
+ *   and inflation, with realValues for the investment analysis in today's kroner;
+ *   costEscalation and maintenancePlan as in calculateAdvancedMetrics()
+ * @returns {{ propertyValue: number, loanAmount: number, totalMonthlyCost: number, netMonthlyCost: number, totalInterest: number, realPropertyGain: number, investmentAdvantage: number }}
+ */
+export const calculateScenario = (inputs) => {
+    const {
+        interestRate, loanTerm, ratePath, prepayments, interestOnly,
+        municipalDues = 0, homeInsurance = 0,
+        maintenance = 0, hoa = 0, rentalIncome = 0, annualAppreciation, requiredReturn,
+        saleEnabled, saleYear, brokerFeeRate, marketingCost, secondaryHome, taxRate,
+        inflation = 0, realValues = false, costEscalation, maintenancePlan
+    } = inputs;
+
+    const mortgage = calculateMortgage({ ...inputs, desiredMonthlyPayment: desiredPaymentFor(inputs) });
+    const maintenanceCost = annualMaintenance({ maintenance, maintenancePlan, propertyValue: mortgage.propertyValue });
+    const costs = calculateMonthlyCosts({
+        monthlyPayment: mortgage.monthlyPayment, municipalDues, homeInsurance,
+        propertyTax: mortgage.propertyTax, maintenance: maintenanceCost, hoa: hoa + mortgage.sharedDebt.monthlyPayment, rentalIncome
+    });
+    const metrics = calculateAdvancedMetrics({
+        amortization: mortgage.amortization,
+        propertyValue: mortgage.propertyValue,
+        annualAppreciation,
+        requiredReturn,
+        totalDownPayment: participantTotals(inputs.participants || participantsFromPair(inputs)).downPayment,
+        loanAmount: mortgage.loanAmount,
+        totalInterest: mortgage.totalInterest,
+        municipalDues,
+        homeInsurance,
+        propertyTax: mortgage.propertyTax,
+        maintenance,
+        hoa,
+        rentalIncome,
+        loanTypeComparison: compareLoanTypes({
+            loanAmount: mortgage.loanAmount, interestRate, loanTerm, ratePath, prepayments, interestOnly,
+            tranches: mortgage.tranches.filter(tranche => !tranche.main),
+            inflation: realValues ? inflation : 0
+        }),
+        sale: saleEnabled
+            ? { year: Math.min(saleYear, loanTerm), brokerFeeRate, marketingCost, gainTaxRate: secondaryHome ? taxRate : 0, acquisitionCosts: mortgage.closingCosts.acquisitionCosts }
+            : null,
+        sharedDebtSchedule: mortgage.sharedDebt.schedule,
+        inflation,
+        real: realValues,
+        escalation: costEscalation,
+        maintenancePlan
+    });
+
+    return {
+        propertyValue: mortgage.propertyValue,
+        loanAmount: mortgage.loanAmount,
+        totalMonthlyCost: costs.totalMonthlyCost,
+        netMonthlyCost: costs.netMonthlyCost,
+        totalInterest: mortgage.totalInterest,
+        realPropertyGain: metrics.realPropertyGain,
+        investmentAdvantage: metrics.investmentAdvantage
+    };
+};
@@ -0,0 +1,103 @@
+import { calculateScenario } from './scenario';
+import { calculateAdvancedMetrics } from './metrics';
+import { calculateMortgage } from './mortgage';
+import { compareLoanTypes } from './amortization';
+import { budgetDesiredPayment } from './budget';
+import { createParticipant } from './participants';
+
+const inputs = {
+  calculationMode: 'byPrice',
+  propertyValue: 5000000,
+  downPayment1: 1000000,
+  downPayment2: 0,
+  ownershipSplit: 100,
+  interestRate: 5,
+  loanTerm: 25,
+  loanType: 'annuity',
+  propertyTaxMode: 'custom',
+  customPropertyTaxAmount: 6000,
+  municipalDues: 12000,
+  homeInsurance: 6000,
+  maintenance: 24000,
+  hoa: 1000,
+  rentalIncome: 0,
+  annualAppreciation: 3,
+  requiredReturn: 5
+};
+
+describe('calculateScenario', () => {
+  test('matches the purchase and investment analysis', () => {
+    const scenario = calculateScenario(inputs);
+    const mortgage = calculateMortgage(inputs);
+    const metrics = calculateAdvancedMetrics({
+      ...inputs,
+      amortization: mortgage.amortization,
+      totalDownPayment: 1000000,
+      loanAmount: mortgage.loanAmount,
+      totalInterest: mortgage.totalInterest,
+      propertyTax: 6000,
+      loanTypeComparison: compareLoanTypes({ loanAmount: mortgage.loanAmount, interestRate: 5, loanTerm: 25 })
+    });
+
+    expect(scenario.propertyValue).toBe(5000000);
+    expect(scenario.loanAmount).toBe(4000000);
+    expect(scenario.totalInterest).toBeCloseTo(mortgage.totalInterest, 6);
+    expect(scenario.totalMonthlyCost).toBeCloseTo(mortgage.monthlyPayment + (12000 + 6000 + 6000 + 24000) / 12 + 1000, 6);
+    expect(scenario.realPropertyGain).toBeCloseTo(metrics.realPropertyGain, 6);
+    expect(scenario.investmentAdvantage).toBeCloseTo(metrics.investmentAdvantage, 6);
+  });
+
+  test('a higher rate costs more', () => {
+    const low = calculateScenario(inputs);
+    const high = calculateScenario({ ...inputs, interestRate: 6 });
+    expect(high.totalMonthlyCost).toBeGreaterThan(low.totalMonthlyCost);
+    expect(high.totalInterest).toBeGreaterThan(low.totalInterest);
+    expect(high.realPropertyGain).toBeLessThan(low.realPropertyGain);
+  });
+
+  test('pays fellesgjeld through the felleskostnader of a borettslag unit', () => {
+    const cooperative = { ...inputs, propertyType: 'cooperative', establishmentFee: 0, sharedDebt: 1200000, sharedDebtRate: 5, sharedDebtTerm: 30 };
+    const scenario = calculateScenario(cooperative);
+    const mortgage = calculateMortgage(cooperative);
+    expect(scenario.totalMonthlyCost).toBeCloseTo(
+      mortgage.monthlyPayment + (12000 + 6000 + 6000 + 24000) / 12 + 1000 + mortgage.sharedDebt.monthlyPayment, 6
+    );
+  });
+
+  test('maintenance as a share of the value and cost escalation', () => {
+    const maintenancePlan = { mode: 'percent', percentOfValue: 1, renovations: [] };
+    const scenario = calculateScenario({ ...inputs, maintenancePlan });
+    const mortgage = calculateMortgage(inputs);
+    expect(scenario.totalMonthlyCost).toBeCloseTo(mortgage.monthlyPayment + (12000 + 6000 + 6000 + 50000) / 12 + 1000, 6);
+    expect(calculateScenario({ ...inputs, costEscalation: { default: 4 } }).realPropertyGain).toBeLessThan(calculateScenario(inputs).realPropertyGain);
+  });
+
+  test('ends the investment analysis in the sale year', () => {
+    const sale = { saleEnabled: true, saleYear: 5, brokerFeeRate: 1.5, marketingCost: 20000 };
+    const scenario = calculateScenario({ ...inputs, ...sale });
+    const mortgage = calculateMortgage(inputs);
+    const metrics = calculateAdvancedMetrics({
+      ...inputs,
+      amortization: mortgage.amortization,
+      totalDownPayment: 1000000,
+      loanAmount: mortgage.loanAmount,
+      totalInterest: mortgage.totalInterest,
+      propertyTax: 6000,
+      loanTypeComparison: compareLoanTypes({ loanAmount: mortgage.loanAmount, interestRate: 5, loanTerm: 25 }),
+      sale: { year: 5, brokerFeeRate: 1.5, marketingCost: 20000, gainTaxRate: 0 }
+    });
+    expect(scenario.investmentAdvantage).toBeCloseTo(metrics.investmentAdvantage, 6);
+    expect(scenario.realPropertyGain).not.toBeCloseTo(calculateScenario(inputs).realPropertyGain, 0);
+  });
+
+  test('solves the payment from the household budget when it sets the payment', () => {
+    const participants = [{ ...createParticipant(0), downPayment: 1000000, ownershipShare: 100, debtShare: 100, costShare: 100, income: 900000, netIncome: 60000 }];
+    const householdBudget = { enabled: true, children: 1, cars: 1, otherDebtPayment: 0, otherExpenses: 0, deriveDesiredPayment: true };
+    const budgeted = { ...inputs, calculationMode: 'byPayment', desiredMonthlyPayment: 10000, participants, householdBudget };
+    const payment = budgetDesiredPayment({ ...budgeted, ...householdBudget });
+    expect(payment).toBeGreaterThan(10000);
+    expect(calculateScenario(budgeted).propertyValue).toBeCloseTo(calculateMortgage({ ...budgeted, desiredMonthlyPayment: payment }).propertyValue, 6);
+    const manual = { ...budgeted, householdBudget: { ...householdBudget, deriveDesiredPayment: false } };
+    expect(calculateScenario(manual).propertyValue).toBeCloseTo(calculateMortgage(manual).propertyValue, 6);
+  });
+});
@@ -0,0 +1,101 @@
+// Sensitivity analysis: which assumptions drive the result.
+//
+// Each input is moved down and up by its own amount, one at a time, and the
+// whole purchase is recalculated with calculateScenario(). Rates move in
+// percentage points, amounts in percent of their value and the loan term in
+// years (see SENSITIVITY_STEPS).
+
+import { shiftRatePath } from './ratePath';
+import { calculateScenario } from './scenario';
+
+export const SENSITIVITY_METRICS = {
+    totalMonthlyCost: 'Månedskostnad',
+    investmentAdvantage: 'Kjøp mot leie og sparing',
+    realPropertyGain: 'Reell gevinst'
+};
+
+// kind: 'rate' (prosentpoeng), 'amount' (prosent av verdien) eller 'years'
+export const SENSITIVITY_INPUTS = {
+    interestRate: { label: 'Rente', kind: 'rate' },
+    annualAppreciation: { label: 'Prisvekst', kind: 'rate' },
+    requiredReturn: { label: 'Avkastningskrav', kind: 'rate' },
+    loanTerm: { label: 'Løpetid', kind: 'years' },
+    propertyValue: { label: 'Kjøpesum', kind: 'amount' },
+    desiredMonthlyPayment: { label: 'Ønsket terminbeløp', kind: 'amount' },
+    maintenance: { label: 'Vedlikehold', kind: 'amount' },
+    municipalDues: { label: 'Kommunale avgifter', kind: 'amount' },
+    homeInsurance: { label: 'Forsikring', kind: 'amount' },
+    hoa: { label: 'Felleskostnader', kind: 'amount' },
+    customPropertyTaxAmount: { label: 'Eiendomsskatt', kind: 'amount' },
+    rentalIncome: { label: 'Leieinntekt', kind: 'amount' }
+};
+
+export const SENSITIVITY_STEPS = { rate: 1, amount: 20, years: 5 };
+
+/**
+ * The inputs with `key` moved `offset` steps: offset -1 and 1 are the low and
+ * high case. A rate change moves the whole rate path with it.
+ *
+ * @returns {{ value: number, inputs: object }} The new value and the adjusted inputs
+ */
+export const adjustInput = (inputs, key, offset, steps = SENSITIVITY_STEPS) => {
+    const base = inputs[key] || 0;
+    const { kind } = SENSITIVITY_INPUTS[key];
+    if (kind === 'years') {
+        const value = Math.max(1, base + offset * steps.years);
+        return { value, inputs: { ...inputs, [key]: value } };
+    }
+    if (kind === 'amount') {
+        const value = Math.max(0, base * (1 + offset * steps.amount / 100));
+        return { value, inputs: { ...inputs, [key]: value } };
+    }
+    const value = Math.max(0, base + offset * steps.rate);
+    if (key === 'interestRate') {
+        return { value, inputs: { ...inputs, interestRate: value, ratePath: shiftRatePath(inputs.ratePath, value - base) } };
+    }
+    return { value, inputs: { ...inputs, [key]: value } };
+};
+
+/**
+ * Every input in `keys` recalculated with the low and the high case.
+ *
+ * @param {object} inputs Complete calculator inputs, as for calculateScenario()
+ * @returns {{ base: object, rows: { key: string, label: string, low: { value: number, result: object }, high: { value: number, result: object } }[] }}
+ */
+export const calculateSensitivity = ({ inputs, steps = SENSITIVITY_STEPS, keys = Object.keys(SENSITIVITY_INPUTS) }) => {
+    const run = (key, offset) => {
+        const adjusted = adjustInput(inputs, key, offset, steps);
+        return { value: adjusted.value, result: calculateScenario(adjusted.inputs) };
+    };
+    return {
+        base: calculateScenario(inputs),
+        rows: keys.map(key => ({ key, label: SENSITIVITY_INPUTS[key].label, low: run(key, -1), high: run(key, 1) }))
+    };
+};
+
+/**
+ * Tornado ranking for one metric: the change from the base case in the low
+ * and the high case, largest spread first. Inputs without effect are left out.
+ */
+export const rankSensitivity = ({ base, rows }, metric) => rows
+    .map(row => {
+        const low = row.low.result[metric] - base[metric];
+        const high = row.high.result[metric] - base[metric];
+        return { key: row.key, label: row.label, lowValue: row.low.value, highValue: row.high.value, low, high, spread: Math.abs(high - low) };
+    })
+    .filter(row => row.spread > 0.5)
+    .sort((a, b) => b.spread - a.spread);
+
+/**
+ * Two inputs moved together on a grid of `offsets` steps. `cells[i][j]` is
+ * the calculateScenario() result with y at yValues[i] and x at xValues[j].
+ */
+export const calculateHeatmap = ({ inputs, x, y, steps = SENSITIVITY_STEPS, offsets = [-2, -1, 0, 1, 2] }) => {
+    const xValues = offsets.map(offset => adjustInput(inputs, x, offset, steps).value);
+    const yValues = offsets.map(offset => adjustInput(inputs, y, offset, steps).value);
+    const cells = offsets.map(yOffset => {
+        const row = adjustInput(inputs, y, yOffset, steps).inputs;
+        return offsets.map(xOffset => calculateScenario(adjustInput(row, x, xOffset, steps).inputs));
+    });
+    return { x, y, xValues, yValues, cells };
+};
@@ -0,0 +1,74 @@
+import { adjustInput, calculateHeatmap, calculateSensitivity, rankSensitivity } from './sensitivity';
+import { calculateScenario } from './scenario';
+
+const inputs = {
+  calculationMode: 'byPrice',
+  propertyValue: 5000000,
+  downPayment1: 1000000,
+  downPayment2: 0,
+  ownershipSplit: 100,
+  interestRate: 5,
+  loanTerm: 25,
+  loanType: 'annuity',
+  propertyTaxMode: 'custom',
+  customPropertyTaxAmount: 0,
+  municipalDues: 12000,
+  homeInsurance: 6000,
+  maintenance: 24000,
+  hoa: 0,
+  rentalIncome: 0,
+  annualAppreciation: 3,
+  requiredReturn: 5
+};
+
+describe('adjustInput', () => {
+  test('moves rates in percentage points, amounts in percent and the term in years', () => {
+    expect(adjustInput(inputs, 'annualAppreciation', 1).value).toBe(4);
+    expect(adjustInput(inputs, 'maintenance', -1).value).toBeCloseTo(19200, 6);
+    expect(adjustInput(inputs, 'loanTerm', 2).value).toBe(35);
+    expect(adjustInput(inputs, 'loanTerm', -6).value).toBe(1);
+    expect(adjustInput(inputs, 'interestRate', -1, { rate: 0.5 }).value).toBe(4.5);
+  });
+
+  test('moves the rate path along with the rate', () => {
+    const ratePath = { type: 'steps', steps: [{ month: 13, rate: 6 }] };
+    const adjusted = adjustInput({ ...inputs, ratePath }, 'interestRate', 1).inputs;
+    expect(adjusted.interestRate).toBe(6);
+    expect(adjusted.ratePath.steps[0].rate).toBe(7);
+  });
+});
+
+describe('calculateSensitivity', () => {
+  const analysis = calculateSensitivity({ inputs });
+
+  test('recalculates the purchase with each input low and high', () => {
+    const rate = analysis.rows.find(row => row.key === 'interestRate');
+    expect(analysis.base).toEqual(calculateScenario(inputs));
+    expect(rate.low.result).toEqual(calculateScenario({ ...inputs, interestRate: 4 }));
+    expect(rate.high.result.totalMonthlyCost).toBeGreaterThan(analysis.base.totalMonthlyCost);
+  });
+
+  test('ranks the inputs by their impact and leaves out those without effect', () => {
+    const cost = rankSensitivity(analysis, 'totalMonthlyCost');
+    expect(cost[0].key).toBe('propertyValue');
+    expect(cost.map(row => row.key)).not.toContain('annualAppreciation');
+    expect(cost.map(row => row.key)).not.toContain('rentalIncome');
+    cost.slice(1).forEach((row, i) => expect(row.spread).toBeLessThanOrEqual(cost[i].spread));
+
+    const advantage = rankSensitivity(analysis, 'investmentAdvantage');
+    const appreciation = advantage.find(row => row.key === 'annualAppreciation');
+    expect(appreciation.high).toBeGreaterThan(0);
+    expect(appreciation.low).toBeLessThan(0);
+  });
+});
+
+describe('calculateHeatmap', () => {
+  test('moves two inputs together on a grid', () => {
+    const heatmap = calculateHeatmap({ inputs, x: 'annualAppreciation', y: 'interestRate', offsets: [-1, 0, 1] });
+    expect(heatmap.xValues).toEqual([2, 3, 4]);
+    expect(heatmap.yValues).toEqual([4, 5, 6]);
+    expect(heatmap.cells[1][1]).toEqual(calculateScenario(inputs));
+    expect(heatmap.cells[2][0]).toEqual(calculateScenario({ ...inputs, interestRate: 6, annualAppreciation: 2 }));
+    expect(heatmap.cells[0][2].investmentAdvantage).toBeGreaterThan(heatmap.cells[2][0].investmentAdvantage);
+  });
+});
@@ -0,0 +1,67 @@
+// Fellesgjeld: a borettslag unit's share of the cooperative's loan, paid
+// through the monthly felleskostnader.
+
+import { buildAmortization } from './amortization';
+
+/**
+ * Month-by-month schedule for a share of fellesgjeld: interest only until the
+ * avdragsfri period ends, then an annuity over the rest of the remaining term.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.amount The unit's share of fellesgjeld
+ * @param {number} inputs.interestRate The cooperative's rate in percent
+ * @param {number} [inputs.interestOnlyYears] Years left of the avdragsfri period
+ * @param {number} inputs.remainingTerm Years left of the loan, avdragsfri period included
+ * @returns {object[]} Rows shaped like buildAmortization()
+ */
+export const buildSharedDebtSchedule = ({ amount, interestRate, interestOnlyYears = 0, remainingTerm }) => {
+    if (!amount || amount <= 0 || !(remainingTerm > 0)) return [];
+    const interestOnlyMonths = Math.round(Math.min(Math.max(0, interestOnlyYears), remainingTerm) * 12);
+    const interest = amount * (interestRate / 100 / 12);
+
+    const interestOnly = Array.from({ length: interestOnlyMonths }, (_, i) => ({
+        month: i + 1,
+        rate: interestRate,
+        principal: 0,
+        interest,
+        extraPayment: 0,
+        lumpSum: 0,
+        totalPayment: interest,
+        balance: amount
+    }));
+    const repayment = buildAmortization({ amount, interestRate, loanTerm: remainingTerm - interestOnlyMonths / 12 })
+        .map(row => ({ ...row, month: row.month + interestOnlyMonths }));
+    return [...interestOnly, ...repayment];
+};
+
+/**
+ * Balance of a fellesgjeld schedule after `months` months (the full amount at month 0).
+ * Without repayment months left, the balance stays at the full amount.
+ */
+export const sharedDebtBalance = (rows, months) => {
+    if (!rows || rows.length === 0) return 0;
+    if (months === 0) return rows[0].balance + rows[0].principal;
+    return rows[Math.min(months, rows.length) - 1].balance;
+};
+
+/**
+ * Felleskostnader month by month: running costs (drift) plus the fellesgjeld
+ * payment, showing the jump when the avdragsfri period ends.
+ *
+ * @param {{ schedule: object[], hoa: number }} inputs `hoa` is the drift part, kr/mnd
+ * @returns {{ current: number, afterInterestOnly: number, jump: number, jumpMonth: number|null }}
+ */
+export const summarizeSharedDebt = ({ schedule, hoa = 0 }) => {
+    if (!schedule || schedule.length === 0) {
+        return { current: hoa, afterInterestOnly: hoa, jump: 0, jumpMonth: null };
+    }
+    const firstRepayment = schedule.find(row => row.principal > 0);
+    const current = hoa + schedule[0].totalPayment;
+    const afterInterestOnly = firstRepayment ? hoa + firstRepayment.totalPayment : current;
+    return {
+        current,
+        afterInterestOnly,
+        jump: afterInterestOnly - current,
+        jumpMonth: firstRepayment && schedule[0].principal === 0 ? firstRepayment.month : null
+    };
+};
@@ -0,0 +1,46 @@
+import { annuityPayment } from './amortization';
+import { buildSharedDebtSchedule, sharedDebtBalance, summarizeSharedDebt } from './sharedDebt';
+
+const schedule = buildSharedDebtSchedule({ amount: 1200000, interestRate: 5, interestOnlyYears: 3, remainingTerm: 30 });
+
+describe('buildSharedDebtSchedule', () => {
+  test('pays interest only until the avdragsfri period ends', () => {
+    expect(schedule).toHaveLength(360);
+    expect(schedule[0]).toMatchObject({ month: 1, principal: 0, interest: 5000, totalPayment: 5000, balance: 1200000 });
+    expect(schedule[35].principal).toBe(0);
+  });
+
+  test('then repays as an annuity over the rest of the term', () => {
+    expect(schedule[36].month).toBe(37);
+    expect(schedule[36].totalPayment).toBeCloseTo(annuityPayment(1200000, 5, 324), 6);
+    expect(schedule[359].balance).toBeCloseTo(0, 4);
+  });
+
+  test('is empty without fellesgjeld', () => {
+    expect(buildSharedDebtSchedule({ amount: 0, interestRate: 5, remainingTerm: 30 })).toEqual([]);
+  });
+});
+
+describe('sharedDebtBalance', () => {
+  test('starts at the full amount and follows the schedule', () => {
+    expect(sharedDebtBalance(schedule, 0)).toBe(1200000);
+    expect(sharedDebtBalance(schedule, 36)).toBe(1200000);
+    expect(sharedDebtBalance(schedule, 120)).toBeCloseTo(schedule[119].balance, 6);
+    expect(sharedDebtBalance([], 12)).toBe(0);
+  });
+});
+
+describe('summarizeSharedDebt', () => {
+  test('shows the jump in felleskostnader when repayment starts', () => {
+    const summary = summarizeSharedDebt({ schedule, hoa: 3000 });
+    expect(summary.current).toBe(8000);
+    expect(summary.afterInterestOnly).toBeCloseTo(3000 + annuityPayment(1200000, 5, 324), 6);
+    expect(summary.jump).toBeCloseTo(summary.afterInterestOnly - 8000, 6);
+    expect(summary.jumpMonth).toBe(37);
+  });
+
+  test('has no jump without an avdragsfri period', () => {
+    const repaying = buildSharedDebtSchedule({ amount: 1200000, interestRate: 5, remainingTerm: 30 });
+    expect(summarizeSharedDebt({ schedule: repaying, hoa: 3000 }).jumpMonth).toBeNull();
+  });
+});
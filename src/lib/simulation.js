@@ -0,0 +1,185 @@
+// Monte Carlo simulation of the interest rate and house prices.
+//
+// Every path draws monthly shocks for the floating rate and the house price,
+// correlated with `correlation`:
+//
+//   rate   The expected rate path (interestRate + ratePath) plus a deviation
+//          that mean-reverts towards 0 at `rateMeanReversion` per year, with
+//          `rateVolatility` percentage points of annual volatility. Never below 0.
+//   price  Grows with annualAppreciation in the median path, with
+//          `priceVolatility` percent of annual volatility; `priceMeanReversion`
+//          pulls it back towards that trend.
+//
+// Each path runs through the same loan engine and investment analysis as the
+// deterministic calculator, so P50 stays close to the single estimate.
+
+import { summarizeAmortization } from './amortization';
+import { deflate } from './inflation';
+import { calculateAdvancedMetrics } from './metrics';
+import { rateForMonth } from './ratePath';
+import { buildRunningCosts } from './runningCosts';
+import { sharedDebtBalance } from './sharedDebt';
+import { buildSplitLoan } from './tranches';
+
+export const SIMULATION_DEFAULTS = {
+    paths: 1000,
+    rateVolatility: 1.0,
+    rateMeanReversion: 0.3,
+    priceVolatility: 8.0,
+    priceMeanReversion: 0,
+    correlation: -0.4,
+    seed: 1
+};
+
+// Reproduserbar tilfeldighet (mulberry32), så samme input gir samme bånd
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Standard normalfordelt trekk (Box–Muller)
+const createNormal = (random) => () => {
+    const u = random() || Number.MIN_VALUE;
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * The p-th percentile (0–100) of an ascending array, interpolated linearly.
+ */
+export const percentile = (sorted, p) => {
+    if (sorted.length === 0) return 0;
+    const index = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(index);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const band = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return { p10: percentile(sorted, 10), p50: percentile(sorted, 50), p90: percentile(sorted, 90) };
+};
+
+/**
+ * One simulated path: the rate month by month and the house price index at
+ * the end of every month (1 at purchase).
+ *
+ * @param {object} inputs
+ * @param {number} inputs.months
+ * @param {number} inputs.interestRate Floating rate today
+ * @param {object} [inputs.ratePath] Expected rate path (see ratePath.js)
+ * @param {number} inputs.annualAppreciation Percent per year
+ * @param {() => number} inputs.normal Standard normal draws
+ * @returns {{ rates: number[], prices: number[] }}
+ */
+export const simulatePath = ({ months, interestRate, ratePath, annualAppreciation, normal, rateVolatility, rateMeanReversion, priceVolatility, priceMeanReversion, correlation }) => {
+    const dt = 1 / 12;
+    const rho = Math.max(-1, Math.min(1, correlation));
+    const trend = Math.log(1 + annualAppreciation / 100) * dt;
+    const rates = [];
+    const prices = [];
+    let rateDeviation = 0;
+    let priceDeviation = 0;
+    let logTrend = 0;
+    for (let month = 1; month <= months; month++) {
+        // Renten for måned 1 er kjent i dag; avviket starter etterpå
+        rates.push(Math.max(0, rateForMonth(ratePath, interestRate, month) + rateDeviation));
+        const rateShock = normal();
+        const priceShock = rho * rateShock + Math.sqrt(1 - rho * rho) * normal();
+        rateDeviation += -rateMeanReversion * rateDeviation * dt + rateVolatility * Math.sqrt(dt) * rateShock;
+        priceDeviation += -priceMeanReversion * priceDeviation * dt + (priceVolatility / 100) * Math.sqrt(dt) * priceShock;
+        logTrend += trend;
+        prices.push(Math.exp(logTrend + priceDeviation));
+    }
+    return { rates, prices };
+};
+
+/**
+ * Monte Carlo simulation of the purchase. Takes the loan inputs of
+ * buildSplitLoan() (with the household's tranches) and the inputs of
+ * calculateAdvancedMetrics(), and runs both on `paths` simulated rate and
+ * price paths.
+ *
+ * Returns P10/P50/P90 bands per year for net equity (property value minus
+ * the loan and any fellesgjeld) and the monthly housing cost, bands for the
+ * buy-vs-rent advantage (investmentAdvantage) and realPropertyGain, and the
+ * share of paths with negative equity at the end of any year. Running costs
+ * grow as in calculateAdvancedMetrics(); with `real` every band is in today's kroner.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.loanAmount
+ * @param {number} inputs.loanTerm
+ * @param {'annuity'|'serial'} [inputs.loanType]
+ * @param {object[]} [inputs.tranches] Household tranches other than the main one
+ * @param {object} [inputs.settings] Overrides SIMULATION_DEFAULTS
+ * @returns {object|null} null without a loan
+ */
+export const runSimulation = ({ loanAmount, loanTerm, loanType = 'annuity', interestRate, ratePath, tranches = [], prepayments, interestOnly, settings = {}, ...metricInputs }) => {
+    if (!loanAmount || loanAmount <= 0) return null;
+    const options = { ...SIMULATION_DEFAULTS, ...settings };
+    const normal = createNormal(createRandom(options.seed));
+    const months = Math.round(loanTerm * 12);
+    const { propertyValue, annualAppreciation, sale, sharedDebtSchedule = [], inflation = 0, real = false } = metricInputs;
+    const { costs: fixedCosts } = buildRunningCosts({ ...metricInputs, months });
+    const toToday = (amount, month) => (real ? deflate(amount, inflation, month) : amount);
+    // Borettslag: totalprisen følger prisene, og gjenværende fellesgjeld trekkes fra
+    const totalPrice = propertyValue + sharedDebtBalance(sharedDebtSchedule, 0);
+    const sharedPayment = (month) => (sharedDebtSchedule[month] ? sharedDebtSchedule[month].totalPayment : 0);
+
+    const years = [];
+    const outcomes = [];
+    let negativeEquityPaths = 0;
+    for (let i = 0; i < Math.max(1, Math.round(options.paths)); i++) {
+        const path = simulatePath({ ...options, months, interestRate, ratePath, annualAppreciation, normal });
+        const split = buildSplitLoan({ amount: loanAmount, share: 1, tranches, interestRate, loanTerm, loanType, ratePath: { type: 'series', rates: path.rates }, prepayments, interestOnly });
+        const amortization = split[loanType] || split.annuity;
+        const heldMonths = Math.min(amortization.length, sale ? Math.max(1, sale.year) * 12 : amortization.length);
+        const heldYears = Math.ceil(heldMonths / 12);
+
+        // Analysen bruker den årlige prisveksten som gir simulert boligverdi ved slutten
+        const growth = Math.pow(path.prices[heldMonths - 1], 12 / heldMonths) - 1;
+        const metrics = calculateAdvancedMetrics({
+            ...metricInputs,
+            amortization,
+            annualAppreciation: growth * 100,
+            loanAmount,
+            totalInterest: summarizeAmortization(amortization).totalInterest,
+            loanTypeComparison: null
+        });
+        outcomes.push({ investmentAdvantage: metrics.investmentAdvantage, realPropertyGain: metrics.realPropertyGain });
+
+        let negative = false;
+        for (let year = 1; year <= heldYears; year++) {
+            const last = Math.min(year * 12, heldMonths) - 1;
+            const rows = amortization.slice((year - 1) * 12, last + 1);
+            const equity = toToday(totalPrice * path.prices[last] - sharedDebtBalance(sharedDebtSchedule, last + 1) - amortization[last].balance, last + 1);
+            if (equity < 0) negative = true;
+            if (!years[year - 1]) years[year - 1] = { equity: [], monthlyCost: [] };
+            years[year - 1].equity.push(equity);
+            const paid = rows.reduce((sum, row, j) => {
+                const month = (year - 1) * 12 + j;
+                return sum + toToday(row.totalPayment + sharedPayment(month) + fixedCosts[month], month + 1);
+            }, 0);
+            years[year - 1].monthlyCost.push(paid / rows.length);
+        }
+        if (negative) negativeEquityPaths++;
+    }
+
+    return {
+        paths: outcomes.length,
+        years: years.map((year, i) => ({
+            year: i + 1,
+            paths: year.equity.length,
+            equity: band(year.equity),
+            monthlyCost: band(year.monthlyCost)
+        })),
+        investmentAdvantage: band(outcomes.map(outcome => outcome.investmentAdvantage)),
+        realPropertyGain: band(outcomes.map(outcome => outcome.realPropertyGain)),
+        negativeEquityProbability: negativeEquityPaths / outcomes.length
+    };
+};
@@ -0,0 +1,94 @@
+import { percentile, runSimulation, simulatePath, SIMULATION_DEFAULTS } from './simulation';
+import { buildAmortization, summarizeAmortization } from './amortization';
+import { calculateAdvancedMetrics } from './metrics';
+
+const purchase = {
+  loanAmount: 4000000,
+  loanTerm: 25,
+  interestRate: 5,
+  propertyValue: 5000000,
+  annualAppreciation: 3,
+  requiredReturn: 5,
+  totalDownPayment: 1000000,
+  municipalDues: 15000,
+  maintenance: 24000
+};
+const still = { rateVolatility: 0, priceVolatility: 0 };
+
+describe('percentile', () => {
+  test('interpolates between the sorted values', () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([0, 10], 10)).toBeCloseTo(1, 10);
+    expect(percentile([], 90)).toBe(0);
+  });
+});
+
+describe('simulatePath', () => {
+  const path = (settings) => {
+    let draws = 0;
+    return simulatePath({ ...SIMULATION_DEFAULTS, ...settings, months: 24, interestRate: 5, annualAppreciation: 3, normal: () => (draws++ % 2 === 0 ? 1 : 0) });
+  };
+
+  test('follows the expected rate and appreciation without volatility', () => {
+    const { rates, prices } = path(still);
+    expect(rates.every(rate => rate === 5)).toBe(true);
+    expect(prices[11]).toBeCloseTo(1.03, 10);
+    expect(prices[23]).toBeCloseTo(1.03 * 1.03, 10);
+  });
+
+  test('starts from today\'s rate and moves prices against the rate', () => {
+    const { rates, prices } = path({ correlation: -1 });
+    expect(rates[0]).toBe(5);
+    expect(rates[1]).toBeGreaterThan(5);
+    expect(prices[11]).toBeLessThan(1.03);
+  });
+});
+
+describe('runSimulation', () => {
+  test('collapses to the deterministic calculation without volatility', () => {
+    const result = runSimulation({ ...purchase, settings: { ...still, paths: 3 } });
+    const amortization = buildAmortization({ amount: 4000000, interestRate: 5, loanTerm: 25 });
+    const metrics = calculateAdvancedMetrics({ ...purchase, amortization, totalInterest: summarizeAmortization(amortization).totalInterest });
+    expect(result.paths).toBe(3);
+    expect(result.years).toHaveLength(25);
+    expect(result.years[0].equity.p10).toBeCloseTo(5000000 * 1.03 - amortization[11].balance, 2);
+    expect(result.years[0].monthlyCost.p90).toBeCloseTo(amortization[0].totalPayment + 39000 / 12, 6);
+    expect(result.investmentAdvantage.p50).toBeCloseTo(metrics.investmentAdvantage, 0);
+    expect(result.realPropertyGain.p10).toBeCloseTo(metrics.realPropertyGain, 0);
+    expect(result.negativeEquityProbability).toBe(0);
+  });
+
+  test('grows the running costs and shows today\'s kroner with inflation', () => {
+    const real = runSimulation({ ...purchase, inflation: 2, real: true, settings: { ...still, paths: 3 } });
+    const amortization = buildAmortization({ amount: 4000000, interestRate: 5, loanTerm: 25 });
+    expect(real.years[0].equity.p50).toBeCloseTo((5000000 * 1.03 - amortization[11].balance) / 1.02, 2);
+    expect(real.years[10].equity.p50).toBeCloseTo((5000000 * Math.pow(1.03, 11) - amortization[131].balance) / Math.pow(1.02, 11), 2);
+    const secondYear = amortization.slice(12, 24).reduce((sum, row) => sum + (row.totalPayment + 39000 / 12 * 1.02) / Math.pow(1.02, row.month / 12), 0) / 12;
+    expect(real.years[1].monthlyCost.p50).toBeCloseTo(secondYear, 6);
+  });
+
+  test('spreads the outcomes into ordered bands and is reproducible', () => {
+    const inputs = { ...purchase, settings: { paths: 200 } };
+    const result = runSimulation(inputs);
+    const year = result.years[9];
+    expect(year.equity.p10).toBeLessThan(year.equity.p50);
+    expect(year.equity.p50).toBeLessThan(year.equity.p90);
+    expect(year.monthlyCost.p10).toBeLessThan(year.monthlyCost.p90);
+    expect(result.investmentAdvantage.p10).toBeLessThan(result.investmentAdvantage.p90);
+    expect(runSimulation(inputs)).toEqual(result);
+  });
+
+  test('counts the paths that end a year under water', () => {
+    const thin = { ...purchase, totalDownPayment: 250000, loanAmount: 4750000 };
+    const calm = runSimulation({ ...thin, settings: { paths: 200, priceVolatility: 2 } });
+    const wild = runSimulation({ ...thin, settings: { paths: 200, priceVolatility: 20 } });
+    expect(wild.negativeEquityProbability).toBeGreaterThan(calm.negativeEquityProbability);
+    expect(wild.negativeEquityProbability).toBeGreaterThan(0.2);
+  });
+
+  test('stops at the sale year and returns null without a loan', () => {
+    const result = runSimulation({ ...purchase, sale: { year: 5, brokerFeeRate: 1.5, marketingCost: 20000, gainTaxRate: 0 }, settings: { paths: 20 } });
+    expect(result.years).toHaveLength(5);
+    expect(runSimulation({ ...purchase, loanAmount: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+// Rate stress for the monthly budget: what the loans cost if the rate rises.
+//
+// Without a shock the payment is the schedule's own at the chosen month. With
+// one, the interest follows the higher rate and the principal follows the
+// schedule's rules: an annuity is recalculated over the months left, as a bank
+// does after a rate change, a serial loan keeps its principal and an
+// interest-only month stays interest-only. Prepayments are paid as before.
+// Running costs are those of the chosen month, grown as in buildRunningCosts();
+// fellesgjeld gets the same rate increase on its balance.
+
+import { annuityPayment } from './amortization';
+import { priceIndex } from './inflation';
+import { buildRunningCosts } from './runningCosts';
+import { sharedDebtBalance } from './sharedDebt';
+
+// Renteøkninger i prosentpoeng; 0 er renten i dag
+export const RATE_STRESS_SHIFTS = [0, 1, 2, 3, 5];
+
+// Termin og renter første måned etter renteendringen, uten engangsinnbetalinger
+const stressedPayment = ({ row, balance, months, loanType }, shift) => {
+    const extra = row.extraPayment || 0;
+    const scheduled = row.principal - extra - (row.lumpSum || 0);
+    const rate = row.rate + shift;
+    const interest = balance * rate / 100 / 12;
+    if (shift === 0) return { totalPayment: scheduled + row.interest + extra, interest: row.interest };
+    if (scheduled <= 0 || loanType === 'serial') return { totalPayment: scheduled + interest + extra, interest };
+    // Annuiteten regnes om over gjenstående løpetid, fra planens eget terminbeløp
+    const factor = annuityPayment(1, rate, months) / annuityPayment(1, row.rate, months);
+    return { totalPayment: (scheduled + row.interest) * factor + extra, interest };
+};
+
+/**
+ * Monthly payments and costs with the rate `shifts` percentage points higher,
+ * from `month` on, per borrower and for the household.
+ *
+ * Per borrower the payment after rentefradrag (interest times taxRate) is
+ * included. `budgetRate` is the rate at which the household's total monthly
+ * cost passes `budget` (null without a budget or if it never does below
+ * 30 %); `overBudget` flags each shift.
+ *
+ * @param {object} inputs
+ * @param {object[][]} inputs.schedules Each borrower's schedule for the chosen loan type
+ * @param {'annuity'|'serial'} [inputs.loanType]
+ * @param {number} inputs.month Month the rate rises from (1 = now)
+ * @param {number} [inputs.taxRate] Rentefradrag in percent
+ * @param {number} [inputs.budget] Ceiling for the total monthly cost, kr/mnd
+ * @param {object[]} [inputs.sharedDebtSchedule] Fellesgjeld of a borettslag unit
+ * @param {number} [inputs.inflation] Percent per year; running costs grow with it unless `escalation` says otherwise
+ * @param {boolean} [inputs.real] Every cost in today's kroner at `month`, deflated by the same index;
+ *   the budget is in today's kroner then
+ * @param {object} [inputs.escalation] Growth rates per cost item; see buildRunningCosts()
+ * @param {object} [inputs.maintenancePlan] Renovations are left out: they are not a monthly cost
+ * @returns {object|null} null when the loans are repaid before `month`
+ */
+export const calculateRateStress = ({
+    schedules,
+    loanType = 'annuity',
+    month = 1,
+    taxRate = 0,
+    budget = 0,
+    municipalDues = 0,
+    homeInsurance = 0,
+    propertyTax = 0,
+    maintenance = 0,
+    hoa = 0,
+    rentalIncome = 0,
+    sharedDebtSchedule = [],
+    inflation = 0,
+    real = false,
+    escalation,
+    maintenancePlan,
+    propertyValue = 0,
+    annualAppreciation = 0,
+    shifts = RATE_STRESS_SHIFTS
+}) => {
+    const loans = schedules.map(rows => {
+        const row = rows[month - 1];
+        if (!row) return null;
+        return { row, balance: row.balance + row.principal, rate: row.rate, months: rows.length - month + 1 };
+    });
+    if (loans.every(loan => !loan)) return null;
+
+    // Driftskostnadene i stressmåneden, uten engangsoppussing
+    const running = buildRunningCosts({
+        months: month,
+        municipalDues,
+        homeInsurance,
+        propertyTax,
+        maintenance,
+        hoa,
+        rentalIncome,
+        inflation,
+        escalation,
+        maintenancePlan: maintenancePlan && { ...maintenancePlan, renovations: [] },
+        propertyValue,
+        annualAppreciation
+    });
+    // Alt i dagens kroner i stressmåneden med samme indeks
+    const index = real ? priceIndex(inflation, month) : 1;
+    const fixedCosts = running.costs[month - 1] / index;
+    const rent = running.rents[month - 1] / index;
+    const sharedRow = sharedDebtSchedule[month - 1];
+    const sharedOpening = sharedRow ? sharedDebtBalance(sharedDebtSchedule, month - 1) : 0;
+    const sharedPayment = (shift) => (sharedRow ? (sharedRow.totalPayment + sharedOpening * shift / 100 / 12) / index : 0);
+    // Husstandens rente i dag, vektet med restgjelden
+    const active = loans.filter(Boolean);
+    const activeBalance = active.reduce((sum, loan) => sum + loan.balance, 0);
+    const rate = activeBalance > 0 ? active.reduce((sum, loan) => sum + loan.rate * loan.balance, 0) / activeBalance : active[0].rate;
+
+    const scenario = (shift) => {
+        const borrowers = loans.map(loan => {
+            if (!loan) return { totalPayment: 0, interest: 0, taxDeduction: 0, netPayment: 0 };
+            const nominal = stressedPayment({ ...loan, loanType }, shift);
+            const totalPayment = nominal.totalPayment / index;
+            const interest = nominal.interest / index;
+            const taxDeduction = interest * taxRate / 100;
+            return { totalPayment, interest, taxDeduction, netPayment: totalPayment - taxDeduction };
+        });
+        const loanPayment = borrowers.reduce((sum, borrower) => sum + borrower.totalPayment, 0);
+        const totalMonthlyCost = loanPayment + fixedCosts + sharedPayment(shift);
+        return {
+            shift,
+            rate: rate + shift,
+            loanPayment,
+            totalMonthlyCost,
+            netMonthlyCost: totalMonthlyCost - rent,
+            taxDeduction: borrowers.reduce((sum, borrower) => sum + borrower.taxDeduction, 0),
+            borrowers
+        };
+    };
+
+    const base = scenario(0);
+    const rows = shifts.map(shift => {
+        const stressed = shift === 0 ? base : scenario(shift);
+        return {
+            ...stressed,
+            extraPerYear: (stressed.totalMonthlyCost - base.totalMonthlyCost) * 12,
+            overBudget: budget > 0 && stressed.totalMonthlyCost > budget
+        };
+    });
+
+    // Halveringssøk: kostnaden øker med renten
+    let budgetRate = null;
+    if (budget > 0) {
+        if (base.totalMonthlyCost > budget) {
+            budgetRate = rate;
+        } else if (scenario(30 - rate).totalMonthlyCost > budget) {
+            let low = 0;
+            let high = 30 - rate;
+            for (let i = 0; i < 50; i++) {
+                const mid = (low + high) / 2;
+                if (scenario(mid).totalMonthlyCost > budget) high = mid; else low = mid;
+            }
+            budgetRate = rate + high;
+        }
+    }
+
+    return { month, rate, rows, budget, budgetRate };
+};
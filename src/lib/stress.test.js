@@ -0,0 +1,96 @@
+import { calculateRateStress, RATE_STRESS_SHIFTS } from './stress';
+import { annuityPayment, buildAmortization } from './amortization';
+import { buildSharedDebtSchedule } from './sharedDebt';
+
+const first = buildAmortization({ amount: 2400000, interestRate: 5, loanTerm: 25 });
+const second = buildAmortization({ amount: 1600000, interestRate: 5, loanTerm: 25 });
+const costs = { municipalDues: 12000, homeInsurance: 6000, maintenance: 24000, hoa: 500 };
+
+describe('calculateRateStress', () => {
+  test('matches today\'s payment without a rate increase', () => {
+    const stress = calculateRateStress({ schedules: [first, second], ...costs, rentalIncome: 2000 });
+    const today = stress.rows[0];
+    expect(stress.rows.map(row => row.shift)).toEqual(RATE_STRESS_SHIFTS);
+    expect(today.loanPayment).toBeCloseTo(first[0].totalPayment + second[0].totalPayment, 6);
+    expect(today.totalMonthlyCost).toBeCloseTo(today.loanPayment + 42000 / 12 + 500, 6);
+    expect(today.netMonthlyCost).toBeCloseTo(today.totalMonthlyCost - 2000, 6);
+    expect(today.extraPerYear).toBe(0);
+  });
+
+  test('grows the running costs to the chosen month', () => {
+    const stress = calculateRateStress({ schedules: [first, second], month: 61, ...costs, rentalIncome: 2000, inflation: 2, escalation: { hoa: 4 } });
+    const growth = Math.pow(1.02, 5);
+    const fixedCosts = 42000 / 12 * growth + 500 * Math.pow(1.04, 5);
+    expect(stress.rows[0].totalMonthlyCost).toBeCloseTo(stress.rows[0].loanPayment + fixedCosts, 6);
+    expect(stress.rows[0].netMonthlyCost).toBeCloseTo(stress.rows[0].totalMonthlyCost - 2000 * growth, 6);
+  });
+
+  test('leaves renovations out of the monthly cost', () => {
+    const maintenancePlan = { mode: 'amount', renovations: [{ year: 6, amount: 300000 }] };
+    const without = calculateRateStress({ schedules: [first], month: 61, ...costs });
+    const withPlan = calculateRateStress({ schedules: [first], month: 61, ...costs, maintenancePlan });
+    expect(withPlan.rows[0].totalMonthlyCost).toBeCloseTo(without.rows[0].totalMonthlyCost, 6);
+  });
+
+  test('shows every cost in today\'s kroner at the chosen month', () => {
+    const nominal = calculateRateStress({ schedules: [first, second], month: 61, ...costs, inflation: 2 });
+    const real = calculateRateStress({ schedules: [first, second], month: 61, ...costs, inflation: 2, real: true });
+    const index = Math.pow(1.02, 61 / 12);
+    expect(real.rows[2].loanPayment).toBeCloseTo(nominal.rows[2].loanPayment / index, 6);
+    expect(real.rows[2].totalMonthlyCost).toBeCloseTo(nominal.rows[2].totalMonthlyCost / index, 6);
+  });
+
+  test('repays the balance at the chosen month over the months left at the higher rate', () => {
+    const stress = calculateRateStress({ schedules: [first, second], month: 61, taxRate: 22 });
+    const opening = first[60].balance + first[60].principal;
+    const plusTwo = stress.rows.find(row => row.shift === 2);
+    expect(plusTwo.rate).toBeCloseTo(7, 10);
+    expect(plusTwo.borrowers[0].totalPayment).toBeCloseTo(annuityPayment(opening, 7, 240), 6);
+    expect(plusTwo.borrowers[0].taxDeduction).toBeCloseTo(opening * 0.07 / 12 * 0.22, 6);
+    expect(plusTwo.borrowers[0].netPayment).toBeCloseTo(plusTwo.borrowers[0].totalPayment - plusTwo.borrowers[0].taxDeduction, 6);
+    expect(plusTwo.extraPerYear).toBeCloseTo((plusTwo.totalMonthlyCost - stress.rows[0].totalMonthlyCost) * 12, 6);
+  });
+
+  test('keeps the principal of a serial loan and raises the interest', () => {
+    const serial = buildAmortization({ amount: 3000000, interestRate: 5, loanTerm: 25, loanType: 'serial' });
+    const stress = calculateRateStress({ schedules: [serial], loanType: 'serial', month: 13 });
+    const opening = serial[12].balance + serial[12].principal;
+    expect(stress.rows[1].loanPayment).toBeCloseTo(opening / 288 + opening * 0.06 / 12, 6);
+  });
+
+  test('starts from the schedule\'s own payment and keeps an interest-only month interest-only', () => {
+    const rows = buildAmortization({ amount: 3000000, interestRate: 5, loanTerm: 25, interestOnly: [{ month: 1, months: 24 }], prepayments: { extraMonthly: 1000 } });
+    const stress = calculateRateStress({ schedules: [rows], month: 13 });
+    expect(stress.rows[0].loanPayment).toBeCloseTo(rows[12].totalPayment, 6);
+    expect(stress.rows[2].loanPayment).toBeCloseTo(rows[12].totalPayment + (rows[12].balance + rows[12].principal) * 0.02 / 12, 6);
+  });
+
+  test('keeps the schedule\'s payment when the rate path has moved it', () => {
+    const rows = buildAmortization({ amount: 3000000, interestRate: 5, loanTerm: 25, ratePath: { type: 'steps', steps: [{ month: 13, rate: 6 }] } });
+    const stress = calculateRateStress({ schedules: [rows], month: 25 });
+    const opening = rows[24].balance + rows[24].principal;
+    expect(stress.rows[0].loanPayment).toBeCloseTo(rows[24].totalPayment, 6);
+    expect(stress.rows[1].loanPayment).toBeCloseTo(annuityPayment(opening, 7, 276), 6);
+  });
+
+  test('raises the interest on fellesgjeld too', () => {
+    const sharedDebtSchedule = buildSharedDebtSchedule({ amount: 1000000, interestRate: 5, remainingTerm: 30 });
+    const without = calculateRateStress({ schedules: [first], month: 1 });
+    const withShared = calculateRateStress({ schedules: [first], month: 1, sharedDebtSchedule });
+    expect(withShared.rows[0].totalMonthlyCost - without.rows[0].totalMonthlyCost).toBeCloseTo(sharedDebtSchedule[0].totalPayment, 6);
+    expect(withShared.rows[1].extraPerYear - without.rows[1].extraPerYear).toBeCloseTo(1000000 * 0.01, 6);
+  });
+
+  test('finds the rate where the total cost passes the budget', () => {
+    const stress = calculateRateStress({ schedules: [first, second], ...costs, budget: 30000 });
+    const atBudget = calculateRateStress({ schedules: [first, second], ...costs, shifts: [stress.budgetRate - 5] });
+    expect(atBudget.rows[0].totalMonthlyCost).toBeCloseTo(30000, 2);
+    expect(stress.rows.map(row => row.overBudget)).toEqual(stress.rows.map(row => row.rate > stress.budgetRate));
+    expect(calculateRateStress({ schedules: [first], budget: 1000 }).budgetRate).toBe(5);
+    expect(calculateRateStress({ schedules: [first] }).budgetRate).toBeNull();
+  });
+
+  test('is null once the loans are repaid', () => {
+    expect(calculateRateStress({ schedules: [first], month: 301 })).toBeNull();
+  });
+});
@@ -0,0 +1,185 @@
+// Norwegian personal taxation of a home purchase: rentefradrag, formuesskatt and
+// tax on rental income.
+
+// Parameters per tax year. Add a new entry each year when the budget is adopted.
+export const TAX_RULES = {
+    2024: {
+        year: 2024,
+        capitalIncomeRate: 0.22,          // Skatt på alminnelig inntekt (verdien av rentefradraget)
+        wealthTaxThreshold: 1700000,      // Bunnfradrag formuesskatt per person
+        wealthTaxBrackets: [{ from: 0, rate: 0.01 }, { from: 20000000, rate: 0.011 }], // Over bunnfradraget
+        primaryHomeValuation: 0.25,       // Primærbolig: 25 % av markedsverdi ...
+        primaryHomeValuationLimit: 10000000, // ... opp til denne verdien ...
+        primaryHomeValuationAbove: 0.70,  // ... og 70 % av verdien over
+        secondaryHomeValuation: 1.00      // Sekundærbolig: 100 % av markedsverdi
+    },
+    2025: {
+        year: 2025,
+        capitalIncomeRate: 0.22,
+        wealthTaxThreshold: 1760000,
+        wealthTaxBrackets: [{ from: 0, rate: 0.01 }, { from: 20700000, rate: 0.011 }],
+        primaryHomeValuation: 0.25,
+        primaryHomeValuationLimit: 10000000,
+        primaryHomeValuationAbove: 0.70,
+        secondaryHomeValuation: 1.00
+    }
+};
+
+export const LATEST_TAX_YEAR = Math.max(...Object.keys(TAX_RULES).map(Number));
+
+// Under halvparten av egen bolig (målt etter utleieverdi) kan leies ut skattefritt
+const TAX_FREE_RENTED_SHARE = 50;
+
+/**
+ * Formuesverdi of a home: 25 % of market value up to the limit and 70 % above
+ * for a primary home, 100 % for a secondary home.
+ */
+export const homeTaxValue = (marketValue, secondaryHome = false, rules = TAX_RULES[LATEST_TAX_YEAR]) => {
+    if (secondaryHome) return marketValue * rules.secondaryHomeValuation;
+    const below = Math.min(marketValue, rules.primaryHomeValuationLimit);
+    const above = Math.max(0, marketValue - rules.primaryHomeValuationLimit);
+    return below * rules.primaryHomeValuation + above * rules.primaryHomeValuationAbove;
+};
+
+/**
+ * Annual formuesskatt for one person's net wealth.
+ */
+export const wealthTax = (netWealth, rules = TAX_RULES[LATEST_TAX_YEAR]) => {
+    const taxable = Math.max(0, netWealth - rules.wealthTaxThreshold);
+    return rules.wealthTaxBrackets.reduce((tax, bracket, i) => {
+        const next = rules.wealthTaxBrackets[i + 1];
+        const upper = next ? next.from : Infinity;
+        return tax + Math.max(0, Math.min(taxable, upper) - bracket.from) * bracket.rate;
+    }, 0);
+};
+
+/**
+ * Tax on rental income for the household. Letting out less than half of your
+ * own home is tax-free; otherwise the rent less the share of running costs
+ * belonging to the let part is taxed as alminnelig inntekt.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.annualRent
+ * @param {number} inputs.rentedShare Percent of the home let out, by rental value
+ * @param {boolean} [inputs.secondaryHome] Letting out a home you don't live in is always taxable
+ * @param {number} [inputs.annualCosts] Running costs of the whole home, kr/år
+ * @returns {{ taxFree: boolean, taxableIncome: number, tax: number }}
+ */
+export const calculateRentalTax = ({ annualRent, rentedShare, secondaryHome = false, annualCosts = 0, rules = TAX_RULES[LATEST_TAX_YEAR] }) => {
+    if (annualRent <= 0) return { taxFree: true, taxableIncome: 0, tax: 0 };
+    if (!secondaryHome && rentedShare < TAX_FREE_RENTED_SHARE) {
+        return { taxFree: true, taxableIncome: 0, tax: 0 };
+    }
+    const deductibleShare = secondaryHome ? 1 : rentedShare / 100;
+    const taxableIncome = Math.max(0, annualRent - annualCosts * deductibleShare);
+    return { taxFree: false, taxableIncome, tax: taxableIncome * rules.capitalIncomeRate };
+};
+
+/**
+ * Each borrower's annual tax position and after-tax cost of the purchase in
+ * the first year.
+ *
+ * The interest deduction is split by each borrower's share of the debt, or by
+ * an agreed split. The formuesskatt effect compares owning the home with
+ * keeping the equity in the bank, assuming no other wealth.
+ *
+ * For a borettslag unit each owner also deducts their ownership share of the
+ * interest on fellesgjeld, and the fellesgjeld counts as their debt.
+ *
+ * @param {object} inputs
+ * @param {object[]} inputs.borrowers Per borrower: { ownershipShare (0–1), costShare (0–1), downPayment, loanAmount, schedule }
+ *   where schedule is the borrower's own amortization rows; the running costs are split by costShare
+ *   (ownershipShare without one), as in the co-ownership ledger
+ * @param {number} inputs.propertyValue Market value (for a borettslag: including fellesgjeld)
+ * @param {number} inputs.annualCosts Running costs of the home, kr/år
+ * @param {number} [inputs.annualRent] Rental income, kr/år
+ * @param {number} [inputs.rentedShare] Percent of the home let out
+ * @param {boolean} [inputs.secondaryHome]
+ * @param {number[]|number|null} [inputs.deductionSplit] Agreed share of the deduction per borrower in percent
+ *   (a single number is borrower 1's share of two); null splits by debt
+ * @param {object[]} [inputs.sharedDebtSchedule] Fellesgjeld rows (buildSharedDebtSchedule)
+ * @param {object} [inputs.rules] One entry of TAX_RULES
+ * @returns {{ persons: object[], rental: object, homeTaxValue: number }}
+ */
+export const calculateHouseholdTax = ({
+    borrowers,
+    propertyValue,
+    annualCosts,
+    annualRent = 0,
+    rentedShare = 0,
+    secondaryHome = false,
+    deductionSplit = null,
+    sharedDebtSchedule = [],
+    rules = TAX_RULES[LATEST_TAX_YEAR]
+}) => {
+    const firstYear = borrowers.map(borrower => (borrower.schedule || []).slice(0, 12));
+    const interest = firstYear.map(rows => rows.reduce((sum, row) => sum + row.interest, 0));
+    const payments = firstYear.map(rows => rows.reduce((sum, row) => sum + row.totalPayment, 0));
+    // Formue beregnes per 1. januar året etter: gjeld etter første år
+    const yearEndDebt = borrowers.map((borrower, i) => {
+        const rows = firstYear[i];
+        return rows.length > 0 ? rows[rows.length - 1].balance : 0;
+    });
+
+    const sharedFirstYear = sharedDebtSchedule.slice(0, 12);
+    const sharedInterest = sharedFirstYear.reduce((sum, row) => sum + row.interest, 0);
+    const sharedPayments = sharedFirstYear.reduce((sum, row) => sum + row.totalPayment, 0);
+    const sharedYearEndDebt = sharedFirstYear.length > 0 ? sharedFirstYear[sharedFirstYear.length - 1].balance : 0;
+
+    const totalInterest = interest.reduce((sum, value) => sum + value, 0);
+    const totalDebt = borrowers.reduce((sum, borrower) => sum + borrower.loanAmount, 0);
+    const agreedSplit = typeof deductionSplit === 'number' ? [deductionSplit, 100 - deductionSplit] : deductionSplit;
+    const agreedTotal = agreedSplit ? agreedSplit.reduce((sum, value) => sum + value, 0) : 0;
+    const deductionShares = borrowers.map((borrower, i) => {
+        if (agreedTotal > 0) return (agreedSplit[i] || 0) / agreedTotal;
+        return totalDebt > 0 ? borrower.loanAmount / totalDebt : borrower.ownershipShare;
+    });
+
+    const taxValue = homeTaxValue(propertyValue, secondaryHome, rules);
+    const rental = calculateRentalTax({ annualRent, rentedShare, secondaryHome, annualCosts, rules });
+
+    const persons = borrowers.map((borrower, i) => {
+        const sharedDebtPayments = sharedPayments * borrower.ownershipShare;
+        const interestDeduction = (totalInterest * deductionShares[i] + sharedInterest * borrower.ownershipShare) * rules.capitalIncomeRate;
+        const wealthWithHome = taxValue * borrower.ownershipShare - yearEndDebt[i] - sharedYearEndDebt * borrower.ownershipShare;
+        const wealthTaxWithHome = wealthTax(wealthWithHome, rules);
+        const wealthTaxWithoutHome = wealthTax(borrower.downPayment, rules);
+        const runningCosts = annualCosts * (borrower.costShare ?? borrower.ownershipShare);
+        const rentalIncome = annualRent * borrower.ownershipShare;
+        const rentalTax = rental.tax * borrower.ownershipShare;
+        const wealthTaxEffect = wealthTaxWithHome - wealthTaxWithoutHome;
+        return {
+            interest: interest[i],
+            loanPayments: payments[i],
+            deductionShare: deductionShares[i],
+            sharedDebtPayments,
+            interestDeduction,
+            wealthTax: wealthTaxWithHome,
+            wealthTaxEffect,
+            runningCosts,
+            rentalIncome,
+            rentalTax,
+            afterTaxCost: payments[i] + sharedDebtPayments + runningCosts - interestDeduction + wealthTaxEffect + rentalTax - rentalIncome
+        };
+    });
+
+    return { persons, rental, homeTaxValue: taxValue };
+};
+
+/**
+ * Rentefradrag on the loans month by month, split between the borrowers the
+ * same way as in calculateHouseholdTax(): the household's interest times
+ * each borrower's deductionShare.
+ *
+ * @param {object} inputs
+ * @param {object[][]} inputs.schedules Each borrower's amortization rows
+ * @param {number[]} inputs.deductionShares Per borrower (0–1), as in calculateHouseholdTax() persons
+ * @param {object} [inputs.rules] One entry of TAX_RULES
+ * @returns {{ total: number[], persons: number[][] }} kr per month, index 0 = month 1
+ */
+export const monthlyInterestDeductions = ({ schedules, deductionShares, rules = TAX_RULES[LATEST_TAX_YEAR] }) => {
+    const months = Math.max(0, ...schedules.map(rows => rows.length));
+    const interest = Array.from({ length: months }, (_, m) => schedules.reduce((sum, rows) => sum + (rows[m] ? rows[m].interest : 0), 0));
+    const persons = deductionShares.map(share => interest.map(value => value * share * rules.capitalIncomeRate));
+    return { total: interest.map(value => value * rules.capitalIncomeRate), persons };
+};
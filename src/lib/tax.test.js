@@ -0,0 +1,127 @@
+import { buildAmortization } from './amortization';
+import { calculateContributionLedger } from './coOwnership';
+import { buildSharedDebtSchedule } from './sharedDebt';
+import { TAX_RULES, LATEST_TAX_YEAR, homeTaxValue, wealthTax, calculateRentalTax, calculateHouseholdTax, monthlyInterestDeductions } from './tax';
+
+const rules = TAX_RULES[2025];
+
+describe('homeTaxValue', () => {
+  test('values a primary home at 25 % up to the limit and 70 % above', () => {
+    expect(homeTaxValue(4000000, false, rules)).toBe(1000000);
+    expect(homeTaxValue(12000000, false, rules)).toBeCloseTo(2500000 + 1400000, 6);
+  });
+
+  test('values a secondary home at full market value', () => {
+    expect(homeTaxValue(4000000, true, rules)).toBe(4000000);
+  });
+});
+
+describe('wealthTax', () => {
+  test('is zero below the threshold and 1 % above', () => {
+    expect(wealthTax(1500000, rules)).toBe(0);
+    expect(wealthTax(2760000, rules)).toBeCloseTo(10000, 6);
+  });
+
+  test('uses the higher rate in the top bracket', () => {
+    expect(wealthTax(rules.wealthTaxThreshold + 21700000, rules)).toBeCloseTo(20700000 * 0.01 + 1000000 * 0.011, 6);
+  });
+
+  test('defaults to the latest tax year', () => {
+    expect(LATEST_TAX_YEAR).toBe(2025);
+    expect(wealthTax(2760000)).toBe(wealthTax(2760000, rules));
+  });
+});
+
+describe('calculateRentalTax', () => {
+  test('letting out less than half of your own home is tax-free', () => {
+    expect(calculateRentalTax({ annualRent: 120000, rentedShare: 40, annualCosts: 50000, rules })).toEqual({ taxFree: true, taxableIncome: 0, tax: 0 });
+  });
+
+  test('taxes rent less the let part of the costs when half or more is let out', () => {
+    const result = calculateRentalTax({ annualRent: 120000, rentedShare: 60, annualCosts: 50000, rules });
+    expect(result.taxFree).toBe(false);
+    expect(result.taxableIncome).toBe(90000);
+    expect(result.tax).toBeCloseTo(19800, 6);
+  });
+
+  test('always taxes rent from a secondary home', () => {
+    expect(calculateRentalTax({ annualRent: 120000, rentedShare: 10, secondaryHome: true, annualCosts: 20000, rules }).tax).toBeCloseTo(22000, 6);
+  });
+});
+
+describe('calculateHouseholdTax', () => {
+  const schedule1 = buildAmortization({ amount: 3000000, interestRate: 5, loanTerm: 25 });
+  const schedule2 = buildAmortization({ amount: 1000000, interestRate: 5, loanTerm: 25 });
+  const base = {
+    borrowers: [
+      { ownershipShare: 0.5, downPayment: 500000, loanAmount: 3000000, schedule: schedule1 },
+      { ownershipShare: 0.5, downPayment: 500000, loanAmount: 1000000, schedule: schedule2 }
+    ],
+    propertyValue: 5000000,
+    annualCosts: 40000,
+    rules
+  };
+  const interest = (rows) => rows.slice(0, 12).reduce((sum, row) => sum + row.interest, 0);
+  const totalInterest = interest(schedule1) + interest(schedule2);
+
+  test('splits the interest deduction by share of the debt', () => {
+    const { persons } = calculateHouseholdTax(base);
+    expect(persons[0].interestDeduction).toBeCloseTo(totalInterest * 0.75 * 0.22, 6);
+    expect(persons[1].interestDeduction).toBeCloseTo(totalInterest * 0.25 * 0.22, 6);
+  });
+
+  test('splits the interest deduction by an agreed split', () => {
+    const { persons } = calculateHouseholdTax({ ...base, deductionSplit: 50 });
+    expect(persons[0].interestDeduction).toBeCloseTo(persons[1].interestDeduction, 6);
+  });
+
+  test('splits the interest deduction by agreed shares per borrower', () => {
+    const { persons } = calculateHouseholdTax({ ...base, deductionSplit: [30, 10] });
+    expect(persons[0].deductionShare).toBeCloseTo(0.75, 10);
+    expect(persons[1].interestDeduction).toBeCloseTo(totalInterest * 0.25 * 0.22, 6);
+  });
+
+  test('compares formuesskatt with keeping the equity in the bank', () => {
+    const { persons } = calculateHouseholdTax({ ...base, borrowers: base.borrowers.map(b => ({ ...b, downPayment: 3000000 })) });
+    // Boligformuen (25 %) er lavere enn gjelden, så formuesskatten faller bort
+    expect(persons[0].wealthTax).toBe(0);
+    expect(persons[0].wealthTaxEffect).toBeCloseTo(-wealthTax(3000000, rules), 6);
+  });
+
+  test('deducts the ownership share of interest on fellesgjeld', () => {
+    const sharedDebtSchedule = buildSharedDebtSchedule({ amount: 1000000, interestRate: 6, interestOnlyYears: 5, remainingTerm: 30 });
+    const { persons } = calculateHouseholdTax({ ...base, sharedDebtSchedule });
+    expect(persons[1].interestDeduction).toBeCloseTo((totalInterest * 0.25 + 60000 * 0.5) * 0.22, 6);
+    expect(persons[1].sharedDebtPayments).toBeCloseTo(30000, 6);
+  });
+
+  test('adds up the after-tax cost of the first year', () => {
+    const { persons } = calculateHouseholdTax({ ...base, annualRent: 60000, rentedShare: 30 });
+    const p = persons[1];
+    const payments = schedule2.slice(0, 12).reduce((sum, row) => sum + row.totalPayment, 0);
+    expect(p.rentalTax).toBe(0);
+    expect(p.afterTaxCost).toBeCloseTo(payments + 20000 - p.interestDeduction + p.wealthTaxEffect - 30000, 6);
+  });
+
+  test('splits the running costs by cost share, as the co-ownership ledger does', () => {
+    const borrowers = [{ ...base.borrowers[0], costShare: 0.8 }, { ...base.borrowers[1], costShare: 0.2 }];
+    const { persons } = calculateHouseholdTax({ ...base, borrowers });
+    const ledger = calculateContributionLedger({
+      participants: [{ downPayment: 500000, ownershipShare: 50, costShare: 80 }, { downPayment: 500000, ownershipShare: 50, costShare: 20 }],
+      schedules: [schedule1, schedule2], propertyValue: 5000000, annualAppreciation: 0, annualCosts: 40000, years: 1
+    });
+    expect(persons[0].runningCosts).toBeCloseTo(32000, 6);
+    expect(persons[1].runningCosts).toBeCloseTo(ledger[1].persons[1].runningCosts, 6);
+    // Gjeld og formue følger fortsatt eierandelen
+    expect(persons[0].wealthTax).toBe(calculateHouseholdTax(base).persons[0].wealthTax);
+  });
+
+  test('splits the deduction month by month the same way', () => {
+    const { persons } = calculateHouseholdTax({ ...base, deductionSplit: [30, 10] });
+    const monthly = monthlyInterestDeductions({ schedules: [schedule1, schedule2], deductionShares: persons.map(person => person.deductionShare), rules });
+    const firstYear = (values) => values.slice(0, 12).reduce((sum, value) => sum + value, 0);
+    expect(firstYear(monthly.persons[0])).toBeCloseTo(persons[0].interestDeduction, 6);
+    expect(firstYear(monthly.persons[1])).toBeCloseTo(persons[1].interestDeduction, 6);
+    expect(monthly.total[0]).toBeCloseTo((schedule1[0].interest + schedule2[0].interest) * 0.22, 6);
+  });
+});
@@ -0,0 +1,136 @@
+// Split loans (lånedeler): a purchase financed by several tranches with their
+// own rate, term and type, e.g. a grønt boliglån, a fixed-rate part, a
+// rammelån or a youth-rate tranche up to a cap.
+//
+//   { name, amount, interestRate, loanTerm, loanType, fixedYears }
+//
+// The tranches are taken out of the loan in order, each capped to what is
+// left; the rest is the main tranche (hovedlånet) on the calculator's own
+// rate, rate path, term and loan type. Prepayments go to the main tranche.
+
+import { activeInterestOnly, buildAmortization, calculateLoanDetails, combineAmortization, summarizeAmortization } from './amortization';
+import { rateForMonth } from './ratePath';
+
+export const TRANCHE_LOAN_TYPES = {
+    annuity: 'Annuitet',
+    serial: 'Serie',
+    creditLine: 'Rammelån'
+};
+
+export const MAIN_TRANCHE_NAME = 'Hovedlån';
+
+/**
+ * Tranches that take part of the loan, with defaults filled in and each
+ * amount capped to what the tranches before it left of `loanAmount`.
+ *
+ * @param {object[]} tranches
+ * @param {number} loanAmount The household's total loan
+ * @param {{ interestRate: number, loanTerm: number }} defaults Used for missing rates and terms
+ */
+export const allocateTranches = (tranches, loanAmount, { interestRate, loanTerm }) => {
+    let left = Math.max(0, loanAmount);
+    return (tranches || [])
+        .filter(tranche => tranche && tranche.amount > 0)
+        .map(tranche => {
+            const amount = Math.min(tranche.amount, left);
+            left -= amount;
+            return {
+                name: tranche.name || 'Lånedel',
+                amount,
+                interestRate: tranche.interestRate ?? interestRate,
+                loanTerm: tranche.loanTerm || loanTerm,
+                loanType: TRANCHE_LOAN_TYPES[tranche.loanType] ? tranche.loanType : 'annuity',
+                fixedYears: Math.max(0, tranche.fixedYears || 0)
+            };
+        })
+        .filter(tranche => tranche.amount > 0);
+};
+
+/**
+ * The tranche's rate month by month as a 'steps' rate path. A fixed rate
+ * holds for `fixedYears` and then rolls over to the floating rate; a floating
+ * tranche keeps its own rate but follows the moves of the rate path.
+ */
+export const trancheRatePath = (tranche, interestRate, ratePath) => {
+    const fixedMonths = Math.round(tranche.fixedYears * 12);
+    const steps = [];
+    let previous = tranche.interestRate;
+    for (let month = 1; month <= Math.round(tranche.loanTerm * 12); month++) {
+        const floating = rateForMonth(ratePath, interestRate, month);
+        let rate = tranche.interestRate;
+        if (month > fixedMonths) {
+            rate = fixedMonths > 0 ? floating : tranche.interestRate + floating - interestRate;
+        }
+        if (rate !== previous) steps.push({ month, rate });
+        previous = rate;
+    }
+    return { type: 'steps', steps };
+};
+
+/**
+ * Schedule for `amount` of a tranche. A rammelån pays interest only and is
+ * repaid at the end of its term; interest-only windows apply to the others.
+ */
+export const buildTrancheAmortization = ({ tranche, amount, interestRate, ratePath, interestOnly }) => {
+    const creditLine = tranche.loanType === 'creditLine';
+    return buildAmortization({
+        amount,
+        interestRate: tranche.interestRate,
+        loanTerm: tranche.loanTerm,
+        loanType: creditLine ? 'annuity' : tranche.loanType,
+        ratePath: trancheRatePath(tranche, interestRate, ratePath),
+        interestOnly: creditLine ? [{ month: 1, months: Math.round(tranche.loanTerm * 12) }] : activeInterestOnly(interestOnly)
+    });
+};
+
+/**
+ * One borrower's loan split into tranches: `share` of every household
+ * tranche, and the rest of `amount` on the main tranche. Returns the combined
+ * schedule with the main tranche as an annuity and as a serial loan, and each
+ * tranche's own schedule under the chosen `loanType`.
+ *
+ * @param {object} inputs
+ * @param {number} inputs.amount The borrower's loan
+ * @param {number} inputs.share The borrower's share of the household loan (0–1)
+ * @param {object[]} inputs.tranches Household tranches from allocateTranches()
+ * @returns {{ annuity: object[], serial: object[], tranches: object[] }}
+ */
+export const buildSplitLoan = ({ amount, share, tranches = [], interestRate, loanTerm, loanType = 'annuity', ratePath, prepayments, interestOnly }) => {
+    const parts = tranches.map(tranche => ({
+        ...tranche,
+        amount: tranche.amount * share,
+        amortization: buildTrancheAmortization({ tranche, amount: tranche.amount * share, interestRate, ratePath, interestOnly })
+    }));
+    const mainAmount = Math.max(0, amount - parts.reduce((sum, part) => sum + part.amount, 0));
+    const main = (type) => buildAmortization({ amount: mainAmount, interestRate, loanTerm, loanType: type, ratePath, prepayments, interestOnly });
+    const schedules = { annuity: main('annuity'), serial: main('serial') };
+    const combined = (rows) => (parts.length > 0 ? combineAmortization([rows, ...parts.map(part => part.amortization)]) : rows);
+
+    return {
+        annuity: combined(schedules.annuity),
+        serial: combined(schedules.serial),
+        tranches: parts.length > 0
+            ? [{ name: MAIN_TRANCHE_NAME, main: true, amount: mainAmount, interestRate, loanTerm, loanType, fixedYears: 0, amortization: schedules[loanType] || schedules.annuity }, ...parts]
+            : []
+    };
+};
+
+/**
+ * calculateLoanDetails() for one borrower's split loan, with its tranches.
+ * Without tranches it is the same as calculateLoanDetails().
+ */
+export const calculateSplitLoan = (inputs) => {
+    const split = buildSplitLoan(inputs);
+    return {
+        ...calculateLoanDetails({ ...inputs, schedules: { annuity: split.annuity, serial: split.serial } }),
+        tranches: inputs.amount > 0 ? split.tranches : []
+    };
+};
+
+/**
+ * Key figures per tranche: first payment, total interest and months to repay.
+ */
+export const summarizeTranches = (tranches) => tranches.map(tranche => {
+    const { firstPayment, totalInterest, months } = summarizeAmortization(tranche.amortization);
+    return { ...tranche, firstPayment, totalInterest, months };
+});
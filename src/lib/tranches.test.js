@@ -0,0 +1,111 @@
+import { allocateTranches, buildSplitLoan, buildTrancheAmortization, calculateSplitLoan, summarizeTranches, trancheRatePath } from './tranches';
+import { annuityPayment, buildAmortization, calculateLoanDetails, compareLoanTypes, summarizeAmortization } from './amortization';
+import { calculateMortgage } from './mortgage';
+
+const terms = { interestRate: 5, loanTerm: 25 };
+
+describe('allocateTranches', () => {
+  test('caps each tranche to what is left of the loan and fills in defaults', () => {
+    const tranches = allocateTranches([
+      { name: 'Grønt lån', amount: 1000000, interestRate: 4.6 },
+      { name: 'BSU', amount: 0 },
+      { name: 'Fastrente', amount: 2000000, interestRate: 5.4, loanTerm: 10, loanType: 'serial', fixedYears: 5 }
+    ], 2500000, terms);
+    expect(tranches.map(tranche => tranche.amount)).toEqual([1000000, 1500000]);
+    expect(tranches[0]).toMatchObject({ loanTerm: 25, loanType: 'annuity', fixedYears: 0 });
+    expect(tranches[1]).toMatchObject({ interestRate: 5.4, loanTerm: 10, loanType: 'serial', fixedYears: 5 });
+  });
+
+  test('is empty without tranches', () => {
+    expect(allocateTranches(undefined, 2000000, terms)).toEqual([]);
+  });
+});
+
+describe('trancheRatePath', () => {
+  const ratePath = { type: 'steps', steps: [{ month: 13, rate: 6 }] };
+
+  test('a fixed rate holds until it expires and then rolls over to the floating rate', () => {
+    const path = trancheRatePath({ interestRate: 4.8, loanTerm: 10, fixedYears: 3 }, 5, ratePath);
+    expect(path.steps).toEqual([{ month: 37, rate: 6 }]);
+  });
+
+  test('a floating tranche follows the moves of the rate path', () => {
+    const path = trancheRatePath({ interestRate: 4.6, loanTerm: 10, fixedYears: 0 }, 5, ratePath);
+    expect(path.steps).toHaveLength(1);
+    expect(path.steps[0].month).toBe(13);
+    expect(path.steps[0].rate).toBeCloseTo(5.6, 10);
+  });
+});
+
+describe('buildTrancheAmortization', () => {
+  test('repays a rammelån at the end of its term', () => {
+    const rows = buildTrancheAmortization({ tranche: { interestRate: 6, loanTerm: 5, loanType: 'creditLine', fixedYears: 0 }, amount: 300000, interestRate: 5 });
+    expect(rows).toHaveLength(60);
+    expect(rows[0].totalPayment).toBeCloseTo(1500, 8);
+    expect(rows[58].balance).toBe(300000);
+    expect(rows[59].principal).toBe(300000);
+  });
+});
+
+describe('buildSplitLoan', () => {
+  const tranches = allocateTranches([{ name: 'Grønt lån', amount: 1000000, interestRate: 4.6 }, { name: 'Rammelån', amount: 500000, interestRate: 6, loanType: 'creditLine' }], 4000000, terms);
+
+  test('sums the tranches and keeps each one visible', () => {
+    const split = buildSplitLoan({ ...terms, amount: 4000000, share: 1, tranches });
+    expect(split.tranches.map(tranche => tranche.name)).toEqual(['Hovedlån', 'Grønt lån', 'Rammelån']);
+    expect(split.tranches[0].amount).toBe(2500000);
+    expect(split.annuity[0].totalPayment).toBeCloseTo(
+      annuityPayment(2500000, 5, 300) + annuityPayment(1000000, 4.6, 300) + 500000 * 0.06 / 12, 6
+    );
+    expect(split.annuity[0].balance + split.annuity[0].principal).toBeCloseTo(4000000, 6);
+    expect(split.serial[0].principal).toBeCloseTo(2500000 / 300 + split.tranches[1].amortization[0].principal, 6);
+  });
+
+  test('gives a borrower their share of every tranche', () => {
+    const split = buildSplitLoan({ ...terms, amount: 1000000, share: 0.25, tranches });
+    expect(split.tranches.map(tranche => tranche.amount)).toEqual([625000, 250000, 125000]);
+  });
+
+  test('is a plain loan without tranches', () => {
+    const split = buildSplitLoan({ ...terms, amount: 2000000, share: 1 });
+    expect(split.tranches).toEqual([]);
+    expect(split.annuity).toEqual(buildAmortization({ ...terms, amount: 2000000 }));
+  });
+});
+
+describe('calculateSplitLoan', () => {
+  test('matches calculateLoanDetails without tranches', () => {
+    const { tranches, ...details } = calculateSplitLoan({ ...terms, amount: 2000000, share: 1, loanType: 'serial' });
+    expect(tranches).toEqual([]);
+    expect(details).toEqual(calculateLoanDetails({ ...terms, amount: 2000000, loanType: 'serial' }));
+  });
+
+  test('summarizes each tranche', () => {
+    const tranches = allocateTranches([{ name: 'Fastrente', amount: 1000000, interestRate: 5.5, loanTerm: 10, fixedYears: 5 }], 3000000, terms);
+    const loan = calculateSplitLoan({ ...terms, amount: 3000000, share: 1, tranches });
+    const summary = summarizeTranches(loan.tranches);
+    expect(summary[1].months).toBe(120);
+    expect(summary[1].firstPayment).toBeCloseTo(annuityPayment(1000000, 5.5, 120), 6);
+    expect(loan.totalInterestPaid).toBeCloseTo(summary[0].totalInterest + summary[1].totalInterest, 4);
+  });
+});
+
+describe('calculateMortgage with tranches', () => {
+  const base = { calculationMode: 'byPrice', propertyValue: 5000000, downPayment1: 700000, downPayment2: 300000, ownershipSplit: 60, ...terms, propertyTaxMode: 'custom', customPropertyTaxAmount: 0 };
+  const tranches = [{ name: 'Grønt lån', amount: 1000000, interestRate: 4.6 }];
+
+  test('splits every borrower\'s loan into the same tranches', () => {
+    const result = calculateMortgage({ ...base, tranches });
+    expect(result.tranches.map(tranche => tranche.amount)).toEqual([3000000, 1000000]);
+    expect(result.loans[0].tranches[1].amount).toBeCloseTo(1000000 * result.loans[0].amount / 4000000, 6);
+    expect(result.totalInterest).toBeLessThan(calculateMortgage(base).totalInterest);
+    expect(summarizeAmortization(result.amortization).totalInterest).toBeCloseTo(result.totalInterest, 4);
+  });
+
+  test('only switches the main tranche between loan types', () => {
+    const result = calculateMortgage({ ...base, tranches });
+    const comparison = compareLoanTypes({ loanAmount: 4000000, ...terms, tranches: result.tranches.filter(tranche => !tranche.main) });
+    expect(comparison.annuity.totalInterest).toBeCloseTo(result.totalInterest, 4);
+    expect(comparison.serial.firstPayment).toBeCloseTo(3000000 / 300 + 3000000 * 0.05 / 12 + annuityPayment(1000000, 4.6, 300), 6);
+  });
+});
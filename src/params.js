@@ -0,0 +1,170 @@
+import LZString from 'lz-string';
+import { activeInterestOnly, BUDGET_DEFAULTS, DEFAULT_COST_ESCALATION, DEFAULT_ESTABLISHMENT_FEE, DEFAULT_MAINTENANCE_PLAN, EMPTY_PREPAYMENTS, hasPrepayments, isFlatRatePath, LATEST_TAX_YEAR, participantsFromPair, PROPERTY_TYPES, SALE_COST_DEFAULTS, SIMULATION_DEFAULTS, TAX_RULES } from './lib';
+
+// URL parameter handling with compression
+export const encodeParams = (params) => {
+    // Remove empty/null values to save space
+    const cleanParams = {};
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            cleanParams[key] = value;
+        }
+    });
+    
+    // Convert to JSON and compress
+    const jsonString = JSON.stringify(cleanParams);
+    const compressed = LZString.compressToEncodedURIComponent(jsonString);
+    return compressed;
+};
+
+export const decodeParams = () => {
+    const hash = window.location.hash.substring(1);
+    
+    if (!hash) return {};
+    
+    // Check if it's the new compressed format (starts with a letter or number)
+    // Old format would start with parameter names like "cm=" or "lt="
+    if (hash.includes('=')) {
+        // Old format - backwards compatibility
+        const params = new URLSearchParams(hash);
+        const result = {};
+        params.forEach((value, key) => {
+            result[key] = value;
+        });
+        return result;
+    } else {
+        // New compressed format
+        try {
+            const decompressed = LZString.decompressFromEncodedURIComponent(hash);
+            if (decompressed) {
+                return JSON.parse(decompressed);
+            }
+        } catch (e) {
+            console.error('Failed to decompress URL parameters:', e);
+        }
+        return {};
+    }
+};
+
+// Kalkulatorens input fra URL-parametre (eller et lagret scenario), med standardverdier
+export const readInputs = (params = {}) => ({
+    calculationMode: params.cm || 'byPrice',
+    loanType: params.lt === 'serial' ? 'serial' : 'annuity',
+    interestRate: parseFloat(params.ir) || 5.2,
+    ratePath: params.rp && typeof params.rp === 'object' ? params.rp : { type: 'fixed' },
+    loanTerm: parseInt(params.term) || 25,
+    prepayments: params.pp && typeof params.pp === 'object' ? { ...EMPTY_PREPAYMENTS, ...params.pp } : EMPTY_PREPAYMENTS,
+    interestOnly: Array.isArray(params.io) ? params.io : [],
+    tranches: Array.isArray(params.ld) ? params.ld : [],
+    fixedRateOffer: params.fxr !== undefined && !isNaN(parseFloat(params.fxr)) ? parseFloat(params.fxr) : 5.5,
+    fixedRateYears: parseInt(params.fxy) || 5,
+    // Eldre lenker har to låntakere i dp1/dp2, os, inc1/inc2 og ed1/ed2
+    participants: Array.isArray(params.pt) && params.pt.length > 0 ? params.pt : participantsFromPair({
+        downPayment1: parseInt(params.dp1) || 1000000,
+        downPayment2: parseInt(params.dp2) || 0,
+        ownershipSplit: parseInt(params.os) || 100,
+        income1: parseInt(params.inc1) || 800000,
+        income2: parseInt(params.inc2) || 0,
+        existingDebt1: parseInt(params.ed1) || 0,
+        existingDebt2: parseInt(params.ed2) || 0
+    }),
+    debtSplitMode: params.dsp === 'agreed' ? 'agreed' : 'ownership',
+    propertyType: PROPERTY_TYPES[params.pty] ? params.pty : 'freehold',
+    establishmentFee: params.ef !== undefined && !isNaN(parseInt(params.ef)) ? parseInt(params.ef) : DEFAULT_ESTABLISHMENT_FEE,
+    sharedDebt: parseInt(params.fg) || 0,
+    sharedDebtRate: params.fgr !== undefined && !isNaN(parseFloat(params.fgr)) ? parseFloat(params.fgr) : 5.0,
+    sharedDebtInterestOnlyUntil: parseInt(params.fgi) || new Date().getFullYear(),
+    sharedDebtTerm: parseInt(params.fgt) || 30,
+    individualRepayment: parseInt(params.inr) || 0,
+    settlementYear: parseInt(params.sy) || 5,
+    settlementIncludesCosts: params.sic === true || params.sic === 'true',
+    saleEnabled: params.se === true || params.se === 'true',
+    saleYear: parseInt(params.sa) || 5,
+    brokerFeeRate: params.bfr !== undefined && !isNaN(parseFloat(params.bfr)) ? parseFloat(params.bfr) : SALE_COST_DEFAULTS.brokerFeeRate,
+    marketingCost: params.mkc !== undefined && !isNaN(parseInt(params.mkc)) ? parseInt(params.mkc) : SALE_COST_DEFAULTS.marketingCost,
+    municipalDues: parseInt(params.md) || 15000,
+    homeInsurance: parseInt(params.hi) || 0,
+    hoa: parseInt(params.hoa) || 0,
+    maintenance: parseInt(params.maint) || 24000,
+    costEscalation: params.ce && typeof params.ce === 'object' ? params.ce : DEFAULT_COST_ESCALATION,
+    maintenancePlan: params.mpl && typeof params.mpl === 'object' ? { ...DEFAULT_MAINTENANCE_PLAN, ...params.mpl } : DEFAULT_MAINTENANCE_PLAN,
+    annualAppreciation: parseFloat(params.aa) || 3.0,
+    inflation: params.inf !== undefined && !isNaN(parseFloat(params.inf)) ? parseFloat(params.inf) : 2.0,
+    realValues: params.rv === true || params.rv === 'true',
+    simulationEnabled: params.mce === true || params.mce === 'true',
+    simulationSettings: params.mcs && typeof params.mcs === 'object' ? { ...SIMULATION_DEFAULTS, ...params.mcs } : SIMULATION_DEFAULTS,
+    requiredReturn: parseFloat(params.rr) || 5.0,
+    taxRate: parseFloat(params.tr) || 22.0,
+    rentalIncome: parseInt(params.ri) || 0,
+    propertyTaxMode: params.ptm === 'oslo' ? '0301' : (params.ptm || '0301'),
+    customPropertyTaxAmount: parseInt(params.cpt) || 5000,
+    desiredMonthlyPayment: parseInt(params.dmp) || 20000,
+    propertyValue: parseInt(params.pv) || 5000000,
+    secondaryHomeOslo: params.sho === true || params.sho === 'true',
+    stressMonth: parseInt(params.stm) || 1,
+    stressBudget: parseInt(params.stb) || 0,
+    householdBudget: params.hb && typeof params.hb === 'object' ? { ...BUDGET_DEFAULTS, ...params.hb } : BUDGET_DEFAULTS,
+    taxYear: TAX_RULES[params.ty] ? Number(params.ty) : LATEST_TAX_YEAR,
+    deductionSplitMode: params.dsm === 'agreed' ? 'agreed' : 'debt',
+    deductionSplit: Array.isArray(params.ds) ? params.ds
+        : (params.ds !== undefined && !isNaN(parseFloat(params.ds)) ? [parseFloat(params.ds), 100 - parseFloat(params.ds)] : []),
+    rentedShare: params.rs !== undefined && !isNaN(parseFloat(params.rs)) ? parseFloat(params.rs) : 30,
+    secondaryHome: params.sh === true || params.sh === 'true'
+});
+
+// Motsatt vei: korte parameternavn til delingslenke og lagrede scenarier
+export const writeParams = (inputs) => ({
+    cm: inputs.calculationMode,
+    lt: inputs.loanType,
+    ir: inputs.interestRate,
+    rp: isFlatRatePath(inputs.ratePath) ? undefined : inputs.ratePath,
+    term: inputs.loanTerm,
+    pp: hasPrepayments(inputs.prepayments) ? inputs.prepayments : undefined,
+    io: activeInterestOnly(inputs.interestOnly).length > 0 ? inputs.interestOnly : undefined,
+    ld: inputs.tranches && inputs.tranches.length > 0 ? inputs.tranches : undefined,
+    fxr: inputs.fixedRateOffer,
+    fxy: inputs.fixedRateYears,
+    pt: inputs.participants,
+    dsp: inputs.debtSplitMode,
+    pty: inputs.propertyType,
+    ef: inputs.establishmentFee,
+    fg: inputs.sharedDebt,
+    fgr: inputs.sharedDebtRate,
+    fgi: inputs.sharedDebtInterestOnlyUntil,
+    fgt: inputs.sharedDebtTerm,
+    inr: inputs.individualRepayment,
+    sy: inputs.settlementYear,
+    sic: inputs.settlementIncludesCosts,
+    se: inputs.saleEnabled,
+    sa: inputs.saleYear,
+    bfr: inputs.brokerFeeRate,
+    mkc: inputs.marketingCost,
+    md: inputs.municipalDues,
+    hi: inputs.homeInsurance,
+    hoa: inputs.hoa,
+    maint: inputs.maintenance,
+    ce: inputs.costEscalation && Object.keys(inputs.costEscalation).length > 0 ? inputs.costEscalation : undefined,
+    mpl: inputs.maintenancePlan && (inputs.maintenancePlan.mode === 'percent' || inputs.maintenancePlan.renovations.length > 0) ? inputs.maintenancePlan : undefined,
+    aa: inputs.annualAppreciation,
+    inf: inputs.inflation,
+    rv: inputs.realValues,
+    mce: inputs.simulationEnabled,
+    mcs: inputs.simulationEnabled ? inputs.simulationSettings : undefined,
+    rr: inputs.requiredReturn,
+    ri: inputs.rentalIncome,
+    arc: 0, // Alternativ leiekostnad er fjernet; beholdes for eldre lenker
+    ptm: inputs.propertyTaxMode,
+    cpt: inputs.customPropertyTaxAmount,
+    dmp: inputs.desiredMonthlyPayment,
+    pv: inputs.propertyValue,
+    tr: inputs.taxRate,
+    sho: inputs.secondaryHomeOslo,
+    stm: inputs.stressMonth,
+    stb: inputs.stressBudget,
+    hb: inputs.householdBudget && inputs.householdBudget.enabled ? inputs.householdBudget : undefined,
+    ty: inputs.taxYear,
+    dsm: inputs.deductionSplitMode,
+    ds: inputs.deductionSplit,
+    rs: inputs.rentedShare,
+    sh: inputs.secondaryHome
+});
@@ -0,0 +1,28 @@
+// Lagrede scenarier i nettleserens localStorage: [{ id, name, params, savedAt }]
+// `params` er det samme komprimerbare objektet som delingslenken bruker.
+const STORAGE_KEY = 'lanekalkulator.scenarios';
+
+export const loadScenarios = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        console.error('Failed to read saved scenarios:', e);
+        return [];
+    }
+};
+
+export const storeScenarios = (scenarios) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (e) {
+        console.error('Failed to save scenarios:', e);
+    }
+};
+
+export const createScenario = (name, params) => ({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    params,
+    savedAt: new Date().toISOString()
+});
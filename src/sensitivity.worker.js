@@ -0,0 +1,8 @@
+/* eslint-env worker */
+// Følsomhetsanalysen regner kjøpet på nytt mange ganger, så den kjører i en egen tråd
+import { calculateHeatmap, calculateSensitivity } from './lib';
+
+onmessage = (event) => {
+    const { task, inputs } = event.data;
+    postMessage(task === 'heatmap' ? calculateHeatmap(inputs) : calculateSensitivity(inputs));
+};
@@ -0,0 +1,7 @@
+/* eslint-env worker */
+// Monte Carlo-simuleringen kjører i en egen tråd, så glidebryterne svarer mens den regner
+import { runSimulation } from './lib';
+
+onmessage = (event) => {
+    postMessage(runSimulation(event.data));
+};
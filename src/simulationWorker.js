@@ -0,0 +1,5 @@
+// Starter regnetrådene (se simulation.worker.js og sensitivity.worker.js). Egen modul, så testene
+// kan bytte dem ut: jsdom har ingen Worker, og Jest kan ikke lese import.meta.
+export const createSimulationWorker = () => new Worker(new URL('./simulation.worker.js', import.meta.url));
+
+export const createSensitivityWorker = () => new Worker(new URL('./sensitivity.worker.js', import.meta.url));